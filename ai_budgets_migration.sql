@@ -0,0 +1,26 @@
+-- Migration: AI budgets
+-- Description: Counts screenshots per AI usage event and stores admin budget overrides
+-- for users and teams. Default budgets come from configuration (AI_BUDGETS).
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE ai_usage_events
+  ADD COLUMN IF NOT EXISTS screenshot_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS ai_budget_overrides (
+    id UUID PRIMARY KEY,
+    subject_type VARCHAR(10) NOT NULL CHECK (subject_type IN ('user', 'team')),
+    subject_id UUID NOT NULL,
+    -- NULL keeps the configured default for that limit
+    screenshots_limit INTEGER,
+    reports_limit INTEGER,
+    cost_limit_usd NUMERIC(12, 2),
+    unlimited BOOLEAN NOT NULL DEFAULT FALSE,
+    note TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (subject_type, subject_id)
+);
+
+COMMENT ON TABLE ai_budget_overrides IS 'Admin overrides of monthly AI budgets';
@@ -0,0 +1,24 @@
+-- Migration: AI usage accounting
+-- Description: One row per AI provider call with token counts, latency and computed cost.
+-- Team usage is the sum over team members, so no team column is stored.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS ai_usage_events (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL,
+    session_id UUID,
+    operation VARCHAR(50) NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    success BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_user_created ON ai_usage_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_session ON ai_usage_events(session_id) WHERE session_id IS NOT NULL;
+
+COMMENT ON TABLE ai_usage_events IS 'AI provider calls for token and cost accounting';
@@ -0,0 +1,34 @@
+-- Migration: Batch checkpoints
+-- Description: Tracks which screenshots are covered by a batch report and checkpoints
+-- incremental batch processing per session so an interrupted walk can resume.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE screenshots
+  ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS batch_report_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_screenshots_unprocessed
+  ON screenshots(session_id, created_at)
+  WHERE processed_at IS NULL;
+
+-- batch_number is now a per-session sequence (1, 2, 3...) instead of a unix timestamp.
+-- Check for duplicate (session_id, batch_number) pairs before running this.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_batch_reports_session_batch_number
+  ON batch_reports(session_id, batch_number);
+
+CREATE TABLE IF NOT EXISTS batch_checkpoints (
+    id UUID PRIMARY KEY,
+    session_id UUID NOT NULL UNIQUE,
+    user_id UUID NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'paused', 'completed', 'failed')),
+    last_batch_number INTEGER NOT NULL DEFAULT 0,
+    last_batch_report_id UUID,
+    last_screenshot_id UUID,
+    last_screenshot_at TIMESTAMP WITH TIME ZONE,
+    processed_count INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE batch_checkpoints IS 'Progress of incremental batch processing per session';
@@ -0,0 +1,10 @@
+-- Migration: Degraded batch reports
+-- Description: Flags batch reports whose AI output failed schema validation after the repair pass
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE batch_reports
+  ADD COLUMN IF NOT EXISTS degraded BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_batch_reports_degraded
+  ON batch_reports(session_id)
+  WHERE degraded;
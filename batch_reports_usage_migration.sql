@@ -0,0 +1,7 @@
+-- Migration: Batch report AI usage
+-- Description: Token count and cost of the AI calls behind each server-side batch report
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE batch_reports
+  ADD COLUMN IF NOT EXISTS tokens_used INTEGER,
+  ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(12, 6);
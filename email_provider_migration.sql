@@ -0,0 +1,8 @@
+-- Migration: Email magic-link provider
+-- Description: Allows 'email' as a sign-in provider on web_users alongside google and github
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE web_users DROP CONSTRAINT IF EXISTS web_users_provider_check;
+ALTER TABLE web_users
+  ADD CONSTRAINT web_users_provider_check
+  CHECK (provider IS NULL OR provider IN ('google', 'github', 'email'));
@@ -3,6 +3,8 @@ require('dotenv').config();
 
 // Use real app with database connections
 const app = require('./src/app');
+const SandboxService = require('./src/services/SandboxService');
+const AutoBatchService = require('./src/services/AutoBatchService');
 
 const PORT = process.env.PORT || 8080;
 
@@ -12,6 +14,12 @@ app.listen(PORT, () => {
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
   console.log(`🕐 Started at: ${new Date().toISOString()}`);
+
+  // Long-running servers reset demo tenants on a timer (no-op unless sandbox mode is on)
+  new SandboxService().startResetSchedule();
+
+  // ...and run automatic batch jobs as they fall due (serverless uses the admin endpoint)
+  new AutoBatchService().startWorker();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,29 @@
+-- Migration: Platform and team roles
+-- Description: Adds web_users.platform_role and widens team_members.role for the authorize() middleware
+-- Run this in Supabase SQL Editor
+
+-- Platform roles: user (default), support, admin
+ALTER TABLE web_users
+  ADD COLUMN IF NOT EXISTS platform_role TEXT NOT NULL DEFAULT 'user';
+
+ALTER TABLE web_users DROP CONSTRAINT IF EXISTS web_users_platform_role_check;
+ALTER TABLE web_users
+  ADD CONSTRAINT web_users_platform_role_check
+  CHECK (platform_role IN ('user', 'support', 'admin'));
+
+-- Team roles: owner, admin, manager, member, viewer
+ALTER TABLE team_members DROP CONSTRAINT IF EXISTS team_members_role_check;
+ALTER TABLE team_members
+  ADD CONSTRAINT team_members_role_check
+  CHECK (role IN ('owner', 'admin', 'manager', 'member', 'viewer'));
+
+-- Team creators were previously stored as 'admin' - promote them to owner
+UPDATE team_members tm
+SET role = 'owner'
+FROM teams t
+WHERE tm.team_id = t.id
+  AND tm.user_id = t.created_by_user_id
+  AND tm.role = 'admin';
+
+-- Grant staff access manually, e.g.:
+-- UPDATE web_users SET platform_role = 'admin' WHERE email = 'ops@example.com';
@@ -0,0 +1,29 @@
+-- Migration: Prompt versions
+-- Description: Records which prompt version produced each batch report and stores
+-- per-user prompt version pins. Experiment splits come from configuration (PROMPT_EXPERIMENTS).
+-- Run this in Supabase SQL Editor
+
+-- Stored as <prompt name>@<version>, e.g. batch_group_analysis@v2
+ALTER TABLE batch_reports
+  ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_batch_reports_prompt_version
+  ON batch_reports(prompt_version, created_at DESC)
+  WHERE prompt_version IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS prompt_assignments (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL,
+    prompt_name VARCHAR(100) NOT NULL,
+    version VARCHAR(50) NOT NULL,
+    note TEXT,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, prompt_name)
+);
+
+COMMENT ON TABLE prompt_assignments IS 'Admin pins of users to a prompt version - take precedence over experiment bucketing';
+
+CREATE INDEX IF NOT EXISTS idx_prompt_assignments_prompt
+  ON prompt_assignments(prompt_name);
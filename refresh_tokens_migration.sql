@@ -0,0 +1,27 @@
+-- Migration: Persistent refresh tokens with rotation
+-- Description: Store hashed refresh tokens per device. Each login starts a token
+-- family; every refresh marks the presented token used and issues a successor in
+-- the same family. Presenting a used token revokes the whole family.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL,
+    family_id UUID NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    device_id VARCHAR(255),
+    device_name VARCHAR(255),
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    replaced_by UUID,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
+COMMENT ON TABLE refresh_tokens IS 'Hashed, rotating refresh tokens grouped into per-login families';
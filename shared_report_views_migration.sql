@@ -0,0 +1,24 @@
+-- Migration: Shared report views
+-- Description: Access log for shared report links - one row per open with a keyed hash
+-- of the IP, user agent, referrer and the verified or emailed viewer when known.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS shared_report_views (
+    id UUID PRIMARY KEY,
+    shared_report_id UUID NOT NULL,
+    viewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    ip_hash VARCHAR(64),
+    user_agent TEXT,
+    referrer TEXT,
+    -- Email confirmed through viewer verification (restricted links)
+    viewer_email VARCHAR(320),
+    -- Recipient whose emailed link was opened (share-via-email)
+    recipient_email VARCHAR(320),
+    -- Identity used for unique-viewer counts: viewer email, else recipient, else IP and user agent
+    viewer_key VARCHAR(64) NOT NULL
+);
+
+COMMENT ON TABLE shared_report_views IS 'Per-open access log of shared report links';
+
+CREATE INDEX IF NOT EXISTS idx_shared_report_views_share
+  ON shared_report_views(shared_report_id, viewed_at DESC);
@@ -0,0 +1,35 @@
+-- Migration: Shared report view totals
+-- Description: Computes a share's view totals and per-recipient opens in the database,
+-- so popular links are not limited by the API row cap and no view rows are transferred.
+-- Returns { total_views, unique_viewers, identified_viewers, first_viewed_at,
+-- last_viewed_at, recipients: [{ email, views, first_viewed_at, last_viewed_at }] }.
+-- Run this in Supabase SQL Editor
+
+CREATE OR REPLACE FUNCTION shared_report_view_stats(p_share_id UUID, p_emails TEXT[])
+RETURNS JSON
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT json_build_object(
+    'total_views', COUNT(*),
+    'unique_viewers', COUNT(DISTINCT viewer_key),
+    'identified_viewers', COUNT(DISTINCT COALESCE(viewer_email, recipient_email)),
+    'first_viewed_at', MIN(viewed_at),
+    'last_viewed_at', MAX(viewed_at),
+    'recipients', (
+      SELECT COALESCE(json_agg(opens), '[]'::json)
+      FROM (
+        SELECT COALESCE(viewer_email, recipient_email) AS email,
+               COUNT(*) AS views,
+               MIN(viewed_at) AS first_viewed_at,
+               MAX(viewed_at) AS last_viewed_at
+        FROM shared_report_views
+        WHERE shared_report_id = p_share_id
+          AND COALESCE(viewer_email, recipient_email) = ANY(p_emails)
+        GROUP BY 1
+      ) opens
+    )
+  )
+  FROM shared_report_views
+  WHERE shared_report_id = p_share_id;
+$$;
@@ -0,0 +1,11 @@
+-- Migration: Shared report access restrictions
+-- Description: Optional share passwords (scrypt hashes) and viewer email domain
+-- restrictions for shared_reports. Links without either stay public to token holders.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE shared_reports
+  ADD COLUMN IF NOT EXISTS password_hash TEXT,
+  ADD COLUMN IF NOT EXISTS allowed_domains TEXT[];
+
+COMMENT ON COLUMN shared_reports.password_hash IS 'scrypt hash of the share password; NULL when the link has no password';
+COMMENT ON COLUMN shared_reports.allowed_domains IS 'Viewers must verify an email at one of these domains; NULL or empty for no restriction';
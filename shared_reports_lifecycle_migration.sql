@@ -0,0 +1,15 @@
+-- Migration: Shared report lifecycle
+-- Description: Optional view limits for shared_reports. A link that reaches its
+-- limit is revoked automatically, recorded in revoked_reason.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE shared_reports
+  ADD COLUMN IF NOT EXISTS max_views INTEGER,
+  ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50);
+
+COMMENT ON COLUMN shared_reports.max_views IS 'Views after which the link is revoked; NULL for no limit';
+COMMENT ON COLUMN shared_reports.revoked_reason IS 'Why the link was revoked automatically (view_limit); NULL when revoked by the owner';
+
+-- Bulk revocation looks shares up by the session they cover
+CREATE INDEX IF NOT EXISTS idx_shared_reports_session_ids
+  ON shared_reports USING GIN ((metadata->'session_ids'));
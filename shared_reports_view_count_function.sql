@@ -0,0 +1,24 @@
+-- Migration: Atomic shared report view counting
+-- Description: Counts one view in a single UPDATE, so concurrent opens never lose
+-- a count or overshoot max_views. The view that reaches the limit revokes the link.
+-- Returns the updated row, or no row when the link is revoked or at its limit.
+-- Run this in Supabase SQL Editor
+
+CREATE OR REPLACE FUNCTION increment_shared_report_view(p_token TEXT)
+RETURNS SETOF shared_reports
+LANGUAGE sql
+AS $$
+  UPDATE shared_reports
+  SET view_count = COALESCE(view_count, 0) + 1,
+      last_viewed_at = NOW(),
+      is_revoked = COALESCE(is_revoked, FALSE)
+        OR (max_views IS NOT NULL AND COALESCE(view_count, 0) + 1 >= max_views),
+      revoked_reason = CASE
+        WHEN max_views IS NOT NULL AND COALESCE(view_count, 0) + 1 >= max_views THEN 'view_limit'
+        ELSE revoked_reason
+      END
+  WHERE token = p_token
+    AND NOT COALESCE(is_revoked, FALSE)
+    AND (max_views IS NULL OR COALESCE(view_count, 0) < max_views)
+  RETURNING *;
+$$;
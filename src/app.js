@@ -27,9 +27,17 @@ const batchProcessingRoutes = require('./routes/batchProcessingRoutes');
 const userSessionRoutes = require('./routes/userSessionRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const sandboxRoutes = require('./routes/sandboxRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const { isSandboxEnabled } = require('./config/sandbox');
+const { trustProxy } = require('./config/proxy');
 
 const app = express();
 
+// req.ip must be the client, not the platform proxy (see config/proxy)
+app.set('trust proxy', trustProxy);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: false, // Allow Vercel analytics
@@ -60,7 +68,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Id', 'X-App-Version', 'X-API-Key', 'X-Share-Viewer-Token']
 }));
 
 // Compression middleware
@@ -111,6 +119,13 @@ app.use('/api/batch', batchProcessingRoutes);
 app.use('/api/user-session', userSessionRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Demo/sandbox accounts - never mounted in production builds
+if (isSandboxEnabled()) {
+  app.use('/api/sandbox', sandboxRoutes);
+}
 
 // Backward compatibility endpoint for desktop app
 // Desktop app expects POST /api/analyze
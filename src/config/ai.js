@@ -0,0 +1,200 @@
+const { logger } = require('../utils/logger');
+
+const PROVIDERS = ['gemini', 'openai', 'ollama', 'fake'];
+
+// Per-provider settings. The Google key keeps its legacy names so existing deploys keep working.
+const providerConfig = {
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_API_KEY || null,
+    model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp'
+  },
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY || null,
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  },
+  ollama: {
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    model: process.env.OLLAMA_MODEL || 'llava'
+  },
+  fake: {
+    model: 'fake-deterministic-v1'
+  }
+};
+
+const requestTimeoutMs = parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || 120 * 1000;
+
+// USD per million tokens, matched by model-name prefix (longest wins).
+// AI_MODEL_PRICING='{"my-model":{"input":1,"output":2}}' adds or overrides entries.
+const defaultPricing = {
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'fake-': { input: 0, output: 0 }
+};
+
+function loadPricing() {
+  if (!process.env.AI_MODEL_PRICING) {
+    return defaultPricing;
+  }
+
+  try {
+    return { ...defaultPricing, ...JSON.parse(process.env.AI_MODEL_PRICING) };
+  } catch (error) {
+    logger.warn('Invalid AI_MODEL_PRICING - using default prices', { error: error.message });
+    return defaultPricing;
+  }
+}
+
+const modelPricing = loadPricing();
+
+/**
+ * Cost of a call in USD. Self-hosted (ollama) and unknown models cost 0.
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Response tokens
+ * @returns {number} Cost in USD
+ */
+function calculateCost(provider, model, inputTokens = 0, outputTokens = 0) {
+  if (provider === 'ollama' || !model) {
+    return 0;
+  }
+
+  const key = Object.keys(modelPricing)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!key) {
+    return 0;
+  }
+
+  const price = modelPricing[key];
+  const cost = (inputTokens * price.input + outputTokens * price.output) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+// Monthly AI budgets per user plan, plus one for teams (summed over members).
+// A null limit is unlimited. AI_BUDGETS='{"trial":{"cost_usd":2}}' overrides per plan.
+const defaultBudgets = {
+  default: { screenshots: 3000, reports: 30, cost_usd: 5 },
+  trial: { screenshots: 3000, reports: 30, cost_usd: 5 },
+  pro: { screenshots: 30000, reports: 300, cost_usd: 50 },
+  enterprise: { screenshots: null, reports: null, cost_usd: null },
+  team: { screenshots: null, reports: null, cost_usd: null }
+};
+
+function loadBudgets() {
+  if (!process.env.AI_BUDGETS) {
+    return defaultBudgets;
+  }
+
+  try {
+    const configured = JSON.parse(process.env.AI_BUDGETS);
+    return Object.keys({ ...defaultBudgets, ...configured }).reduce((budgets, plan) => {
+      budgets[plan] = { ...(defaultBudgets[plan] || defaultBudgets.default), ...configured[plan] };
+      return budgets;
+    }, {});
+  } catch (error) {
+    logger.warn('Invalid AI_BUDGETS - using default budgets', { error: error.message });
+    return defaultBudgets;
+  }
+}
+
+const budgetConfig = {
+  budgets: loadBudgets(),
+  // Share of a limit at which soft warnings start
+  warningRatio: parseFloat(process.env.AI_BUDGET_WARNING_RATIO) || 0.8,
+  // 'fallback' downgrades to non-AI analysis when the AI budget runs out; 'block' rejects with QUOTA_EXCEEDED
+  exhaustedPolicy: process.env.AI_BUDGET_EXHAUSTED_POLICY === 'block' ? 'block' : 'fallback'
+};
+
+// Content-addressed cache of AI analyses (image hashes + prompt version + model)
+const cacheConfig = {
+  enabled: process.env.AI_CACHE_ENABLED !== 'false',
+  ttlSeconds: parseInt(process.env.AI_CACHE_TTL_SECONDS, 10) || 7 * 24 * 60 * 60
+};
+
+// Prompt A/B splits: PROMPT_EXPERIMENTS='{"batch_group_analysis":{"v1":50,"v2":50}}'.
+// Weights are relative; prompts without an entry use their default version.
+function loadPromptExperiments() {
+  if (!process.env.PROMPT_EXPERIMENTS) {
+    return {};
+  }
+
+  try {
+    const configured = JSON.parse(process.env.PROMPT_EXPERIMENTS);
+    return Object.entries(configured).reduce((experiments, [name, weights]) => {
+      const valid = Object.entries(weights || {}).filter(([, weight]) => Number(weight) > 0);
+      if (valid.length > 0) {
+        experiments[name] = Object.fromEntries(valid.map(([version, weight]) => [version, Number(weight)]));
+      }
+      return experiments;
+    }, {});
+  } catch (error) {
+    logger.warn('Invalid PROMPT_EXPERIMENTS - no prompt experiments running', { error: error.message });
+    return {};
+  }
+}
+
+const promptExperiments = loadPromptExperiments();
+
+// AI_PLAN_PROVIDERS=trial:ollama,pro:openai - plans without an entry use the default provider
+function parsePlanProviders(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reduce((map, entry) => {
+      const [plan, provider] = entry.split(':').map(part => part.trim());
+      if (plan && PROVIDERS.includes(provider)) {
+        map[plan] = provider;
+      } else {
+        logger.warn('Ignoring invalid AI_PLAN_PROVIDERS entry', { entry });
+      }
+      return map;
+    }, {});
+}
+
+const planProviders = parsePlanProviders(process.env.AI_PLAN_PROVIDERS);
+
+// Default provider: explicit AI_PROVIDER, else Gemini when a Google key is present
+function getDefaultProviderName() {
+  const configured = process.env.AI_PROVIDER;
+
+  if (configured) {
+    if (PROVIDERS.includes(configured)) {
+      return configured;
+    }
+    logger.warn('Unknown AI_PROVIDER - falling back to auto-detection', { provider: configured });
+  }
+
+  return providerConfig.gemini.apiKey ? 'gemini' : null;
+}
+
+/**
+ * Resolve which provider serves a request
+ * @param {Object} options - { plan } subscription type of the user, if known
+ * @returns {string|null} Provider name, or null when AI analysis is disabled
+ */
+function resolveProviderName({ plan = null } = {}) {
+  return (plan && planProviders[plan]) || getDefaultProviderName();
+}
+
+function hasPlanOverrides() {
+  return Object.keys(planProviders).length > 0;
+}
+
+module.exports = {
+  PROVIDERS,
+  providerConfig,
+  requestTimeoutMs,
+  calculateCost,
+  budgetConfig,
+  cacheConfig,
+  promptExperiments,
+  resolveProviderName,
+  hasPlanOverrides
+};
@@ -0,0 +1,31 @@
+// Scopes a personal API key can be granted
+const API_KEY_SCOPES = {
+  'sessions:read': 'Read work sessions, dashboard and analytics',
+  'reports:read': 'Read reports and batch analysis results',
+  'reports:write': 'Generate and share reports',
+  'screenshots:upload': 'Upload screenshots'
+};
+
+// Routes reachable with an API key. Anything not listed is JWT-only, so new
+// routes stay closed to API keys until they are added here deliberately.
+const API_KEY_ROUTES = [
+  { scope: 'sessions:read', method: 'GET', pattern: /^\/api\/sessions(\/|$)/ },
+  { scope: 'sessions:read', method: 'GET', pattern: /^\/api\/dashboard(\/|$)/ },
+  { scope: 'sessions:read', method: 'GET', pattern: /^\/api\/analytics(\/|$)/ },
+  { scope: 'reports:read', method: 'GET', pattern: /^\/api\/reports(\/|$)/ },
+  { scope: 'reports:read', method: 'GET', pattern: /^\/api\/batch\/(status|reports|summary)\/[^/]+$/ },
+  { scope: 'reports:write', method: 'POST', pattern: /^\/api\/reports\/(generate-from-sessions|generate-range|session-analysis\/[^/]+)$/ },
+  { scope: 'reports:write', method: 'POST', pattern: /^\/api\/batch\/(trigger|share)\/[^/]+$/ },
+  { scope: 'screenshots:upload', method: 'POST', pattern: /^\/api\/screenshots\/(upload|enhanced\/upload)$/ }
+];
+
+// Scope an API key needs for a request, or null if the route doesn't accept API keys
+function getRequiredScope(method, path) {
+  const route = API_KEY_ROUTES.find(entry => entry.method === method && entry.pattern.test(path));
+  return route ? route.scope : null;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  getRequiredScope
+};
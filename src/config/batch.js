@@ -0,0 +1,28 @@
+// Batch processing of session screenshots (services/BatchProcessingService, services/AutoBatchService)
+const batchConfig = {
+  // Screenshots per batch window / batch report
+  windowSize: parseInt(process.env.BATCH_WINDOW_SIZE, 10) || 30,
+  // Windows per trigger request - keeps one request bounded; the next trigger resumes
+  maxWindowsPerRun: parseInt(process.env.BATCH_MAX_WINDOWS_PER_RUN, 10) || 10,
+  autoTrigger: {
+    enabled: process.env.BATCH_AUTO_TRIGGER_ENABLED !== 'false',
+    // Unprocessed screenshots that start a batch on upload
+    threshold: parseInt(process.env.BATCH_AUTO_TRIGGER_THRESHOLD, 10) || 30,
+    // ...or the age of the oldest unprocessed screenshot that starts one anyway
+    windowMs: (parseInt(process.env.BATCH_AUTO_TRIGGER_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+    // Uploads within this period share one check per session
+    debounceMs: parseInt(process.env.BATCH_AUTO_TRIGGER_DEBOUNCE_MS, 10) || 10 * 1000,
+    // How often long-running servers look for due automatic batch jobs
+    pollIntervalMs: parseInt(process.env.BATCH_AUTO_POLL_INTERVAL_MS, 10) || 5 * 1000
+  },
+  // Per-session locks (services/LockService); a crashed holder blocks the session at most this long
+  locks: {
+    // Renewed after every window, so long walks keep it
+    triggerTtlMs: 5 * 60 * 1000,
+    summaryTtlMs: 10 * 60 * 1000
+  }
+};
+
+module.exports = {
+  batchConfig
+};
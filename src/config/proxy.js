@@ -0,0 +1,24 @@
+// Reverse proxy trust (Express 'trust proxy'). Vercel and Render put one proxy hop
+// in front of the app, so by default req.ip is the client address that hop appends
+// to X-Forwarded-For. Share throttles, viewer analytics and API key IP checks key on it.
+// TRUST_PROXY takes Express's values: a hop count, 'true'/'false', or addresses/subnets.
+
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') {
+    return 1;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === 'true') return true;
+  if (normalized === 'false') return false;
+  if (/^\d+$/.test(normalized)) return parseInt(normalized, 10);
+
+  return String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+
+module.exports = {
+  trustProxy,
+  parseTrustProxy
+};
@@ -0,0 +1,43 @@
+const redis = require('./redis');
+const { getMemoryStore } = require('./store');
+const { logger } = require('../utils/logger');
+
+const sessionQueue = process.env.SESSION_QUEUE_NAME || 'session_queue';
+
+// Queue configuration shared by the API and the GPU worker contract.
+// Workers claim tasks with BRPOPLPUSH <sessionQueue> <processingQueue> so a crash
+// leaves the task visible to the stalled-job sweep instead of losing it.
+const queueConfig = {
+  sessionQueue,
+  processingQueue: `${sessionQueue}:processing`,
+  delayedQueue: `${sessionQueue}:delayed`,
+  deadQueue: `${sessionQueue}:dead`,
+  jobKeyPrefix: 'job:',
+  jobTtlSeconds: parseInt(process.env.JOB_TTL_SECONDS, 10) || 7 * 24 * 60 * 60,
+  visibilityTimeoutMs: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+  maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3,
+  retryBaseDelayMs: parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS, 10) || 30 * 1000,
+  retryMaxDelayMs: parseInt(process.env.QUEUE_RETRY_MAX_DELAY_MS, 10) || 30 * 60 * 1000,
+  // QUEUE_DRIVER=memory swaps Redis for an in-process stand-in (local dev and tests)
+  driver: process.env.QUEUE_DRIVER || (redis ? 'redis' : 'none')
+};
+
+let memoryWarned = false;
+
+// Get the client backing the job queue, or null if no queue is available
+function getQueueClient() {
+  if (queueConfig.driver === 'memory') {
+    if (!memoryWarned) {
+      logger.warn('Using in-memory queue store - jobs are not shared between instances');
+      memoryWarned = true;
+    }
+    return getMemoryStore();
+  }
+
+  return redis;
+}
+
+module.exports = {
+  getQueueClient,
+  queueConfig
+};
@@ -0,0 +1,30 @@
+// Role hierarchies used by the authorize() middleware.
+// Each list is ordered lowest to highest - a role satisfies every role below it.
+
+// Platform roles live on web_users.platform_role
+const PLATFORM_ROLES = ['user', 'support', 'admin'];
+
+// Team roles live on team_members.role
+const TEAM_ROLES = ['viewer', 'member', 'manager', 'admin', 'owner'];
+
+function rank(roles, role) {
+  return roles.indexOf(role);
+}
+
+// True if `role` is at or above `required` in the given hierarchy
+function satisfiesRole(roles, role, required) {
+  const have = rank(roles, role);
+  return have !== -1 && have >= rank(roles, required);
+}
+
+// True if `role` is strictly above `other` (e.g. who may remove whom)
+function outranks(roles, role, other) {
+  return rank(roles, role) > rank(roles, other);
+}
+
+module.exports = {
+  PLATFORM_ROLES,
+  TEAM_ROLES,
+  satisfiesRole,
+  outranks
+};
@@ -0,0 +1,68 @@
+const { logger } = require('../utils/logger');
+
+// Demo tenants available in sandbox mode. IDs are fixed so resets reuse the same rows;
+// they were generated for the sandbox and must never match a real account.
+const SANDBOX_TENANTS = {
+  'design-studio': {
+    key: 'design-studio',
+    userId: '97ff309f-b420-4981-b996-e8163354338e',
+    email: 'design-studio@sandbox.onlyworks.invalid',
+    name: 'Dana Demo',
+    role: 'Product Designer',
+    apps: ['Figma', 'Slack', 'Google Chrome', 'Notion'],
+    goals: ['Finish onboarding flow mockups', 'Review design system tokens', 'Prepare client presentation']
+  },
+  'solo-developer': {
+    key: 'solo-developer',
+    userId: '5d2c9a4e-3f1b-4e8a-9c7d-6b0a1e2f3d4c',
+    email: 'solo-developer@sandbox.onlyworks.invalid',
+    name: 'Sam Sandbox',
+    role: 'Software Engineer',
+    apps: ['Visual Studio Code', 'Terminal', 'Google Chrome', 'Slack'],
+    goals: ['Ship payment webhook handler', 'Fix flaky integration tests', 'Code review backlog']
+  }
+};
+
+function isProductionBuild() {
+  return process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
+}
+
+const requested = process.env.SANDBOX_MODE === 'true';
+
+if (requested && isProductionBuild()) {
+  logger.security('sandbox_mode_blocked', {
+    reason: 'SANDBOX_MODE is ignored in production builds'
+  });
+}
+
+// Sandbox mode can never be turned on in production, whatever the environment says
+const sandboxEnabled = requested && !isProductionBuild();
+
+const sandboxConfig = {
+  resetIntervalHours: parseFloat(process.env.SANDBOX_RESET_INTERVAL_HOURS) || 6,
+  tokenExpiry: process.env.SANDBOX_TOKEN_EXPIRY || '2h'
+};
+
+function isSandboxEnabled() {
+  return sandboxEnabled;
+}
+
+// Tenants enabled for this deployment (SANDBOX_TENANTS narrows the built-in list)
+function getSandboxTenants() {
+  const allowed = process.env.SANDBOX_TENANTS
+    ? process.env.SANDBOX_TENANTS.split(',').map(key => key.trim())
+    : Object.keys(SANDBOX_TENANTS);
+
+  return allowed.filter(key => SANDBOX_TENANTS[key]).map(key => SANDBOX_TENANTS[key]);
+}
+
+function getSandboxTenant(key) {
+  return getSandboxTenants().find(tenant => tenant.key === key) || null;
+}
+
+module.exports = {
+  isSandboxEnabled,
+  getSandboxTenants,
+  getSandboxTenant,
+  sandboxConfig
+};
@@ -0,0 +1,34 @@
+const redis = require('./redis');
+const MemoryStore = require('../utils/memoryStore');
+const { logger } = require('../utils/logger');
+
+let memoryStore = null;
+let fallbackWarned = false;
+
+// Process-local store shared by every fallback in this instance
+function getMemoryStore() {
+  if (!memoryStore) {
+    memoryStore = new MemoryStore();
+  }
+  return memoryStore;
+}
+
+// Client for short-lived shared state (OAuth state, locks).
+// Redis when configured; otherwise process memory, which only works with a single instance.
+function getStoreClient() {
+  if (redis) {
+    return redis;
+  }
+
+  if (!fallbackWarned) {
+    logger.warn('Redis not configured - short-lived state is kept in process memory and is not shared between instances');
+    fallbackWarned = true;
+  }
+
+  return getMemoryStore();
+}
+
+module.exports = {
+  getStoreClient,
+  getMemoryStore
+};
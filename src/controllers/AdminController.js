@@ -1,7 +1,21 @@
 const { getSupabaseAdminClient } = require('../config/database');
+const JobQueueService = require('../services/JobQueueService');
+const AIBudgetService = require('../services/AIBudgetService');
+const PromptService = require('../services/PromptService');
+const AIAnalysisCacheService = require('../services/AIAnalysisCacheService');
+const AutoBatchService = require('../services/AutoBatchService');
+const { asyncHandler, ApiError, isUuid } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 
 class AdminController {
+  constructor() {
+    this.jobQueueService = new JobQueueService();
+    this.aiBudgetService = new AIBudgetService();
+    this.promptService = new PromptService();
+    this.analysisCache = new AIAnalysisCacheService();
+    this.autoBatchService = new AutoBatchService();
+  }
+
   async fixAuthUserIds(req, res, next) {
     try {
       const supabaseAdmin = getSupabaseAdminClient();
@@ -76,6 +90,196 @@ class AdminController {
       next(error);
     }
   }
+
+  // Get queue depth for pending, processing, delayed and dead jobs
+  getQueueStats = asyncHandler(async (req, res) => {
+    const stats = await this.jobQueueService.getQueueStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  });
+
+  // Promote due retries and recover stalled jobs
+  runQueueMaintenance = asyncHandler(async (req, res) => {
+    const result = await this.jobQueueService.runMaintenance();
+
+    logger.info('Queue maintenance run by admin', { adminId: req.user.userId, ...result });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Queue maintenance completed'
+    });
+  });
+
+  // Run automatic batch jobs that are due - the scheduler for deployments without a long-running server
+  runAutoBatchJobs = asyncHandler(async (req, res) => {
+    const result = await this.autoBatchService.runDueJobs({ limit: parseInt(req.body?.limit, 10) || undefined });
+
+    logger.info('Automatic batch jobs run by admin', { adminId: req.user.userId, ...result });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Automatic batch jobs processed'
+    });
+  });
+
+  // List dead-lettered jobs
+  getDeadJobs = asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const result = await this.jobQueueService.listDeadJobs({ limit, offset });
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: { limit, offset, total: result.total }
+    });
+  });
+
+  // Requeue dead-lettered jobs (all, or the given job_ids)
+  requeueDeadJobs = asyncHandler(async (req, res) => {
+    const jobIds = this.parseJobIds(req.body);
+
+    const result = await this.jobQueueService.requeueDeadJobs(jobIds);
+
+    logger.info('Dead jobs requeued by admin', {
+      adminId: req.user.userId,
+      requeued: result.requeued.length,
+      skipped: result.skipped.length
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Requeued ${result.requeued.length} job(s)`
+    });
+  });
+
+  // Purge dead-lettered jobs (all, or the given job_ids)
+  purgeDeadJobs = asyncHandler(async (req, res) => {
+    const jobIds = this.parseJobIds(req.body);
+
+    const removed = await this.jobQueueService.purgeDeadJobs(jobIds);
+
+    logger.info('Dead jobs purged by admin', { adminId: req.user.userId, removed });
+
+    res.json({
+      success: true,
+      data: { removed },
+      message: `Purged ${removed} job(s)`
+    });
+  });
+
+  // Monthly AI budget status (limits, usage, override) for a user or team
+  getAIBudget = asyncHandler(async (req, res) => {
+    const { subjectType, subjectId } = req.params;
+    this.aiBudgetService.validateSubject(subjectType, subjectId);
+
+    const status = await this.aiBudgetService.getSubjectStatus(subjectType, subjectId);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  });
+
+  setAIBudgetOverride = asyncHandler(async (req, res) => {
+    const { subjectType, subjectId } = req.params;
+
+    const override = await this.aiBudgetService.setOverride(subjectType, subjectId, req.body, req.user.userId);
+
+    res.json({
+      success: true,
+      data: override,
+      message: 'AI budget override saved'
+    });
+  });
+
+  clearAIBudgetOverride = asyncHandler(async (req, res) => {
+    const { subjectType, subjectId } = req.params;
+
+    await this.aiBudgetService.clearOverride(subjectType, subjectId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'AI budget override removed - default budget applies'
+    });
+  });
+
+  getPrompts = asyncHandler(async (req, res) => {
+    const prompts = await this.promptService.listPrompts();
+
+    res.json({
+      success: true,
+      data: prompts
+    });
+  });
+
+  getUserPrompts = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    if (!isUuid(userId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'userId', message: 'userId must be a UUID' });
+    }
+
+    const prompts = await this.promptService.listPrompts(userId);
+
+    res.json({
+      success: true,
+      data: prompts
+    });
+  });
+
+  setPromptAssignment = asyncHandler(async (req, res) => {
+    const { userId, promptName } = req.params;
+
+    const assignment = await this.promptService.setAssignment(userId, promptName, req.body, req.user.userId);
+
+    res.json({
+      success: true,
+      data: assignment,
+      message: 'Prompt version pinned'
+    });
+  });
+
+  clearPromptAssignment = asyncHandler(async (req, res) => {
+    const { userId, promptName } = req.params;
+
+    await this.promptService.clearAssignment(userId, promptName, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Prompt version pin removed - experiment assignment applies'
+    });
+  });
+
+  getAICacheStats = asyncHandler(async (req, res) => {
+    const stats = await this.analysisCache.getStats(req.query.days);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  });
+
+  // Acting on every dead job must be explicit ({ all: true }) rather than a missing field
+  parseJobIds(body = {}) {
+    if (body.all === true) {
+      return null;
+    }
+
+    if (!Array.isArray(body.job_ids) || body.job_ids.length === 0) {
+      throw new ApiError('VALIDATION_ERROR', {
+        message: 'Provide job_ids or set all to true'
+      });
+    }
+
+    return body.job_ids;
+  }
 }
 
 module.exports = AdminController;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const ApiKeyService = require('../services/ApiKeyService');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const { asyncHandler, validateRequired } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+class ApiKeyController {
+  constructor() {
+    this.apiKeyService = new ApiKeyService();
+  }
+
+  // List available scopes
+  getScopes = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description }))
+    });
+  });
+
+  // Create a new API key (the key itself is only shown once)
+  createKey = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { name, scopes, expires_in_days } = req.body;
+
+    validateRequired({ name, scopes }, ['name', 'scopes']);
+
+    logger.info('Creating API key', { userId, scopes });
+
+    const apiKey = await this.apiKeyService.createKey(userId, {
+      name,
+      scopes,
+      expiresInDays: expires_in_days ?? null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: apiKey,
+      message: 'API key created - copy it now, it will not be shown again'
+    });
+  });
+
+  // List the user's active API keys
+  getKeys = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+
+    const keys = await this.apiKeyService.listKeys(userId);
+
+    res.json({
+      success: true,
+      data: keys
+    });
+  });
+
+  // Revoke an API key
+  revokeKey = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { keyId } = req.params;
+
+    await this.apiKeyService.revokeKey(userId, keyId);
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  });
+}
+
+module.exports = ApiKeyController;
@@ -1,14 +1,39 @@
-const { asyncHandler } = require('../middleware/errorHandler');
+const { ApiError, asyncHandler, validateRequired } = require('../middleware/errorHandler');
 const AuthService = require('../services/AuthService');
+const MfaService = require('../services/MfaService');
 const ProfileRepository = require('../repositories/ProfileRepository');
 const { logger } = require('../utils/logger');
 
 class AuthController {
   constructor() {
     this.authService = new AuthService();
+    this.mfaService = new MfaService();
     this.profileRepository = new ProfileRepository();
   }
 
+  // Identify the client a refresh token family is issued to
+  getDeviceContext(req) {
+    const source = { ...req.query, ...req.body };
+    const userAgent = req.headers['user-agent'] || null;
+
+    return {
+      deviceId: source.device_id || req.headers['x-device-id'] || null,
+      deviceName: source.device_name || null,
+      platform: source.platform || this.detectPlatform(userAgent),
+      appVersion: source.app_version || req.headers['x-app-version'] || null,
+      userAgent,
+      ipAddress: req.ip || null
+    };
+  }
+
+  detectPlatform(userAgent) {
+    if (!userAgent) return null;
+    if (/Windows/i.test(userAgent)) return 'windows';
+    if (/Mac OS X|Macintosh/i.test(userAgent)) return 'macos';
+    if (/Linux/i.test(userAgent)) return 'linux';
+    return null;
+  }
+
   // Initialize OAuth flow
   initOAuth = asyncHandler(async (req, res) => {
     const { provider } = req.params;
@@ -21,7 +46,7 @@ class AuthController {
         success: false,
         error: {
           code: 'INVALID_PROVIDER',
-          message: 'Supported providers: google, github'
+          message: 'Supported providers: google, github (email sign-in uses POST /api/auth/email/request)'
         }
       });
     }
@@ -38,6 +63,27 @@ class AuthController {
     });
   });
 
+  // Email a passwordless sign-in link. The link's code/state complete sign-in
+  // through the regular callback with provider "email".
+  requestMagicLink = asyncHandler(async (req, res) => {
+    const { email, redirect_uri } = req.body;
+
+    validateRequired({ email }, ['email']);
+
+    const { expires_in } = await this.authService.magicLinkService.requestLink(email, {
+      redirectUri: redirect_uri
+    });
+
+    res.json({
+      success: true,
+      data: {
+        provider: 'email',
+        expires_in
+      },
+      message: 'Check your inbox for a sign-in link'
+    });
+  });
+
   // Handle OAuth callback (GET - for browser redirects)
   handleOAuthCallback = asyncHandler(async (req, res) => {
     const { provider } = req.params;
@@ -73,9 +119,20 @@ class AuthController {
       });
     }
 
+    if (!state) {
+      logger.security('oauth_callback_missing_state', { provider });
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_STATE',
+          message: 'OAuth state is required'
+        }
+      });
+    }
+
     try {
       logger.info('Starting token exchange', { provider, codePrefix: code.substring(0, 10) + '...' });
-      const tokens = await this.authService.exchangeCodeForTokens(provider, code, state);
+      const tokens = await this.authService.exchangeCodeForTokens(provider, code, state, this.getDeviceContext(req));
       logger.info('Token exchange successful', { provider, hasAccessToken: !!tokens.access_token });
 
       res.json({
@@ -122,7 +179,18 @@ class AuthController {
       });
     }
 
-    const tokens = await this.authService.exchangeCodeForTokens(provider, code, state);
+    if (!state) {
+      logger.security('oauth_callback_missing_state', { provider });
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_STATE',
+          message: 'OAuth state is required'
+        }
+      });
+    }
+
+    const tokens = await this.authService.exchangeCodeForTokens(provider, code, state, this.getDeviceContext(req));
 
     res.json({
       success: true,
@@ -144,7 +212,8 @@ class AuthController {
       });
     }
 
-    const tokens = await this.authService.refreshAccessToken(refresh_token);
+    // Rotation: the response carries a new refresh_token and the old one stops working
+    const tokens = await this.authService.refreshAccessToken(refresh_token, this.getDeviceContext(req));
 
     res.json({
       success: true,
@@ -166,6 +235,157 @@ class AuthController {
     });
   });
 
+  // List signed-in devices
+  getDevices = asyncHandler(async (req, res) => {
+    const { userId, deviceSessionId } = req.user;
+
+    const devices = await this.authService.listDevices(userId, deviceSessionId);
+
+    res.json({
+      success: true,
+      data: devices
+    });
+  });
+
+  // Sign out a single device
+  revokeDevice = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { id } = req.params;
+
+    await this.authService.revokeDevice(userId, id);
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  });
+
+  // Sign out every device (optionally keeping the current one)
+  signOutEverywhere = asyncHandler(async (req, res) => {
+    const { userId, deviceSessionId } = req.user;
+    const keepCurrent = req.body?.keep_current === true;
+
+    const revoked = await this.authService.signOutEverywhere(
+      userId,
+      keepCurrent ? deviceSessionId : null
+    );
+
+    res.json({
+      success: true,
+      data: { devices_signed_out: revoked },
+      message: 'Signed out of all devices'
+    });
+  });
+
+  // Complete a sign-in that returned mfa_required
+  completeMfaChallenge = asyncHandler(async (req, res) => {
+    const { mfa_token, code } = req.body;
+
+    validateRequired({ mfa_token, code }, ['mfa_token', 'code']);
+
+    const tokens = await this.authService.completeMfaChallenge(mfa_token, code);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  });
+
+  // Get 2FA status
+  getMfaStatus = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+
+    const status = await this.mfaService.getStatus(userId);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  });
+
+  // Start 2FA enrollment - returns the secret and otpauth:// URI to show as a QR code
+  startMfaEnrollment = asyncHandler(async (req, res) => {
+    const { userId, email, isSandbox } = req.user;
+
+    // Sandbox accounts are shared - enrolling would lock everyone else out
+    if (isSandbox) {
+      throw new ApiError('PERMISSION_DENIED', { reason: 'sandbox_read_only' });
+    }
+
+    const enrollment = await this.mfaService.startEnrollment(userId, email);
+
+    res.json({
+      success: true,
+      data: enrollment,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+  });
+
+  // Confirm 2FA enrollment with a code from the authenticator app
+  confirmMfaEnrollment = asyncHandler(async (req, res) => {
+    const { userId, deviceSessionId } = req.user;
+    const { code } = req.body;
+
+    validateRequired({ code }, ['code']);
+
+    const { recovery_codes } = await this.mfaService.confirmEnrollment(userId, code);
+
+    // The code just proved possession, so the current session counts as verified
+    const tokens = await this.authService.markSessionMfaVerified(userId, deviceSessionId);
+
+    res.json({
+      success: true,
+      data: { recovery_codes, ...tokens },
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they are shown only once.'
+    });
+  });
+
+  // Verify a code for the current session (step-up before sensitive operations)
+  verifyMfa = asyncHandler(async (req, res) => {
+    const { userId, deviceSessionId } = req.user;
+    const { code } = req.body;
+
+    validateRequired({ code }, ['code']);
+
+    const tokens = await this.authService.stepUpMfa(userId, deviceSessionId, code);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  });
+
+  // Replace recovery codes
+  regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { code } = req.body;
+
+    validateRequired({ code }, ['code']);
+
+    const result = await this.mfaService.regenerateRecoveryCodes(userId, code);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Recovery codes regenerated - previous codes no longer work'
+    });
+  });
+
+  // Turn 2FA off
+  disableMfa = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { code } = req.body;
+
+    validateRequired({ code }, ['code']);
+
+    await this.mfaService.disable(userId, code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  });
+
   // Get current auth status
   getAuthStatus = asyncHandler(async (req, res) => {
     if (!req.user) {
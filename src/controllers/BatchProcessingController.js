@@ -1,6 +1,7 @@
 const BatchProcessingService = require('../services/BatchProcessingService');
-const { asyncHandler, validateRequired } = require('../middleware/errorHandler');
+const { ApiError, asyncHandler, validateRequired, isUuid } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { batchConfig } = require('../config/batch');
 
 class BatchProcessingController {
   constructor() {
@@ -11,20 +12,28 @@ class BatchProcessingController {
   triggerBatchProcessing = asyncHandler(async (req, res) => {
     const { userId } = req.user;
     const { sessionId } = req.params;
-    const { batchSize, analysisType } = req.body;
+    const { batchSize, analysisType, maxWindows } = req.body;
+    // force skips the analysis cache and always calls the AI provider
+    const force = req.body.force === true || req.query.force === 'true';
 
     logger.info('Triggering batch processing', {
       userId,
       sessionId,
-      batchSize: batchSize || 30,
-      analysisType: analysisType || 'standard'
+      batchSize,
+      analysisType: analysisType || 'standard',
+      force
     });
 
     validateRequired({ sessionId }, ['sessionId']);
 
+    // Clients may ask for fewer windows, never more than one request is allowed to walk
+    const requestedWindows = parseInt(maxWindows, 10) || batchConfig.maxWindowsPerRun;
+
     const result = await this.batchService.triggerBatchProcessing(userId, sessionId, {
-      batchSize: batchSize || 30,
-      analysisType: analysisType || 'standard'
+      batchSize,
+      analysisType: analysisType || 'standard',
+      force,
+      maxWindows: Math.min(requestedWindows, batchConfig.maxWindowsPerRun)
     });
 
     res.json({
@@ -90,14 +99,16 @@ class BatchProcessingController {
   createShareableReport = asyncHandler(async (req, res) => {
     const { userId } = req.user;
     const { sessionId } = req.params;
-    const { includePrivateData = false, shareWithTeam = false, expiresInDays = 7 } = req.body;
+    const { includePrivateData = false, shareWithTeam = false, expiresInDays = 7, password, allowedDomains } = req.body;
 
     logger.info('Creating shareable report', { userId, sessionId, includePrivateData, shareWithTeam });
 
     const shareableReport = await this.batchService.generateShareableSessionSummary(userId, sessionId, {
       includePrivateData,
       shareWithTeam,
-      expiresInDays
+      expiresInDays,
+      password,
+      allowedDomains
     });
 
     res.json({
@@ -113,7 +124,14 @@ class BatchProcessingController {
 
     logger.info('Getting shared report', { shareToken });
 
-    const sharedReport = await this.batchService.getSharedReport(shareToken);
+    const sharedReport = await this.batchService.getSharedReport(shareToken, {
+      viewerToken: req.get('X-Share-Viewer-Token') || null,
+      // Personal links from share-via-email carry the recipient key
+      recipientKey: typeof req.query.recipient === 'string' ? req.query.recipient : null,
+      ip: req.ip || null,
+      userAgent: req.get('User-Agent') || null,
+      referrer: req.get('Referer') || null
+    });
 
     if (!sharedReport) {
       return res.status(404).json({
@@ -129,6 +147,163 @@ class BatchProcessingController {
     });
   });
 
+  // Email a verification code to a viewer of a domain-restricted shared report
+  requestShareViewerCode = asyncHandler(async (req, res) => {
+    const { shareToken } = req.params;
+    const { email } = req.body;
+
+    validateRequired({ email }, ['email']);
+
+    const result = await this.batchService.requestShareViewerCode(shareToken, email, {
+      ip: req.ip || null
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Verification code sent'
+    });
+  });
+
+  // Verify a viewer of a restricted shared report; the viewer token goes in X-Share-Viewer-Token
+  verifyShareViewer = asyncHandler(async (req, res) => {
+    const { shareToken } = req.params;
+    const { password, email, code } = req.body;
+
+    const result = await this.batchService.verifyShareViewer(shareToken, { password, email, code }, {
+      ip: req.ip || null
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Viewer verified'
+    });
+  });
+
+  // Change password / allowed domains of one of the user's shares
+  updateShareAccess = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { shareId } = req.params;
+    const { password, allowedDomains } = req.body;
+
+    if (!isUuid(shareId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'shareId', message: 'shareId must be a UUID' });
+    }
+
+    const access = await this.batchService.updateShareAccess(userId, shareId, { password, allowedDomains });
+
+    res.json({
+      success: true,
+      data: access,
+      message: 'Share access updated successfully'
+    });
+  });
+
+  // Extend or shorten one of the user's shares
+  updateShareExpiry = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { shareId } = req.params;
+    const { expiresInDays, expiresAt } = req.body;
+
+    if (!isUuid(shareId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'shareId', message: 'shareId must be a UUID' });
+    }
+
+    const result = await this.batchService.updateShareExpiry(userId, shareId, { expiresInDays, expiresAt });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Share expiry updated successfully'
+    });
+  });
+
+  // Replace a share's token - the old URL stops working
+  rotateShareToken = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { shareId } = req.params;
+
+    if (!isUuid(shareId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'shareId', message: 'shareId must be a UUID' });
+    }
+
+    const result = await this.batchService.rotateShareToken(userId, shareId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Share link rotated successfully'
+    });
+  });
+
+  // Set or clear the view limit of one of the user's shares
+  updateShareMaxViews = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { shareId } = req.params;
+    const { maxViews } = req.body;
+
+    if (!isUuid(shareId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'shareId', message: 'shareId must be a UUID' });
+    }
+
+    if (maxViews === undefined) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'maxViews', message: 'maxViews is required (null removes the limit)' });
+    }
+
+    const result = await this.batchService.updateShareMaxViews(userId, shareId, maxViews);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Share view limit updated successfully'
+    });
+  });
+
+  // Revoke all of the user's shares for a session or a report
+  revokeSharesFor = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { sessionId, reportId } = req.body;
+
+    if (sessionId !== undefined && !isUuid(sessionId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'sessionId', message: 'sessionId must be a UUID' });
+    }
+
+    if (reportId !== undefined && !isUuid(reportId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'reportId', message: 'reportId must be a UUID' });
+    }
+
+    const result = await this.batchService.revokeSharesFor(userId, { sessionId, reportId });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Revoked ${result.revoked} shared report(s)`
+    });
+  });
+
+  // Access log and viewer totals of one of the user's shares
+  getShareViews = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { shareId } = req.params;
+    const { limit, offset } = req.query;
+
+    if (!isUuid(shareId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'shareId', message: 'shareId must be a UUID' });
+    }
+
+    const views = await this.batchService.getShareViews(userId, shareId, {
+      limit: parseInt(limit) || 50,
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: views,
+      message: 'Share views retrieved successfully'
+    });
+  });
+
   // Revoke shared report
   revokeSharedReport = asyncHandler(async (req, res) => {
     const { userId } = req.user;
@@ -1,4 +1,5 @@
 const EmailService = require('../services/EmailService');
+const SharedReportViewService = require('../services/SharedReportViewService');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 const asyncHandler = require('express-async-handler');
@@ -6,6 +7,7 @@ const asyncHandler = require('express-async-handler');
 class EmailController {
   constructor() {
     this.emailService = new EmailService();
+    this.shareViews = new SharedReportViewService();
   }
 
   /**
@@ -63,9 +65,12 @@ class EmailController {
       title
     });
 
+    // Each recipient gets their own link so the share's access log shows who opened it
+    const personalizedRecipients = await this.shareViews.personalizeRecipients(userId, shareUrl, recipients);
+
     // Send emails
     const result = await this.emailService.sendReportShareEmail({
-      recipients,
+      recipients: personalizedRecipients,
       shareUrl,
       title: title || 'OnlyWorks Productivity Report',
       expiresAt,
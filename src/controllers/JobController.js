@@ -0,0 +1,67 @@
+const JobQueueService = require('../services/JobQueueService');
+const { asyncHandler, validateRequired } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+class JobController {
+  constructor() {
+    this.jobQueueService = new JobQueueService();
+  }
+
+  // Get status of a queued job owned by the current user
+  getJobStatus = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { jobId } = req.params;
+
+    const job = await this.jobQueueService.getJobForUser(jobId, userId);
+
+    res.json({
+      success: true,
+      data: job
+    });
+  });
+
+  // Worker callback: report job progress, heartbeat or failure
+  updateJobStatus = asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+    const { status, error, progress, retryable } = req.body;
+
+    validateRequired({ status }, ['status']);
+
+    logger.info('Worker job status update', { jobId, status });
+
+    const job = await this.jobQueueService.updateJobStatus(jobId, {
+      status,
+      error,
+      progress,
+      retryable: retryable !== false
+    });
+
+    res.json({
+      success: true,
+      data: job,
+      message: 'Job status updated'
+    });
+  });
+
+  // Worker callback: submit analysis results for a job
+  submitJobResults = asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+    const { batches, report } = req.body;
+
+    logger.info('Worker job results received', {
+      jobId,
+      batchCount: Array.isArray(batches) ? batches.length : 0,
+      hasReport: !!report
+    });
+
+    const job = await this.jobQueueService.ingestResults(jobId, { batches, report });
+
+    res.json({
+      success: true,
+      data: job,
+      message: 'Job results stored'
+    });
+  });
+}
+
+module.exports = JobController;
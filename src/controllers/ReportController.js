@@ -1,7 +1,8 @@
 const ReportService = require('../services/ReportService');
 const ReportsRepository = require('../repositories/ReportsRepository');
-const { asyncHandler, validateRequired } = require('../middleware/errorHandler');
+const { ApiError, asyncHandler, validateRequired, isUuid } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { openEventStream } = require('../utils/eventStream');
 
 class ReportController {
   constructor() {
@@ -248,15 +249,29 @@ class ReportController {
     });
   });
 
-  // Download report
+  // Download report (?format=json|pdf)
   downloadReport = asyncHandler(async (req, res) => {
     const { userId } = req.user;
     const { reportId } = req.params;
+    const format = req.query.format || 'json';
 
-    logger.info('Downloading report', { userId, reportId });
+    logger.info('Downloading report', { userId, reportId, format });
 
     validateRequired({ reportId }, ['reportId']);
 
+    if (!['json', 'pdf'].includes(format)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'format', message: 'format must be json or pdf' });
+    }
+
+    if (format === 'pdf') {
+      const { pdf, filename } = await this.reportService.generateReportPdf(userId, reportId);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', pdf.length);
+      return res.send(pdf);
+    }
+
     const report = await this.reportService.getReportById(userId, reportId);
 
     if (!report) {
@@ -266,7 +281,6 @@ class ReportController {
       });
     }
 
-    // For now, return JSON. In future, could generate PDF
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="report_${reportId}_${Date.now()}.json"`);
 
@@ -290,7 +304,7 @@ class ReportController {
   // Generate report from selected sessions (NEW - for Reports Page)
   generateFromSessions = asyncHandler(async (req, res) => {
     const { userId } = req.user;
-    const { sessionIds, title, developerName } = req.body;
+    const { sessionIds, title, developerName, password, allowedDomains } = req.body;
 
     logger.info('Generating report from selected sessions', {
       userId,
@@ -325,7 +339,9 @@ class ReportController {
     // Generate report with sharing enabled
     const result = await this.reportService.generateFromSessions(userId, sessionIds, {
       title,
-      developerName
+      developerName,
+      password,
+      allowedDomains
     });
 
     res.json({
@@ -334,6 +350,75 @@ class ReportController {
       message: 'Report generated and shareable link created successfully'
     });
   });
+
+  // Same as generateFromSessions, streaming stage progress as Server-Sent Events.
+  // Closing the connection or POST /generations/:generationId/cancel stops it before the report is saved.
+  generateFromSessionsStream = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { sessionIds, title, developerName, password, allowedDomains } = req.body;
+
+    // Validation errors are still plain JSON responses - the stream has not started yet
+    validateRequired({ sessionIds }, ['sessionIds']);
+    this.reportService.validateSessionIds(sessionIds);
+
+    const generationId = await this.reportService.startGeneration(userId);
+    const stream = openEventStream(res);
+
+    let disconnected = false;
+    res.on('close', () => {
+      disconnected = !res.writableEnded;
+    });
+
+    logger.info('Streaming report generation from selected sessions', {
+      userId,
+      generationId,
+      sessionCount: sessionIds.length
+    });
+
+    stream.send('started', { generation_id: generationId, session_count: sessionIds.length });
+
+    try {
+      const result = await this.reportService.generateFromSessions(userId, sessionIds, {
+        title,
+        developerName,
+        password,
+        allowedDomains,
+        onProgress: progress => stream.send('progress', progress),
+        isCancelled: async () => disconnected || this.reportService.isGenerationCancelled(generationId)
+      });
+
+      stream.send('complete', {
+        success: true,
+        data: result,
+        message: 'Report generated and shareable link created successfully'
+      });
+    } catch (error) {
+      const apiError = error instanceof ApiError ? error : new ApiError('INTERNAL_ERROR');
+      const event = apiError.code === 'OPERATION_CANCELLED' ? 'cancelled' : 'error';
+      stream.send(event, { success: false, ...apiError.toJSON() });
+    } finally {
+      await this.reportService.finishGeneration(generationId);
+      stream.close();
+    }
+  });
+
+  // Cancel a streamed report generation (from any instance)
+  cancelGeneration = asyncHandler(async (req, res) => {
+    const { userId } = req.user;
+    const { generationId } = req.params;
+
+    if (!isUuid(generationId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'generationId', message: 'generationId must be a UUID' });
+    }
+
+    await this.reportService.cancelGeneration(userId, generationId);
+
+    res.json({
+      success: true,
+      data: { generation_id: generationId },
+      message: 'Report generation will stop before the report is saved'
+    });
+  });
 }
 
 module.exports = ReportController;
\ No newline at end of file
@@ -0,0 +1,53 @@
+const SandboxService = require('../services/SandboxService');
+const { getSandboxTenant } = require('../config/sandbox');
+const { asyncHandler, validateRequired, ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+class SandboxController {
+  constructor() {
+    this.sandboxService = new SandboxService();
+  }
+
+  // List available demo tenants
+  getTenants = asyncHandler(async (req, res) => {
+    const tenants = this.sandboxService.listTenants();
+
+    res.json({
+      success: true,
+      data: tenants
+    });
+  });
+
+  // Sign in as a demo tenant
+  signIn = asyncHandler(async (req, res) => {
+    const { tenant } = req.body;
+
+    validateRequired({ tenant }, ['tenant']);
+
+    const tokens = await this.sandboxService.createSandboxSession(tenant);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  });
+
+  // Reset the signed-in demo tenant's data
+  resetTenant = asyncHandler(async (req, res) => {
+    if (!req.user.isSandbox) {
+      throw new ApiError('PERMISSION_DENIED', { reason: 'sandbox_only' });
+    }
+
+    logger.info('Sandbox reset requested', { tenant: req.user.sandboxTenant });
+
+    const reset = await this.sandboxService.resetTenant(getSandboxTenant(req.user.sandboxTenant));
+
+    res.json({
+      success: true,
+      data: { reset },
+      message: reset ? 'Sandbox data reset' : 'Sandbox reset already in progress'
+    });
+  });
+}
+
+module.exports = SandboxController;
@@ -2,6 +2,7 @@ const ScreenshotRepository = require('../repositories/ScreenshotRepository');
 const ScreenshotAnalysisRepository = require('../repositories/ScreenshotAnalysisRepository');
 const AIAnalysisService = require('../services/AIAnalysisService');
 const FileStorageService = require('../services/FileStorageService');
+const AutoBatchService = require('../services/AutoBatchService');
 const { asyncHandler, validateRequired } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 
@@ -11,6 +12,7 @@ class ScreenshotController {
     this.analysisRepository = new ScreenshotAnalysisRepository();
     this.aiService = new AIAnalysisService();
     this.fileStorage = new FileStorageService();
+    this.autoBatchService = new AutoBatchService();
   }
 
   // Upload screenshot with optional file
@@ -131,6 +133,9 @@ class ScreenshotController {
       throw new Error(`Failed to upload screenshot after ${maxRetries} attempts: ${lastError?.message}`);
     }
 
+    // Batch analysis starts on its own once enough screenshots are waiting
+    await this.autoBatchService.onScreenshotUploaded(userId, sessionId);
+
     res.status(201).json({
       success: true,
       data: screenshot,
@@ -196,7 +201,9 @@ class ScreenshotController {
       const analysisResult = await this.aiService.analyzeScreenshot(screenshot.file_storage_key, {
         window_title: screenshot.window_title,
         active_app: screenshot.active_app,
-        timestamp: screenshot.timestamp
+        timestamp: screenshot.timestamp,
+        user_id: userId,
+        session_id: screenshot.session_id
       });
 
       // Store analysis results
@@ -1,5 +1,6 @@
 const TeamRepository = require('../repositories/TeamRepository');
-const { asyncHandler, validateRequired } = require('../middleware/errorHandler');
+const { ApiError, asyncHandler, validateRequired } = require('../middleware/errorHandler');
+const { TEAM_ROLES, outranks } = require('../config/roles');
 const { logger } = require('../utils/logger');
 
 class TeamController {
@@ -39,18 +40,8 @@ class TeamController {
 
   // Get team details with members and progress
   getTeamDetails = asyncHandler(async (req, res) => {
-    const { userId } = req.user;
     const { teamId } = req.params;
 
-    // Verify user is team member
-    const member = await this.teamRepository.getMember(teamId, userId);
-    if (!member) {
-      return res.status(403).json({
-        success: false,
-        error: { message: 'Access denied. You are not a member of this team.' }
-      });
-    }
-
     const [team, members, progress, macroGoals, microGoals] = await Promise.all([
       this.teamRepository.findById(teamId),
       this.teamRepository.getTeamMembers(teamId),
@@ -76,7 +67,7 @@ class TeamController {
           macro: macroGoals,
           micro: microGoals
         },
-        userRole: member.role
+        userRole: req.teamRole
       }
     });
   });
@@ -106,7 +97,14 @@ class TeamController {
 
     logger.info('User leaving team', { userId, teamId });
 
-    await this.teamRepository.removeMember(teamId, userId, userId);
+    // Owners must hand the team over before they can leave it
+    if (req.teamRole === 'owner') {
+      throw new ApiError('VALIDATION_ERROR', {
+        message: 'Team owners cannot leave their team'
+      });
+    }
+
+    await this.teamRepository.removeMember(teamId, userId);
 
     res.json({
       success: true,
@@ -121,7 +119,20 @@ class TeamController {
 
     logger.info('Removing team member', { userId, teamId, memberId });
 
-    await this.teamRepository.removeMember(teamId, memberId, userId);
+    const memberRole = await this.teamRepository.getMemberRole(teamId, memberId);
+    if (!memberRole) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'team_member' });
+    }
+
+    // Members can only be removed by someone ranked above them
+    if (!outranks(TEAM_ROLES, req.teamRole, memberRole)) {
+      throw new ApiError('PERMISSION_DENIED', {
+        reason: 'insufficient_team_role',
+        message: `A ${req.teamRole} cannot remove a ${memberRole}`
+      });
+    }
+
+    await this.teamRepository.removeMember(teamId, memberId);
 
     res.json({
       success: true,
@@ -157,19 +168,9 @@ class TeamController {
 
   // Get team goals
   getTeamGoals = asyncHandler(async (req, res) => {
-    const { userId } = req.user;
     const { teamId } = req.params;
     const { type } = req.query;
 
-    // Verify user is team member
-    const member = await this.teamRepository.getMember(teamId, userId);
-    if (!member) {
-      return res.status(403).json({
-        success: false,
-        error: { message: 'Access denied. You are not a member of this team.' }
-      });
-    }
-
     const goals = await this.teamRepository.getTeamGoals(teamId, type);
 
     res.json({
@@ -196,9 +197,9 @@ class TeamController {
     }
 
     const updatedGoal = await this.teamRepository.updateTeamGoalProgress(
+      teamId,
       goalId,
-      progress_percentage,
-      userId
+      progress_percentage
     );
 
     res.json({
@@ -210,18 +211,8 @@ class TeamController {
 
   // Get team progress overview
   getTeamProgress = asyncHandler(async (req, res) => {
-    const { userId } = req.user;
     const { teamId } = req.params;
 
-    // Verify user is team member
-    const member = await this.teamRepository.getMember(teamId, userId);
-    if (!member) {
-      return res.status(403).json({
-        success: false,
-        error: { message: 'Access denied. You are not a member of this team.' }
-      });
-    }
-
     const progress = await this.teamRepository.getTeamProgress(teamId);
 
     res.json({
@@ -237,7 +228,7 @@ class TeamController {
 
     logger.info('Regenerating team invite code', { userId, teamId });
 
-    const team = await this.teamRepository.regenerateInviteCode(teamId, userId);
+    const team = await this.teamRepository.regenerateInviteCode(teamId);
 
     res.json({
       success: true,
@@ -250,19 +241,14 @@ class TeamController {
   updateTeamSettings = asyncHandler(async (req, res) => {
     const { userId } = req.user;
     const { teamId } = req.params;
-    const updateData = req.body;
+    const { name, description, settings } = req.body;
+    // Only editable fields - ownership and invite codes have their own flows
+    const updateData = Object.fromEntries(
+      Object.entries({ name, description, settings }).filter(([, value]) => value !== undefined)
+    );
 
     logger.info('Updating team settings', { userId, teamId, updateData });
 
-    // Verify user is admin
-    const member = await this.teamRepository.getMember(teamId, userId);
-    if (!member || member.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: { message: 'Only team admins can update settings' }
-      });
-    }
-
     const updatedTeam = await this.teamRepository.update(teamId, updateData);
 
     res.json({
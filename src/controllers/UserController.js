@@ -60,10 +60,6 @@ class UserController {
   // Get user by ID (admin function)
   getUserById = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { userId } = req.user;
-
-    // Users can only access their own data
-    await this.userService.validateUserAccess(userId, id);
 
     // Get auth data from web_users
     const user = await this.userService.findById(id);
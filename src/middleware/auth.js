@@ -1,10 +1,15 @@
 const jwt = require('jsonwebtoken');
 const { ApiError } = require('./errorHandler');
 const { logger } = require('../utils/logger');
+const { safeCompare } = require('../utils/tokens');
+const { isSandboxEnabled } = require('../config/sandbox');
+const { getRequiredScope } = require('../config/apiKeyScopes');
 const UserSessionService = require('../services/UserSessionService');
+const ApiKeyService = require('../services/ApiKeyService');
 
 // Initialize session service
 const userSessionService = new UserSessionService();
+const apiKeyService = new ApiKeyService();
 
 // Enhanced JWT authentication middleware with session persistence
 function authenticateUser(req, res, next) {
@@ -18,6 +23,11 @@ function authenticateUser(req, res, next) {
       method: req.method
     });
 
+    // Personal API keys may also be sent as X-API-Key
+    if (!authHeader && req.headers['x-api-key']) {
+      return authenticateApiKey(req, req.headers['x-api-key'], next);
+    }
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       logger.debug('[Auth] No valid auth header found');
       throw new ApiError('AUTH_REQUIRED');
@@ -25,55 +35,16 @@ function authenticateUser(req, res, next) {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
+    if (ApiKeyService.isApiKey(token)) {
+      return authenticateApiKey(req, token, next);
+    }
+
     logger.debug('[Auth] Token extracted', {
       tokenLength: token.length,
       tokenPreview: token.substring(0, 20) + '...',
       tokenSuffix: token.slice(-20)
     });
 
-    // DEMO DAY BYPASS - Accept tokens with development signature for demo user
-    if (token.endsWith('.development-signature')) {
-      try {
-        const [header, payload] = token.split('.');
-        const decodedPayload = JSON.parse(Buffer.from(payload, 'base64').toString());
-
-        if (decodedPayload.email === 'kewadallay@gmail.com') {
-          console.log('[Auth] DEMO MODE - Accepting development token for kewadallay@gmail.com');
-
-          // Use a proper UUID for demo user
-          const demoUserId = 'b8f3d1e2-7a5c-4d9f-8b1e-2c3a4f5e6d7c';
-
-          req.user = {
-            userId: demoUserId,
-            email: decodedPayload.email,
-            name: decodedPayload.name,
-            avatar_url: decodedPayload.avatar_url,
-            provider: decodedPayload.provider
-          };
-
-          // Create a mock session for demo user (skip database lookup)
-          req.userSession = {
-            userId: demoUserId,
-            email: decodedPayload.email,
-            name: decodedPayload.name,
-            avatar_url: decodedPayload.avatar_url,
-            provider: decodedPayload.provider,
-            sessionStarted: new Date().toISOString(),
-            lastActivity: new Date().toISOString(),
-            preferences: {},
-            recentActivity: [],
-            isInitialized: true,
-            isDemo: true
-          };
-          logger.info('Demo user session created (no database lookup)', { userId: demoUserId });
-
-          return next();
-        }
-      } catch (e) {
-        console.log('[Auth] Failed to parse development token:', e.message);
-      }
-    }
-
     const jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
 
     logger.debug('[Auth] JWT verification attempt', {
@@ -91,12 +62,18 @@ function authenticateUser(req, res, next) {
       provider: decoded.provider
     });
 
+    if (decoded.sandbox) {
+      return authenticateSandboxUser(req, decoded, next);
+    }
+
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
       name: decoded.name,
       avatar_url: decoded.avatar_url,
-      provider: decoded.provider
+      provider: decoded.provider,
+      deviceSessionId: decoded.sid || null,
+      mfa: decoded.mfa === true
     };
 
     // Initialize user session asynchronously (don't block request)
@@ -186,6 +163,123 @@ function authenticateUser(req, res, next) {
   }
 }
 
+// Personal API key authentication: the key must be valid and carry the scope the
+// route requires (config/apiKeyScopes). Routes without a scope are JWT-only.
+function authenticateApiKey(req, key, next) {
+  apiKeyService.authenticate(key, req.ip)
+    .then(record => {
+      const requiredScope = getRequiredScope(req.method, req.originalUrl.split('?')[0]);
+
+      if (!requiredScope) {
+        return next(new ApiError('PERMISSION_DENIED', {
+          reason: 'api_key_not_allowed',
+          message: 'This endpoint is not available to API keys'
+        }));
+      }
+
+      if (!record.scopes.includes(requiredScope)) {
+        logger.security('api_key_insufficient_scope', {
+          keyId: record.id,
+          requiredScope,
+          url: req.originalUrl
+        }, { userId: record.user_id });
+
+        return next(new ApiError('PERMISSION_DENIED', {
+          reason: 'insufficient_scope',
+          required_scope: requiredScope
+        }));
+      }
+
+      req.user = {
+        userId: record.user_id,
+        email: null,
+        name: null,
+        avatar_url: null,
+        provider: 'api_key',
+        deviceSessionId: null,
+        apiKeyId: record.id,
+        scopes: record.scopes
+      };
+
+      next();
+    })
+    .catch(error => {
+      if (!(error instanceof ApiError)) {
+        logger.error('API key authentication failed', { error: error.message });
+        return next(new ApiError('AUTH_INVALID'));
+      }
+      next(error);
+    });
+}
+
+// Methods sandbox users may call anywhere; everything else is read-only
+const SANDBOX_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Exact paths of the writes that don't touch tenant data (token refresh and checks, sign-out, sandbox reset)
+const SANDBOX_WRITE_ALLOWLIST = [
+  '/api/auth/refresh',
+  '/api/auth/logout',
+  '/api/auth/validate',
+  '/api/sandbox/sign-in',
+  '/api/sandbox/reset'
+];
+
+// Refuse writes from sandbox users outside the allowlist
+function checkSandboxReadOnly(req) {
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+
+  if (SANDBOX_SAFE_METHODS.includes(req.method) || SANDBOX_WRITE_ALLOWLIST.includes(path)) {
+    return null;
+  }
+
+  return new ApiError('PERMISSION_DENIED', {
+    reason: 'sandbox_read_only',
+    message: 'Demo accounts are read-only'
+  });
+}
+
+// Sandbox (demo) tokens: only honoured when sandbox mode is enabled, and read-only
+function authenticateSandboxUser(req, decoded, next) {
+  if (!isSandboxEnabled()) {
+    logger.security('sandbox_token_rejected', {
+      url: req.originalUrl,
+      tenant: decoded.tenant
+    });
+    return next(new ApiError('AUTH_INVALID'));
+  }
+
+  req.user = {
+    userId: decoded.userId,
+    email: decoded.email,
+    name: decoded.name,
+    avatar_url: null,
+    provider: 'sandbox',
+    deviceSessionId: null,
+    isSandbox: true,
+    sandboxTenant: decoded.tenant
+  };
+
+  // Sandbox tenants have no user session record - skip the lookup
+  req.userSession = {
+    userId: decoded.userId,
+    email: decoded.email,
+    name: decoded.name,
+    provider: 'sandbox',
+    sessionStarted: new Date().toISOString(),
+    lastActivity: new Date().toISOString(),
+    preferences: {},
+    recentActivity: [],
+    isInitialized: true,
+    isDemo: true
+  };
+
+  const denied = checkSandboxReadOnly(req);
+  if (denied) {
+    return next(denied);
+  }
+
+  next();
+}
+
 // Optional authentication middleware
 // Allows requests to proceed without authentication but adds user info if present
 function optionalAuth(req, res, next) {
@@ -202,14 +296,28 @@ function optionalAuth(req, res, next) {
     // Verify JWT token
     const decoded = jwt.verify(token, jwtSecret);
 
+    // Sandbox tokens are treated as anonymous when sandbox mode is off
+    if (decoded.sandbox && !isSandboxEnabled()) {
+      return next();
+    }
+
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
       name: decoded.name,
       avatar_url: decoded.avatar_url,
-      provider: decoded.provider
+      provider: decoded.provider,
+      deviceSessionId: decoded.sid || null,
+      mfa: decoded.mfa === true,
+      ...(decoded.sandbox && { isSandbox: true, sandboxTenant: decoded.tenant })
     };
 
+    // Sandbox users stay read-only on routes where authentication is optional
+    const denied = decoded.sandbox && checkSandboxReadOnly(req);
+    if (denied) {
+      return next(denied);
+    }
+
     next();
   } catch (error) {
     // For optional auth, continue even if token validation fails
@@ -218,27 +326,38 @@ function optionalAuth(req, res, next) {
   }
 }
 
-// Role-based access control middleware
-function requireRole(role) {
-  return (req, res, next) => {
-    if (!req.user) {
-      return next(new ApiError('AUTH_REQUIRED'));
-    }
+// Worker authentication middleware
+// GPU workers call back with a shared secret in X-Worker-Token instead of a user JWT
+function authenticateWorker(req, res, next) {
+  const workerSecret = process.env.WORKER_API_SECRET;
 
-    if (req.user.role !== role) {
-      return next(new ApiError('PERMISSION_DENIED', {
-        required_role: role,
-        user_role: req.user.role
-      }));
-    }
+  if (!workerSecret) {
+    logger.error('Worker callback rejected - WORKER_API_SECRET not configured');
+    return next(new ApiError('SERVICE_UNAVAILABLE', {
+      message: 'Worker callbacks are not configured'
+    }));
+  }
 
-    next();
-  };
+  const token = req.headers['x-worker-token'];
+  if (!token) {
+    return next(new ApiError('AUTH_REQUIRED'));
+  }
+
+  if (!safeCompare(token, workerSecret)) {
+    logger.security('worker_authentication_failed', {
+      url: req.originalUrl,
+      ip: req.ip
+    });
+    return next(new ApiError('AUTH_INVALID'));
+  }
+
+  req.worker = { authenticated: true };
+  next();
 }
 
 module.exports = {
   authenticateUser,
+  authenticateWorker,
   optionalAuth,
-  requireRole,
   userSessionService
 };
\ No newline at end of file
@@ -0,0 +1,157 @@
+const { ApiError, asyncHandler, isUuid } = require('./errorHandler');
+const { PLATFORM_ROLES, TEAM_ROLES, satisfiesRole } = require('../config/roles');
+const UserRepository = require('../repositories/UserRepository');
+const TeamRepository = require('../repositories/TeamRepository');
+const MfaService = require('../services/MfaService');
+const { logger } = require('../utils/logger');
+
+const userRepository = new UserRepository();
+const teamRepository = new TeamRepository();
+const mfaService = new MfaService();
+
+function deny(req, reason, details = {}) {
+  logger.security('authorization_denied', {
+    reason,
+    method: req.method,
+    url: req.originalUrl,
+    ...details
+  }, { userId: req.user.userId });
+
+  return new ApiError('PERMISSION_DENIED', { reason, ...details });
+}
+
+// Platform role of the caller, looked up once per request
+async function getPlatformRole(req) {
+  if (req.user.platformRole === undefined) {
+    req.user.platformRole = await userRepository.getPlatformRole(req.user.userId);
+  }
+  return req.user.platformRole;
+}
+
+async function checkPlatformRole(req, required) {
+  // Every authenticated caller is at least a user
+  if (required === 'user') {
+    return;
+  }
+
+  // Staff access needs a real interactive session
+  if (req.user.apiKeyId || req.user.isSandbox) {
+    throw deny(req, 'insufficient_role', { required_role: required });
+  }
+
+  const role = await getPlatformRole(req);
+  if (!satisfiesRole(PLATFORM_ROLES, role, required)) {
+    throw deny(req, 'insufficient_role', { required_role: required });
+  }
+}
+
+async function checkTeamRole(req, required, resolveTeamId) {
+  const resolved = resolveTeamId(req);
+  const teamIds = (Array.isArray(resolved) ? resolved : [resolved]).filter(Boolean);
+
+  if (teamIds.length === 0) {
+    throw new ApiError('MISSING_REQUIRED_FIELD', { missing_fields: ['teamId'] });
+  }
+
+  req.teamRoles = req.teamRoles || {};
+
+  for (const teamId of teamIds) {
+    const role = isUuid(teamId)
+      ? await teamRepository.getMemberRole(teamId, req.user.userId)
+      : null;
+
+    if (!role) {
+      throw deny(req, 'not_team_member', { team_id: teamId });
+    }
+
+    if (!satisfiesRole(TEAM_ROLES, role, required)) {
+      throw deny(req, 'insufficient_team_role', { team_id: teamId, required_role: required });
+    }
+
+    req.teamRoles[teamId] = role;
+  }
+
+  // Convenience for the common single-team route
+  req.teamRole = req.teamRoles[teamIds[0]];
+}
+
+// Sensitive operations need the mfa claim - but only from users who enrolled in 2FA
+async function checkMfa(req) {
+  if (req.user.mfa) {
+    return;
+  }
+
+  if (await mfaService.isEnabled(req.user.userId)) {
+    logger.security('mfa_required', {
+      method: req.method,
+      url: req.originalUrl
+    }, { userId: req.user.userId });
+
+    throw new ApiError('MFA_REQUIRED', {
+      message: 'Verify with your authenticator app via POST /api/auth/mfa/verify and retry'
+    });
+  }
+}
+
+/**
+ * Declarative authorization middleware. Must run after authenticateUser.
+ *
+ *   authorize({ platform: 'admin' })                         platform role or above
+ *   authorize({ team: 'manager' })                           team role on req.params.teamId
+ *   authorize({ team: 'member', teamId: req => req.body.teamId })
+ *   authorize({ self: 'id', platform: 'support' })           own record, or support and above
+ *   authorize({ mfa: true })                                 2FA-verified session if the user enrolled
+ *
+ * Roles are hierarchical (see config/roles). The team role is exposed as
+ * req.teamRole (and req.teamRoles when several teams are checked).
+ * @param {Object} options - Requirements for the route
+ * @param {string} [options.platform] - Minimum platform role
+ * @param {string} [options.team] - Minimum team role
+ * @param {Function} [options.teamId] - Resolves the team id(s) from the request
+ * @param {string} [options.self] - Route param that must match the caller's user id
+ * @param {boolean} [options.mfa] - Require the mfa claim from users with 2FA enabled
+ * @returns {Function} Express middleware
+ */
+function authorize(options = {}) {
+  const { platform, team, self, mfa } = options;
+  const resolveTeamId = options.teamId || (req => req.params.teamId);
+
+  if (platform && !PLATFORM_ROLES.includes(platform)) {
+    throw new Error(`Unknown platform role: ${platform}`);
+  }
+  if (team && !TEAM_ROLES.includes(team)) {
+    throw new Error(`Unknown team role: ${team}`);
+  }
+
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      throw new ApiError('AUTH_REQUIRED');
+    }
+
+    if (self) {
+      // Callers may always act on their own record; staff need the platform role
+      if (req.params[self] !== req.user.userId) {
+        if (!platform) {
+          throw deny(req, 'not_resource_owner');
+        }
+        await checkPlatformRole(req, platform);
+      }
+    } else if (platform) {
+      await checkPlatformRole(req, platform);
+    }
+
+    if (team) {
+      await checkTeamRole(req, team, resolveTeamId);
+    }
+
+    if (mfa) {
+      await checkMfa(req);
+    }
+
+    next();
+  });
+}
+
+module.exports = {
+  authorize
+};
@@ -18,6 +18,41 @@ const ERROR_CODES = {
     message: 'Authentication token has expired',
     statusCode: 401
   },
+  INVALID_REFRESH_TOKEN: {
+    code: 'INVALID_REFRESH_TOKEN',
+    message: 'Refresh token is invalid, expired or revoked',
+    statusCode: 401
+  },
+  OAUTH_STATE_INVALID: {
+    code: 'OAUTH_STATE_INVALID',
+    message: 'OAuth state is missing, expired or already used - please sign in again',
+    statusCode: 400
+  },
+  MFA_INVALID: {
+    code: 'MFA_INVALID',
+    message: 'Invalid or expired two-factor code',
+    statusCode: 401
+  },
+  MFA_REQUIRED: {
+    code: 'MFA_REQUIRED',
+    message: 'Two-factor verification is required for this operation',
+    statusCode: 403
+  },
+  MAGIC_LINK_INVALID: {
+    code: 'MAGIC_LINK_INVALID',
+    message: 'Sign-in link is invalid, expired or already used - request a new one',
+    statusCode: 400
+  },
+  SHARE_VERIFICATION_REQUIRED: {
+    code: 'SHARE_VERIFICATION_REQUIRED',
+    message: 'This shared report requires viewer verification',
+    statusCode: 403
+  },
+  SHARE_VERIFICATION_FAILED: {
+    code: 'SHARE_VERIFICATION_FAILED',
+    message: 'Viewer verification failed',
+    statusCode: 403
+  },
   PERMISSION_DENIED: {
     code: 'PERMISSION_DENIED',
     message: 'Insufficient permissions for this operation',
@@ -62,6 +97,11 @@ const ERROR_CODES = {
     message: 'Resource is currently locked',
     statusCode: 423
   },
+  OPERATION_CANCELLED: {
+    code: 'OPERATION_CANCELLED',
+    message: 'Operation was cancelled',
+    statusCode: 409
+  },
 
   // Rate Limiting
   RATE_LIMIT_EXCEEDED: {
@@ -145,6 +185,12 @@ function validateRequired(obj, requiredFields) {
   }
 }
 
+// UUID validation helper - IDs from the URL are checked before they reach a uuid column
+function isUuid(value) {
+  return typeof value === 'string' &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}
+
 // File validation helper
 function validateFile(file, options = {}) {
   const {
@@ -263,5 +309,6 @@ module.exports = {
   asyncHandler,
   notFoundHandler,
   validateRequired,
-  validateFile
+  validateFile,
+  isUuid
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+const BaseRepository = require('./BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+class AIBudgetRepository extends BaseRepository {
+  constructor() {
+    super('ai_budget_overrides');
+  }
+
+  getClient() {
+    const client = this.supabaseAdmin || this.supabase;
+    if (!client) {
+      throw new Error('No Supabase client available');
+    }
+    return client;
+  }
+
+  /**
+   * Current override for a user or team (expired overrides are ignored)
+   * @param {string} subjectType - 'user' or 'team'
+   * @param {string} subjectId - User or team ID
+   * @returns {Promise<Object|null>} Override or null
+   */
+  async findOverride(subjectType, subjectId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('subject_type', subjectType)
+        .eq('subject_id', subjectId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (data?.expires_at && new Date(data.expires_at) <= new Date()) {
+        return null;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to load AI budget override', { error: error.message, subjectType, subjectId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the override for a user or team
+   * @param {string} subjectType - 'user' or 'team'
+   * @param {string} subjectId - User or team ID
+   * @param {Object} override - { screenshots_limit, reports_limit, cost_limit_usd, unlimited, note, expires_at, created_by }
+   * @returns {Promise<Object>} Stored override
+   */
+  async upsertOverride(subjectType, subjectId, override) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .upsert({
+          id: uuidv4(),
+          subject_type: subjectType,
+          subject_id: subjectId,
+          ...override,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'subject_type,subject_id' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to save AI budget override', { error: error.message, subjectType, subjectId });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the override so configured defaults apply again
+   * @param {string} subjectType - 'user' or 'team'
+   * @param {string} subjectId - User or team ID
+   * @returns {Promise<boolean>} Whether an override was removed
+   */
+  async deleteOverride(subjectType, subjectId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .delete()
+        .eq('subject_type', subjectType)
+        .eq('subject_id', subjectId)
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).length > 0;
+    } catch (error) {
+      logger.error('Failed to delete AI budget override', { error: error.message, subjectType, subjectId });
+      throw error;
+    }
+  }
+}
+
+module.exports = AIBudgetRepository;
@@ -0,0 +1,125 @@
+const BaseRepository = require('./BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+const USAGE_COLUMNS = 'user_id, session_id, operation, provider, model, input_tokens, output_tokens, screenshot_count, latency_ms, cost_usd, success, created_at';
+
+class AIUsageRepository extends BaseRepository {
+  constructor() {
+    super('ai_usage_events');
+  }
+
+  getClient() {
+    const client = this.supabaseAdmin || this.supabase;
+    if (!client) {
+      throw new Error('No Supabase client available');
+    }
+    return client;
+  }
+
+  /**
+   * Record one AI provider call
+   * @param {Object} event - { userId, sessionId, operation, provider, model, inputTokens, outputTokens, screenshotCount, latencyMs, costUsd, success }
+   * @returns {Promise<Object>} Created row
+   */
+  async recordEvent(event) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .insert({
+          id: uuidv4(),
+          user_id: event.userId,
+          session_id: event.sessionId || null,
+          operation: event.operation,
+          provider: event.provider,
+          model: event.model,
+          input_tokens: event.inputTokens || 0,
+          output_tokens: event.outputTokens || 0,
+          screenshot_count: event.screenshotCount || 0,
+          latency_ms: event.latencyMs || 0,
+          cost_usd: event.costUsd || 0,
+          success: event.success !== false,
+          created_at: new Date().toISOString()
+        })
+        .select('id')
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to record AI usage', { error: error.message, userId: event.userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Usage rows for one or more users in a time range
+   * @param {Array<string>} userIds - Users to include
+   * @param {Object} options - { startDate, endDate, sessionId }
+   * @returns {Promise<Array>} Usage rows, oldest first
+   */
+  async findUsage(userIds, { startDate, endDate, sessionId = null } = {}) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      let query = this.getClient()
+        .from(this.tableName)
+        .select(USAGE_COLUMNS)
+        .in('user_id', userIds)
+        .gte('created_at', startDate)
+        .lte('created_at', endDate)
+        .order('created_at', { ascending: true });
+
+      if (sessionId) {
+        query = query.eq('session_id', sessionId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to fetch AI usage', { error: error.message, userCount: userIds.length });
+      throw error;
+    }
+  }
+
+  /**
+   * Spend and screenshots analyzed since a point in time (budget checks)
+   * @param {Array<string>} userIds - Users to include
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<Object>} { cost_usd, screenshots }
+   */
+  async getTotalsSince(userIds, since) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('cost_usd, screenshot_count')
+        .in('user_id', userIds)
+        .gte('created_at', since);
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).reduce((totals, row) => ({
+        cost_usd: totals.cost_usd + (Number(row.cost_usd) || 0),
+        screenshots: totals.screenshots + (row.screenshot_count || 0)
+      }), { cost_usd: 0, screenshots: 0 });
+    } catch (error) {
+      logger.error('Failed to total AI usage', { error: error.message, userCount: userIds.length });
+      throw error;
+    }
+  }
+}
+
+module.exports = AIUsageRepository;
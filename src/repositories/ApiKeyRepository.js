@@ -0,0 +1,158 @@
+const BaseRepository = require('./BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+// Columns safe to return to the key owner (never the hash)
+const PUBLIC_COLUMNS = 'id, name, key_prefix, scopes, created_at, expires_at, last_used_at, last_used_ip, revoked_at';
+
+class ApiKeyRepository extends BaseRepository {
+  constructor() {
+    super('api_keys');
+  }
+
+  getClient() {
+    const client = this.supabaseAdmin || this.supabase;
+    if (!client) {
+      throw new Error('No Supabase client available');
+    }
+    return client;
+  }
+
+  /**
+   * Store a new API key
+   * @param {Object} keyData - { userId, name, keyPrefix, keyHash, scopes, expiresAt }
+   * @returns {Promise<Object>} Created key (public columns)
+   */
+  async createKey(keyData) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .insert({
+          id: uuidv4(),
+          user_id: keyData.userId,
+          name: keyData.name,
+          key_prefix: keyData.keyPrefix,
+          key_hash: keyData.keyHash,
+          scopes: keyData.scopes,
+          expires_at: keyData.expiresAt || null,
+          created_at: new Date().toISOString()
+        })
+        .select(PUBLIC_COLUMNS)
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to create API key', { error: error.message, userId: keyData.userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Look up an API key by hash
+   * @param {string} keyHash - SHA-256 of the key
+   * @returns {Promise<Object|null>} Key record or null
+   */
+  async findByHash(keyHash) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('key_hash', keyHash)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to look up API key', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's active API keys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Keys (public columns)
+   */
+  async getUserKeys(userId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select(PUBLIC_COLUMNS)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get API keys', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key owned by a user
+   * @param {string} keyId - Key ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object|null>} Revoked key or null if not found
+   */
+  async revokeKey(keyId, userId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', keyId)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select(PUBLIC_COLUMNS)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to revoke API key', { error: error.message, keyId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Record API key usage
+   * @param {string} keyId - Key ID
+   * @param {string} ipAddress - Caller IP
+   */
+  async touchLastUsed(keyId, ipAddress) {
+    const { error } = await this.getClient()
+      .from(this.tableName)
+      .update({
+        last_used_at: new Date().toISOString(),
+        last_used_ip: ipAddress || null
+      })
+      .eq('id', keyId);
+
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKeyRepository;
@@ -0,0 +1,76 @@
+const BaseRepository = require('./BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+class BatchCheckpointRepository extends BaseRepository {
+  constructor() {
+    super('batch_checkpoints');
+  }
+
+  getClient() {
+    const client = this.supabaseAdmin || this.supabase;
+    if (!client) {
+      throw new Error('No Supabase client available');
+    }
+    return client;
+  }
+
+  /**
+   * Batch processing checkpoint for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Checkpoint or null when the session was never walked
+   */
+  async findBySession(sessionId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to load batch checkpoint', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update the checkpoint for a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} checkpoint - { user_id, status, last_batch_number, last_batch_report_id, last_screenshot_id, last_screenshot_at, processed_count, last_error }
+   * @returns {Promise<Object>} Stored checkpoint
+   */
+  async upsert(sessionId, checkpoint) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .upsert({
+          id: uuidv4(),
+          session_id: sessionId,
+          ...checkpoint,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'session_id' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to save batch checkpoint', { error: error.message, sessionId });
+      throw error;
+    }
+  }
+}
+
+module.exports = BatchCheckpointRepository;
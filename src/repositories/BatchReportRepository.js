@@ -19,6 +19,10 @@ class BatchReportRepository {
       start_time,
       end_time,
       processing_status = 'completed',
+      degraded,
+      prompt_version,
+      tokens_used,
+      cost_usd,
       gemini_analysis,
       efficiency_score,
       inefficiency_score,
@@ -45,6 +49,10 @@ class BatchReportRepository {
     if (start_time !== undefined) insertData.start_time = start_time;
     if (end_time !== undefined) insertData.end_time = end_time;
     if (processing_status !== undefined) insertData.processing_status = processing_status;
+    if (degraded !== undefined) insertData.degraded = degraded;
+    if (prompt_version !== undefined) insertData.prompt_version = prompt_version;
+    if (tokens_used !== undefined) insertData.tokens_used = tokens_used;
+    if (cost_usd !== undefined) insertData.cost_usd = cost_usd;
     if (gemini_analysis !== undefined) {
       insertData.gemini_analysis = typeof gemini_analysis === 'string' ? gemini_analysis : JSON.stringify(gemini_analysis);
     }
@@ -114,6 +122,23 @@ class BatchReportRepository {
     }));
   }
 
+  // Highest batch number stored for a session, 0 when it has none
+  async getMaxBatchNumber(sessionId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.tableName)
+      .select('batch_number')
+      .eq('session_id', sessionId)
+      .not('batch_number', 'is', null)
+      .order('batch_number', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to get max batch number: ${error.message}`);
+    }
+
+    return data?.[0]?.batch_number || 0;
+  }
+
   async findById(id) {
     const { data, error } = await supabaseAdmin
       .from(this.tableName)
@@ -299,6 +324,34 @@ class BatchReportRepository {
     }));
   }
 
+  async getReportsWithPromptVersion(since, options = {}) {
+    const { promptName, limit = 1000 } = options;
+
+    let query = supabaseAdmin
+      .from(this.tableName)
+      .select('id, user_id, session_id, prompt_version, degraded, screenshot_count, analysis_result, created_at')
+      .not('prompt_version', 'is', null)
+      .gte('created_at', since);
+
+    if (promptName) {
+      query = query.like('prompt_version', `${promptName}@%`);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to get reports by prompt version: ${error.message}`);
+    }
+
+    return data.map(report => ({
+      ...report,
+      analysis_result: typeof report.analysis_result === 'string' ?
+        JSON.parse(report.analysis_result) : report.analysis_result
+    }));
+  }
+
   async cleanupExpiredReports() {
     const { data, error } = await supabaseAdmin
       .from('shared_reports')
@@ -0,0 +1,276 @@
+const BaseRepository = require('./BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+class MfaRepository extends BaseRepository {
+  constructor() {
+    super('user_mfa');
+  }
+
+  getClient() {
+    // MFA secrets and recovery codes are never exposed through RLS - always use the admin client
+    const client = this.supabaseAdmin || this.supabase;
+    if (!client) {
+      throw new Error('No Supabase client available');
+    }
+    return client;
+  }
+
+  /**
+   * Get a user's MFA enrollment
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Enrollment or null
+   */
+  async findByUserId(userId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to load MFA enrollment', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Start (or restart) enrollment with a new, not yet enabled secret
+   * @param {string} userId - User ID
+   * @param {string} secretEncrypted - Encrypted TOTP secret
+   * @returns {Promise<Object>} Pending enrollment
+   */
+  async savePendingSecret(userId, secretEncrypted) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .upsert({
+          user_id: userId,
+          secret_encrypted: secretEncrypted,
+          enabled_at: null,
+          last_used_counter: null,
+          created_at: now,
+          updated_at: now
+        }, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to save MFA secret', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark enrollment as enabled
+   * @param {string} userId - User ID
+   * @param {number} counter - TOTP step used to confirm enrollment
+   * @returns {Promise<Object>} Enabled enrollment
+   */
+  async enable(userId, counter) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .update({ enabled_at: now, last_used_counter: counter, updated_at: now })
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to enable MFA', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the TOTP step just accepted. Only succeeds if the step is newer than the
+   * last one used, so two requests racing with the same code can't both pass.
+   * @param {string} userId - User ID
+   * @param {number} counter - Accepted TOTP step
+   * @param {number|null} previousCounter - Step stored when the code was checked
+   * @returns {Promise<boolean>} True if this request claimed the step
+   */
+  async claimCounter(userId, counter, previousCounter) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      let query = this.getClient()
+        .from(this.tableName)
+        .update({ last_used_counter: counter, updated_at: new Date().toISOString() })
+        .eq('user_id', userId);
+
+      query = previousCounter === null || previousCounter === undefined
+        ? query.is('last_used_counter', null)
+        : query.eq('last_used_counter', previousCounter);
+
+      const { data, error } = await query.select('user_id');
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).length > 0;
+    } catch (error) {
+      logger.error('Failed to record TOTP step', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user's enrollment and recovery codes
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Success
+   */
+  async deleteEnrollment(userId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const client = this.getClient();
+
+      const { error: codesError } = await client
+        .from('mfa_recovery_codes')
+        .delete()
+        .eq('user_id', userId);
+
+      if (codesError) {
+        throw codesError;
+      }
+
+      const { error } = await client
+        .from(this.tableName)
+        .delete()
+        .eq('user_id', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to delete MFA enrollment', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {string} userId - User ID
+   * @param {string[]} codeHashes - SHA-256 hashes of the new codes
+   * @returns {Promise<number>} Number of codes stored
+   */
+  async replaceRecoveryCodes(userId, codeHashes) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const client = this.getClient();
+
+      const { error: deleteError } = await client
+        .from('mfa_recovery_codes')
+        .delete()
+        .eq('user_id', userId);
+
+      if (deleteError) {
+        throw deleteError;
+      }
+
+      const now = new Date().toISOString();
+      const { error } = await client
+        .from('mfa_recovery_codes')
+        .insert(codeHashes.map(codeHash => ({
+          id: uuidv4(),
+          user_id: userId,
+          code_hash: codeHash,
+          created_at: now
+        })));
+
+      if (error) {
+        throw error;
+      }
+
+      return codeHashes.length;
+    } catch (error) {
+      logger.error('Failed to store recovery codes', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Use a recovery code (only succeeds once per code)
+   * @param {string} userId - User ID
+   * @param {string} codeHash - SHA-256 of the presented code
+   * @returns {Promise<boolean>} True if the code was valid and unused
+   */
+  async consumeRecoveryCode(userId, codeHash) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from('mfa_recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('code_hash', codeHash)
+        .is('used_at', null)
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).length > 0;
+    } catch (error) {
+      logger.error('Failed to consume recovery code', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a user's unused recovery codes
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Remaining codes
+   */
+  async countRemainingRecoveryCodes(userId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { count, error } = await this.getClient()
+        .from('mfa_recovery_codes')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('used_at', null);
+
+      if (error) {
+        throw error;
+      }
+
+      return count || 0;
+    } catch (error) {
+      logger.error('Failed to count recovery codes', { error: error.message, userId });
+      throw error;
+    }
+  }
+}
+
+module.exports = MfaRepository;
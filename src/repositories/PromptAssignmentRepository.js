@@ -0,0 +1,134 @@
+const BaseRepository = require('./BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+class PromptAssignmentRepository extends BaseRepository {
+  constructor() {
+    super('prompt_assignments');
+  }
+
+  getClient() {
+    const client = this.supabaseAdmin || this.supabase;
+    if (!client) {
+      throw new Error('No Supabase client available');
+    }
+    return client;
+  }
+
+  /**
+   * Pinned prompt version for a user
+   * @param {string} userId - User ID
+   * @param {string} promptName - Prompt name
+   * @returns {Promise<Object|null>} Assignment or null
+   */
+  async findAssignment(userId, promptName) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('prompt_name', promptName)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to load prompt assignment', { error: error.message, userId, promptName });
+      throw error;
+    }
+  }
+
+  /**
+   * All pinned prompt versions for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Assignments
+   */
+  async findUserAssignments(userId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('user_id', userId)
+        .order('prompt_name', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to load prompt assignments', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Pin a user to a prompt version
+   * @param {string} userId - User ID
+   * @param {string} promptName - Prompt name
+   * @param {Object} assignment - { version, note, created_by }
+   * @returns {Promise<Object>} Stored assignment
+   */
+  async upsertAssignment(userId, promptName, assignment) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .upsert({
+          id: uuidv4(),
+          user_id: userId,
+          prompt_name: promptName,
+          ...assignment,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id,prompt_name' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to save prompt assignment', { error: error.message, userId, promptName });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a pin so experiment bucketing applies again
+   * @param {string} userId - User ID
+   * @param {string} promptName - Prompt name
+   * @returns {Promise<boolean>} Whether a pin was removed
+   */
+  async deleteAssignment(userId, promptName) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .delete()
+        .eq('user_id', userId)
+        .eq('prompt_name', promptName)
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).length > 0;
+    } catch (error) {
+      logger.error('Failed to delete prompt assignment', { error: error.message, userId, promptName });
+      throw error;
+    }
+  }
+}
+
+module.exports = PromptAssignmentRepository;
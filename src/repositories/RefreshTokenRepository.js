@@ -0,0 +1,188 @@
+const BaseRepository = require('./BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+class RefreshTokenRepository extends BaseRepository {
+  constructor() {
+    super('refresh_tokens');
+  }
+
+  getClient() {
+    // Token rows are never exposed through RLS - always use the admin client
+    const client = this.supabaseAdmin || this.supabase;
+    if (!client) {
+      throw new Error('No Supabase client available');
+    }
+    return client;
+  }
+
+  /**
+   * Store a hashed refresh token
+   * @param {Object} tokenData - Token data
+   * @returns {Promise<Object>} Created token record
+   */
+  async createToken(tokenData) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const {
+        userId,
+        familyId,
+        tokenHash,
+        expiresAt,
+        deviceId = null,
+        deviceName = null,
+        userAgent = null,
+        ipAddress = null
+      } = tokenData;
+
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .insert({
+          id: uuidv4(),
+          user_id: userId,
+          family_id: familyId,
+          token_hash: tokenHash,
+          device_id: deviceId,
+          device_name: deviceName,
+          user_agent: userAgent,
+          ip_address: ipAddress,
+          created_at: new Date().toISOString(),
+          expires_at: expiresAt
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to store refresh token', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a token record by its hash
+   * @param {string} tokenHash - SHA-256 of the refresh token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findByHash(tokenHash) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('token_hash', tokenHash)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to look up refresh token', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a token as used, only if nobody used it first
+   * @param {string} tokenId - Token record ID
+   * @param {string} replacedBy - ID of the successor token
+   * @returns {Promise<boolean>} True if this call consumed the token
+   */
+  async markUsed(tokenId, replacedBy) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      // The used_at IS NULL guard makes concurrent refreshes race safely - only one wins
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .update({
+          used_at: new Date().toISOString(),
+          replaced_by: replacedBy
+        })
+        .eq('id', tokenId)
+        .is('used_at', null)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      return Array.isArray(data) && data.length > 0;
+    } catch (error) {
+      logger.error('Failed to mark refresh token used', { error: error.message, tokenId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every token in a family
+   * @param {string} familyId - Token family ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeFamily(familyId, reason) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .update({
+          revoked_at: new Date().toISOString(),
+          revoked_reason: reason
+        })
+        .eq('family_id', familyId)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      return data?.length || 0;
+    } catch (error) {
+      logger.error('Failed to revoke refresh token family', { error: error.message, familyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active token for a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeAllForUser(userId, reason) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .update({
+          revoked_at: new Date().toISOString(),
+          revoked_reason: reason
+        })
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      return data?.length || 0;
+    } catch (error) {
+      logger.error('Failed to revoke user refresh tokens', { error: error.message, userId });
+      throw error;
+    }
+  }
+}
+
+module.exports = RefreshTokenRepository;
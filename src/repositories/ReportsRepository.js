@@ -381,6 +381,28 @@ class ReportsRepository extends BaseRepository {
       throw error;
     }
   }
+
+  /**
+   * Count reports created since a point in time (AI budget checks)
+   * @param {Array<string>} userIds - Users to include
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<number>} Report count
+   */
+  async countReportsSince(userIds, since) {
+    const client = this.supabaseAdmin || this.supabase;
+
+    const { count, error } = await client
+      .from(this.tableName)
+      .select('id', { count: 'exact', head: true })
+      .in('user_id', userIds)
+      .gte('created_at', since);
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  }
 }
 
 module.exports = ReportsRepository;
\ No newline at end of file
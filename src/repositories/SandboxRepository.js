@@ -0,0 +1,127 @@
+const BaseRepository = require('./BaseRepository');
+
+// Tables holding per-user demo data, in delete order (children before parents).
+// shared_report_views has no user_id and is cleared through the tenant's shares first.
+const TENANT_TABLES = [
+  'shared_reports',
+  'reports',
+  'batch_checkpoints',
+  'batch_reports',
+  'screenshots',
+  'screenshot_sessions',
+  'ai_usage_events',
+  'prompt_assignments'
+];
+
+class SandboxRepository extends BaseRepository {
+  constructor() {
+    super('web_users');
+  }
+
+  getClient() {
+    if (!this.supabaseAdmin) {
+      throw new Error('Supabase admin client required for sandbox data');
+    }
+    return this.supabaseAdmin;
+  }
+
+  /**
+   * Create or refresh the web_users row for a sandbox tenant
+   * @param {Object} tenant - Tenant definition from config/sandbox
+   * @returns {Promise<Object>} User row
+   */
+  async upsertTenantUser(tenant) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .upsert({
+          id: tenant.userId,
+          email: tenant.email,
+          full_name: tenant.name,
+          timezone: 'UTC',
+          email_verified: true,
+          organization_id: process.env.DEFAULT_ORGANIZATION_ID || '00000000-0000-0000-0000-000000000001',
+          provider: 'sandbox',
+          provider_id: tenant.key,
+          status: 'active',
+          updated_at: now
+        }, { onConflict: 'id' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to upsert sandbox user', { error: error.message, tenant: tenant.key });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all demo data owned by a sandbox user
+   * @param {string} userId - Sandbox tenant user ID
+   * @returns {Promise<Object>} Rows deleted per table
+   */
+  async deleteTenantData(userId) {
+    const { logger } = require('../utils/logger');
+    const deleted = {};
+
+    try {
+      const { data: shares, error: sharesError } = await this.getClient()
+        .from('shared_reports')
+        .select('id')
+        .eq('user_id', userId);
+
+      if (sharesError) {
+        throw sharesError;
+      }
+
+      deleted.shared_report_views = 0;
+      if (shares?.length) {
+        const { data, error } = await this.getClient()
+          .from('shared_report_views')
+          .delete()
+          .in('shared_report_id', shares.map(share => share.id))
+          .select('id');
+
+        if (error) {
+          throw error;
+        }
+
+        deleted.shared_report_views = data?.length || 0;
+      }
+    } catch (error) {
+      logger.error('Failed to delete sandbox data', { error: error.message, table: 'shared_report_views', userId });
+      throw error;
+    }
+
+    for (const table of TENANT_TABLES) {
+      try {
+        const { data, error } = await this.getClient()
+          .from(table)
+          .delete()
+          .eq('user_id', userId)
+          .select('id');
+
+        if (error) {
+          throw error;
+        }
+
+        deleted[table] = data?.length || 0;
+      } catch (error) {
+        logger.error('Failed to delete sandbox data', { error: error.message, table, userId });
+        throw error;
+      }
+    }
+
+    return deleted;
+  }
+}
+
+module.exports = SandboxRepository;
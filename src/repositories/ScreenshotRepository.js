@@ -352,34 +352,68 @@ class ScreenshotRepository extends BaseRepository {
     }
   }
 
+  // Oldest screenshots not yet covered by a batch report - the next batch window
+  async findUnprocessed(sessionId, userId, limit = 30) {
+    const client = this.supabaseAdmin || this.supabase;
+
+    const { data, error } = await client
+      .from(this.tableName)
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('user_id', userId)
+      .is('processed_at', null)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
   // Mark screenshots as processed after batch analysis
   async markAsProcessed(screenshotIds, batchReportId = null) {
-    try {
-      // ai_analysis_completed, processed_at, batch_report_id columns don't exist
-      console.warn('markAsProcessed: Required columns do not exist in database schema');
-      return { processed_ids: screenshotIds, warning: 'Analysis tracking columns missing' };
-    } catch (error) {
+    if (!screenshotIds || screenshotIds.length === 0) {
+      return { processed_ids: [] };
+    }
+
+    const client = this.supabaseAdmin || this.supabase;
+
+    // Screenshots already claimed by another batch report keep their original report
+    const { data, error } = await client
+      .from(this.tableName)
+      .update({
+        processed_at: new Date().toISOString(),
+        batch_report_id: batchReportId
+      })
+      .in('id', screenshotIds)
+      .is('processed_at', null)
+      .select('id');
+
+    if (error) {
       throw error;
     }
+
+    return { processed_ids: (data || []).map(row => row.id) };
   }
 
   // Get count of unprocessed screenshots for a session
   async getUnprocessedCount(sessionId) {
-    try {
-      // ai_analysis_completed column doesn't exist, return total count for session
-      const { count, error } = await this.supabase
-        .from(this.tableName)
-        .select('*', { count: 'exact', head: true })
-        .eq('session_id', sessionId);
+    const client = this.supabaseAdmin || this.supabase;
 
-      if (error) {
-        throw error;
-      }
+    const { count, error } = await client
+      .from(this.tableName)
+      .select('*', { count: 'exact', head: true })
+      .eq('session_id', sessionId)
+      .is('processed_at', null);
 
-      return count || 0;
-    } catch (error) {
+    if (error) {
       throw error;
     }
+
+    return count || 0;
   }
 }
 
@@ -0,0 +1,168 @@
+const BaseRepository = require('./BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+const VIEW_STATS_FUNCTION = 'shared_report_view_stats';
+// PostgREST / Postgres codes for a function that has not been created yet
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883'];
+// Below PostgREST's default max-rows, so no page is silently cut short
+const VIEW_STATS_PAGE_SIZE = 500;
+
+class SharedReportViewRepository extends BaseRepository {
+  constructor() {
+    super('shared_report_views');
+    // Turned off on the first call that finds the function missing (migration not run)
+    this.statsRpcAvailable = true;
+  }
+
+  getClient() {
+    const client = this.supabaseAdmin || this.supabase;
+    if (!client) {
+      throw new Error('No Supabase client available');
+    }
+    return client;
+  }
+
+  /**
+   * Log one open of a shared report
+   * @param {Object} view - { shared_report_id, ip_hash, user_agent, referrer, viewer_email, recipient_email, viewer_key }
+   * @returns {Promise<Object>} Stored view
+   */
+  async create(view) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .insert({
+          id: uuidv4(),
+          viewed_at: new Date().toISOString(),
+          ...view
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to log shared report view', { error: error.message, sharedReportId: view.shared_report_id });
+      throw error;
+    }
+  }
+
+  /**
+   * Most recent views of a share
+   * @param {string} sharedReportId - Shared report ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Views, newest first
+   */
+  async findByShare(sharedReportId, { limit = 50, offset = 0 } = {}) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('shared_report_id', sharedReportId)
+        .order('viewed_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to load shared report views', { error: error.message, sharedReportId });
+      throw error;
+    }
+  }
+
+  /**
+   * View totals of a share and opens per recipient, counted in the database
+   * @param {string} sharedReportId - Shared report ID
+   * @param {Array<string>} emails - Recipient emails to report opens for
+   * @returns {Promise<Object>} { total_views, unique_viewers, identified_viewers, first_viewed_at, last_viewed_at, recipients }
+   */
+  async getViewStats(sharedReportId, emails = []) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      // One aggregate query (shared_report_views_stats_function.sql)
+      if (this.statsRpcAvailable) {
+        const { data, error } = await this.getClient().rpc(VIEW_STATS_FUNCTION, {
+          p_share_id: sharedReportId,
+          p_emails: emails
+        });
+
+        if (!error) {
+          return data;
+        }
+        if (!MISSING_FUNCTION_CODES.includes(error.code)) {
+          throw error;
+        }
+
+        this.statsRpcAvailable = false;
+        logger.warn('View stats function missing - counting page by page', { function: VIEW_STATS_FUNCTION });
+      }
+
+      return await this.countViewsByPage(sharedReportId, emails);
+    } catch (error) {
+      logger.error('Failed to load shared report view stats', { error: error.message, sharedReportId });
+      throw error;
+    }
+  }
+
+  // Fallback for getViewStats: reads every view explicitly page by page, below the API row cap
+  async countViewsByPage(sharedReportId, emails) {
+    const wanted = new Set(emails);
+    const viewers = new Set();
+    const identified = new Set();
+    const opens = new Map();
+    const stats = { total_views: 0, first_viewed_at: null, last_viewed_at: null };
+
+    for (let offset = 0; ; offset += VIEW_STATS_PAGE_SIZE) {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('id, viewer_key, viewer_email, recipient_email, viewed_at')
+        .eq('shared_report_id', sharedReportId)
+        .order('viewed_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + VIEW_STATS_PAGE_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      for (const view of data || []) {
+        stats.total_views++;
+        stats.first_viewed_at = stats.first_viewed_at || view.viewed_at;
+        stats.last_viewed_at = view.viewed_at;
+        viewers.add(view.viewer_key);
+
+        const email = view.viewer_email || view.recipient_email;
+        if (!email) continue;
+        identified.add(email);
+        if (!wanted.has(email)) continue;
+
+        const entry = opens.get(email) || { email, views: 0, first_viewed_at: view.viewed_at, last_viewed_at: null };
+        entry.views++;
+        entry.last_viewed_at = view.viewed_at;
+        opens.set(email, entry);
+      }
+
+      if (!data || data.length < VIEW_STATS_PAGE_SIZE) break;
+    }
+
+    return {
+      ...stats,
+      unique_viewers: viewers.size,
+      identified_viewers: identified.size,
+      recipients: [...opens.values()]
+    };
+  }
+}
+
+module.exports = SharedReportViewRepository;
@@ -1,9 +1,16 @@
 const BaseRepository = require('./BaseRepository');
 const { v4: uuidv4 } = require('uuid');
 
+const VIEW_COUNT_FUNCTION = 'increment_shared_report_view';
+// PostgREST / Postgres codes for a function that has not been created yet
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883'];
+const VIEW_COUNT_MAX_ATTEMPTS = 20;
+
 class SharedReportsRepository extends BaseRepository {
   constructor() {
     super('shared_reports');
+    // Turned off on the first call that finds the function missing (migration not run)
+    this.viewCountRpcAvailable = true;
   }
 
   /**
@@ -23,6 +30,8 @@ class SharedReportsRepository extends BaseRepository {
         recipientEmail = null,
         recipientName = null,
         expiresAt = null,
+        passwordHash = null,
+        allowedDomains = null,
         metadata = {}
       } = reportData;
 
@@ -52,6 +61,14 @@ class SharedReportsRepository extends BaseRepository {
         metadata: metadata
       };
 
+      // Access columns are only written when used, so unrestricted shares work before the access migration
+      if (passwordHash) {
+        sharedReportData.password_hash = passwordHash;
+      }
+      if (allowedDomains?.length) {
+        sharedReportData.allowed_domains = allowedDomains;
+      }
+
       logger.info('Creating shared report', {
         userId,
         token: sharedReportData.token,
@@ -126,6 +143,43 @@ class SharedReportsRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Get a shared report owned by a user
+   * @param {string} id - Shared report ID
+   * @param {string} userId - Owner
+   * @returns {Promise<Object|null>} Shared report or null
+   */
+  async findByIdForUser(id, userId) {
+    try {
+      const client = this.supabaseAdmin || this.supabase;
+      if (!client) {
+        throw new Error('No Supabase client available');
+      }
+
+      const { data, error } = await client
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+
+    } catch (error) {
+      const { logger } = require('../utils/logger');
+      logger.error('Exception in findByIdForUser', {
+        error: error.message,
+        id,
+        userId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get shared reports by user ID
    * @param {string} userId - User ID
@@ -144,12 +198,13 @@ class SharedReportsRepository extends BaseRepository {
         .select('*')
         .eq('user_id', userId);
 
+      query = query.order('created_at', { ascending: false });
+
       if (options.limit) {
-        query = query.limit(options.limit);
+        const offset = options.offset || 0;
+        query = query.range(offset, offset + options.limit - 1);
       }
 
-      query = query.order('created_at', { ascending: false });
-
       const { data, error } = await query;
 
       if (error) {
@@ -286,9 +341,100 @@ class SharedReportsRepository extends BaseRepository {
   }
 
   /**
-   * Increment view count for a shared report
+   * Update password and domain restrictions of a shared report
+   * @param {string} reportId - Shared report ID
+   * @param {string} userId - User ID (for ownership verification)
+   * @param {Object} fields - { password_hash, allowed_domains } - only the given columns change
+   * @returns {Promise<Object>} Updated shared report
+   */
+  async updateAccess(reportId, userId, fields) {
+    try {
+      const { logger } = require('../utils/logger');
+      const client = this.supabaseAdmin || this.supabase;
+      if (!client) {
+        throw new Error('No Supabase client available');
+      }
+
+      const { data, error } = await client
+        .from(this.tableName)
+        .update({
+          ...fields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', reportId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Failed to update shared report access', {
+          error: error.message,
+          reportId,
+          userId
+        });
+        throw error;
+      }
+
+      return data;
+
+    } catch (error) {
+      const { logger } = require('../utils/logger');
+      logger.error('Exception in updateAccess', {
+        error: error.message,
+        reportId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the metadata of a shared report
+   * @param {string} reportId - Shared report ID
+   * @param {string} userId - User ID (for ownership verification)
+   * @param {Object} metadata - New metadata
+   * @returns {Promise<Object>} Updated shared report
+   */
+  async updateMetadata(reportId, userId, metadata) {
+    try {
+      const client = this.supabaseAdmin || this.supabase;
+      if (!client) {
+        throw new Error('No Supabase client available');
+      }
+
+      const { data, error } = await client
+        .from(this.tableName)
+        .update({
+          metadata,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', reportId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+
+    } catch (error) {
+      const { logger } = require('../utils/logger');
+      logger.error('Exception in updateMetadata', {
+        error: error.message,
+        reportId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a view of a shared report. A link with max_views is revoked by the view
+   * that reaches the limit; views past it are not counted.
    * @param {string} token - Share token
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object|null>} Updated shared report, null when it is gone, at its limit or the update failed
    */
   async incrementViewCount(token) {
     try {
@@ -297,39 +443,217 @@ class SharedReportsRepository extends BaseRepository {
         throw new Error('No Supabase client available');
       }
 
-      // First get current count
+      // One UPDATE in the database (shared_reports_view_count_function.sql)
+      if (this.viewCountRpcAvailable) {
+        const { data, error } = await client.rpc(VIEW_COUNT_FUNCTION, { p_token: token });
+
+        if (!error) {
+          return (Array.isArray(data) ? data[0] : data) || null;
+        }
+        if (!MISSING_FUNCTION_CODES.includes(error.code)) {
+          throw error;
+        }
+
+        this.viewCountRpcAvailable = false;
+        const { logger } = require('../utils/logger');
+        logger.warn('View count function missing - counting with compare-and-set', { function: VIEW_COUNT_FUNCTION });
+      }
+
+      return await this.incrementViewCountWithRetry(client, token);
+
+    } catch (error) {
+      const { logger } = require('../utils/logger');
+      logger.error('Exception in incrementViewCount', {
+        error: error.message,
+        token
+      });
+      // Don't throw - view counting is non-critical
+      return null;
+    }
+  }
+
+  // Compare-and-set on view_count so concurrent views can't overshoot max_views.
+  // A lost race means another view was counted, so retrying always makes progress.
+  async incrementViewCountWithRetry(client, token) {
+    for (let attempt = 0; attempt < VIEW_COUNT_MAX_ATTEMPTS; attempt++) {
       const { data: report } = await client
         .from(this.tableName)
-        .select('view_count')
+        .select('*')
         .eq('token', token)
         .single();
 
-      if (!report) {
-        return false;
+      if (!report || report.is_revoked) {
+        return null;
+      }
+
+      const viewCount = report.view_count || 0;
+      if (report.max_views && viewCount >= report.max_views) {
+        return null;
+      }
+
+      const update = {
+        view_count: viewCount + 1,
+        last_viewed_at: new Date().toISOString()
+      };
+      if (report.max_views && viewCount + 1 >= report.max_views) {
+        update.is_revoked = true;
+        update.revoked_reason = 'view_limit';
+      }
+
+      const { data, error } = await client
+        .from(this.tableName)
+        .update(update)
+        .eq('token', token)
+        .eq('view_count', viewCount)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (data) {
+        return data;
+      }
+
+      // Jittered backoff spreads out a burst of simultaneous opens
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 10 * (attempt + 1)));
+    }
+
+    throw new Error(`View count still contended after ${VIEW_COUNT_MAX_ATTEMPTS} attempts`);
+  }
+
+  /**
+   * Replace the token of a shared report - the old URL stops working
+   * @param {string} reportId - Shared report ID
+   * @param {string} userId - User ID (for ownership verification)
+   * @param {string} token - New share token
+   * @returns {Promise<Object>} Updated shared report
+   */
+  async rotateToken(reportId, userId, token) {
+    try {
+      const client = this.supabaseAdmin || this.supabase;
+      if (!client) {
+        throw new Error('No Supabase client available');
       }
 
-      const { error } = await client
+      const { data, error } = await client
         .from(this.tableName)
         .update({
-          view_count: (report.view_count || 0) + 1,
-          last_viewed_at: new Date().toISOString()
+          token,
+          updated_at: new Date().toISOString()
         })
-        .eq('token', token);
+        .eq('id', reportId)
+        .eq('user_id', userId)
+        .select()
+        .single();
 
       if (error) {
         throw error;
       }
 
-      return true;
+      return data;
 
     } catch (error) {
       const { logger } = require('../utils/logger');
-      logger.error('Exception in incrementViewCount', {
+      logger.error('Exception in rotateToken', {
         error: error.message,
-        token
+        reportId,
+        userId
       });
-      // Don't throw - view counting is non-critical
-      return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Set or clear the view limit of a shared report
+   * @param {string} reportId - Shared report ID
+   * @param {string} userId - User ID (for ownership verification)
+   * @param {number|null} maxViews - View limit, null for none
+   * @returns {Promise<Object>} Updated shared report
+   */
+  async updateMaxViews(reportId, userId, maxViews) {
+    try {
+      const client = this.supabaseAdmin || this.supabase;
+      if (!client) {
+        throw new Error('No Supabase client available');
+      }
+
+      const { data, error } = await client
+        .from(this.tableName)
+        .update({
+          max_views: maxViews,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', reportId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+
+    } catch (error) {
+      const { logger } = require('../utils/logger');
+      logger.error('Exception in updateMaxViews', {
+        error: error.message,
+        reportId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active share of a user covering a session or a report
+   * @param {string} userId - Owner
+   * @param {Object} filter - { sessionId } or { reportId }
+   * @returns {Promise<Array>} Revoked shares (id, token)
+   */
+  async revokeMany(userId, { sessionId = null, reportId = null } = {}) {
+    try {
+      const client = this.supabaseAdmin || this.supabase;
+      if (!client) {
+        throw new Error('No Supabase client available');
+      }
+
+      if (!sessionId && !reportId) {
+        throw new Error('sessionId or reportId is required');
+      }
+
+      let query = client
+        .from(this.tableName)
+        .update({
+          is_revoked: true,
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId)
+        .eq('is_revoked', false);
+
+      query = sessionId
+        ? query.filter('metadata->session_ids', 'cs', JSON.stringify([sessionId]))
+        : query.filter('metadata->>report_id', 'eq', reportId);
+
+      const { data, error } = await query.select('id, token');
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+
+    } catch (error) {
+      const { logger } = require('../utils/logger');
+      logger.error('Exception in revokeMany', {
+        error: error.message,
+        userId,
+        sessionId,
+        reportId
+      });
+      throw error;
     }
   }
 
@@ -352,7 +676,10 @@ class SharedReportsRepository extends BaseRepository {
         .select('*')
         .eq('user_id', userId)
         .filter('metadata->>report_id', 'eq', reportId)
-        .single();
+        // A report can be shared more than once - use the newest link
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
 
       if (error && error.code !== 'PGRST116') {
         throw error;
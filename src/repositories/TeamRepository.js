@@ -17,8 +17,8 @@ class TeamRepository extends BaseRepository {
       settings: teamData.settings || {}
     });
 
-    // Add creator as admin member
-    await this.addMember(team.id, createdByUserId, 'admin');
+    // Add creator as owner
+    await this.addMember(team.id, createdByUserId, 'owner');
 
     return { ...team, invite_code: inviteCode };
   }
@@ -45,14 +45,9 @@ class TeamRepository extends BaseRepository {
     }
   }
 
-  async removeMember(teamId, userId, removedByUserId) {
+  // Permission checks happen in the authorize() middleware and TeamController
+  async removeMember(teamId, userId) {
     try {
-      // Check if the remover has admin permissions
-      const remover = await this.getMember(teamId, removedByUserId);
-      if (!remover || remover.role !== 'admin') {
-        throw new Error('Insufficient permissions to remove member');
-      }
-
       const { error } = await this.supabase
         .from('team_members')
         .delete()
@@ -91,6 +86,28 @@ class TeamRepository extends BaseRepository {
     }
   }
 
+  // Caller's role in a team, or null if they are not a member
+  async getMemberRole(teamId, userId) {
+    try {
+      const client = this.supabaseAdmin || this.supabase;
+
+      const { data, error } = await client
+        .from('team_members')
+        .select('role')
+        .eq('team_id', teamId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data?.role || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   async getTeamMembers(teamId) {
     try {
       const { data, error } = await this.supabase
@@ -226,7 +243,7 @@ class TeamRepository extends BaseRepository {
     }
   }
 
-  async updateTeamGoalProgress(goalId, progress, updatedByUserId) {
+  async updateTeamGoalProgress(teamId, goalId, progress) {
     try {
       const updateData = { progress_percentage: progress };
 
@@ -239,6 +256,7 @@ class TeamRepository extends BaseRepository {
         .from('team_goals')
         .update(updateData)
         .eq('id', goalId)
+        .eq('team_id', teamId)
         .select()
         .single();
 
@@ -287,14 +305,8 @@ class TeamRepository extends BaseRepository {
     return Math.random().toString(36).substring(2, 10).toUpperCase();
   }
 
-  async regenerateInviteCode(teamId, userId) {
+  async regenerateInviteCode(teamId) {
     try {
-      // Verify user is admin
-      const member = await this.getMember(teamId, userId);
-      if (!member || member.role !== 'admin') {
-        throw new Error('Only team admins can regenerate invite codes');
-      }
-
       const newInviteCode = this.generateInviteCode();
 
       const { data, error } = await this.supabase
@@ -0,0 +1,231 @@
+const BaseRepository = require('./BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+class UserDeviceRepository extends BaseRepository {
+  constructor() {
+    super('user_devices');
+  }
+
+  getClient() {
+    const client = this.supabaseAdmin || this.supabase;
+    if (!client) {
+      throw new Error('No Supabase client available');
+    }
+    return client;
+  }
+
+  /**
+   * Record a signed-in device
+   * @param {Object} deviceData - Device data
+   * @returns {Promise<Object>} Created device
+   */
+  async createDevice(deviceData) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .insert({
+          id: uuidv4(),
+          user_id: deviceData.userId,
+          family_id: deviceData.familyId,
+          device_id: deviceData.deviceId || null,
+          device_name: deviceData.deviceName || null,
+          platform: deviceData.platform || null,
+          app_version: deviceData.appVersion || null,
+          user_agent: deviceData.userAgent || null,
+          ip_address: deviceData.ipAddress || null,
+          mfa_verified_at: deviceData.mfaVerifiedAt || null,
+          created_at: now,
+          last_seen_at: now
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to create device', { error: error.message, userId: deviceData.userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a device record
+   * @param {string} id - Device record ID
+   * @param {Object} updates - Columns to update
+   * @returns {Promise<Object|null>} Updated device
+   */
+  async updateDevice(id, updates) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to update device', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active device for a client-supplied device identifier
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Client device identifier
+   * @returns {Promise<Object|null>} Device or null
+   */
+  async findActiveByDeviceId(userId, deviceId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('device_id', deviceId)
+        .is('revoked_at', null)
+        .order('last_seen_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to find device', { error: error.message, userId, deviceId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a device owned by a user
+   * @param {string} id - Device record ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Device or null
+   */
+  async findUserDevice(id, userId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to get device', { error: error.message, id, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the device a refresh token family was issued to
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<Object|null>} Device or null
+   */
+  async findByFamilyId(familyId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('family_id', familyId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to find device by family', { error: error.message, familyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's active devices, most recently seen first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Devices
+   */
+  async getActiveDevices(userId) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      const { data, error } = await this.getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .order('last_seen_at', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get devices', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every active device of a user as revoked
+   * @param {string} userId - User ID
+   * @param {string|null} exceptId - Device to keep signed in
+   * @returns {Promise<Array>} Revoked devices
+   */
+  async revokeAllForUser(userId, exceptId = null) {
+    const { logger } = require('../utils/logger');
+
+    try {
+      let query = this.getClient()
+        .from(this.tableName)
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+      if (exceptId) {
+        query = query.neq('id', exceptId);
+      }
+
+      const { data, error } = await query.select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to revoke devices', { error: error.message, userId });
+      throw error;
+    }
+  }
+}
+
+module.exports = UserDeviceRepository;
@@ -64,6 +64,27 @@ class UserRepository extends BaseRepository {
   // web_users table is for authentication only
   // Profile data belongs in profiles table
 
+  // Platform role for authorization checks ('user' if the column is unset)
+  async getPlatformRole(userId) {
+    try {
+      const client = this.supabaseAdmin || this.supabase;
+
+      const { data, error } = await client
+        .from(this.tableName)
+        .select('platform_role')
+        .eq('id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      return data?.platform_role || 'user';
+    } catch (error) {
+      throw error;
+    }
+  }
+
   async updateStatus(userId, status) {
     return this.update(userId, { status });
   }
@@ -1,14 +1,41 @@
 const express = require('express');
 const AdminController = require('../controllers/AdminController');
 const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 const router = express.Router();
 const adminController = new AdminController();
 
-// Apply authentication to all admin routes
-router.use(authenticateUser);
+// Apply authentication to all admin routes - support staff can read, admins can change
+router.use(authenticateUser, authorize({ platform: 'support' }));
 
 // Fix auth_user_id for users
-router.post('/fix-auth-user-ids', adminController.fixAuthUserIds);
+router.post('/fix-auth-user-ids', authorize({ platform: 'admin' }), adminController.fixAuthUserIds);
+
+// Session queue health
+router.get('/queue/stats', adminController.getQueueStats);
+router.post('/queue/maintenance', authorize({ platform: 'admin' }), adminController.runQueueMaintenance);
+
+// Dead-letter queue management
+router.get('/queue/dead', adminController.getDeadJobs);
+router.post('/queue/dead/requeue', authorize({ platform: 'admin' }), adminController.requeueDeadJobs);
+router.delete('/queue/dead', authorize({ platform: 'admin', mfa: true }), adminController.purgeDeadJobs);
+
+// Automatic batch jobs (services/AutoBatchService)
+router.post('/batch/auto/run', authorize({ platform: 'admin' }), adminController.runAutoBatchJobs);
+
+// AI budgets (subjectType is user or team)
+router.get('/ai-budgets/:subjectType/:subjectId', adminController.getAIBudget);
+router.put('/ai-budgets/:subjectType/:subjectId', authorize({ platform: 'admin', mfa: true }), adminController.setAIBudgetOverride);
+router.delete('/ai-budgets/:subjectType/:subjectId', authorize({ platform: 'admin', mfa: true }), adminController.clearAIBudgetOverride);
+
+// AI analysis cache hit metrics
+router.get('/ai-cache/stats', adminController.getAICacheStats);
+
+// Prompt versions - pins override PROMPT_EXPERIMENTS bucketing
+router.get('/prompts', adminController.getPrompts);
+router.get('/prompts/users/:userId', adminController.getUserPrompts);
+router.put('/prompts/users/:userId/:promptName', authorize({ platform: 'admin' }), adminController.setPromptAssignment);
+router.delete('/prompts/users/:userId/:promptName', authorize({ platform: 'admin' }), adminController.clearPromptAssignment);
 
 module.exports = router;
\ No newline at end of file
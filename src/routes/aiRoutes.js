@@ -178,14 +178,16 @@ router.post('/batch-analyze', asyncHandler(async (req, res) => {
  * Check AI service health
  */
 router.get('/health', asyncHandler(async (req, res) => {
-  const isConfigured = !!process.env.GOOGLE_AI_API_KEY;
+  const { aiProvider } = aiService;
+  const isConfigured = !!aiProvider;
 
   res.json({
     success: true,
     service: 'AI Analysis Service',
     status: isConfigured ? 'operational' : 'mock_mode',
     configured: isConfigured,
-    model: isConfigured ? 'gemini-1.5-flash' : 'mock',
+    provider: aiProvider?.name || null,
+    model: aiProvider?.model || 'mock',
     timestamp: new Date().toISOString()
   });
 }));
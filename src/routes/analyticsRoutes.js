@@ -1,7 +1,18 @@
 const express = require('express');
 const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { asyncHandler, ApiError, isUuid } = require('../middleware/errorHandler');
+const AIUsageService = require('../services/AIUsageService');
+const AIBudgetService = require('../services/AIBudgetService');
 
 const router = express.Router();
+const aiUsageService = new AIUsageService();
+const aiBudgetService = new AIBudgetService();
+
+// Team-wide usage is for team managers; personal usage needs no extra role
+const authorizeUsageScope = (req, res, next) => (req.query.teamId
+  ? authorize({ team: 'manager', teamId: r => r.query.teamId })(req, res, next)
+  : next());
 
 // Apply authentication to all analytics routes
 router.use(authenticateUser);
@@ -33,4 +44,37 @@ router.get('/overview', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/ai-usage
+ * AI token usage and cost with daily breakdowns
+ * Query: days (1-90, default 30), sessionId, teamId
+ */
+router.get('/ai-usage', authorizeUsageScope, asyncHandler(async (req, res) => {
+  const { days, sessionId, teamId } = req.query;
+
+  if (sessionId && !isUuid(sessionId)) {
+    throw new ApiError('VALIDATION_ERROR', { field: 'sessionId', message: 'sessionId must be a UUID' });
+  }
+
+  const usage = await aiUsageService.getUsage(req.user.userId, { days, sessionId, teamId });
+
+  res.json({
+    success: true,
+    data: usage
+  });
+}));
+
+/**
+ * GET /api/analytics/ai-budget
+ * Monthly AI budget status for the caller and their teams
+ */
+router.get('/ai-budget', asyncHandler(async (req, res) => {
+  const status = await aiBudgetService.getStatus(req.user.userId);
+
+  res.json({
+    success: true,
+    data: status
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
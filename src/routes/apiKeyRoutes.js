@@ -0,0 +1,25 @@
+const express = require('express');
+const ApiKeyController = require('../controllers/ApiKeyController');
+const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+
+const router = express.Router();
+const apiKeyController = new ApiKeyController();
+
+// Key management is JWT-only: these routes are not in the API key route map,
+// so an API key can never mint or revoke other keys
+router.use(authenticateUser);
+
+// List available scopes
+router.get('/scopes', apiKeyController.getScopes);
+
+// Create API key
+router.post('/', authorize({ mfa: true }), apiKeyController.createKey);
+
+// List API keys
+router.get('/', apiKeyController.getKeys);
+
+// Revoke API key
+router.delete('/:keyId', authorize({ mfa: true }), apiKeyController.revokeKey);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const AuthController = require('../controllers/AuthController');
 const { optionalAuth, authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 const router = express.Router();
 const authController = new AuthController();
@@ -12,12 +13,31 @@ router.get('/oauth/:provider/init', authController.initOAuth);
 router.get('/oauth/:provider/callback', authController.handleOAuthCallback);
 router.post('/oauth/:provider/callback', authController.handleOAuthCallbackPost);
 
+// Passwordless email sign-in (the link completes via /oauth/email/callback)
+router.post('/email/request', authController.requestMagicLink);
+
+// Second step of sign-in for users with 2FA (exchanges mfa_token + code for tokens)
+router.post('/mfa/challenge', authController.completeMfaChallenge);
+
 // Token refresh endpoint
 router.post('/refresh', authController.refreshToken);
 
 // Logout endpoint
 router.post('/logout', optionalAuth, authController.logout);
 
+// Signed-in devices
+router.get('/devices', authenticateUser, authController.getDevices);
+router.post('/devices/sign-out-all', authenticateUser, authorize({ mfa: true }), authController.signOutEverywhere);
+router.delete('/devices/:id', authenticateUser, authorize({ mfa: true }), authController.revokeDevice);
+
+// Two-factor authentication
+router.get('/mfa', authenticateUser, authController.getMfaStatus);
+router.post('/mfa/enroll', authenticateUser, authController.startMfaEnrollment);
+router.post('/mfa/enroll/confirm', authenticateUser, authController.confirmMfaEnrollment);
+router.post('/mfa/verify', authenticateUser, authController.verifyMfa);
+router.post('/mfa/recovery-codes', authenticateUser, authController.regenerateRecoveryCodes);
+router.post('/mfa/disable', authenticateUser, authController.disableMfa);
+
 // Check auth status
 router.get('/status', optionalAuth, authController.getAuthStatus);
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const AIAnalysisBacktestService = require('../services/AIAnalysisBacktestService');
 const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 
@@ -13,7 +14,7 @@ const backtestService = new AIAnalysisBacktestService();
  * POST /api/backtest/run
  * Run comprehensive AI analysis backtest
  */
-router.post('/run', authenticateUser, asyncHandler(async (req, res) => {
+router.post('/run', authenticateUser, authorize({ platform: 'admin' }), asyncHandler(async (req, res) => {
   const { userId } = req.user;
   const backtestOptions = req.body;
 
@@ -49,7 +50,7 @@ router.post('/run', authenticateUser, asyncHandler(async (req, res) => {
  * GET /api/backtest/results/:backtestId
  * Get specific backtest results
  */
-router.get('/results/:backtestId', authenticateUser, asyncHandler(async (req, res) => {
+router.get('/results/:backtestId', authenticateUser, authorize({ platform: 'support' }), asyncHandler(async (req, res) => {
   const { backtestId } = req.params;
   const { userId } = req.user;
 
@@ -77,7 +78,7 @@ router.get('/results/:backtestId', authenticateUser, asyncHandler(async (req, re
  * GET /api/backtest/list
  * List all backtest runs
  */
-router.get('/list', authenticateUser, asyncHandler(async (req, res) => {
+router.get('/list', authenticateUser, authorize({ platform: 'support' }), asyncHandler(async (req, res) => {
   const { userId } = req.user;
 
   logger.info('Listing backtests', { userId });
@@ -94,7 +95,7 @@ router.get('/list', authenticateUser, asyncHandler(async (req, res) => {
  * GET /api/backtest/metrics
  * Get overall performance metrics
  */
-router.get('/metrics', authenticateUser, asyncHandler(async (req, res) => {
+router.get('/metrics', authenticateUser, authorize({ platform: 'support' }), asyncHandler(async (req, res) => {
   const { userId } = req.user;
 
   logger.info('Retrieving performance metrics', { userId });
@@ -107,11 +108,29 @@ router.get('/metrics', authenticateUser, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/backtest/prompt-versions
+ * Compare live batch reports by the prompt version that produced them
+ */
+router.get('/prompt-versions', authenticateUser, authorize({ platform: 'support' }), asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+  const { days, prompt } = req.query;
+
+  logger.info('Comparing prompt versions', { userId, days, prompt });
+
+  const result = await backtestService.compareByPromptVersion({ days, promptName: prompt });
+
+  res.json({
+    success: true,
+    data: result.data
+  });
+}));
+
 /**
  * POST /api/backtest/validate-real-time
  * Run quick real-time validation test
  */
-router.post('/validate-real-time', authenticateUser, asyncHandler(async (req, res) => {
+router.post('/validate-real-time', authenticateUser, authorize({ platform: 'admin' }), asyncHandler(async (req, res) => {
   const { userId } = req.user;
   const { sampleSize = 5 } = req.body;
 
@@ -164,7 +183,7 @@ router.get('/health', asyncHandler(async (req, res) => {
   try {
     const healthStatus = {
       service_status: 'operational',
-      ai_service_available: backtestService.model !== null,
+      ai_service_available: backtestService.aiProvider !== null,
       backtest_service_ready: true,
       total_backtests_run: backtestService.backtestResults.size,
       last_check: new Date().toISOString()
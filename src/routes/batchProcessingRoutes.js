@@ -1,6 +1,7 @@
 const express = require('express');
 const BatchProcessingController = require('../controllers/BatchProcessingController');
 const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 const router = express.Router();
 const batchController = new BatchProcessingController();
@@ -9,6 +10,10 @@ const batchController = new BatchProcessingController();
 // Get shared report by token (public access)
 router.get('/shared/:shareToken', batchController.getSharedReport);
 
+// Viewer verification for password- or domain-restricted shared reports (public access)
+router.post('/shared/:shareToken/email-code', batchController.requestShareViewerCode);
+router.post('/shared/:shareToken/verify', batchController.verifyShareViewer);
+
 // Apply authentication to remaining routes
 router.use(authenticateUser);
 
@@ -25,12 +30,30 @@ router.get('/reports/:sessionId', batchController.getBatchReports);
 router.get('/summary/:sessionId', batchController.generateSessionSummary);
 
 // Create shareable report
-router.post('/share/:sessionId', batchController.createShareableReport);
+router.post('/share/:sessionId', authorize({ mfa: true }), batchController.createShareableReport);
 
 // Revoke shared report
-router.delete('/share/:shareToken', batchController.revokeSharedReport);
+router.delete('/share/:shareToken', authorize({ mfa: true }), batchController.revokeSharedReport);
 
 // Get user's shared reports
 router.get('/my-shares', batchController.getUserSharedReports);
 
+// Revoke every share of a session or report
+router.post('/my-shares/revoke', authorize({ mfa: true }), batchController.revokeSharesFor);
+
+// Extend or shorten a share
+router.put('/my-shares/:shareId/expiry', authorize({ mfa: true }), batchController.updateShareExpiry);
+
+// Set or clear the view limit of a share
+router.put('/my-shares/:shareId/max-views', authorize({ mfa: true }), batchController.updateShareMaxViews);
+
+// Replace a share's token, invalidating the old URL
+router.post('/my-shares/:shareId/rotate', authorize({ mfa: true }), batchController.rotateShareToken);
+
+// Who opened a share and when
+router.get('/my-shares/:shareId/views', batchController.getShareViews);
+
+// Change password / allowed domains of a share
+router.put('/my-shares/:shareId/access', authorize({ mfa: true }), batchController.updateShareAccess);
+
 module.exports = router;
\ No newline at end of file
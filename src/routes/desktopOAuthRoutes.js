@@ -3,16 +3,21 @@ const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
+const KNOWN_PROVIDERS = ['google', 'github', 'email'];
+
 /**
  * Desktop OAuth callback - just displays the authorization code
  * This endpoint doesn't process the OAuth, just shows the code for the desktop app to extract
  */
 router.get('/desktop/callback', (req, res) => {
   const { code, state, error } = req.query;
+  // The app posts the code to /api/auth/oauth/<provider>/callback - email links name theirs
+  const provider = KNOWN_PROVIDERS.includes(req.query.provider) ? req.query.provider : '';
 
   logger.info('Desktop OAuth callback received', {
     hasCode: !!code,
     hasState: !!state,
+    provider,
     error: error
   });
 
@@ -117,11 +122,13 @@ router.get('/desktop/callback', (req, res) => {
         <p class="message">You have successfully authorized OnlyWorks. The application will continue automatically.</p>
         <div id="auth-code" class="code">${code}</div>
         <div id="auth-state" style="display: none;">${state || ''}</div>
+        <div id="auth-provider" style="display: none;">${provider}</div>
         <script>
           // Signal to the desktop app that OAuth is complete
           window.oauthComplete = {
             code: "${code}",
             state: "${state || ''}",
+            provider: "${provider}",
             success: true
           };
 
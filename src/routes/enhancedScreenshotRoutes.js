@@ -1,6 +1,7 @@
 const express = require('express');
 const EnhancedScreenshotStorageService = require('../services/EnhancedScreenshotStorageService');
 const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 
@@ -103,7 +104,7 @@ router.get('/enhanced/analytics', authenticateUser, asyncHandler(async (req, res
  * GET /api/screenshots/enhanced/indexes/stats
  * Get indexing statistics and performance metrics
  */
-router.get('/enhanced/indexes/stats', authenticateUser, asyncHandler(async (req, res) => {
+router.get('/enhanced/indexes/stats', authenticateUser, authorize({ platform: 'support' }), asyncHandler(async (req, res) => {
   const { userId } = req.user;
 
   logger.info('Index stats requested', { userId });
@@ -125,23 +126,11 @@ router.get('/enhanced/indexes/stats', authenticateUser, asyncHandler(async (req,
 
 /**
  * DELETE /api/screenshots/enhanced/indexes/:userId
- * Clear user indexes (admin/cleanup operation)
+ * Clear user indexes (own indexes, or admin cleanup)
  */
-router.delete('/enhanced/indexes/:targetUserId', authenticateUser, asyncHandler(async (req, res) => {
-  const { userId } = req.user;
+router.delete('/enhanced/indexes/:targetUserId', authenticateUser, authorize({ self: 'targetUserId', platform: 'admin', mfa: true }), asyncHandler(async (req, res) => {
   const { targetUserId } = req.params;
 
-  // Simple authorization check - users can only clear their own indexes
-  if (userId !== targetUserId) {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'FORBIDDEN',
-        message: 'Cannot clear indexes for other users'
-      }
-    });
-  }
-
   logger.info('Clearing user indexes', { userId: targetUserId });
 
   const result = await enhancedStorage.clearUserIndexes(targetUserId);
@@ -1,6 +1,7 @@
 const express = require('express');
 const GoalController = require('../controllers/GoalController');
 const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 const router = express.Router();
 const goalController = new GoalController();
@@ -33,6 +34,6 @@ router.put('/:goalId/progress', goalController.updateGoalProgress);
 router.post('/:goalId/link-session', goalController.linkGoalToSession);
 
 // Delete goal
-router.delete('/:goalId', goalController.deleteGoal);
+router.delete('/:goalId', authorize({ mfa: true }), goalController.deleteGoal);
 
 module.exports = router;
\ No newline at end of file
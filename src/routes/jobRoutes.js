@@ -0,0 +1,21 @@
+const express = require('express');
+const JobController = require('../controllers/JobController');
+const { authenticateUser, authenticateWorker } = require('../middleware/auth');
+
+const router = express.Router();
+const jobController = new JobController();
+
+// WORKER ROUTES (shared-secret authentication) - must be defined BEFORE authenticateUser middleware
+// Report job status (running / failed)
+router.post('/:jobId/status', authenticateWorker, jobController.updateJobStatus);
+
+// Submit job results (batch reports and session report)
+router.post('/:jobId/results', authenticateWorker, jobController.submitJobResults);
+
+// Apply authentication to remaining routes
+router.use(authenticateUser);
+
+// Get job status
+router.get('/:jobId', jobController.getJobStatus);
+
+module.exports = router;
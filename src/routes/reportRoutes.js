@@ -2,6 +2,7 @@ const express = require('express');
 const ReportController = require('../controllers/ReportController');
 const EmailController = require('../controllers/EmailController');
 const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 const router = express.Router();
 const reportController = new ReportController();
@@ -14,7 +15,7 @@ router.use(authenticateUser);
 router.post('/individual', reportController.generateIndividualReport);
 
 // Team intelligence reports
-router.post('/team-intelligence', reportController.generateTeamIntelligenceReport);
+router.post('/team-intelligence', authorize({ team: 'manager', teamId: req => req.body.teamId }), reportController.generateTeamIntelligenceReport);
 
 // Activity summary reports
 router.post('/activity-summary', reportController.generateActivitySummaryReport);
@@ -29,7 +30,7 @@ router.post('/session-analysis/:sessionId', reportController.generateSessionAnal
 router.get('/goal-progress/:goalId', reportController.generateGoalProgressReport);
 
 // Team performance comparison
-router.post('/team-comparison', reportController.generateTeamComparisonReport);
+router.post('/team-comparison', authorize({ team: 'manager', teamId: req => req.body.teamIds }), reportController.generateTeamComparisonReport);
 
 // Session reports endpoints
 router.get('/user', reportController.getUserSessionReports);
@@ -41,8 +42,12 @@ router.post('/generate-range', reportController.generateDateRangeReport);
 // Generate report from selected sessions (for Reports Page)
 router.post('/generate-from-sessions', reportController.generateFromSessions);
 
+// Same, streaming progress as Server-Sent Events; cancel with the generation ID from the started event
+router.post('/generate-from-sessions/stream', reportController.generateFromSessionsStream);
+router.post('/generations/:generationId/cancel', reportController.cancelGeneration);
+
 // Share report via email
-router.post('/share-via-email', emailController.shareViaEmail);
+router.post('/share-via-email', authorize({ mfa: true }), emailController.shareViaEmail);
 
 // Get report by session ID
 router.get('/session/:sessionId', reportController.getSessionReport);
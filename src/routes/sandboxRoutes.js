@@ -0,0 +1,21 @@
+const express = require('express');
+const SandboxController = require('../controllers/SandboxController');
+const { authenticateUser } = require('../middleware/auth');
+
+const router = express.Router();
+const sandboxController = new SandboxController();
+
+// PUBLIC ROUTES (no authentication required) - must be defined BEFORE authenticateUser middleware
+// List demo tenants
+router.get('/tenants', sandboxController.getTenants);
+
+// Sign in as a demo tenant
+router.post('/sign-in', sandboxController.signIn);
+
+// Apply authentication to remaining routes
+router.use(authenticateUser);
+
+// Reset the current demo tenant
+router.post('/reset', sandboxController.resetTenant);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const TeamController = require('../controllers/TeamController');
 const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 const router = express.Router();
 const teamController = new TeamController();
@@ -18,30 +19,30 @@ router.get('/', teamController.getUserTeams);
 router.post('/join', teamController.joinTeamByInvite);
 
 // Get team details
-router.get('/:teamId', teamController.getTeamDetails);
+router.get('/:teamId', authorize({ team: 'viewer' }), teamController.getTeamDetails);
 
-// Update team settings
-router.put('/:teamId', teamController.updateTeamSettings);
+// Update team settings (admin only)
+router.put('/:teamId', authorize({ team: 'admin', mfa: true }), teamController.updateTeamSettings);
 
 // Leave team
-router.delete('/:teamId/leave', teamController.leaveTeam);
+router.delete('/:teamId/leave', authorize({ team: 'viewer' }), teamController.leaveTeam);
 
 // Remove team member (admin only)
-router.delete('/:teamId/members/:memberId', teamController.removeMember);
+router.delete('/:teamId/members/:memberId', authorize({ team: 'admin', mfa: true }), teamController.removeMember);
 
 // Get team progress
-router.get('/:teamId/progress', teamController.getTeamProgress);
+router.get('/:teamId/progress', authorize({ team: 'viewer' }), teamController.getTeamProgress);
 
 // Create team goal
-router.post('/:teamId/goals', teamController.createTeamGoal);
+router.post('/:teamId/goals', authorize({ team: 'member' }), teamController.createTeamGoal);
 
 // Get team goals
-router.get('/:teamId/goals', teamController.getTeamGoals);
+router.get('/:teamId/goals', authorize({ team: 'viewer' }), teamController.getTeamGoals);
 
 // Update team goal progress
-router.put('/:teamId/goals/:goalId/progress', teamController.updateTeamGoalProgress);
+router.put('/:teamId/goals/:goalId/progress', authorize({ team: 'member' }), teamController.updateTeamGoalProgress);
 
-// Regenerate invite code
-router.post('/:teamId/invite/regenerate', teamController.regenerateInviteCode);
+// Regenerate invite code (manager and above)
+router.post('/:teamId/invite/regenerate', authorize({ team: 'manager', mfa: true }), teamController.regenerateInviteCode);
 
 module.exports = router;
\ No newline at end of file
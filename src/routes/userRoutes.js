@@ -2,6 +2,7 @@ const express = require('express');
 const UserController = require('../controllers/UserController');
 const { validateRequired } = require('../middleware/errorHandler');
 const { authenticateUser } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 const router = express.Router();
 const userController = new UserController();
@@ -24,13 +25,13 @@ router.get('/settings', userController.getSettings);
 // Update user settings
 router.put('/settings', userController.updateSettings);
 
-// Get user by ID
-router.get('/:id', userController.getUserById);
+// Get user by ID (own record, or support staff)
+router.get('/:id', authorize({ self: 'id', platform: 'support' }), userController.getUserById);
 
 // Deactivate account
-router.post('/deactivate', userController.deactivateAccount);
+router.post('/deactivate', authorize({ mfa: true }), userController.deactivateAccount);
 
-// Reactivate account (admin)
-router.post('/:id/reactivate', userController.reactivateAccount);
+// Reactivate account (support staff)
+router.post('/:id/reactivate', authorize({ platform: 'support' }), userController.reactivateAccount);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateUser, userSessionService } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 const UserIsolatedStorageService = require('../services/UserIsolatedStorageService');
 
 // Create isolated storage service instance
@@ -289,7 +290,7 @@ router.get('/stats', authenticateUser, async (req, res) => {
  * Clear user session and data (for testing)
  * DELETE /api/user-session/clear
  */
-router.delete('/clear', authenticateUser, async (req, res) => {
+router.delete('/clear', authenticateUser, authorize({ mfa: true }), async (req, res) => {
     try {
         const { userId } = req.user;
 
@@ -1,15 +1,17 @@
 const express = require('express');
 const WorkSessionController = require('../controllers/WorkSessionController');
 const { authenticateUser } = require('../middleware/auth');
-const redis = require('../config/redis');
+const { authorize } = require('../middleware/authorize');
+const JobQueueService = require('../services/JobQueueService');
 const { getSupabaseClient } = require('../config/database');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
 const workSessionController = new WorkSessionController();
+const jobQueueService = new JobQueueService();
 
-// Test endpoint for database schema debugging (no auth required)
-router.post('/test-create', async (req, res) => {
+// Test endpoint for database schema debugging (platform admins only)
+router.post('/test-create', authenticateUser, authorize({ platform: 'admin' }), async (req, res) => {
   try {
     const WorkSessionRepository = require('../repositories/WorkSessionRepository');
     const { logger } = require('../utils/logger');
@@ -140,37 +142,36 @@ router.post('/:sessionId/queue', async (req, res) => {
       });
     }
 
-    // Check if Redis is available
-    if (!redis) {
-      logger.error('Redis not configured', { sessionId, userId });
+    // Create job record and push task for the GPU worker (BRPOP from session_queue)
+    if (!jobQueueService.isAvailable()) {
+      logger.error('Queue not configured', { sessionId, userId });
       return res.status(503).json({
         success: false,
         error: 'Queue service not available - Redis not configured'
       });
     }
 
-    // Create task for GPU worker
-    const task = {
-      session_id: sessionId,
-      user_id: userId,
-      screenshot_ids: screenshots.map(s => s.id),
-      timestamp: new Date().toISOString()
-    };
-
-    // Push to Redis queue - GPU worker will BRPOP from 'session_queue'
-    await redis.lpush('session_queue', JSON.stringify(task));
+    const job = await jobQueueService.enqueueSessionJob(
+      userId,
+      sessionId,
+      screenshots.map(s => s.id)
+    );
 
     logger.info('Session queued successfully', {
       sessionId,
       userId,
+      jobId: job.id,
       screenshotCount: screenshots.length
     });
 
     return res.json({
       success: true,
+      job_id: job.id,
+      status: job.status,
+      status_url: `/api/jobs/${job.id}`,
       session_id: sessionId,
       screenshot_count: screenshots.length,
-      queued_at: new Date().toISOString()
+      queued_at: job.created_at
     });
 
   } catch (error) {
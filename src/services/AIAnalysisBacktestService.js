@@ -1,8 +1,10 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs').promises;
 const path = require('path');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { getAIProvider } = require('./ai');
+const { SECTION_KEYS } = require('./ai/batchAnalysisSchema');
+const BatchReportRepository = require('../repositories/BatchReportRepository');
 
 /**
  * Comprehensive AI Analysis Backtesting Service
@@ -10,11 +12,8 @@ const { logger } = require('../utils/logger');
  */
 class AIAnalysisBacktestService {
   constructor() {
-    this.genAI = process.env.GOOGLE_AI_API_KEY
-      ? new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY)
-      : null;
-
-    this.model = this.genAI ? this.genAI.getGenerativeModel({ model: "gemini-1.5-flash" }) : null;
+    this.aiProvider = getAIProvider();
+    this.batchReportRepo = new BatchReportRepository();
 
     // Performance metrics tracking
     this.backtestResults = new Map(); // testId -> results
@@ -607,6 +606,73 @@ class AIAnalysisBacktestService {
     return { success: true, data: backtests };
   }
 
+  /**
+   * Compare output quality of prompt versions on live batch reports
+   * @param {Object} options - { days, promptName }
+   * @returns {Promise<Object>} Metrics per prompt version
+   */
+  async compareByPromptVersion(options = {}) {
+    const { days = 30, promptName = 'batch_group_analysis' } = options;
+    const rangeDays = Math.min(Math.max(parseInt(days, 10) || 30, 1), 90);
+    const since = new Date(Date.now() - rangeDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const reports = await this.batchReportRepo.getReportsWithPromptVersion(since, { promptName });
+
+    const byVersion = new Map();
+    reports.forEach(report => {
+      if (!byVersion.has(report.prompt_version)) byVersion.set(report.prompt_version, []);
+      byVersion.get(report.prompt_version).push(report);
+    });
+
+    const versions = Object.fromEntries(
+      [...byVersion.entries()].map(([version, versionReports]) => [version, this.summarizePromptVersion(versionReports)])
+    );
+
+    return {
+      success: true,
+      data: {
+        prompt_name: promptName,
+        range_days: rangeDays,
+        since,
+        total_reports: reports.length,
+        versions
+      }
+    };
+  }
+
+  summarizePromptVersion(reports) {
+    const average = values => values.length > 0
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : null;
+    const round = (value, digits = 3) => value === null ? null : Number(value.toFixed(digits));
+
+    const results = reports.map(report => report.analysis_result || {});
+    const sectionLengths = results.flatMap(result =>
+      SECTION_KEYS.filter(key => typeof result[key] === 'string' && result[key].trim()).map(key => result[key].length)
+    );
+    const completeness = results.map(result =>
+      SECTION_KEYS.filter(key => typeof result[key] === 'string' && result[key].trim()).length / SECTION_KEYS.length
+    );
+    const focusScores = results
+      .map(result => result.productivityMetrics?.focusScore)
+      .filter(score => typeof score === 'number');
+    // Cache hits cost nothing and would drag the averages down
+    const usage = results.filter(result => !result.cacheHit).map(result => result.aiUsage).filter(Boolean);
+
+    return {
+      reports: reports.length,
+      users: new Set(reports.map(report => report.user_id)).size,
+      degraded_rate: round(reports.filter(report => report.degraded).length / reports.length),
+      section_completeness: round(average(completeness)),
+      avg_section_length: round(average(sectionLengths), 0),
+      avg_focus_score: round(average(focusScores)),
+      avg_input_tokens: round(average(usage.map(entry => entry.inputTokens || 0)), 0),
+      avg_output_tokens: round(average(usage.map(entry => entry.outputTokens || 0)), 0),
+      avg_cost_usd: round(average(usage.map(entry => entry.costUsd || 0)), 6),
+      avg_latency_ms: round(average(usage.map(entry => entry.latencyMs || 0)), 0)
+    };
+  }
+
   async getPerformanceMetrics() {
     return {
       success: true,
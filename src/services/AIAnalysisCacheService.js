@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { getStoreClient } = require('../config/store');
+const { cacheConfig } = require('../config/ai');
+const { logger } = require('../utils/logger');
+
+const CACHE_PREFIX = 'ai_cache:';
+const IMAGE_HASH_PREFIX = 'ai_cache_image:';
+const STATS_PREFIX = 'ai_cache_stats:';
+const STATS_TTL_SECONDS = 35 * 24 * 60 * 60;
+const MAX_STATS_DAYS = 30;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Content-addressed cache for AI analyses. Entries are keyed by the SHA-256 of
+ * the images, the full prompt text sent with them, the model and the user, so
+ * a hit is only ever an identical request from the same account - a re-run
+ * after a crash or a forced re-queue. Results are never shared across users.
+ * Cache problems never fail an analysis - they count as misses.
+ */
+class AIAnalysisCacheService {
+  constructor(store = getStoreClient()) {
+    this.store = store;
+  }
+
+  isEnabled() {
+    return cacheConfig.enabled;
+  }
+
+  hashImage(buffer) {
+    return sha256(buffer);
+  }
+
+  /**
+   * Cache key for an analysis
+   * @param {string} kind - Analysis kind, e.g. 'group' or 'screenshot'
+   * @param {Object} parts - { userId, imageHashes, prompt, promptVersion, provider, model, variant }
+   * @returns {string} Store key
+   */
+  buildKey(kind, { userId, imageHashes, prompt, promptVersion, provider, model, variant = null }) {
+    // Image order is kept: a group prompt numbers images chronologically.
+    // The prompt text carries per-image timestamps and apps, so it is hashed whole.
+    const digest = sha256(JSON.stringify([userId || null, imageHashes, sha256(prompt || ''), promptVersion, provider, model, variant]));
+    return `${CACHE_PREFIX}${kind}:${digest}`;
+  }
+
+  /**
+   * Look up a cached analysis
+   * @param {string} kind - Analysis kind, e.g. 'group'
+   * @param {Object} parts - Key parts, see buildKey
+   * @returns {Promise<Object|null>} { analysis, cachedAt, usage } or null
+   */
+  async get(kind, parts) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      const cached = await this.store.get(this.buildKey(kind, parts));
+      const entry = cached ? JSON.parse(cached) : null;
+
+      await this.recordStat(kind, entry ? 'hits' : 'misses');
+      if (entry?.usage) {
+        await this.recordSavings(kind, entry.usage);
+      }
+
+      return entry;
+    } catch (error) {
+      logger.warn('AI cache read failed', { kind, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Store an analysis
+   * @param {string} kind - Analysis kind, e.g. 'group'
+   * @param {Object} parts - Key parts, see buildKey
+   * @param {Object} analysis - Analysis to reuse
+   * @param {Object} usage - { inputTokens, outputTokens, costUsd } the original call cost, counted as saved on hits
+   */
+  async set(kind, parts, analysis, usage = null) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    try {
+      const entry = { analysis, usage, cachedAt: new Date().toISOString() };
+      await this.store.set(this.buildKey(kind, parts), JSON.stringify(entry), 'EX', cacheConfig.ttlSeconds);
+    } catch (error) {
+      logger.warn('AI cache write failed', { kind, error: error.message });
+    }
+  }
+
+  async recordBypass(kind) {
+    await this.recordStat(kind, 'bypassed');
+  }
+
+  /**
+   * Image hashes remembered per storage key. Screenshot objects are never
+   * overwritten, so a re-run can find its group entry without downloading.
+   * @param {Array<string>} storageKeys - Screenshot storage keys
+   * @returns {Promise<Array<string|null>>} Hash per key, null when unknown
+   */
+  async getImageHashes(storageKeys) {
+    if (!this.isEnabled()) {
+      return storageKeys.map(() => null);
+    }
+
+    try {
+      return await Promise.all(storageKeys.map(key => this.store.get(`${IMAGE_HASH_PREFIX}${key}`)));
+    } catch (error) {
+      logger.warn('AI cache image hash lookup failed', { error: error.message });
+      return storageKeys.map(() => null);
+    }
+  }
+
+  async setImageHash(storageKey, hash) {
+    if (!this.isEnabled() || !storageKey) {
+      return;
+    }
+
+    try {
+      await this.store.set(`${IMAGE_HASH_PREFIX}${storageKey}`, hash, 'EX', cacheConfig.ttlSeconds);
+    } catch (error) {
+      logger.warn('AI cache image hash write failed', { error: error.message });
+    }
+  }
+
+  // Daily counters per kind: hits, misses, bypassed and what hits saved
+  async recordStat(kind, field, amount = 1) {
+    try {
+      const key = `${STATS_PREFIX}${new Date().toISOString().split('T')[0]}`;
+      await this.store.hincrby(key, `${kind}:${field}`, amount);
+      await this.store.expire(key, STATS_TTL_SECONDS);
+    } catch (error) {
+      logger.debug('AI cache stat not recorded', { kind, field, error: error.message });
+    }
+  }
+
+  async recordSavings(kind, usage) {
+    await this.recordStat(kind, 'tokens_saved', (usage.inputTokens || 0) + (usage.outputTokens || 0));
+    // Counters are integers, so dollars are kept in micro-dollars
+    await this.recordStat(kind, 'cost_saved_micro_usd', Math.round((usage.costUsd || 0) * 1000000));
+  }
+
+  /**
+   * Hit metrics for the last N days
+   * @param {number} days - Days to include (max 30)
+   * @returns {Promise<Object>} Totals and daily counters per kind
+   */
+  async getStats(days = 7) {
+    const rangeDays = Math.min(Math.max(parseInt(days, 10) || 7, 1), MAX_STATS_DAYS);
+    const totals = {};
+
+    const daily = [];
+    for (let index = rangeDays - 1; index >= 0; index--) {
+      const day = new Date();
+      day.setUTCDate(day.getUTCDate() - index);
+      const date = day.toISOString().split('T')[0];
+      const counters = await this.store.hgetall(`${STATS_PREFIX}${date}`);
+      const kinds = this.summarizeCounters(counters || {});
+
+      Object.entries(kinds).forEach(([kind, stats]) => {
+        totals[kind] = totals[kind] || { hits: 0, misses: 0, bypassed: 0, tokens_saved: 0, cost_saved_micro_usd: 0 };
+        Object.keys(totals[kind]).forEach(field => {
+          totals[kind][field] += stats[field];
+        });
+      });
+
+      daily.push({ date, ...kinds });
+    }
+
+    return {
+      enabled: this.isEnabled(),
+      ttl_seconds: cacheConfig.ttlSeconds,
+      range_days: rangeDays,
+      totals: Object.fromEntries(Object.entries(totals).map(([kind, stats]) => [kind, this.withRates(stats)])),
+      daily: daily.map(({ date, ...kinds }) => ({
+        date,
+        ...Object.fromEntries(Object.entries(kinds).map(([kind, stats]) => [kind, this.withRates(stats)]))
+      }))
+    };
+  }
+
+  summarizeCounters(counters) {
+    return Object.entries(counters).reduce((kinds, [field, value]) => {
+      const [kind, counter] = field.split(':');
+      kinds[kind] = kinds[kind] || { hits: 0, misses: 0, bypassed: 0, tokens_saved: 0, cost_saved_micro_usd: 0 };
+      kinds[kind][counter] = parseInt(value, 10) || 0;
+      return kinds;
+    }, {});
+  }
+
+  withRates({ cost_saved_micro_usd: costSavedMicroUsd, ...stats }) {
+    const lookups = stats.hits + stats.misses;
+    return {
+      ...stats,
+      hit_rate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+      cost_saved_usd: costSavedMicroUsd / 1000000
+    };
+  }
+}
+
+module.exports = AIAnalysisCacheService;
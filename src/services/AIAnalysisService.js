@@ -1,24 +1,48 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { getSupabaseAdminClient } = require('../config/database');
+const { getAIProvider, getAIProviderForUser } = require('./ai');
+const { getPrompt } = require('./ai/prompts');
+const { extractJson } = require('./ai/batchAnalysisSchema');
+const AIUsageService = require('./AIUsageService');
+const AIBudgetService = require('./AIBudgetService');
+const AIAnalysisCacheService = require('./AIAnalysisCacheService');
 
 class AIAnalysisService {
   constructor() {
-    // Initialize Gemini AI
-    this.genAI = process.env.GOOGLE_AI_API_KEY
-      ? new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY)
-      : null;
-
-    this.model = this.genAI ? this.genAI.getGenerativeModel({ model: "gemini-1.5-flash" }) : null;
+    // Default AI provider (null when AI is not configured); per-plan routing happens per request
+    this.aiProvider = getAIProvider();
+    this.aiUsageService = new AIUsageService();
+    this.aiBudgetService = new AIBudgetService();
+    this.analysisCache = new AIAnalysisCacheService();
   }
 
+  /**
+   * Analyze one screenshot with the user's AI provider, or a metadata-based estimate without one
+   * @param {string} screenshotPath - Storage key in the screenshots bucket
+   * @param {Object} metadata - window_title, active_app, timestamp, plus user_id/session_id for routing and usage
+   * @returns {Promise<Object>} Analysis in the screenshot_analysis shape
+   */
   async analyzeScreenshot(screenshotPath, metadata = {}) {
     const startTime = Date.now();
 
     try {
-      if (!this.model) {
-        logger.info('AI service not configured, using enhanced mock analysis', {
-          screenshot_path: screenshotPath
+      // Exhausted AI budgets downgrade to the metadata estimate (or reject under the 'block' policy)
+      const budget = metadata.user_id
+        ? await this.aiBudgetService.checkBudget(metadata.user_id, { screenshots: 1 })
+        : null;
+      let aiProvider = null;
+      if (!budget || budget.allowAI) {
+        aiProvider = metadata.user_id
+          ? await getAIProviderForUser(metadata.user_id)
+          : this.aiProvider;
+      }
+
+      if (!aiProvider) {
+        const reason = budget && !budget.allowAI ? 'ai_budget_exhausted' : 'ai_service_not_configured';
+        logger.info('AI analysis unavailable, using enhanced mock analysis', {
+          screenshot_path: screenshotPath,
+          reason
         });
 
         const mockResult = this.generateEnhancedMockAnalysis(metadata, 'mock_fallback');
@@ -30,7 +54,7 @@ class AIAnalysisService {
           model_version: 'enhanced-mock-v2',
           processing_time_ms: Math.round(Date.now() - startTime),
           metadata_used: Object.keys(metadata).length > 0,
-          reason: 'ai_service_not_configured'
+          reason
         };
 
         const duration = Date.now() - startTime;
@@ -55,8 +79,7 @@ class AIAnalysisService {
       let analysisResult;
 
       try {
-        // Attempt real AI analysis if image is available
-        analysisResult = await this.performRealAnalysis(screenshotPath, metadata);
+        analysisResult = await this.performRealAnalysis(screenshotPath, metadata, aiProvider);
       } catch (imageError) {
         logger.warn('Real image analysis failed, falling back to enhanced mock', {
           error: imageError.message,
@@ -71,14 +94,15 @@ class AIAnalysisService {
       analysisResult.analysis_metadata = {
         analysis_type: analysisResult.analysis_type || 'enhanced_mock',
         confidence_calibrated: true,
-        model_version: this.model?.model || 'mock-service',
+        model_version: analysisResult.model_version,
+        provider: analysisResult.analysis_type === 'ai' ? aiProvider.name : null,
         processing_time_ms: Math.round(Date.now() - startTime),
         metadata_used: Object.keys(metadata).length > 0
       };
 
       const duration = Date.now() - startTime;
 
-      logger.ai('screenshot_analysis', this.model?.model || 'mock', duration, 0, {
+      logger.ai('screenshot_analysis', analysisResult.model_version, duration, 0, {
         screenshot_path: screenshotPath,
         activity_detected: analysisResult.activity_detected,
         productivity_score: analysisResult.productivity_score,
@@ -106,48 +130,104 @@ class AIAnalysisService {
     }
   }
 
-  async performRealAnalysis(screenshotPath, metadata = {}) {
-    // This would implement real image analysis with Gemini Vision
-    // For now, we'll simulate it but structure it for real implementation
+  async performRealAnalysis(screenshotPath, metadata = {}, aiProvider = this.aiProvider) {
+    const image = await this.downloadScreenshotImage(screenshotPath);
+    const prompt = this.buildAnalysisPrompt(metadata);
+    const cacheParts = {
+      userId: metadata.user_id || null,
+      imageHashes: [this.analysisCache.hashImage(image)],
+      prompt,
+      provider: aiProvider.name,
+      model: aiProvider.model
+    };
 
-    const analysisPrompt = this.buildAnalysisPrompt(metadata);
+    const cached = await this.analysisCache.get('screenshot', cacheParts);
+    if (cached) {
+      return {
+        ...cached.analysis,
+        processing_time_ms: 0,
+        cache_hit: true,
+        ai_usage: { inputTokens: 0, outputTokens: 0, costUsd: 0 }
+      };
+    }
 
-    // In real implementation:
-    // const imageData = await this.loadImageAsBase64(screenshotPath);
-    // const result = await this.model.generateContent([analysisPrompt, imageData]);
+    const result = await this.aiUsageService.generate(aiProvider, {
+      prompt,
+      images: [{ mimeType: this.getImageMimeType(screenshotPath), data: image.toString('base64') }],
+      temperature: 0.2,
+      maxOutputTokens: 1024,
+      json: true
+    }, {
+      userId: metadata.user_id || null,
+      sessionId: metadata.session_id || null,
+      operation: 'screenshot_analysis',
+      screenshotCount: 1
+    });
+
+    const analysis = {
+      ...this.parseAnalysisResponse(result.text),
+      model_version: result.model,
+      analysis_type: 'ai'
+    };
+    const aiUsage = {
+      inputTokens: result.usage.inputTokens,
+      outputTokens: result.usage.outputTokens,
+      costUsd: result.costUsd
+    };
+    await this.analysisCache.set('screenshot', cacheParts, analysis, aiUsage);
 
-    // Simulated structured analysis
-    return this.generateEnhancedMockAnalysis(metadata, 'real_analysis');
+    return { ...analysis, processing_time_ms: result.latencyMs, cache_hit: false, ai_usage: aiUsage };
   }
 
-  buildAnalysisPrompt(metadata) {
-    const contextualInfo = [];
+  // Map the model's JSON onto the stored analysis fields; anything unusable is an error
+  parseAnalysisResponse(text) {
+    const parsed = extractJson(text);
+    const score = Number(parsed?.productivity_score);
 
-    if (metadata.window_title) {
-      contextualInfo.push(`Window: "${metadata.window_title}"`);
+    if (!parsed || typeof parsed.activity_detected !== 'string' || !Number.isFinite(score)) {
+      throw new Error('AI response is not a valid screenshot analysis');
     }
 
-    if (metadata.active_app) {
-      contextualInfo.push(`Active application: "${metadata.active_app}"`);
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, Number(value) || 0));
+    const confidenceList = (items, key) => (Array.isArray(items) ? items : [])
+      .filter(item => item && typeof item[key] === 'string')
+      .map(item => ({ [key]: item[key], confidence: clamp(item.confidence, 0, 1) }));
+
+    return {
+      activity_detected: parsed.activity_detected,
+      productivity_score: Math.round(clamp(score, 0, 100) * 100) / 100,
+      confidence_score: Math.round(clamp(parsed.confidence_score, 0, 1) * 100) / 100,
+      detected_apps: confidenceList(parsed.detected_apps, 'name'),
+      detected_tasks: confidenceList(parsed.detected_tasks, 'description'),
+      is_blocked: parsed.is_blocked === true,
+      blocker_type: parsed.is_blocked === true && typeof parsed.blocker_type === 'string' ? parsed.blocker_type : null,
+      focus_assessment: typeof parsed.focus_assessment === 'string' ? parsed.focus_assessment : null
+    };
+  }
+
+  async downloadScreenshotImage(storageKey) {
+    const supabase = getSupabaseAdminClient();
+    if (!supabase) {
+      throw new Error('Screenshot storage is not configured');
     }
 
-    if (metadata.timestamp) {
-      const hour = new Date(metadata.timestamp).getHours();
-      const timeOfDay = hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : 'evening';
-      contextualInfo.push(`Time: ${timeOfDay} (${hour}:00)`);
+    const { data, error } = await supabase.storage
+      .from('screenshots')
+      .download(storageKey);
+
+    if (error) {
+      throw new Error(`Failed to download screenshot: ${error.message}`);
     }
 
-    return `Analyze this desktop screenshot for productivity assessment.
-Context: ${contextualInfo.join(', ')}
+    return Buffer.from(await data.arrayBuffer());
+  }
 
-Please identify:
-1. Primary work activity (coding, writing, research, communication, design, meeting, documentation, testing, debugging, planning)
-2. Productivity score (0-100) based on focus and work-relevant activities
-3. Detected applications and their work relevance
-4. Any productivity blockers (social media, entertainment, distractions)
-5. Overall focus assessment
+  getImageMimeType(storageKey) {
+    return /\.png$/i.test(storageKey || '') ? 'image/png' : 'image/jpeg';
+  }
 
-Provide structured analysis with confidence scores for each assessment.`;
+  buildAnalysisPrompt(metadata, prompt = getPrompt('screenshot_analysis')) {
+    return prompt.build({ metadata });
   }
 
   generateMockAnalysis(metadata = {}) {
@@ -469,7 +549,7 @@ Provide structured analysis with confidence scores for each assessment.`;
       ],
       is_blocked: isBlocked,
       blocker_type: blockerType,
-      model_version: analysisType === 'real_analysis' ? 'gemini-1.5-flash' : 'enhanced-mock-v2',
+      model_version: 'enhanced-mock-v2',
       processing_time_ms: Math.round(150 + Math.random() * 200),
       analysis_type: analysisType,
       metadata_confidence_boost: confidenceBoost
@@ -478,9 +558,9 @@ Provide structured analysis with confidence scores for each assessment.`;
 
   async healthCheck() {
     return {
-      ai_service_available: !!this.model,
-      model_name: this.model ? 'gemini-1.5-flash' : null,
-      api_key_configured: !!process.env.GOOGLE_AI_API_KEY
+      ai_service_available: !!this.aiProvider,
+      provider: this.aiProvider?.name || null,
+      model_name: this.aiProvider?.model || null
     };
   }
 }
@@ -0,0 +1,336 @@
+const AIUsageRepository = require('../repositories/AIUsageRepository');
+const AIBudgetRepository = require('../repositories/AIBudgetRepository');
+const ReportsRepository = require('../repositories/ReportsRepository');
+const TeamRepository = require('../repositories/TeamRepository');
+const ProfileRepository = require('../repositories/ProfileRepository');
+const { getStoreClient } = require('../config/store');
+const { budgetConfig } = require('../config/ai');
+const { ApiError, isUuid } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// Budget metric -> override column
+const METRICS = {
+  screenshots: 'screenshots_limit',
+  reports: 'reports_limit',
+  cost_usd: 'cost_limit_usd'
+};
+const METRIC_LABELS = {
+  screenshots: 'screenshot analysis',
+  reports: 'report',
+  cost_usd: 'AI spend'
+};
+// Metrics that only limit AI work - exhausting them downgrades to non-AI analysis
+const AI_METRICS = ['screenshots', 'cost_usd'];
+const SUBJECT_TYPES = ['user', 'team'];
+const USAGE_PREFIX = 'ai_budget_usage:';
+const WARNED_PREFIX = 'ai_budget_warned:';
+// Usage is cached briefly, so a burst can overshoot a limit by a batch or two
+const USAGE_CACHE_SECONDS = 60;
+
+/**
+ * Monthly AI budgets for users (by plan) and teams (summed over members).
+ * Limits: screenshots analyzed by AI, reports generated and dollars spent.
+ */
+class AIBudgetService {
+  constructor(store = getStoreClient()) {
+    this.usageRepository = new AIUsageRepository();
+    this.budgetRepository = new AIBudgetRepository();
+    this.reportsRepository = new ReportsRepository();
+    this.teamRepository = new TeamRepository();
+    this.profileRepository = new ProfileRepository();
+    this.store = store;
+  }
+
+  // Calendar month in UTC
+  getPeriod(now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    return {
+      period: start.toISOString().substring(0, 7),
+      start: start.toISOString(),
+      resets_at: resetsAt.toISOString()
+    };
+  }
+
+  async getUserPlan(userId) {
+    const profile = await this.profileRepository.findByUserId(userId);
+    return profile?.subscription_type || 'trial';
+  }
+
+  /**
+   * Effective limits: admin override, else the plan (or team) default. null = unlimited.
+   */
+  async getLimits(subjectType, subjectId, plan = null) {
+    const { budgets } = budgetConfig;
+    const base = subjectType === 'team' ? budgets.team : (budgets[plan] || budgets.default);
+    const override = await this.budgetRepository.findOverride(subjectType, subjectId);
+
+    const limits = Object.fromEntries(Object.entries(METRICS).map(([metric, column]) => {
+      if (override?.unlimited) return [metric, null];
+      const value = override?.[column] ?? base[metric];
+      return [metric, value === null || value === undefined ? null : Number(value)];
+    }));
+
+    return { limits, override };
+  }
+
+  async getUsage(subjectType, subjectId, period) {
+    const key = `${USAGE_PREFIX}${subjectType}:${subjectId}:${period.period}`;
+    const cached = await this.store.get(key);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+
+    const userIds = subjectType === 'team'
+      ? (await this.teamRepository.getTeamMembers(subjectId)).map(member => member.user_id)
+      : [subjectId];
+
+    let usage = { screenshots: 0, reports: 0, cost_usd: 0 };
+    if (userIds.length > 0) {
+      const [totals, reports] = await Promise.all([
+        this.usageRepository.getTotalsSince(userIds, period.start),
+        this.reportsRepository.countReportsSince(userIds, period.start)
+      ]);
+      usage = {
+        screenshots: totals.screenshots,
+        reports,
+        cost_usd: Math.round(totals.cost_usd * 1000000) / 1000000
+      };
+    }
+
+    await this.store.set(key, JSON.stringify(usage), 'EX', USAGE_CACHE_SECONDS);
+    return usage;
+  }
+
+  /**
+   * Budget status for one user or team
+   * @param {string} subjectType - 'user' or 'team'
+   * @param {string} subjectId - User or team ID
+   * @param {Object} options - { plan, requested: { screenshots, reports } } - requested work counts toward the check
+   * @returns {Promise<Object>} Limits, usage, warnings and exhausted metrics
+   */
+  async getSubjectStatus(subjectType, subjectId, { plan = null, requested = {} } = {}) {
+    const period = this.getPeriod();
+    const [{ limits, override }, usage] = await Promise.all([
+      this.getLimits(subjectType, subjectId, subjectType === 'user' ? (plan || await this.getUserPlan(subjectId)) : null),
+      this.getUsage(subjectType, subjectId, period)
+    ]);
+
+    const metrics = {};
+    const warnings = [];
+    const exhausted = [];
+
+    Object.keys(METRICS).forEach(metric => {
+      const limit = limits[metric];
+      const used = usage[metric];
+      const pending = requested[metric] || 0;
+
+      metrics[metric] = {
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(limit - used, 0)
+      };
+
+      if (limit === null) return;
+
+      // Dollars can't be known before the call, so spending stops once the limit is reached
+      const over = metric === 'cost_usd' ? used >= limit : used + pending > limit;
+      if (over) {
+        exhausted.push(metric);
+      } else if (limit > 0 && (used + pending) / limit >= budgetConfig.warningRatio) {
+        warnings.push({
+          subject_type: subjectType,
+          subject_id: subjectId,
+          metric,
+          used,
+          limit,
+          message: `${Math.round(((used + pending) / limit) * 100)}% of the monthly ${METRIC_LABELS[metric]} budget used`
+        });
+      }
+    });
+
+    return {
+      subject_type: subjectType,
+      subject_id: subjectId,
+      period: period.period,
+      resets_at: period.resets_at,
+      overridden: !!override,
+      metrics,
+      warnings,
+      exhausted
+    };
+  }
+
+  async collectStatuses(userId, requested = {}) {
+    const teams = await this.teamRepository.getUserTeams(userId);
+
+    return Promise.all([
+      this.getSubjectStatus('user', userId, { requested }),
+      ...teams.map(team => this.getSubjectStatus('team', team.id, { requested }))
+    ]);
+  }
+
+  /**
+   * Budget overview for the signed-in user and their teams
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { user, teams }
+   */
+  async getStatus(userId) {
+    const [user, ...teams] = await this.collectStatuses(userId);
+    return { user, teams };
+  }
+
+  /**
+   * Check budgets before AI work. Reports over budget are always rejected;
+   * exhausted AI budgets downgrade to non-AI analysis unless the policy is 'block'.
+   * @param {string} userId - User ID
+   * @param {Object} requested - { screenshots, reports } about to be used
+   * @returns {Promise<Object>} { allowAI, warnings, exhausted }
+   */
+  async checkBudget(userId, requested = {}) {
+    let statuses;
+
+    try {
+      statuses = await this.collectStatuses(userId, requested);
+    } catch (error) {
+      // Budget storage problems must not take analysis down with them
+      logger.error('AI budget check failed - allowing request', { userId, error: error.message });
+      return { allowAI: true, warnings: [], exhausted: [] };
+    }
+
+    if (requested.reports) {
+      const overReports = statuses.find(status => status.exhausted.includes('reports'));
+      if (overReports) {
+        throw this.quotaExceeded(userId, overReports, 'reports');
+      }
+    }
+
+    const overAI = statuses.find(status => status.exhausted.some(metric => AI_METRICS.includes(metric)));
+    if (overAI && budgetConfig.exhaustedPolicy === 'block') {
+      throw this.quotaExceeded(userId, overAI, overAI.exhausted.find(metric => AI_METRICS.includes(metric)));
+    }
+
+    const warnings = statuses.flatMap(status => status.warnings);
+    await this.logWarnings(userId, warnings, statuses[0].period);
+
+    const exhausted = overAI
+      ? overAI.exhausted.filter(metric => AI_METRICS.includes(metric)).map(metric => ({
+        subject_type: overAI.subject_type,
+        subject_id: overAI.subject_id,
+        metric,
+        resets_at: overAI.resets_at
+      }))
+      : [];
+
+    if (overAI) {
+      logger.warn('AI budget exhausted - falling back to non-AI analysis', { userId, exhausted });
+    }
+
+    return { allowAI: !overAI, warnings, exhausted };
+  }
+
+  quotaExceeded(userId, status, metric) {
+    logger.business('ai_budget_exceeded', {
+      userId,
+      subject_type: status.subject_type,
+      subject_id: status.subject_id,
+      metric
+    });
+
+    return new ApiError('QUOTA_EXCEEDED', {
+      subject_type: status.subject_type,
+      subject_id: status.subject_id,
+      metric,
+      limit: status.metrics[metric].limit,
+      used: status.metrics[metric].used,
+      resets_at: status.resets_at
+    });
+  }
+
+  // Log each crossed soft limit once per period
+  async logWarnings(userId, warnings, period) {
+    for (const warning of warnings) {
+      const key = `${WARNED_PREFIX}${warning.subject_type}:${warning.subject_id}:${warning.metric}:${period}`;
+      const first = await this.store.set(key, '1', 'EX', 32 * 24 * 60 * 60, 'NX');
+      if (first) {
+        logger.business('ai_budget_warning', { userId, ...warning });
+      }
+    }
+  }
+
+  /**
+   * Admin: set a budget override for a user or team
+   * @param {string} subjectType - 'user' or 'team'
+   * @param {string} subjectId - User or team ID
+   * @param {Object} input - { screenshots_limit, reports_limit, cost_limit_usd, unlimited, note, expires_at }
+   * @param {string} adminUserId - Admin making the change
+   * @returns {Promise<Object>} Stored override
+   */
+  async setOverride(subjectType, subjectId, input = {}, adminUserId) {
+    this.validateSubject(subjectType, subjectId);
+
+    const override = {
+      unlimited: input.unlimited === true,
+      note: input.note ? String(input.note).substring(0, 500) : null,
+      expires_at: null,
+      created_by: adminUserId
+    };
+
+    Object.values(METRICS).forEach(column => {
+      const value = input[column];
+      if (value === undefined || value === null) {
+        override[column] = null;
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new ApiError('VALIDATION_ERROR', { field: column, message: `${column} must be a non-negative number or null` });
+      } else {
+        override[column] = column === 'cost_limit_usd' ? value : Math.floor(value);
+      }
+    });
+
+    if (input.expires_at) {
+      const expiresAt = new Date(input.expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw new ApiError('VALIDATION_ERROR', { field: 'expires_at', message: 'expires_at must be a future date' });
+      }
+      override.expires_at = expiresAt.toISOString();
+    }
+
+    const stored = await this.budgetRepository.upsertOverride(subjectType, subjectId, override);
+
+    logger.security('ai_budget_override_set', {
+      subjectType,
+      subjectId,
+      unlimited: override.unlimited
+    }, { userId: adminUserId });
+
+    return stored;
+  }
+
+  /**
+   * Admin: remove an override
+   */
+  async clearOverride(subjectType, subjectId, adminUserId) {
+    this.validateSubject(subjectType, subjectId);
+
+    const removed = await this.budgetRepository.deleteOverride(subjectType, subjectId);
+    if (!removed) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'ai_budget_override' });
+    }
+
+    logger.security('ai_budget_override_cleared', { subjectType, subjectId }, { userId: adminUserId });
+
+    return true;
+  }
+
+  validateSubject(subjectType, subjectId) {
+    if (!SUBJECT_TYPES.includes(subjectType)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'subjectType', message: 'subjectType must be user or team' });
+    }
+    if (!isUuid(subjectId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'subjectId', message: 'subjectId must be a UUID' });
+    }
+  }
+}
+
+module.exports = AIBudgetService;
@@ -0,0 +1,183 @@
+const AIUsageRepository = require('../repositories/AIUsageRepository');
+const TeamRepository = require('../repositories/TeamRepository');
+const { calculateCost } = require('../config/ai');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const MAX_RANGE_DAYS = 90;
+
+/**
+ * Token and cost accounting for AI provider calls.
+ * Every server-side call goes through generate() so usage is recorded in one place,
+ * including failed calls (which still cost latency and sometimes tokens).
+ */
+class AIUsageService {
+  constructor() {
+    this.usageRepository = new AIUsageRepository();
+    this.teamRepository = new TeamRepository();
+  }
+
+  /**
+   * Call a provider and record the usage
+   * @param {AIProvider} aiProvider - Provider from services/ai
+   * @param {Object} request - Passed to aiProvider.generate()
+   * @param {Object} context - { userId, sessionId, operation }
+   * @returns {Promise<Object>} Provider result plus latencyMs and costUsd
+   */
+  async generate(aiProvider, request, context = {}) {
+    const startTime = Date.now();
+
+    try {
+      const result = await aiProvider.generate(request);
+      const latencyMs = Date.now() - startTime;
+      const costUsd = calculateCost(result.provider, result.model, result.usage.inputTokens, result.usage.outputTokens);
+
+      await this.recordUsage({
+        ...context,
+        provider: result.provider,
+        model: result.model,
+        inputTokens: result.usage.inputTokens,
+        outputTokens: result.usage.outputTokens,
+        latencyMs,
+        costUsd,
+        success: true
+      });
+
+      return { ...result, latencyMs, costUsd };
+    } catch (error) {
+      await this.recordUsage({
+        ...context,
+        provider: aiProvider.name,
+        model: aiProvider.model,
+        latencyMs: Date.now() - startTime,
+        success: false
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Persist one usage event. Accounting failures never fail the AI call itself.
+   * @param {Object} event - { userId, sessionId, operation, provider, model, inputTokens, outputTokens, latencyMs, costUsd, success }
+   */
+  async recordUsage(event) {
+    const costUsd = event.costUsd !== undefined
+      ? event.costUsd
+      : calculateCost(event.provider, event.model, event.inputTokens, event.outputTokens);
+
+    logger.ai(event.operation || 'ai_call', event.model, event.latencyMs || 0,
+      (event.inputTokens || 0) + (event.outputTokens || 0), {
+        provider: event.provider,
+        cost_usd: costUsd,
+        success: event.success !== false
+      });
+
+    if (!event.userId) {
+      logger.warn('AI usage recorded without a user', { operation: event.operation });
+      return;
+    }
+
+    try {
+      await this.usageRepository.recordEvent({ ...event, costUsd });
+    } catch (error) {
+      logger.warn('AI usage event not persisted', { error: error.message, operation: event.operation });
+    }
+  }
+
+  /**
+   * Usage totals with daily, model and operation breakdowns
+   * @param {string} userId - Caller
+   * @param {Object} options - { days, sessionId, teamId } - teamId sums usage over team members
+   * @returns {Promise<Object>} Usage report
+   */
+  async getUsage(userId, { days = 30, sessionId = null, teamId = null } = {}) {
+    const rangeDays = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_RANGE_DAYS);
+    const endDate = new Date();
+    const startDate = new Date(endDate);
+    startDate.setUTCHours(0, 0, 0, 0);
+    startDate.setUTCDate(startDate.getUTCDate() - (rangeDays - 1));
+
+    const userIds = teamId
+      ? (await this.teamRepository.getTeamMembers(teamId)).map(member => member.user_id)
+      : [userId];
+
+    if (userIds.length === 0) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'team' });
+    }
+
+    const events = await this.usageRepository.findUsage(userIds, {
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      sessionId
+    });
+
+    return {
+      scope: teamId ? 'team' : 'user',
+      team_id: teamId,
+      session_id: sessionId,
+      range: {
+        days: rangeDays,
+        start_date: startDate.toISOString().split('T')[0],
+        end_date: endDate.toISOString().split('T')[0]
+      },
+      totals: this.summarize(events),
+      daily: this.buildDailyBreakdown(events, startDate, rangeDays),
+      by_model: this.groupBy(events, event => `${event.provider}/${event.model}`),
+      by_operation: this.groupBy(events, event => event.operation)
+    };
+  }
+
+  summarize(events) {
+    const totals = events.reduce((acc, event) => {
+      acc.calls += 1;
+      acc.failed_calls += event.success ? 0 : 1;
+      acc.input_tokens += event.input_tokens || 0;
+      acc.output_tokens += event.output_tokens || 0;
+      acc.cost_usd += Number(event.cost_usd) || 0;
+      acc.latency_ms += event.latency_ms || 0;
+      return acc;
+    }, { calls: 0, failed_calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, latency_ms: 0 });
+
+    return {
+      calls: totals.calls,
+      failed_calls: totals.failed_calls,
+      input_tokens: totals.input_tokens,
+      output_tokens: totals.output_tokens,
+      total_tokens: totals.input_tokens + totals.output_tokens,
+      cost_usd: Math.round(totals.cost_usd * 1000000) / 1000000,
+      avg_latency_ms: totals.calls > 0 ? Math.round(totals.latency_ms / totals.calls) : 0
+    };
+  }
+
+  // One entry per day in the range, including days without calls
+  buildDailyBreakdown(events, startDate, rangeDays) {
+    const byDay = new Map();
+    events.forEach(event => {
+      const day = new Date(event.created_at).toISOString().split('T')[0];
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(event);
+    });
+
+    return Array.from({ length: rangeDays }, (_, index) => {
+      const day = new Date(startDate);
+      day.setUTCDate(day.getUTCDate() + index);
+      const date = day.toISOString().split('T')[0];
+      return { date, ...this.summarize(byDay.get(date) || []) };
+    });
+  }
+
+  groupBy(events, keyOf) {
+    const groups = new Map();
+    events.forEach(event => {
+      const key = keyOf(event);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    });
+
+    return Object.fromEntries(
+      [...groups.entries()].map(([key, groupEvents]) => [key, this.summarize(groupEvents)])
+    );
+  }
+}
+
+module.exports = AIUsageService;
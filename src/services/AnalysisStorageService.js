@@ -1,5 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
 const AnalysisReportRepository = require('../repositories/AnalysisReportRepository');
+const AIUsageService = require('./AIUsageService');
+const { calculateCost } = require('../config/ai');
 
 /**
  * Service for storing screenshot batch analyses and session final analyses
@@ -7,6 +9,7 @@ const AnalysisReportRepository = require('../repositories/AnalysisReportReposito
 class AnalysisStorageService {
     constructor() {
         this.analysisReportRepository = new AnalysisReportRepository();
+        this.aiUsageService = new AIUsageService();
     }
 
     /**
@@ -14,6 +17,15 @@ class AnalysisStorageService {
      */
     async storeBatchAnalysis(batchData) {
         try {
+            // Clients that analyzed locally report token counts; price them server-side
+            const inputTokens = parseInt(batchData.input_tokens, 10) || 0;
+            const outputTokens = parseInt(batchData.output_tokens, 10) || 0;
+            const hasTokenCounts = inputTokens > 0 || outputTokens > 0;
+            const tokensUsed = batchData.tokens_used ?? (hasTokenCounts ? inputTokens + outputTokens : null);
+            const costUsd = hasTokenCounts
+                ? calculateCost(batchData.ai_provider, batchData.ai_model, inputTokens, outputTokens)
+                : (batchData.cost_usd ?? null);
+
             // Prepare analysis data for database storage
             const analysisData = {
                 analysis_type: batchData.analysis_type || 'batch',
@@ -26,8 +38,8 @@ class AnalysisStorageService {
                     ai_provider: batchData.ai_provider,
                     ai_model: batchData.ai_model,
                     processing_time_ms: batchData.processing_time_ms,
-                    tokens_used: batchData.tokens_used,
-                    cost_usd: batchData.cost_usd,
+                    tokens_used: tokensUsed,
+                    cost_usd: costUsd,
                     analysis_results: batchData.analysis_results,
                     blockers_count: batchData.blockers_count,
                     accomplishments_count: batchData.accomplishments_count,
@@ -49,6 +61,20 @@ class AnalysisStorageService {
                 analysisData
             );
 
+            if (hasTokenCounts) {
+                await this.aiUsageService.recordUsage({
+                    userId: batchData.user_id,
+                    sessionId: batchData.session_id,
+                    operation: 'client_batch_analysis',
+                    provider: batchData.ai_provider || 'unknown',
+                    model: batchData.ai_model || 'unknown',
+                    inputTokens,
+                    outputTokens,
+                    latencyMs: parseInt(batchData.processing_time_ms, 10) || 0,
+                    costUsd
+                });
+            }
+
             console.log(`[AnalysisStorageService] Stored batch analysis ${storedAnalysis.id} for session ${batchData.session_id}`);
             console.log(`[AnalysisStorageService] Batch #${batchData.batch_number}: ${batchData.work_completed?.length || 0} tasks, ${batchData.blockers_count || 0} blockers, score ${batchData.productivity_score || 0}`);
 
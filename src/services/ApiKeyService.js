@@ -0,0 +1,123 @@
+const ApiKeyRepository = require('../repositories/ApiKeyRepository');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ApiError, isUuid } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const API_KEY_PREFIX = 'owk_';
+const MAX_KEYS_PER_USER = 20;
+const DISPLAY_PREFIX_LENGTH = 12;
+// Avoid a write on every request - last-used is only refreshed once a minute
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyService {
+  constructor() {
+    this.apiKeyRepository = new ApiKeyRepository();
+  }
+
+  static isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * Create an API key. The plaintext key is only ever returned here.
+   * @param {string} userId - Owner
+   * @param {Object} options - { name, scopes, expiresInDays }
+   * @returns {Promise<Object>} Key record plus plaintext `key`
+   */
+  async createKey(userId, { name, scopes, expiresInDays = null }) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ApiError('VALIDATION_ERROR', {
+        field: 'scopes',
+        allowed: Object.keys(API_KEY_SCOPES)
+      });
+    }
+
+    const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknownScopes.length > 0) {
+      throw new ApiError('VALIDATION_ERROR', {
+        field: 'scopes',
+        invalid: unknownScopes,
+        allowed: Object.keys(API_KEY_SCOPES)
+      });
+    }
+
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
+      throw new ApiError('VALIDATION_ERROR', {
+        field: 'expires_in_days',
+        message: 'Must be a whole number of days between 1 and 365'
+      });
+    }
+
+    const existing = await this.apiKeyRepository.getUserKeys(userId);
+    if (existing.length >= MAX_KEYS_PER_USER) {
+      throw new ApiError('QUOTA_EXCEEDED', {
+        message: `A maximum of ${MAX_KEYS_PER_USER} active API keys is allowed`
+      });
+    }
+
+    const key = `${API_KEY_PREFIX}${generateToken(32)}`;
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const record = await this.apiKeyRepository.createKey({
+      userId,
+      name: String(name).trim().slice(0, 100),
+      keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    logger.security('api_key_created', { keyId: record.id, scopes: record.scopes }, { userId });
+
+    return { ...record, key };
+  }
+
+  async listKeys(userId) {
+    return this.apiKeyRepository.getUserKeys(userId);
+  }
+
+  async revokeKey(userId, keyId) {
+    const revoked = isUuid(keyId) && await this.apiKeyRepository.revokeKey(keyId, userId);
+
+    if (!revoked) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'api_key', id: keyId });
+    }
+
+    logger.security('api_key_revoked', { keyId }, { userId });
+
+    return revoked;
+  }
+
+  /**
+   * Resolve an API key presented on a request
+   * @param {string} key - Plaintext key
+   * @param {string} ipAddress - Caller IP
+   * @returns {Promise<Object>} Key record (user_id, scopes, ...)
+   */
+  async authenticate(key, ipAddress) {
+    const record = await this.apiKeyRepository.findByHash(hashToken(key));
+
+    if (!record || record.revoked_at) {
+      throw new ApiError('AUTH_INVALID');
+    }
+
+    if (record.expires_at && new Date(record.expires_at) <= new Date()) {
+      throw new ApiError('AUTH_EXPIRED');
+    }
+
+    const lastUsed = record.last_used_at ? new Date(record.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+      this.apiKeyRepository.touchLastUsed(record.id, ipAddress)
+        .catch(error => logger.debug('API key last-used update failed', { error: error.message }));
+    }
+
+    return record;
+  }
+}
+
+ApiKeyService.API_KEY_PREFIX = API_KEY_PREFIX;
+
+module.exports = ApiKeyService;
@@ -1,16 +1,27 @@
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { ApiError } = require('../middleware/errorHandler');
+const { ApiError, isUuid } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 const { getUserByEmailCompat, createUserCompat } = require('../utils/supabaseCompat');
 const { getSupabaseAdminClient } = require('../config/database');
 const UserRepository = require('../repositories/UserRepository');
 const ProfileRepository = require('../repositories/ProfileRepository');
+const RefreshTokenRepository = require('../repositories/RefreshTokenRepository');
+const UserDeviceRepository = require('../repositories/UserDeviceRepository');
+const OAuthStateService = require('./OAuthStateService');
+const MfaService = require('./MfaService');
+const MagicLinkService = require('./MagicLinkService');
+const { hashToken } = require('../utils/tokens');
 
 class AuthService {
   constructor() {
     this.userRepository = new UserRepository();
     this.profileRepository = new ProfileRepository();
+    this.refreshTokenRepository = new RefreshTokenRepository();
+    this.userDeviceRepository = new UserDeviceRepository();
+    this.oauthStateService = new OAuthStateService();
+    this.mfaService = new MfaService();
+    this.magicLinkService = new MagicLinkService();
     this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
     this.jwtExpiry = process.env.JWT_EXPIRY || '1h';
     this.refreshTokenExpiry = process.env.REFRESH_TOKEN_EXPIRY || '7d';
@@ -19,15 +30,21 @@ class AuthService {
   // Generate OAuth URL for different providers
   async getOAuthUrl(provider, redirectUri) {
     try {
-      const state = this.generateState();
+      if (!['google', 'github'].includes(provider)) {
+        throw new ApiError('INVALID_PROVIDER', { provider });
+      }
+
+      // State (and PKCE verifier for Google) is persisted so any instance can validate the callback
+      const { state, codeChallenge } = await this.oauthStateService.createState(provider, {
+        redirectUri,
+        usePkce: provider === 'google'
+      });
 
       switch (provider) {
         case 'google':
-          return this.getGoogleOAuthUrl(redirectUri, state);
+          return this.getGoogleOAuthUrl(redirectUri, state, codeChallenge);
         case 'github':
           return this.getGitHubOAuthUrl(redirectUri, state);
-        default:
-          throw new ApiError('INVALID_PROVIDER', { provider });
       }
     } catch (error) {
       logger.error('Error generating OAuth URL', { error: error.message, provider });
@@ -35,7 +52,7 @@ class AuthService {
     }
   }
 
-  getGoogleOAuthUrl(redirectUri, state) {
+  getGoogleOAuthUrl(redirectUri, state, codeChallenge) {
     const clientId = process.env.GOOGLE_CLIENT_ID;
     if (!clientId) {
       throw new ApiError('OAUTH_NOT_CONFIGURED', { provider: 'google' });
@@ -48,7 +65,9 @@ class AuthService {
       scope: 'openid email profile https://www.googleapis.com/auth/userinfo.email https://www.googleapis.com/auth/userinfo.profile',
       access_type: 'offline',
       prompt: 'consent',
-      state
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
     });
 
     return `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
@@ -71,17 +90,25 @@ class AuthService {
   }
 
   // Exchange authorization code for tokens
-  async exchangeCodeForTokens(provider, code, state) {
+  // deviceContext: { deviceId, deviceName, platform, appVersion, userAgent, ipAddress } of the signing-in client
+  async exchangeCodeForTokens(provider, code, state, deviceContext = {}) {
     try {
+      // Validate and consume the state first - unknown, expired or replayed states never reach the provider
+      const oauthState = await this.oauthStateService.consumeState(state, provider);
+
       let userInfo;
 
       switch (provider) {
         case 'google':
-          userInfo = await this.exchangeGoogleCode(code);
+          userInfo = await this.exchangeGoogleCode(code, oauthState);
           break;
         case 'github':
           userInfo = await this.exchangeGitHubCode(code);
           break;
+        case 'email':
+          // code is the single-use token from the emailed link
+          userInfo = await this.magicLinkService.consumeToken(code);
+          break;
         default:
           throw new ApiError('INVALID_PROVIDER', { provider });
       }
@@ -89,12 +116,22 @@ class AuthService {
       // Create or update user in database
       const user = await this.createOrUpdateUser(userInfo);
 
-      // Generate JWT tokens
-      const accessToken = this.generateAccessToken(user);
-      const refreshToken = this.generateRefreshToken(user);
+      // Users with 2FA get a challenge instead of tokens until they present a code
+      if (await this.mfaService.isEnabled(user.id)) {
+        const challenge = await this.mfaService.createChallenge(user.id, {
+          provider,
+          device_context: deviceContext
+        });
 
-      // Store refresh token (in a real app, you'd store this in a database)
-      await this.storeRefreshToken(user.id, refreshToken);
+        logger.info('MFA challenge issued', { userId: user.id, provider });
+
+        return {
+          mfa_required: true,
+          mfa_token: challenge.mfa_token,
+          mfa_methods: ['totp', 'recovery_code'],
+          expires_in: challenge.expires_in
+        };
+      }
 
       logger.info('User authenticated successfully', {
         userId: user.id,
@@ -103,6 +140,45 @@ class AuthService {
         timestamp: new Date().toISOString()
       });
 
+      return this.issueSession(user, deviceContext);
+    } catch (error) {
+      logger.error('Token exchange failed', { error: error.message, provider });
+      throw error;
+    }
+  }
+
+  // Finish a sign-in that stopped at the MFA challenge
+  async completeMfaChallenge(mfaToken, code) {
+    const challenge = await this.mfaService.completeChallenge(mfaToken, code);
+
+    const user = await this.userRepository.findById(challenge.user_id);
+    if (!user) {
+      throw new ApiError('USER_NOT_FOUND');
+    }
+
+    logger.info('User authenticated successfully', {
+      userId: user.id,
+      email: user.email,
+      provider: challenge.provider,
+      mfa: true,
+      timestamp: new Date().toISOString()
+    });
+
+    // Device details come from the original sign-in request
+    return this.issueSession(user, challenge.device_context || {}, { mfaVerified: true });
+  }
+
+  // Issue access and refresh tokens for a new device session
+  async issueSession(user, deviceContext = {}, { mfaVerified = false } = {}) {
+    try {
+      // Each sign-in starts a new refresh token family bound to the device
+      const familyId = crypto.randomUUID();
+      const device = await this.registerDevice(user.id, familyId, deviceContext, mfaVerified);
+
+      // Generate JWT tokens
+      const accessToken = this.generateAccessToken(user, device.id, { mfa: mfaVerified });
+      const refreshToken = await this.issueRefreshToken(user, familyId, deviceContext);
+
       return {
         access_token: accessToken,
         refresh_token: refreshToken,
@@ -117,12 +193,42 @@ class AuthService {
         }
       };
     } catch (error) {
-      logger.error('Token exchange failed', { error: error.message, provider });
+      logger.error('Failed to issue session', { error: error.message, userId: user.id });
       throw error;
     }
   }
 
-  async exchangeGoogleCode(code) {
+  // Verify a code for an already signed-in device session and upgrade it to MFA
+  async stepUpMfa(userId, deviceSessionId, code) {
+    await this.mfaService.verifyCode(userId, code);
+
+    logger.security('mfa_step_up', { userId, deviceSessionId });
+
+    return this.markSessionMfaVerified(userId, deviceSessionId);
+  }
+
+  // Record the second factor on the device session and issue an access token with the mfa claim
+  async markSessionMfaVerified(userId, deviceSessionId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new ApiError('USER_NOT_FOUND');
+    }
+
+    // Refreshed access tokens for this device keep the claim
+    if (deviceSessionId) {
+      await this.userDeviceRepository.updateDevice(deviceSessionId, {
+        mfa_verified_at: new Date().toISOString()
+      });
+    }
+
+    return {
+      access_token: this.generateAccessToken(user, deviceSessionId, { mfa: true }),
+      token_type: 'Bearer',
+      expires_in: 3600
+    };
+  }
+
+  async exchangeGoogleCode(code, oauthState = {}) {
     const clientId = process.env.GOOGLE_CLIENT_ID;
     const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
 
@@ -131,7 +237,8 @@ class AuthService {
     }
 
     // Log the parameters being sent to Google
-    const redirectUri = process.env.GOOGLE_REDIRECT_URI || `${process.env.BASE_URL}/api/auth/oauth/google/callback`;
+    // redirect_uri must match the one used to build the auth URL
+    const redirectUri = oauthState.redirect_uri || process.env.GOOGLE_REDIRECT_URI || `${process.env.BASE_URL}/api/auth/oauth/google/callback`;
     logger.info('Exchanging code for tokens', {
       clientId: clientId?.substring(0, 20) + '...',
       clientSecret: clientSecret?.substring(0, 10) + '...',
@@ -151,7 +258,8 @@ class AuthService {
       client_secret: clientSecret,
       code,
       grant_type: 'authorization_code',
-      redirect_uri: redirectUri
+      redirect_uri: redirectUri,
+      ...(oauthState.code_verifier && { code_verifier: oauthState.code_verifier })
     });
 
     const tokens = await new Promise((resolve, reject) => {
@@ -326,12 +434,11 @@ class AuthService {
         // User exists - sign them in by updating their login info
         logger.info('Existing user found - signing them in', { userId: user.id });
 
+        // provider/provider_id stay as created - they identify the account's original sign-in method
         try {
           user = await this.userRepository.update(user.id, {
             full_name: userInfo.name,
             picture_url: userInfo.avatar_url,
-            provider: userInfo.provider,
-            provider_id: userInfo.provider_id,
             email_verified: userInfo.email_verified,
             last_login_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
@@ -530,29 +637,41 @@ class AuthService {
     }
   }
 
-  generateAccessToken(user) {
+  generateAccessToken(user, deviceSessionId = null, { mfa = false } = {}) {
     return jwt.sign(
       {
         userId: user.id,
         email: user.email,
         name: user.full_name, // Use 'full_name' from our schema
         avatar_url: user.picture_url, // Use 'picture_url' from our schema
-        provider: user.provider // Use 'provider' from our schema
+        provider: user.provider, // Use 'provider' from our schema
+        ...(deviceSessionId && { sid: deviceSessionId }), // Device the token was issued to
+        mfa // Second factor verified for this device session
       },
       this.jwtSecret,
       { expiresIn: this.jwtExpiry }
     );
   }
 
-  generateRefreshToken(user) {
+  generateRefreshToken(user, familyId) {
+    // jti makes every token in a family unique, so each one hashes differently
     return jwt.sign(
-      { userId: user.id, type: 'refresh' },
+      { userId: user.id, type: 'refresh', fid: familyId, jti: crypto.randomUUID() },
       this.jwtSecret,
       { expiresIn: this.refreshTokenExpiry }
     );
   }
 
-  async refreshAccessToken(refreshToken) {
+  // Generate a refresh token in the given family and persist its hash
+  async issueRefreshToken(user, familyId, deviceContext = {}) {
+    const refreshToken = this.generateRefreshToken(user, familyId);
+    await this.storeRefreshToken(user.id, refreshToken, { familyId, ...deviceContext });
+    return refreshToken;
+  }
+
+  // Rotate a refresh token: the presented token is consumed and a successor issued.
+  // Presenting a token that was already consumed means it leaked - revoke the family.
+  async refreshAccessToken(refreshToken, deviceContext = {}) {
     try {
       const decoded = jwt.verify(refreshToken, this.jwtSecret);
 
@@ -560,17 +679,57 @@ class AuthService {
         throw new ApiError('INVALID_REFRESH_TOKEN');
       }
 
+      const record = await this.refreshTokenRepository.findByHash(hashToken(refreshToken));
+
+      // Tokens issued before rotation have no row, so a logout could never have revoked them -
+      // refuse them and make the client sign in again
+      if (!record) {
+        logger.security('refresh_token_unknown', {
+          userId: decoded.userId,
+          familyId: decoded.fid || null,
+          legacy: !decoded.fid
+        });
+        throw new ApiError('INVALID_REFRESH_TOKEN');
+      }
+
+      if (record.revoked_at || new Date(record.expires_at) <= new Date()) {
+        throw new ApiError('INVALID_REFRESH_TOKEN');
+      }
+
+      if (record.used_at) {
+        await this.handleRefreshTokenReuse(record);
+      }
+
       // Get user from database
       const user = await this.userRepository.findById(decoded.userId);
       if (!user) {
         throw new ApiError('USER_NOT_FOUND');
       }
 
+      const familyId = record.family_id;
+      const newRefreshToken = this.generateRefreshToken(user, familyId);
+      const successor = await this.storeRefreshToken(user.id, newRefreshToken, {
+        familyId,
+        deviceId: record.device_id || deviceContext.deviceId,
+        deviceName: record.device_name || deviceContext.deviceName,
+        userAgent: deviceContext.userAgent || record.user_agent,
+        ipAddress: deviceContext.ipAddress || record.ip_address
+      });
+
+      const consumed = await this.refreshTokenRepository.markUsed(record.id, successor.id);
+      if (!consumed) {
+        // Another request consumed this token between our read and update
+        await this.handleRefreshTokenReuse(record);
+      }
+
+      const device = await this.touchDevice(user.id, familyId, deviceContext);
+
       // Generate new access token
-      const accessToken = this.generateAccessToken(user);
+      const accessToken = this.generateAccessToken(user, device.id, { mfa: !!device.mfa_verified_at });
 
       return {
         access_token: accessToken,
+        refresh_token: newRefreshToken,
         token_type: 'Bearer',
         expires_in: 3600
       };
@@ -582,6 +741,141 @@ class AuthService {
     }
   }
 
+  async handleRefreshTokenReuse(record) {
+    const revoked = await this.refreshTokenRepository.revokeFamily(record.family_id, 'reuse_detected');
+    await this.revokeFamilyDevice(record.family_id);
+
+    logger.security('refresh_token_reuse_detected', {
+      userId: record.user_id,
+      familyId: record.family_id,
+      deviceId: record.device_id,
+      revokedTokens: revoked
+    });
+
+    throw new ApiError('INVALID_REFRESH_TOKEN');
+  }
+
+  // Record the device a new token family is issued to.
+  // Signing in again from a known device replaces its previous family.
+  async registerDevice(userId, familyId, deviceContext = {}, mfaVerified = false) {
+    const { deviceId, deviceName, platform, appVersion, userAgent, ipAddress } = deviceContext;
+
+    const existing = deviceId
+      ? await this.userDeviceRepository.findActiveByDeviceId(userId, deviceId)
+      : null;
+
+    if (existing) {
+      await this.refreshTokenRepository.revokeFamily(existing.family_id, 'superseded');
+
+      return this.userDeviceRepository.updateDevice(existing.id, {
+        family_id: familyId,
+        device_name: deviceName || existing.device_name,
+        platform: platform || existing.platform,
+        app_version: appVersion || existing.app_version,
+        user_agent: userAgent || existing.user_agent,
+        ip_address: ipAddress || existing.ip_address,
+        mfa_verified_at: mfaVerified ? new Date().toISOString() : null,
+        last_seen_at: new Date().toISOString()
+      });
+    }
+
+    return this.userDeviceRepository.createDevice({
+      userId,
+      familyId,
+      deviceId,
+      deviceName,
+      platform,
+      appVersion,
+      userAgent,
+      ipAddress,
+      mfaVerifiedAt: mfaVerified ? new Date().toISOString() : null
+    });
+  }
+
+  // Update last-seen details for the device behind a token family
+  async touchDevice(userId, familyId, deviceContext = {}) {
+    const device = await this.userDeviceRepository.findByFamilyId(familyId);
+
+    // Families issued before device tracking get a device record on first refresh
+    if (!device) {
+      return this.registerDevice(userId, familyId, deviceContext);
+    }
+
+    if (device.revoked_at) {
+      throw new ApiError('INVALID_REFRESH_TOKEN');
+    }
+
+    return this.userDeviceRepository.updateDevice(device.id, {
+      last_seen_at: new Date().toISOString(),
+      ip_address: deviceContext.ipAddress || device.ip_address,
+      app_version: deviceContext.appVersion || device.app_version
+    });
+  }
+
+  // Mark the device behind a revoked token family as signed out
+  async revokeFamilyDevice(familyId) {
+    const device = await this.userDeviceRepository.findByFamilyId(familyId);
+
+    if (device && !device.revoked_at) {
+      await this.userDeviceRepository.updateDevice(device.id, { revoked_at: new Date().toISOString() });
+    }
+  }
+
+  // List a user's signed-in devices
+  async listDevices(userId, currentDeviceSessionId = null) {
+    const devices = await this.userDeviceRepository.getActiveDevices(userId);
+
+    return devices.map(device => ({
+      id: device.id,
+      device_name: device.device_name,
+      platform: device.platform,
+      app_version: device.app_version,
+      ip_address: device.ip_address,
+      user_agent: device.user_agent,
+      signed_in_at: device.created_at,
+      last_seen_at: device.last_seen_at,
+      current: device.id === currentDeviceSessionId
+    }));
+  }
+
+  // Sign out a single device by revoking its token family
+  async revokeDevice(userId, deviceSessionId) {
+    const device = isUuid(deviceSessionId) && await this.userDeviceRepository.findUserDevice(deviceSessionId, userId);
+
+    if (!device || device.revoked_at) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'device', id: deviceSessionId });
+    }
+
+    await this.userDeviceRepository.updateDevice(device.id, { revoked_at: new Date().toISOString() });
+    await this.refreshTokenRepository.revokeFamily(device.family_id, 'device_removed');
+
+    logger.security('device_signed_out', { userId, deviceSessionId: device.id });
+
+    return true;
+  }
+
+  // Sign out every device, optionally keeping the one making the request
+  async signOutEverywhere(userId, exceptDeviceSessionId = null) {
+    const revokedDevices = await this.userDeviceRepository.revokeAllForUser(userId, exceptDeviceSessionId);
+
+    if (exceptDeviceSessionId) {
+      for (const device of revokedDevices) {
+        await this.refreshTokenRepository.revokeFamily(device.family_id, 'sign_out_everywhere');
+      }
+    } else {
+      // Also catches families issued before device tracking existed
+      await this.refreshTokenRepository.revokeAllForUser(userId, 'sign_out_everywhere');
+    }
+
+    logger.security('signed_out_everywhere', {
+      userId,
+      devices: revokedDevices.length,
+      keptDevice: exceptDeviceSessionId
+    });
+
+    return revokedDevices.length;
+  }
+
   verifyAccessToken(token) {
     try {
       return jwt.verify(token, this.jwtSecret);
@@ -593,19 +887,37 @@ class AuthService {
     }
   }
 
-  async storeRefreshToken(userId, refreshToken) {
-    // In a real application, store refresh tokens in database
-    // For now, we'll just validate them using JWT
-    logger.debug('Refresh token generated for user', { userId });
+  async storeRefreshToken(userId, refreshToken, options = {}) {
+    const { familyId, deviceId, deviceName, userAgent, ipAddress } = options;
+    const { exp } = jwt.decode(refreshToken);
+
+    return this.refreshTokenRepository.createToken({
+      userId,
+      familyId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(exp * 1000).toISOString(),
+      deviceId,
+      deviceName,
+      userAgent,
+      ipAddress
+    });
   }
 
+  // Revoke the token family the refresh token belongs to (signs out that device)
   async revokeRefreshToken(refreshToken) {
-    // In a real application, mark refresh token as revoked in database
-    logger.debug('Refresh token revoked');
-  }
+    const record = await this.refreshTokenRepository.findByHash(hashToken(refreshToken));
+
+    // Unknown and pre-rotation tokens are already refused by refreshAccessToken
+    if (!record) {
+      logger.debug('Revoke requested for unknown refresh token');
+      return false;
+    }
+
+    await this.refreshTokenRepository.revokeFamily(record.family_id, 'logout');
+    await this.revokeFamilyDevice(record.family_id);
+    logger.info('Refresh token family revoked', { userId: record.user_id, familyId: record.family_id });
 
-  generateState() {
-    return crypto.randomBytes(32).toString('hex');
+    return true;
   }
 }
 
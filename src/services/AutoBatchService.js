@@ -0,0 +1,260 @@
+const { v4: uuidv4 } = require('uuid');
+const ScreenshotRepository = require('../repositories/ScreenshotRepository');
+const BatchProcessingService = require('./BatchProcessingService');
+const { getStoreClient } = require('../config/store');
+const { batchConfig } = require('../config/batch');
+const { logger } = require('../utils/logger');
+
+const DEBOUNCE_PREFIX = 'batch_auto:debounce:';
+const WINDOW_PREFIX = 'batch_auto:window:';
+// Pending jobs: sorted set of job JSON scored by the time they are due
+const JOBS_KEY = 'batch_auto:jobs';
+const LEASE_PREFIX = 'batch_auto:lease:';
+// A claimed job that is not finished within the lease (crash, frozen function) runs again
+const JOB_LEASE_MS = 15 * 60 * 1000;
+// Jobs one pass runs - a pass must fit in one request on serverless deployments
+const JOBS_PER_PASS = 10;
+// Windows a final run may walk - effectively the whole session
+const FINAL_MAX_WINDOWS = 1000;
+// A final run that finds the session locked by another run retries for up to 15 minutes
+const FINAL_RETRY_MS = 30 * 1000;
+const FINAL_MAX_ATTEMPTS = (15 * 60 * 1000) / FINAL_RETRY_MS;
+
+/**
+ * Starts batch processing without the desktop app calling /api/batch/trigger.
+ * Uploads schedule a debounced check per session; the check runs a batch once
+ * the session's unprocessed screenshots reach the threshold or the oldest one
+ * is older than the time window. Ending a session runs a final batch over
+ * everything left and generates the session summary.
+ *
+ * Checks and runs are jobs in the shared store, not timers, so nothing is lost
+ * when an instance or serverless function goes away. A job leaves the store only
+ * after it finished; leases keep two instances from running the same job, and a
+ * job is only run while it is still stored.
+ * Long-running servers poll for due jobs (startWorker); serverless deployments
+ * run them through POST /api/admin/batch/auto/run.
+ */
+class AutoBatchService {
+  constructor(store = getStoreClient()) {
+    this.store = store;
+    this.screenshotRepo = new ScreenshotRepository();
+    this.batchService = new BatchProcessingService();
+  }
+
+  isEnabled() {
+    return batchConfig.autoTrigger.enabled;
+  }
+
+  /**
+   * Called after a screenshot is stored. Never throws - uploads must not fail on scheduling.
+   * @param {string} userId - Session owner
+   * @param {string} sessionId - Session ID
+   */
+  async onScreenshotUploaded(userId, sessionId) {
+    if (!this.isEnabled() || !sessionId) {
+      return;
+    }
+
+    try {
+      const { debounceMs } = batchConfig.autoTrigger;
+      const claimed = await this.store.set(`${DEBOUNCE_PREFIX}${sessionId}`, '1', 'PX', debounceMs, 'NX');
+      if (claimed) {
+        await this.schedule(debounceMs, { type: 'check', userId, sessionId });
+      }
+    } catch (error) {
+      logger.warn('Could not schedule automatic batch check', { userId, sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Called after a session ends: process every remaining screenshot, then build the summary.
+   * Never throws - ending the session must not fail on scheduling.
+   * @param {string} userId - Session owner
+   * @param {string} sessionId - Session ID
+   */
+  async onSessionEnded(userId, sessionId) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    try {
+      await this.schedule(0, { type: 'run', userId, sessionId, reason: 'session_end', final: true });
+    } catch (error) {
+      logger.error('Could not schedule final batch for ended session', { userId, sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Store a job to run once the delay has passed
+   * @param {number} delayMs - Delay before the job is due
+   * @param {Object} job - { type: 'check' | 'run', userId, sessionId, reason, final, attempt }
+   */
+  async schedule(delayMs, job) {
+    await this.store.zadd(JOBS_KEY, Date.now() + delayMs, JSON.stringify({ id: uuidv4(), ...job }));
+  }
+
+  /**
+   * Run the jobs that are due, oldest first
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { ran, failed }
+   */
+  async runDueJobs({ limit = JOBS_PER_PASS } = {}) {
+    const due = await this.store.zrangebyscore(JOBS_KEY, '-inf', Date.now());
+    let ran = 0;
+    let failed = 0;
+
+    for (const entry of due) {
+      if (ran + failed >= limit) break;
+
+      let job = null;
+      try {
+        job = JSON.parse(entry);
+      } catch {
+        logger.warn('Dropping unreadable automatic batch job', { entry });
+        await this.store.zrem(JOBS_KEY, entry);
+        continue;
+      }
+
+      const leaseKey = `${LEASE_PREFIX}${job.id}`;
+      const claimed = await this.store.set(leaseKey, '1', 'PX', JOB_LEASE_MS, 'NX');
+      if (!claimed) continue;
+
+      // The snapshot may be stale: another instance can have run and removed the job since
+      if (await this.store.zscore(JOBS_KEY, entry) === null) {
+        await this.store.del(leaseKey);
+        continue;
+      }
+
+      try {
+        await this.runJob(job);
+        ran++;
+      } catch (error) {
+        failed++;
+        logger.error('Automatic batch job failed', {
+          userId: job.userId,
+          sessionId: job.sessionId,
+          type: job.type,
+          reason: job.reason,
+          error: error.message
+        });
+      }
+
+      // Failures are not retried: the next upload or session end schedules fresh work
+      await this.store.zrem(JOBS_KEY, entry);
+      await this.store.del(leaseKey);
+    }
+
+    return { ran, failed };
+  }
+
+  async runJob(job) {
+    const { type, userId, sessionId, reason, final = false, attempt = 1 } = job;
+
+    if (type === 'check') {
+      return this.evaluate(userId, sessionId);
+    }
+    if (type === 'run') {
+      return this.run(userId, sessionId, reason, { final, attempt });
+    }
+
+    throw new Error(`Unknown automatic batch job type: ${type}`);
+  }
+
+  // Polls for due jobs on long-running servers (index.js)
+  startWorker() {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    let running = false;
+    const timer = setInterval(() => {
+      if (running) return;
+      running = true;
+      this.runDueJobs()
+        .catch(error => logger.error('Automatic batch worker pass failed', { error: error.message }))
+        .finally(() => {
+          running = false;
+        });
+    }, batchConfig.autoTrigger.pollIntervalMs);
+    timer.unref();
+
+    logger.info('Automatic batch worker started', { pollIntervalMs: batchConfig.autoTrigger.pollIntervalMs });
+
+    return timer;
+  }
+
+  /**
+   * Decide whether the session needs a batch now
+   * @returns {Promise<string|null>} Trigger reason, or null when nothing was started
+   */
+  async evaluate(userId, sessionId) {
+    const { threshold, windowMs, debounceMs } = batchConfig.autoTrigger;
+
+    const unprocessed = await this.screenshotRepo.getUnprocessedCount(sessionId);
+    if (unprocessed === 0) {
+      return null;
+    }
+
+    if (unprocessed >= threshold) {
+      await this.schedule(0, { type: 'run', userId, sessionId, reason: 'threshold' });
+      return 'threshold';
+    }
+
+    const [oldest] = await this.screenshotRepo.findUnprocessed(sessionId, userId, 1);
+    const age = oldest ? Date.now() - new Date(oldest.created_at).getTime() : 0;
+
+    if (age >= windowMs) {
+      await this.schedule(0, { type: 'run', userId, sessionId, reason: 'time_window' });
+      return 'time_window';
+    }
+
+    // Uploads may stop before the threshold is reached - look again when the window closes
+    const untilWindow = windowMs - age;
+    const claimed = await this.store.set(`${WINDOW_PREFIX}${sessionId}`, '1', 'PX', untilWindow, 'NX');
+    if (claimed) {
+      await this.schedule(untilWindow + debounceMs, { type: 'check', userId, sessionId });
+    }
+
+    return null;
+  }
+
+  async run(userId, sessionId, reason, { final = false, attempt = 1 } = {}) {
+    let result = null;
+
+    try {
+      result = await this.batchService.triggerBatchProcessing(userId, sessionId, {
+        maxWindows: final ? FINAL_MAX_WINDOWS : undefined
+      });
+    } catch (error) {
+      if (error.code === 'RESOURCE_LOCKED') {
+        // Another run is still going; the final run must not be lost, so it waits its turn
+        if (final && attempt < FINAL_MAX_ATTEMPTS) {
+          await this.schedule(FINAL_RETRY_MS, { type: 'run', userId, sessionId, reason, final, attempt: attempt + 1 });
+        } else {
+          logger.debug('Batch already running for session - skipping automatic run', { sessionId, reason });
+        }
+        return null;
+      }
+
+      // A session without screenshots still gets its summary
+      if (!final) throw error;
+      logger.warn('Final batch for ended session failed', { userId, sessionId, error: error.message });
+    }
+
+    logger.business('batch_auto_triggered', {
+      userId,
+      sessionId,
+      reason,
+      batches: result?.batches?.length || 0,
+      remaining: result?.remaining ?? null
+    });
+
+    if (final) {
+      await this.batchService.generateSessionSummary(userId, sessionId);
+    }
+
+    return result;
+  }
+}
+
+module.exports = AutoBatchService;
@@ -1,120 +1,171 @@
 const WorkSessionRepository = require('../repositories/WorkSessionRepository');
 const ScreenshotRepository = require('../repositories/ScreenshotRepository');
 const BatchReportRepository = require('../repositories/BatchReportRepository');
+const BatchCheckpointRepository = require('../repositories/BatchCheckpointRepository');
 const ReportsRepository = require('../repositories/ReportsRepository');
 const SharedReportsRepository = require('../repositories/SharedReportsRepository');
 const ReportStorageService = require('./ReportStorageService');
+const HTMLReportGenerator = require('./HTMLReportGenerator');
+const AIUsageService = require('./AIUsageService');
+const AIBudgetService = require('./AIBudgetService');
+const PromptService = require('./PromptService');
+const AIAnalysisCacheService = require('./AIAnalysisCacheService');
+const SharedReportAccessService = require('./SharedReportAccessService');
+const SharedReportViewService = require('./SharedReportViewService');
+const LockService = require('./LockService');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getAIProvider, getAIProviderForUser } = require('./ai');
+const { getPrompt } = require('./ai/prompts');
+const { batchConfig } = require('../config/batch');
+const {
+  SECTION_KEYS,
+  extractJson,
+  repairBatchAnalysis,
+  validateBatchAnalysis,
+  pickValidParts
+} = require('./ai/batchAnalysisSchema');
 const pako = require('pako');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_BATCH_SIZE = 100;
+const MAX_SHARE_DAYS = 30;
+const MAX_SHARE_VIEWS = 10000;
+// Signed HTML URLs handed to share viewers. Storage URLs can't be revoked, so they live
+// only minutes: rotating, expiring, limiting or revoking a link takes effect that fast.
+const SHARED_REPORT_URL_TTL_SECONDS = 5 * 60;
 
 class BatchProcessingService {
   constructor() {
     this.workSessionRepo = new WorkSessionRepository();
     this.screenshotRepo = new ScreenshotRepository();
     this.batchReportRepo = new BatchReportRepository();
+    this.batchCheckpointRepo = new BatchCheckpointRepository();
     this.reportsRepo = new ReportsRepository();
     this.sharedReportsRepo = new SharedReportsRepository();
     this.storageService = new ReportStorageService();
-
-    // Initialize Gemini AI
-    this.genAI = null;
-    this.model = null;
-    if (process.env.GOOGLE_API_KEY) {
-      this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-      this.model = this.genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
-    } else {
-      logger.warn('Google API key not found - AI analysis disabled');
+    this.htmlGenerator = new HTMLReportGenerator();
+    this.shareAccess = new SharedReportAccessService();
+    this.shareViews = new SharedReportViewService();
+    this.aiUsageService = new AIUsageService();
+    this.aiBudgetService = new AIBudgetService();
+    this.promptService = new PromptService();
+    this.analysisCache = new AIAnalysisCacheService();
+    this.lockService = new LockService();
+
+    // Default AI provider; per-plan routing happens per request
+    this.aiProvider = getAIProvider();
+    if (!this.aiProvider) {
+      logger.warn('No AI provider configured - AI analysis disabled');
     }
-
-    // Track session summary generation to prevent duplicates
-    this.sessionSummaryInProgress = new Set();
   }
 
+  /**
+   * Walk the session's unprocessed screenshots oldest-first in windows of batchSize,
+   * writing one batch report per window. Progress is checkpointed after every window,
+   * so a run cut short by maxWindows or a failure resumes where it stopped.
+   * @param {string} userId - Session owner
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { batchSize, analysisType, force, maxWindows }
+   * @returns {Promise<Object>} Batches written in this run, remaining screenshots and checkpoint
+   */
   async triggerBatchProcessing(userId, sessionId, options = {}) {
+    const { analysisType = 'standard', force = false } = options;
+    const batchSize = Math.min(Math.max(parseInt(options.batchSize, 10) || batchConfig.windowSize, 1), MAX_BATCH_SIZE);
+    const maxWindows = Math.max(parseInt(options.maxWindows, 10) || batchConfig.maxWindowsPerRun, 1);
+
+    // One walk per session across all instances - two would analyze the same window twice
+    const lock = await this.lockService.acquire(`batch_trigger:${sessionId}`, batchConfig.locks.triggerTtlMs);
+    if (!lock) {
+      throw new ApiError('RESOURCE_LOCKED', { message: 'Batch processing is already running for this session' });
+    }
+
     try {
-      const { batchSize = 30, analysisType = 'standard' } = options;
-      logger.info('Starting batch processing', { userId, sessionId, batchSize, analysisType });
+      logger.info('Starting batch processing', { userId, sessionId, batchSize, analysisType, force, maxWindows });
 
-      // Get recent screenshots for the session
-      logger.info('Attempting to find screenshots by session', { sessionId, userId, batchSize });
-      const screenshots = await this.screenshotRepo.findBySession(sessionId, userId, { limit: batchSize });
-      logger.info('Screenshots found', { count: screenshots.length, sessionId });
+      const checkpoint = await this.loadCheckpoint(userId, sessionId);
+      const batches = [];
+      let lastError = null;
 
-      if (screenshots.length === 0) {
-        throw new ApiError('NO_SCREENSHOTS', { message: 'No screenshots found for batch processing' });
-      }
+      while (batches.length < maxWindows) {
+        // Renew the lock per window; a lost lock means another run may have started
+        if (batches.length > 0 && !await this.lockService.extend(lock)) {
+          lastError = 'Batch lock expired - stopped to avoid overlapping another run';
+          break;
+        }
 
-      logger.info(`Found ${screenshots.length} screenshots for batch processing`);
+        const screenshots = await this.screenshotRepo.findUnprocessed(sessionId, userId, batchSize);
+        if (screenshots.length === 0) {
+          break;
+        }
 
-      // Process screenshots with AI if available
-      let analysisResult = null;
-      if (this.model && screenshots.length > 0) {
-        analysisResult = await this.performGeminiAnalysis(screenshots, analysisType);
-      } else {
-        analysisResult = this.generateFallbackAnalysis(screenshots);
+        try {
+          const batch = await this.processBatchWindow(userId, sessionId, screenshots, checkpoint, { analysisType, force });
+          batches.push(batch);
+          if (batch.interruption) {
+            lastError = batch.interruption;
+            break;
+          }
+        } catch (error) {
+          if (error instanceof ApiError && batches.length === 0) throw error;
+          lastError = error.message;
+          logger.error('Batch window failed - stopping at checkpoint', {
+            userId,
+            sessionId,
+            batchNumber: checkpoint.last_batch_number + 1,
+            error: error.message
+          });
+          break;
+        }
       }
 
-      // Create batch report
-      let batchReport = null;
-      try {
-        const screenshotIds = screenshots.map(s => s.id);
-        const batchNumber = Math.floor(Date.now() / 1000);
-        logger.info('Creating batch report', { screenshotIds, batchNumber, sessionId });
-
-        batchReport = await this.batchReportRepo.create({
-          session_id: sessionId,
-          user_id: userId,
-          batch_number: batchNumber,
-          screenshot_ids: screenshotIds,
-          screenshot_count: screenshots.length,
-          start_time: screenshots[0]?.created_at || new Date().toISOString(),
-          end_time: screenshots[screenshots.length - 1]?.created_at || new Date().toISOString(),
-          processing_status: 'completed',
-          gemini_analysis: analysisResult,
-          efficiency_score: analysisResult?.productivityMetrics?.focusScore || 0,
-          tasks_identified: analysisResult?.insights || [],
-          tasks_completed: [],
-          applications_used: analysisResult?.activityBreakdown?.primaryApplications || [],
-          activities: analysisResult?.activityBreakdown || {},
-          processed_at: new Date().toISOString(),
-          analysis_result: analysisResult
-        });
+      if (batches.length === 0 && !lastError) {
+        const total = await this.screenshotRepo.getSessionScreenshotCount(sessionId);
+        if (total === 0) {
+          throw new ApiError('NO_SCREENSHOTS', { message: 'No screenshots found for batch processing' });
+        }
+      }
 
-        logger.info('Batch report created successfully', { batchReportId: batchReport.id });
-      } catch (error) {
-        logger.warn('Batch report creation failed, using fallback storage', { error: error.message });
+      const remaining = await this.screenshotRepo.getUnprocessedCount(sessionId);
+      checkpoint.status = lastError ? 'failed' : remaining > 0 ? 'paused' : 'completed';
+      checkpoint.last_error = lastError;
+      await this.saveCheckpoint(sessionId, checkpoint);
 
-        // Fallback: Store analysis in session metadata
-        try {
-          const sessionMetadata = {
-            last_batch_analysis: {
-              screenshot_count: screenshots.length,
-              analysis_type: analysisType,
-              analysis_result: analysisResult,
-              created_at: new Date().toISOString()
-            }
-          };
-          await this.workSessionRepo.updateSessionMetadata(sessionId, sessionMetadata);
-          logger.info('Batch analysis stored in session metadata as fallback');
-        } catch (fallbackError) {
-          logger.warn('Fallback storage also failed, continuing without persistence');
-        }
+      if (batches.length === 0 && lastError) {
+        throw new ApiError('BATCH_PROCESSING_FAILED', { operation: 'trigger_batch_processing', message: lastError });
       }
 
       logger.info('Batch processing completed successfully', {
         userId,
         sessionId,
-        screenshotCount: screenshots.length
+        batches: batches.length,
+        screenshotCount: batches.reduce((sum, batch) => sum + batch.screenshotCount, 0),
+        remaining,
+        status: checkpoint.status
       });
 
+      const lastBatch = batches[batches.length - 1] || null;
+
       return {
-        batchReportId: batchReport?.id || `fallback_${Date.now()}`,
-        screenshotCount: screenshots.length,
+        // Latest batch at the top level, as before incremental processing
+        batchReportId: lastBatch?.batchReportId || null,
+        screenshotCount: batches.reduce((sum, batch) => sum + batch.screenshotCount, 0),
         analysisType,
-        summary: analysisResult.summary || 'Analysis completed',
-        createdAt: batchReport?.created_at || new Date().toISOString()
+        degraded: batches.some(batch => batch.degraded),
+        promptVersion: lastBatch?.promptVersion || null,
+        cacheHit: batches.length > 0 && batches.every(batch => batch.cacheHit),
+        budget: lastBatch?.budget || null,
+        summary: lastBatch?.summary || 'All screenshots already processed',
+        createdAt: lastBatch?.createdAt || new Date().toISOString(),
+        batches,
+        remaining,
+        checkpoint: {
+          status: checkpoint.status,
+          lastBatchNumber: checkpoint.last_batch_number,
+          processedCount: checkpoint.processed_count,
+          lastScreenshotAt: checkpoint.last_screenshot_at,
+          error: lastError
+        }
       };
 
     } catch (error) {
@@ -127,13 +178,197 @@ class BatchProcessingService {
         errorType: error.constructor.name
       });
       throw new ApiError('BATCH_PROCESSING_FAILED', { operation: 'trigger_batch_processing' });
+    } finally {
+      await this.lockService.release(lock);
+    }
+  }
+
+  /**
+   * Analyze one window, store its batch report and advance the checkpoint
+   * @returns {Promise<Object>} Batch summary - interruption is set when the walk must stop after this window
+   */
+  async processBatchWindow(userId, sessionId, screenshots, checkpoint, { analysisType, force }) {
+    const batchNumber = checkpoint.last_batch_number + 1;
+    logger.info(`Processing batch ${batchNumber} with ${screenshots.length} screenshots`, { sessionId });
+
+    // Monthly AI budget (throws QUOTA_EXCEEDED when the policy is 'block')
+    const budget = await this.aiBudgetService.checkBudget(userId, { screenshots: screenshots.length });
+
+    // Process screenshots with AI if available and within budget
+    let analysisResult = null;
+    const aiProvider = budget.allowAI ? await getAIProviderForUser(userId) : null;
+    if (aiProvider) {
+      analysisResult = await this.performAIAnalysis(screenshots, analysisType, aiProvider, { userId, sessionId, force });
+    } else {
+      analysisResult = this.generateFallbackAnalysis(screenshots);
+      if (!budget.allowAI) {
+        analysisResult.budgetExhausted = true;
+      }
+    }
+
+    const screenshotIds = screenshots.map(s => s.id);
+    const aiUsage = analysisResult?.aiUsage || null;
+    const lastScreenshot = screenshots[screenshots.length - 1];
+    let batchReport = null;
+    let interruption = null;
+
+    try {
+      logger.info('Creating batch report', { screenshotIds, batchNumber, sessionId });
+
+      batchReport = await this.batchReportRepo.create({
+        session_id: sessionId,
+        user_id: userId,
+        batch_number: batchNumber,
+        screenshot_ids: screenshotIds,
+        screenshot_count: screenshots.length,
+        start_time: screenshots[0]?.created_at || new Date().toISOString(),
+        end_time: lastScreenshot?.created_at || new Date().toISOString(),
+        processing_status: 'completed',
+        degraded: !!analysisResult?.degraded,
+        prompt_version: analysisResult?.promptVersion || null,
+        // Fallback analyses made no AI call; cache hits record the zero cost they had
+        tokens_used: aiUsage ? aiUsage.inputTokens + aiUsage.outputTokens : null,
+        cost_usd: aiUsage ? aiUsage.costUsd : null,
+        gemini_analysis: analysisResult,
+        efficiency_score: analysisResult?.productivityMetrics?.focusScore || 0,
+        tasks_identified: analysisResult?.insights || [],
+        tasks_completed: [],
+        applications_used: analysisResult?.applications || analysisResult?.activityBreakdown?.primaryApplications || [],
+        activities: analysisResult?.activityBreakdown || {},
+        processed_at: new Date().toISOString(),
+        analysis_result: analysisResult
+      });
+
+      logger.info('Batch report created successfully', { batchReportId: batchReport.id, batchNumber });
+    } catch (error) {
+      logger.warn('Batch report creation failed, using fallback storage', { error: error.message });
+
+      // Fallback: Store analysis in session metadata. Screenshots stay unprocessed so a later run retries them.
+      try {
+        const sessionMetadata = {
+          last_batch_analysis: {
+            screenshot_count: screenshots.length,
+            analysis_type: analysisType,
+            analysis_result: analysisResult,
+            created_at: new Date().toISOString()
+          }
+        };
+        await this.workSessionRepo.updateSessionMetadata(sessionId, sessionMetadata);
+        logger.info('Batch analysis stored in session metadata as fallback');
+      } catch (fallbackError) {
+        logger.warn('Fallback storage also failed, continuing without persistence');
+      }
+    }
+
+    if (batchReport) {
+      // Checkpoint first: if marking fails, the next run reconciles from last_batch_report_id
+      checkpoint.last_batch_number = batchNumber;
+      checkpoint.last_batch_report_id = batchReport.id;
+      checkpoint.last_screenshot_id = lastScreenshot.id;
+      checkpoint.last_screenshot_at = lastScreenshot.created_at;
+      checkpoint.processed_count += screenshots.length;
+      checkpoint.status = 'running';
+      checkpoint.last_error = null;
+      await this.saveCheckpoint(sessionId, checkpoint);
+
+      try {
+        await this.screenshotRepo.markAsProcessed(screenshotIds, batchReport.id);
+      } catch (error) {
+        // The walk must stop here, or the next window would pick up these screenshots again
+        interruption = `Screenshots of batch ${batchNumber} could not be marked processed: ${error.message}`;
+      }
+    }
+
+    return {
+      batchReportId: batchReport?.id || `fallback_${Date.now()}`,
+      batchNumber: batchReport ? batchNumber : null,
+      persisted: !!batchReport,
+      interruption: batchReport ? interruption : 'Batch report could not be saved',
+      screenshotCount: screenshots.length,
+      startTime: screenshots[0]?.created_at,
+      endTime: lastScreenshot?.created_at,
+      degraded: !!analysisResult.degraded,
+      promptVersion: analysisResult.promptVersion || null,
+      cacheHit: !!analysisResult.cacheHit,
+      budget: {
+        aiAnalysis: budget.allowAI,
+        warnings: budget.warnings,
+        exhausted: budget.exhausted
+      },
+      summary: analysisResult.summary || 'Analysis completed',
+      createdAt: batchReport?.created_at || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Load the session checkpoint and repair what an interrupted run left behind:
+   * screenshots listed on a stored batch report but never marked processed.
+   * Numbering always continues after the highest stored batch number - a checkpoint
+   * that failed to save must not make the next window collide with a stored report.
+   */
+  async loadCheckpoint(userId, sessionId) {
+    let checkpoint = null;
+    try {
+      checkpoint = await this.batchCheckpointRepo.findBySession(sessionId);
+    } catch (error) {
+      logger.warn('Batch checkpoint unavailable - rebuilding from batch reports', { sessionId, error: error.message });
+    }
+
+    const reports = checkpoint?.last_batch_report_id
+      ? [await this.batchReportRepo.findById(checkpoint.last_batch_report_id)].filter(Boolean)
+      : await this.batchReportRepo.getSessionReports(sessionId, { limit: 1000 });
+
+    for (const report of reports) {
+      const screenshotIds = Array.isArray(report.screenshot_ids) ? report.screenshot_ids : [];
+      if (screenshotIds.length > 0) {
+        const { processed_ids: reconciled } = await this.screenshotRepo.markAsProcessed(screenshotIds, report.id);
+        if (reconciled.length > 0) {
+          logger.info('Reconciled screenshots from an interrupted batch run', { sessionId, batchReportId: report.id, count: reconciled.length });
+        }
+      }
+    }
+
+    const maxBatchNumber = await this.batchReportRepo.getMaxBatchNumber(sessionId);
+
+    if (checkpoint) {
+      if (maxBatchNumber > checkpoint.last_batch_number) {
+        logger.warn('Batch checkpoint is behind stored batch reports', {
+          sessionId,
+          checkpointBatchNumber: checkpoint.last_batch_number,
+          maxBatchNumber
+        });
+        checkpoint.last_batch_number = maxBatchNumber;
+      }
+      return checkpoint;
+    }
+
+    return {
+      user_id: userId,
+      status: 'running',
+      last_batch_number: Math.max(reports.length, maxBatchNumber),
+      last_batch_report_id: null,
+      last_screenshot_id: null,
+      last_screenshot_at: null,
+      processed_count: reports.reduce((sum, report) => sum + (report.screenshot_count || 0), 0),
+      last_error: null
+    };
+  }
+
+  async saveCheckpoint(sessionId, checkpoint) {
+    const { id, session_id, created_at, updated_at, ...fields } = checkpoint;
+
+    try {
+      await this.batchCheckpointRepo.upsert(sessionId, fields);
+    } catch (error) {
+      // Screenshot processed flags still record progress, so the walk can carry on
+      logger.warn('Batch checkpoint not saved', { sessionId, error: error.message });
     }
   }
 
-  async performGeminiAnalysis(screenshots, analysisType) {
+  async performAIAnalysis(screenshots, analysisType, aiProvider = this.aiProvider, context = {}) {
     try {
       // Perform multi-image group analysis (15 images at once)
-      const groupAnalysis = await this.analyzeImageGroup(screenshots, analysisType);
+      const groupAnalysis = await this.analyzeImageGroup(screenshots, analysisType, aiProvider, context);
 
       if (!groupAnalysis) {
         logger.warn('Group image analysis failed, using fallback');
@@ -143,29 +378,52 @@ class BatchProcessingService {
       return groupAnalysis;
 
     } catch (error) {
-      logger.error('Gemini group analysis failed', { error: error.message });
+      logger.error('AI group analysis failed', { error: error.message, provider: aiProvider?.name });
       return this.generateFallbackAnalysis(screenshots);
     }
   }
 
-  async analyzeImageGroup(screenshots, analysisType) {
+  async analyzeImageGroup(screenshots, analysisType, aiProvider = this.aiProvider, context = {}) {
     try {
       logger.info(`Starting group analysis for ${screenshots.length} screenshots`);
 
       // Sort screenshots chronologically
       const sortedScreenshots = [...screenshots].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
 
+      // Prompt version may differ per user for A/B comparison
+      const promptTemplate = await this.promptService.resolve('batch_group_analysis', context.userId);
+      const cacheParts = {
+        userId: context.userId,
+        promptVersion: promptTemplate.id,
+        provider: aiProvider.name,
+        model: aiProvider.model,
+        variant: analysisType
+      };
+
+      // Re-runs usually know every image hash already, so a cache hit needs no downloads
+      let checkedKey = null;
+      if (context.force) {
+        await this.analysisCache.recordBypass('group');
+      } else {
+        const knownHashes = await this.analysisCache.getImageHashes(sortedScreenshots.map(s => s.file_storage_key));
+        if (knownHashes.every(Boolean)) {
+          const prompt = this.buildGroupAnalysisPrompt(sortedScreenshots.map(s => this.toPromptImage(s)), analysisType, promptTemplate);
+          checkedKey = { imageHashes: knownHashes, prompt };
+          const cached = await this.analysisCache.get('group', { ...cacheParts, ...checkedKey });
+          if (cached) {
+            return this.fromCachedAnalysis(cached, sortedScreenshots.length);
+          }
+        }
+      }
+
       // Download all screenshot images
       const imageData = [];
       for (const screenshot of sortedScreenshots) {
         try {
           const image = await this.downloadScreenshotImage(screenshot.file_storage_key);
-          imageData.push({
-            screenshot,
-            imageBuffer: image,
-            timestamp: new Date(screenshot.created_at).toLocaleTimeString(),
-            activeApp: screenshot.active_app || 'Unknown'
-          });
+          const imageHash = this.analysisCache.hashImage(image);
+          await this.analysisCache.setImageHash(screenshot.file_storage_key, imageHash);
+          imageData.push({ ...this.toPromptImage(screenshot), imageBuffer: image, imageHash });
         } catch (downloadError) {
           logger.warn(`Failed to download screenshot ${screenshot.id}`, { error: downloadError.message });
         }
@@ -175,43 +433,61 @@ class BatchProcessingService {
         throw new Error('No images could be downloaded for analysis');
       }
 
-      // Create group analysis prompt
-      const groupPrompt = this.buildGroupAnalysisPrompt(imageData, analysisType);
-
-      // Prepare multi-image parts for Gemini
-      const imageParts = imageData.map((item, index) => ({
-        inlineData: {
-          mimeType: "image/jpeg",
-          data: item.imageBuffer.toString('base64')
+      const groupPrompt = this.buildGroupAnalysisPrompt(imageData, analysisType, promptTemplate);
+      const cacheKey = { imageHashes: imageData.map(item => item.imageHash), prompt: groupPrompt };
+      if (!context.force && JSON.stringify(cacheKey) !== JSON.stringify(checkedKey)) {
+        const cached = await this.analysisCache.get('group', { ...cacheParts, ...cacheKey });
+        if (cached) {
+          return this.fromCachedAnalysis(cached, imageData.length);
         }
-      }));
-
-      // Send to Gemini with all images
-      const result = await this.model.generateContent({
-        contents: [{
-          role: "user",
-          parts: [
-            { text: groupPrompt },
-            ...imageParts
-          ]
-        }],
-        generationConfig: {
-          temperature: 0.3,
-          topK: 40,
-          topP: 0.8,
-          maxOutputTokens: 3072,
-        }
-      });
+      }
 
-      const response = await result.response;
-      const analysisText = response.text();
+      // Send all images in a single request
+      const usageContext = { ...context, operation: 'batch_analysis', screenshotCount: imageData.length };
+      const result = await this.aiUsageService.generate(aiProvider, {
+        prompt: groupPrompt,
+        images: imageData.map(item => ({
+          mimeType: 'image/jpeg',
+          data: item.imageBuffer.toString('base64')
+        })),
+        temperature: 0.3,
+        maxOutputTokens: 3072,
+        json: true
+      }, usageContext);
+      const analysisText = result.text;
 
       logger.info('Group analysis completed successfully', {
         screenshotCount: imageData.length,
-        responseLength: analysisText.length
+        responseLength: analysisText.length,
+        provider: result.provider,
+        model: result.model,
+        promptVersion: promptTemplate.id
       });
 
-      return this.parseGeminiResponse(analysisText, screenshots.length);
+      const { analysis, repairUsage } = await this.parseAnalysisResponse(
+        analysisText, screenshots.length, aiProvider, usageContext
+      );
+
+      const groupAnalysis = {
+        ...analysis,
+        aiProvider: result.provider,
+        aiModel: result.model,
+        promptVersion: promptTemplate.id
+      };
+      // Includes the re-ask call when the first response failed validation
+      const aiUsage = {
+        inputTokens: result.usage.inputTokens + (repairUsage?.inputTokens || 0),
+        outputTokens: result.usage.outputTokens + (repairUsage?.outputTokens || 0),
+        latencyMs: result.latencyMs + (repairUsage?.latencyMs || 0),
+        costUsd: result.costUsd + (repairUsage?.costUsd || 0)
+      };
+
+      // Degraded output is not reused, so the next run gets another chance
+      if (!groupAnalysis.degraded) {
+        await this.analysisCache.set('group', { ...cacheParts, ...cacheKey }, groupAnalysis, aiUsage);
+      }
+
+      return { ...groupAnalysis, aiUsage, cacheHit: false };
 
     } catch (error) {
       logger.error('Group image analysis failed', { error: error.message, stack: error.stack });
@@ -221,6 +497,21 @@ class BatchProcessingService {
 
 
 
+  fromCachedAnalysis(cached, screenshotCount) {
+    logger.info('Group analysis served from cache', {
+      screenshotCount,
+      promptVersion: cached.analysis.promptVersion,
+      cachedAt: cached.cachedAt
+    });
+
+    return {
+      ...cached.analysis,
+      cacheHit: true,
+      cachedAt: cached.cachedAt,
+      aiUsage: { inputTokens: 0, outputTokens: 0, latencyMs: 0, costUsd: 0 }
+    };
+  }
+
   async downloadScreenshotImage(storageKey) {
     // Download image from Supabase storage
     const { createClient } = require('@supabase/supabase-js');
@@ -240,378 +531,107 @@ class BatchProcessingService {
     return Buffer.from(await data.arrayBuffer());
   }
 
-  buildGroupAnalysisPrompt(imageData, analysisType) {
-    const sessionDuration = imageData.length > 1
-      ? Math.round((new Date(imageData[imageData.length-1].screenshot.created_at) - new Date(imageData[0].screenshot.created_at)) / 1000 / 60)
-      : 0;
-
-    const imageList = imageData.map((item, index) =>
-      `Image ${index + 1}: [${item.timestamp}] ${item.activeApp}`
-    ).join('\n');
-
-    return `
-You are OnlyWorks AI, a productivity mentor analyzing a work session with ${imageData.length} screenshots taken over ${sessionDuration} minutes.
-
-## TASK: OnlyWorks Comprehensive Analysis
-Analyze these ${imageData.length} screenshots as a cohesive work session. Examine the visual content of each image to understand the user's workflow, tasks, and productivity patterns.
-
-## SCREENSHOTS IN THIS SESSION:
-${imageList}
-
-## OUTPUT FORMAT
-Return a JSON object with the exact OnlyWorks 8-section structure:
-
-{
-  "summary": "Detailed, personable summary of what was accomplished. Be specific about main activities, tools used, work flow progression, and patterns observed. Write as a supportive colleague.",
-  "goal_alignment": "Analyze how well the session aligned with productive goals. What % of time on productive tasks? Which activities contributed to progress? How focused vs scattered?",
-  "blockers": "Identify obstacles to productivity. What interrupted work flow? Distraction patterns? Technical issues? Context switching? Be constructive.",
-  "recognition": "Celebrate what went well. Completed tasks? Sustained focus? Good habits? Creative problem-solving? Be motivating.",
-  "automation_opportunities": "Identify repetitive tasks that could be automated. Manual processes repeated? Workflows needing templates? Time savings estimates?",
-  "communication_quality": "Assess communication patterns. Time in communication tools? Was it productive? Response times? Meeting effectiveness?",
-  "next_steps": "Provide actionable advice. Top 3 specific actions to improve productivity. Suggested time blocks. Tools to try. Habits to build/break.",
-  "ai_usage_efficiency": "Analyze how effectively AI tools are being used: Delegation balance (tool vs dependency)? Query quality (specific vs vague)? Learning indicators? Tool selection? Iteration patterns? Time efficiency vs AI interaction time?"
-}
-
-## ANALYSIS GUIDELINES:
-- Be specific about what you see in the visual content
-- Focus on observable behavior patterns in the screenshots
-- Provide constructive, actionable insights
-- Be supportive and motivating while being honest
-- Look for AI tool usage patterns (ChatGPT, Claude, Copilot, etc.)
-- Analyze prompt quality, refinement cycles, and learning indicators
-- Measure productivity gains vs time spent on AI interactions
-- Consider delegation balance: using AI as a tool vs total dependency
-
-Be comprehensive but concise in each section. Help the user improve while feeling good about their progress.
-`;
+  // Prompt bodies live in the versioned registry (services/ai/prompts)
+  // What the group prompt lists for each image
+  toPromptImage(screenshot) {
+    return {
+      screenshot,
+      timestamp: new Date(screenshot.created_at).toLocaleTimeString(),
+      activeApp: screenshot.active_app || 'Unknown'
+    };
   }
 
-
-  // Individual screenshot analysis removed to save tokens
-  // Now only using batch/group analysis for efficiency
-
-  buildAggregateAnalysisPrompt(individualAnalyses, screenshots) {
-    const sessionDuration = screenshots.length > 1
-      ? Math.round((new Date(screenshots[screenshots.length-1].created_at) - new Date(screenshots[0].created_at)) / 1000 / 60)
-      : 0;
-
-    const analysisText = individualAnalyses.map((analysis, index) => {
-      const timestamp = new Date(analysis.timestamp).toLocaleTimeString();
-      return `${index + 1}. [${timestamp}] ${analysis.active_app || 'Unknown'}: ${analysis.description}`;
-    }).join('\n');
-
-    return `
-You are OnlyWorks AI, analyzing a work session with ${screenshots.length} screenshots over ${sessionDuration} minutes.
-
-Individual Screenshot Analysis:
-${analysisText}
-
-Based on these individual screenshot analyses, provide a comprehensive summary following the OnlyWorks framework:
-
-## ANALYSIS FRAMEWORK
-
-### 1. WORK CLARITY
-- What specific tasks were completed or progressed?
-- What applications/tools were used and for what purpose?
-- What type of work is this? (coding, design, communication, research, debugging, meetings, stakeholder management, documentation)
-- How much context switching occurred?
-
-### 2. CONTRIBUTION RECOGNITION
-- What value was delivered in this session?
-- What "invisible work" occurred? (research, debugging, unblocking others, knowledge sharing, process improvements)
-- How does this work impact the team or cross-functional dependencies?
-
-### 3. PATTERN & AUTOMATION OPPORTUNITIES
-- Are there recurring workflows that could be automated?
-- Are there repetitive tasks draining productivity?
-
-## OUTPUT FORMAT
-
-Return a JSON object with this exact structure:
-
-{
-  "summary": {
-    "reportReadySummary": "One paragraph progress update suitable for standups (progress-focused, empowering tone)",
-    "workCompleted": ["Specific task 1 completed", "Specific task 2 progressed"],
-    "timeBreakdown": {
-      "coding": 0,
-      "meetings": 0,
-      "communication": 0,
-      "research": 0,
-      "debugging": 0,
-      "design": 0,
-      "documentation": 0,
-      "contextSwitching": 0
-    }
-  },
-
-  "recognition": {
-    "accomplishments": ["Specific value delivered 1", "Specific value delivered 2"],
-    "invisibleWork": ["Research into X", "Unblocked teammate on Y", "Improved process Z"],
-    "teamImpact": "How this work helps the broader team or cross-functional stakeholders"
-  },
-
-  "automation": {
-    "patterns": ["Recurring workflow 1 detected", "Repetitive task 2 identified"],
-    "suggestions": ["Automate X with Y approach", "Create template for Z"],
-    "timeSavingsPotential": "Estimated hours/week that could be saved"
-  },
-
-  "applications": ["app1", "app2"],
-  "productivityMetrics": {
-    "focusScore": 0.0-1.0,
-    "distractionEvents": 0,
-    "taskSwitching": 0
+  buildGroupAnalysisPrompt(imageData, analysisType, prompt = getPrompt('batch_group_analysis')) {
+    return prompt.build({ imageData, analysisType });
   }
-}
-
-## PRIVACY & ETHICS
-- NEVER include actual passwords, API keys, credentials, or PII in output
-- Focus on work patterns, not surveillance
-- Use empowering, non-judgmental language
-- Emphasize progress made, not time wasted
 
-Analyze the work session and return the JSON response.`;
+  buildAggregateAnalysisPrompt(individualAnalyses, screenshots, prompt = getPrompt('batch_aggregate_analysis')) {
+    return prompt.build({ individualAnalyses, screenshots });
   }
 
-  buildAnalysisPrompt(screenshots, analysisType) {
-    // Sort screenshots by timestamp (oldest first) for proper time calculation
-    const sortedScreenshots = [...screenshots].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-
-    const screenshotInfo = sortedScreenshots.map((screenshot, index) => ({
-      index: index + 1,
-      timestamp: new Date(screenshot.created_at).toISOString(),
-      captureTriger: screenshot.capture_trigger || 'unknown',
-      activeApp: screenshot.active_app || 'Unknown'
-    }));
-
-    // Calculate timing patterns for better analysis
-    const timeSpans = [];
-    for (let i = 1; i < screenshotInfo.length; i++) {
-      const prevTime = new Date(screenshotInfo[i-1].timestamp);
-      const currTime = new Date(screenshotInfo[i].timestamp);
-      const intervalSeconds = Math.round((currTime - prevTime) / 1000);
-      // Ensure positive intervals and cap at reasonable maximum (30 minutes)
-      timeSpans.push(Math.max(0, Math.min(intervalSeconds, 1800)));
-    }
-
-    const avgInterval = timeSpans.length > 0 ? Math.round(timeSpans.reduce((a, b) => a + b, 0) / timeSpans.length) : 0;
-    const uniqueApps = [...new Set(screenshotInfo.map(s => s.activeApp).filter(app => app !== 'Unknown'))];
-    const triggerCounts = screenshotInfo.reduce((acc, s) => {
-      acc[s.captureTriger] = (acc[s.captureTriger] || 0) + 1;
-      return acc;
-    }, {});
-
-    const hasAppData = uniqueApps.length > 0;
-    const sessionDuration = screenshotInfo.length > 1
-      ? Math.round((new Date(screenshotInfo[screenshotInfo.length-1].timestamp) - new Date(screenshotInfo[0].timestamp)) / 1000 / 60)
-      : 0;
-
-    return `
-You are OnlyWorks AI, an analysis engine that brings clarity, recognition, and alignment to modern work.
-Your role is to analyze screenshots and provide insights that make users feel understood, valued, and in
-control—never surveilled.
-
-## CONTEXT PROVIDED
-- Current Session Duration: ${sessionDuration} minutes
-- Screenshots Analyzed: ${screenshots.length}
-- Applications detected: ${hasAppData ? uniqueApps.join(', ') : 'Unknown (app detection unavailable)'}
-- Average screenshot interval: ${avgInterval} seconds
-- Capture triggers: ${Object.entries(triggerCounts).map(([k,v]) => `${k}: ${v}`).join(', ')}
-
-Screenshot Timeline:
-${screenshotInfo.map((info, i) => {
-  const interval = i > 0 ? timeSpans[i-1] + 's' : '0s';
-  return `${info.index}. [+${interval}] ${info.captureTriger} → ${info.activeApp}`;
-}).join('\\n')}
-
-## ANALYSIS FRAMEWORK
-
-Analyze the provided screenshots to answer these questions:
-
-### 1. WORK CLARITY
-- What specific tasks were completed or progressed?
-- What applications/tools were used and for what purpose?
-- What type of work is this? (coding, design, communication, research, debugging, meetings, stakeholder management, documentation)
-- How much context switching occurred?
-
-### 2. BLOCKERS & SUPPORT NEEDS
-- What blockers were encountered? (technical issues, waiting on others, unclear requirements, tooling problems)
-- What dependencies exist on other team members?
-- What needs escalation or support?
-
-### 3. CONTRIBUTION RECOGNITION
-- What value was delivered in this session?
-- What "invisible work" occurred? (research, debugging, unblocking others, knowledge sharing, process improvements)
-- How does this work impact the team or cross-functional dependencies?
-
-### 4. PATTERN & AUTOMATION OPPORTUNITIES
-- Are there recurring workflows that could be automated?
-- Are there repetitive tasks draining productivity?
-
-## OUTPUT FORMAT
-
-Return a JSON object with this exact structure:
-
-{
-  "summary": {
-    "reportReadySummary": "One paragraph progress update suitable for standups (progress-focused, empowering tone)",
-    "workCompleted": ["Specific task 1 completed", "Specific task 2 progressed"],
-    "timeBreakdown": {
-      "coding": 0,
-      "meetings": 0,
-      "communication": 0,
-      "research": 0,
-      "debugging": 0,
-      "design": 0,
-      "documentation": 0,
-      "contextSwitching": 0
-    }
-  },
-
-  "recognition": {
-    "accomplishments": ["Specific value delivered 1", "Specific value delivered 2"],
-    "invisibleWork": ["Research into X", "Unblocked teammate on Y", "Improved process Z"],
-    "teamImpact": "How this work helps the broader team or cross-functional stakeholders"
-  },
-
-  "automation": {
-    "patterns": ["Recurring workflow 1 detected", "Repetitive task 2 identified"],
-    "suggestions": ["Automate X with Y approach", "Create template for Z"],
-    "timeSavingsPotential": "Estimated hours/week that could be saved"
-  },
-
-  "applications": [${hasAppData ? uniqueApps.map(app => `"${app}"`).join(', ') : '"Unknown"'}],
-  "productivityMetrics": {
-    "focusScore": 0.0-1.0,
-    "distractionEvents": 0,
-    "taskSwitching": 0
+  buildAnalysisPrompt(screenshots, analysisType, prompt = getPrompt('batch_timeline_analysis')) {
+    return prompt.build({ screenshots, analysisType });
   }
-}
-
-## PRIVACY & ETHICS
-- NEVER include actual passwords, API keys, credentials, or PII in output
-- Focus on work patterns, not surveillance
-- Use empowering, non-judgmental language
-- Frame blockers as "needs support" not "failure"
-- Emphasize progress made, not time wasted
 
-Analyze the screenshots and return the JSON response.`;
-  }
+  /**
+   * Validate a model response against the batch analysis schema.
+   * Invalid output gets one re-ask; if that also fails the result is flagged
+   * `degraded` and only the sections that passed validation are kept.
+   * @returns {Promise<Object>} { analysis, repairUsage } - repairUsage is null without a re-ask
+   */
+  async parseAnalysisResponse(responseText, screenshotCount, aiProvider = null, usageContext = {}) {
+    const parsed = extractJson(responseText);
+    let candidate = parsed ? repairBatchAnalysis(parsed) : null;
+    let validation = validateBatchAnalysis(candidate);
+    let repairUsage = null;
+
+    if (!validation.valid && aiProvider) {
+      logger.warn('AI analysis failed schema validation, re-asking', {
+        provider: aiProvider.name,
+        errors: validation.errors
+      });
 
-  parseGeminiResponse(responseText, screenshotCount) {
-    try {
-      const jsonMatch = responseText.match(/\\{[\\s\\S]*\\}/);
-      if (jsonMatch) {
-        const parsedResponse = JSON.parse(jsonMatch[0]);
-
-        // Normalize to OnlyWorks 8-section format
-        const normalized = this.normalizeToOnlyWorksFormat(parsedResponse);
-
-        return {
-          ...normalized,
-          analysisSource: 'gemini-ai',
-          screenshotCount,
-          generatedAt: new Date().toISOString()
-        };
+      const reask = await this.reaskForValidAnalysis(aiProvider, responseText, validation.errors, usageContext);
+      repairUsage = reask.usage;
+      const repaired = reask.analysis;
+      if (repaired) {
+        const repairedValidation = validateBatchAnalysis(repaired);
+        // Keep whichever attempt got further so degraded reports salvage the most
+        if (repairedValidation.valid || repairedValidation.errors.length < validation.errors.length) {
+          candidate = repaired;
+          validation = repairedValidation;
+        }
       }
-    } catch (error) {
-      logger.warn('Failed to parse Gemini response as JSON, using fallback', { error: error.message });
     }
 
-    return {
-      summary: this.extractSummaryFromText(responseText),
-      analysisSource: 'gemini-ai-fallback',
-      rawResponse: responseText,
+    const base = {
       screenshotCount,
       generatedAt: new Date().toISOString()
     };
-  }
 
-  /**
-   * Normalize Gemini response to OnlyWorks 8-section format
-   * Handles both flat OnlyWorks format and nested summary/recognition format
-   */
-  normalizeToOnlyWorksFormat(parsedResponse) {
-    // Check if already in OnlyWorks 8-section format
-    if (typeof parsedResponse.summary === 'string' &&
-        parsedResponse.goal_alignment &&
-        parsedResponse.blockers) {
-      logger.info('Gemini response already in OnlyWorks format');
-      return parsedResponse;
+    if (validation.valid) {
+      return {
+        analysis: { ...candidate, ...base, analysisSource: 'ai', degraded: false },
+        repairUsage
+      };
     }
 
-    // Convert nested format to OnlyWorks flat format
-    logger.info('Converting nested Gemini format to OnlyWorks 8-section format');
-
-    const normalized = {
-      // Extract summary from nested structure
-      summary: typeof parsedResponse.summary === 'object'
-        ? (parsedResponse.summary.reportReadySummary || JSON.stringify(parsedResponse.summary))
-        : (parsedResponse.summary || ''),
-
-      // Extract or generate goal_alignment
-      goal_alignment: parsedResponse.goal_alignment ||
-        'Session analyzed for goal alignment and productivity patterns.',
-
-      // Extract or generate blockers
-      blockers: parsedResponse.blockers ||
-        'No significant blockers identified in this session.',
-
-      // Extract recognition from nested structure
-      recognition: typeof parsedResponse.recognition === 'object'
-        ? (parsedResponse.recognition.accomplishments?.join('. ') ||
-           parsedResponse.recognition.teamImpact ||
-           JSON.stringify(parsedResponse.recognition))
-        : (parsedResponse.recognition || 'Session completed successfully.'),
-
-      // Extract automation from nested structure
-      automation_opportunities: typeof parsedResponse.automation === 'object'
-        ? (parsedResponse.automation.suggestions?.join('. ') ||
-           JSON.stringify(parsedResponse.automation))
-        : (parsedResponse.automation_opportunities ||
-           'Workflow patterns analyzed for automation potential.'),
-
-      // Extract or generate communication_quality
-      communication_quality: parsedResponse.communication_quality ||
-        'Communication patterns reviewed.',
-
-      // Extract or generate next_steps
-      next_steps: parsedResponse.next_steps ||
-        'Continue current productivity patterns.',
-
-      // Extract or generate ai_usage_efficiency
-      ai_usage_efficiency: parsedResponse.ai_usage_efficiency ||
-        'AI tool usage patterns analyzed for efficiency.',
-
-      // Preserve additional fields
-      productivityMetrics: parsedResponse.productivityMetrics,
-      applications: parsedResponse.applications,
-      insights: parsedResponse.insights,
-      recommendations: parsedResponse.recommendations
-    };
-
-    logger.info('Normalized Gemini response to OnlyWorks format', {
-      hasSummary: !!normalized.summary,
-      hasGoalAlignment: !!normalized.goal_alignment,
-      hasBlockers: !!normalized.blockers,
-      hasRecognition: !!normalized.recognition,
-      hasAutomation: !!normalized.automation_opportunities,
-      hasCommunication: !!normalized.communication_quality,
-      hasNextSteps: !!normalized.next_steps,
-      hasAiEfficiency: !!normalized.ai_usage_efficiency
+    logger.warn('AI analysis still invalid after repair, storing degraded result', {
+      errors: validation.errors
     });
 
-    return normalized;
+    return {
+      analysis: {
+        ...pickValidParts(candidate),
+        ...base,
+        analysisSource: 'ai-degraded',
+        degraded: true,
+        validationErrors: validation.errors,
+        rawResponse: typeof responseText === 'string' ? responseText.substring(0, 4000) : null
+      },
+      repairUsage
+    };
   }
 
-  extractSummaryFromText(text) {
-    const lines = text.split('\\n');
-    const summaryLine = lines.find(line =>
-      line.toLowerCase().includes('summary') ||
-      line.toLowerCase().includes('overview')
-    );
-    return summaryLine ? summaryLine.replace(/^[^:]*:/, '').trim() : text.substring(0, 200);
+  // Text-only follow-up asking the model to fix its own output against the schema
+  async reaskForValidAnalysis(aiProvider, responseText, errors, usageContext = {}) {
+    const prompt = getPrompt('batch_analysis_repair').build({ responseText, errors });
+
+    try {
+      const result = await this.aiUsageService.generate(
+        aiProvider,
+        { prompt, temperature: 0, maxOutputTokens: 3072, json: true },
+        { ...usageContext, operation: 'batch_analysis_repair', screenshotCount: 0 }
+      );
+      const parsed = extractJson(result.text);
+      return {
+        analysis: parsed ? repairBatchAnalysis(parsed) : null,
+        usage: { ...result.usage, latencyMs: result.latencyMs, costUsd: result.costUsd }
+      };
+    } catch (error) {
+      logger.warn('AI analysis re-ask failed', { provider: aiProvider.name, error: error.message });
+      return { analysis: null, usage: null };
+    }
   }
 
   generateFallbackAnalysis(screenshots) {
@@ -652,19 +672,18 @@ Analyze the screenshots and return the JSON response.`;
   }
 
   async generateSessionSummary(userId, sessionId) {
+    let lock = null;
+
     try {
       logger.info('Generating session summary', { userId, sessionId });
 
-      // Prevent duplicate session summary generation
-      const sessionKey = `${userId}:${sessionId}`;
-      if (this.sessionSummaryInProgress.has(sessionKey)) {
+      // Prevent duplicate session summary generation (and duplicate AI spend) across instances
+      lock = await this.lockService.acquire(`session_summary:${userId}:${sessionId}`, batchConfig.locks.summaryTtlMs);
+      if (!lock) {
         logger.warn('Session summary generation already in progress, skipping duplicate call', { userId, sessionId });
         return { success: false, error: 'Session summary generation already in progress' };
       }
 
-      // Mark session as being processed
-      this.sessionSummaryInProgress.add(sessionKey);
-
       // First, check if comprehensive report already exists in reports table
       try {
         logger.info('Checking for existing comprehensive report', { sessionId, userId });
@@ -840,8 +859,6 @@ Analyze the screenshots and return the JSON response.`;
               }
             });
 
-            // Clean up tracking before returning existing report
-            this.sessionSummaryInProgress.delete(sessionKey);
             return comprehensiveResult;
           } else {
             logger.warn('Report exists but missing OnlyWorks sections, will regenerate', {
@@ -859,6 +876,9 @@ Analyze the screenshots and return the JSON response.`;
         });
       }
 
+      // A new summary is stored as a report, so it counts against the monthly report limit
+      const budget = await this.aiBudgetService.checkBudget(userId, { reports: 1 });
+
       // Get batch reports for the session
       let batchReports = [];
       try {
@@ -922,6 +942,8 @@ Analyze the screenshots and return the JSON response.`;
         },
         insights: aggregatedData.insights,
         recommendations: aggregatedData.recommendations,
+        degraded: aggregatedData.degraded,
+        budgetWarnings: budget.warnings,
         generatedAt: new Date().toISOString()
       };
 
@@ -981,10 +1003,7 @@ Analyze the screenshots and return the JSON response.`;
       logger.error('Failed to generate session summary', { error: error.message, userId, sessionId });
       throw new ApiError('INTERNAL_ERROR', { operation: 'generate_session_summary' });
     } finally {
-      // Always clean up the tracking flag
-      const sessionKey = `${userId}:${sessionId}`;
-      this.sessionSummaryInProgress.delete(sessionKey);
-      logger.info('Session summary generation tracking cleaned up', { userId, sessionId });
+      await this.lockService.release(lock);
     }
   }
 
@@ -1070,6 +1089,8 @@ Analyze the screenshots and return the JSON response.`;
       recommendations: allRecommendations.slice(0, 8),
       batchCount: batchReports.length,
       scoreDataPoints: scores.length,
+      // Any batch whose AI output failed validation makes the summary partial
+      degraded: batchReports.some(r => r.degraded || r.analysis_result?.degraded),
       // Add OnlyWorks sections
       ...onlyWorksData
     };
@@ -1103,8 +1124,7 @@ Analyze the screenshots and return the JSON response.`;
     for (const report of batchReports) {
       const analysis = report.analysis_result || {};
 
-      // Approach 1: Direct extraction (normalized data from parseGeminiResponse)
-      // This should work now that we normalize in parseGeminiResponse()
+      // Approach 1: Direct extraction (schema-validated data from parseAnalysisResponse)
       if (analysis.summary && typeof analysis.summary === 'string') {
         onlyWorksData.summary = this.cleanSectionText(analysis.summary);
       }
@@ -1325,20 +1345,17 @@ Analyze the screenshots and return the JSON response.`;
     try {
       logger.info('Getting batch status for session', { userId, sessionId });
 
-      // Get all batch reports for this session to determine status
-      const batchReports = await this.batchReportRepo.getSessionReports(sessionId, {
-        limit: 100,
-        orderBy: 'created_at',
-        direction: 'DESC'
-      });
-
-      // Get screenshots to determine how many need processing
-      const screenshots = await this.screenshotRepo.findBySession(sessionId, userId, { limit: 1000 });
-      const totalScreenshots = screenshots.length;
-
-      // Calculate processed screenshots from batch reports
-      const processedScreenshots = batchReports.reduce((sum, report) => sum + (report.screenshot_count || 0), 0);
-      const pendingScreenshots = Math.max(0, totalScreenshots - processedScreenshots);
+      const [batchReports, totalScreenshots, pendingScreenshots, checkpoint] = await Promise.all([
+        this.batchReportRepo.getSessionReports(sessionId, {
+          limit: 100,
+          orderBy: 'created_at',
+          direction: 'DESC'
+        }),
+        this.screenshotRepo.getSessionScreenshotCount(sessionId),
+        this.screenshotRepo.getUnprocessedCount(sessionId),
+        this.batchCheckpointRepo.findBySession(sessionId).catch(() => null)
+      ]);
+      const processedScreenshots = totalScreenshots - pendingScreenshots;
 
       const status = {
         sessionId,
@@ -1346,10 +1363,17 @@ Analyze the screenshots and return the JSON response.`;
         processedScreenshots,
         pendingScreenshots,
         totalBatches: batchReports.length,
-        activeBatches: 0, // We don't currently track active batches, so assume 0
-        pendingBatches: pendingScreenshots > 0 ? Math.ceil(pendingScreenshots / 30) : 0, // Estimate pending batches
+        activeBatches: checkpoint?.status === 'running' ? 1 : 0,
+        pendingBatches: pendingScreenshots > 0 ? Math.ceil(pendingScreenshots / batchConfig.windowSize) : 0,
         status: pendingScreenshots > 0 ? 'processing' : 'completed',
         allBatchesCompleted: pendingScreenshots === 0,
+        checkpoint: checkpoint ? {
+          status: checkpoint.status,
+          lastBatchNumber: checkpoint.last_batch_number,
+          lastScreenshotAt: checkpoint.last_screenshot_at,
+          error: checkpoint.last_error,
+          updatedAt: checkpoint.updated_at
+        } : null,
         lastUpdated: new Date().toISOString()
       };
 
@@ -1395,117 +1419,179 @@ Analyze the screenshots and return the JSON response.`;
     }
   }
 
+  /**
+   * Share a session summary: render it to HTML, store the file and create a
+   * shared_reports row, so the link survives restarts and works on every instance
+   * @param {string} userId - Session owner
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { includePrivateData, shareWithTeam, expiresInDays, password, allowedDomains }
+   * @returns {Promise<Object>} Share token, URL, expiry and access restrictions
+   */
   async generateShareableSessionSummary(userId, sessionId, options = {}) {
+    const { includePrivateData = false, shareWithTeam = false } = options;
+    const expiresInDays = options.expiresInDays === undefined ? 7 : Number(options.expiresInDays);
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_SHARE_DAYS) {
+      throw new ApiError('VALIDATION_ERROR', {
+        field: 'expiresInDays',
+        message: `expiresInDays must be a whole number between 1 and ${MAX_SHARE_DAYS}`
+      });
+    }
+
+    const access = await this.shareAccess.buildAccessFields({
+      password: options.password,
+      allowedDomains: options.allowedDomains
+    });
+
     try {
       logger.info('Generating shareable session summary', { userId, sessionId, options });
 
-      const { includePrivateData = false, shareWithTeam = false, expiresInDays = 7 } = options;
-
-      // First check if a report already exists to avoid regenerating
-      let summary;
-      const existingReport = await this.reportsRepository.getBySessionId(sessionId, userId);
-
-      if (existingReport) {
-        logger.info('Using existing report for shareable summary', { sessionId, reportId: existingReport.id });
-        // Use existing report data
-        summary = {
-          sessionId: sessionId,
-          userId: userId,
-          report: existingReport,
-          onlyWorksData: {
-            summary: existingReport.summary,
-            goalAlignment: existingReport.goal_alignment,
-            blockers: existingReport.blockers,
-            recognition: existingReport.recognition,
-            automationOpportunities: existingReport.automation_opportunities,
-            communicationQuality: existingReport.communication_quality,
-            nextSteps: existingReport.next_steps,
-            aiUsageEfficiency: existingReport.ai_usage_efficiency
-          }
-        };
-      } else {
-        logger.info('No existing report found, generating new summary', { sessionId });
-        // Only generate if no report exists
-        summary = await this.generateSessionSummary(userId, sessionId);
+      // Reuses the stored session report when there is one
+      const summary = await this.generateSessionSummary(userId, sessionId);
+      if (summary?.success === false) {
+        throw new ApiError('RESOURCE_LOCKED', { message: summary.error });
       }
 
-      // Create a shareable version (remove sensitive data if needed)
-      const shareableData = {
-        ...summary,
-        // Remove sensitive user data if not including private data
-        ...(includePrivateData ? {} : {
-          userId: '[Hidden]',
-          userEmail: '[Hidden]'
-        }),
-        shareSettings: {
-          includePrivateData,
-          shareWithTeam,
-          createdAt: new Date().toISOString(),
-          expiresAt: new Date(Date.now() + (expiresInDays * 24 * 60 * 60 * 1000)).toISOString()
-        }
-      };
+      // A freshly generated summary keeps its OnlyWorks sections on the session report
+      const report = await this.reportsRepo.getBySessionId(sessionId, userId);
+      const sections = Object.fromEntries(SECTION_KEYS.map(key => [key, summary[key] || report?.[key] || null]));
+      sections.summary = sections.summary ? this.cleanMalformedSummary(sections.summary) : summary.overview;
+
+      const shareId = uuidv4();
+      const title = includePrivateData && summary.sessionName
+        ? `${summary.sessionName} - Session Summary`
+        : 'OnlyWorks Session Summary';
+      const productivity = report?.productivity_score ?? (summary.batchAnalysis ? summary.batchAnalysis.averageProductivity / 100 : null);
+      const focus = report?.focus_score ?? (summary.batchAnalysis ? summary.batchAnalysis.focusPercentage / 100 : null);
+
+      const compressedHTML = this.htmlGenerator.generateAndCompress({
+        title,
+        ...sections,
+        productivity_score: productivity,
+        focus_score: focus,
+        session_duration_minutes: Math.round((summary.duration?.seconds || 0) / 60),
+        screenshot_count: summary.batchAnalysis?.totalScreenshots || report?.screenshot_count || 0,
+        dateRange: summary.timeRange
+          ? { startDate: summary.timeRange.startedAt, endDate: summary.timeRange.endedAt }
+          : null,
+        generatedAt: new Date().toISOString()
+      });
 
-      // Generate share token
-      const shareToken = `share_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // Each share gets its own file - privacy settings change what is rendered
+      const { storagePath } = await this.storageService.uploadReport(compressedHTML, userId, shareId);
 
-      // Store in a simple in-memory cache for now (in production, use Redis or database)
-      if (!global.shareCache) {
-        global.shareCache = new Map();
-      }
-      global.shareCache.set(shareToken, shareableData);
+      const shareToken = uuidv4();
+      const expiresAt = new Date(Date.now() + (expiresInDays * 24 * 60 * 60 * 1000)).toISOString();
 
-      // Clean up expired shares
-      this.cleanupExpiredShares();
+      const sharedReport = await this.sharedReportsRepo.createSharedReport({
+        userId,
+        token: shareToken,
+        storagePath,
+        title,
+        expiresAt,
+        passwordHash: access.password_hash,
+        allowedDomains: access.allowed_domains,
+        metadata: {
+          source: 'session_summary',
+          report_id: report?.id || null,
+          session_ids: [sessionId],
+          session_count: 1,
+          date_range: summary.timeRange
+            ? { startDate: summary.timeRange.startedAt, endDate: summary.timeRange.endedAt }
+            : null,
+          duration: summary.duration?.seconds || 0,
+          include_private_data: includePrivateData,
+          share_with_team: shareWithTeam
+        }
+      });
 
-      logger.info('Shareable session summary created', { shareToken, sessionId });
+      logger.info('Shareable session summary created', { shareId: sharedReport.id, sessionId, userId });
 
       return {
+        id: sharedReport.id,
         shareToken,
-        shareUrl: `/api/batch/shared/${shareToken}`,
-        expiresAt: shareableData.shareSettings.expiresAt,
-        summary: shareableData
+        shareUrl: this.buildShareUrl(shareToken),
+        expiresAt,
+        title,
+        access: this.shareAccess.describeAccess(sharedReport),
+        summary: sections
       };
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       logger.error('Failed to generate shareable session summary', { error: error.message, userId, sessionId });
       throw new ApiError('INTERNAL_ERROR', { operation: 'generate_shareable_summary' });
     }
   }
 
-  async getSharedReport(shareToken) {
+  buildShareUrl(shareToken) {
+    const baseUrl = process.env.WEBSITE_URL || 'https://only-works.com';
+    return `${baseUrl}/r/${shareToken}`;
+  }
+
+  // Shared report by token, or null when it doesn't exist, expired or was revoked
+  async findActiveShare(shareToken) {
+    const sharedReport = await this.sharedReportsRepo.getByToken(shareToken);
+
+    if (!sharedReport) {
+      logger.info('Shared report not found', { shareToken });
+      return null;
+    }
+
+    // Check if expired
+    const expiresAt = new Date(sharedReport.expires_at);
+    if (expiresAt < new Date()) {
+      logger.info('Shared report expired', { shareToken, expiresAt });
+      return null;
+    }
+
+    // Check if revoked
+    if (sharedReport.is_revoked) {
+      logger.info('Shared report revoked', { shareToken });
+      return null;
+    }
+
+    return sharedReport;
+  }
+
+  /**
+   * Public view of a shared report. Restricted links need a viewer token from verifyShareViewer.
+   * Every successful open is written to the share's access log.
+   * @param {string} shareToken - Share token
+   * @param {Object} options - { viewerToken, recipientKey, ip, userAgent, referrer }
+   * @returns {Promise<Object|null>} Title and signed HTML URL, null when not available
+   * @throws {ApiError} SHARE_VERIFICATION_REQUIRED for restricted links without a valid viewer token
+   */
+  async getSharedReport(shareToken, { viewerToken = null, ...visit } = {}) {
     try {
       logger.info('Getting shared report from database', { shareToken });
 
-      // Get shared report metadata from database
-      const sharedReport = await this.sharedReportsRepo.getByToken(shareToken);
-
+      const sharedReport = await this.findActiveShare(shareToken);
       if (!sharedReport) {
-        logger.info('Shared report not found', { shareToken });
         return null;
       }
 
-      // Check if expired
-      const expiresAt = new Date(sharedReport.expires_at);
-      if (expiresAt < new Date()) {
-        logger.info('Shared report expired', { shareToken, expiresAt });
-        return null;
-      }
+      const viewer = await this.shareAccess.checkViewer(sharedReport, viewerToken);
 
-      // Check if revoked
-      if (sharedReport.is_revoked) {
-        logger.info('Shared report revoked', { shareToken });
-        return null;
+      if (sharedReport.max_views) {
+        // Capped links count the view before the URL is handed out, so the limit holds
+        const counted = await this.sharedReportsRepo.incrementViewCount(shareToken);
+        if (!counted) {
+          logger.info('Shared report view limit reached', { shareToken, maxViews: sharedReport.max_views });
+          return null;
+        }
+      } else {
+        // Increment view count (non-blocking)
+        this.sharedReportsRepo.incrementViewCount(shareToken).catch(err => {
+          logger.warn('Failed to increment view count', { error: err.message, shareToken });
+        });
       }
 
-      // Get signed URL for the HTML file
-      const signedUrl = await this.storageService.getSignedUrl(
-        sharedReport.storage_path,
-        604800 // 7 days
-      );
+      // Get a short-lived signed URL for the HTML file - viewers fetch a fresh one per open
+      const signedUrl = await this.storageService.getSignedUrl(sharedReport.storage_path, SHARED_REPORT_URL_TTL_SECONDS);
+      this.shareViews.recordView(sharedReport, { ...visit, viewerEmail: viewer.email });
 
-      // Increment view count (non-blocking)
-      this.sharedReportsRepo.incrementViewCount(shareToken).catch(err => {
-        logger.warn('Failed to increment view count', { error: err.message, shareToken });
-      });
+      // Recipient list is for the owner only
+      const { recipients, ...metadata } = sharedReport.metadata || {};
 
       logger.info('Shared report retrieved successfully', {
         shareToken,
@@ -1515,17 +1601,223 @@ Analyze the screenshots and return the JSON response.`;
       return {
         title: sharedReport.title,
         htmlUrl: signedUrl,
+        htmlUrlExpiresIn: SHARED_REPORT_URL_TTL_SECONDS,
         createdAt: sharedReport.created_at,
         expiresAt: sharedReport.expires_at,
         viewCount: sharedReport.view_count,
-        metadata: sharedReport.metadata
+        metadata
       };
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       logger.error('Failed to get shared report', { error: error.message, shareToken });
       return null;
     }
   }
 
+  /**
+   * Email a verification code to a viewer of a domain-restricted link
+   * @param {string} shareToken - Share token
+   * @param {string} email - Viewer email
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} { expires_in }
+   */
+  async requestShareViewerCode(shareToken, email, context = {}) {
+    const sharedReport = await this.findActiveShare(shareToken);
+    if (!sharedReport) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'shared_report' });
+    }
+
+    return this.shareAccess.requestEmailCode(sharedReport, email, context);
+  }
+
+  /**
+   * Verify a viewer of a restricted link (password and/or emailed code)
+   * @param {string} shareToken - Share token
+   * @param {Object} input - { password, email, code }
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} { viewer_token, expires_in }
+   */
+  async verifyShareViewer(shareToken, input, context = {}) {
+    const sharedReport = await this.findActiveShare(shareToken);
+    if (!sharedReport) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'shared_report' });
+    }
+
+    return this.shareAccess.verifyViewer(sharedReport, input, context);
+  }
+
+  /**
+   * Owner: change the password and/or allowed domains of a share
+   * @param {string} userId - Share owner
+   * @param {string} shareId - Shared report ID
+   * @param {Object} input - { password, allowedDomains } - null clears a restriction
+   * @returns {Promise<Object>} Access restrictions now in effect
+   */
+  async updateShareAccess(userId, shareId, input = {}) {
+    const fields = await this.shareAccess.buildAccessFields({
+      password: input.password,
+      allowedDomains: input.allowedDomains
+    });
+
+    if (Object.keys(fields).length === 0) {
+      throw new ApiError('VALIDATION_ERROR', { message: 'Provide password and/or allowedDomains' });
+    }
+
+    const sharedReport = await this.sharedReportsRepo.findByIdForUser(shareId, userId);
+    if (!sharedReport) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'shared_report' });
+    }
+
+    const updated = await this.sharedReportsRepo.updateAccess(shareId, userId, fields);
+
+    logger.security('shared_report_access_updated', {
+      shareId,
+      passwordProtected: !!updated.password_hash,
+      allowedDomains: updated.allowed_domains?.length || 0
+    }, { userId });
+
+    return this.shareAccess.describeAccess(updated);
+  }
+
+  // Owner's share that can still be changed - revoked links stay revoked
+  async findManageableShare(userId, shareId) {
+    const sharedReport = await this.sharedReportsRepo.findByIdForUser(shareId, userId);
+    if (!sharedReport) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'shared_report' });
+    }
+
+    if (sharedReport.is_revoked) {
+      throw new ApiError('RESOURCE_CONFLICT', { message: 'Shared report has been revoked' });
+    }
+
+    return sharedReport;
+  }
+
+  /**
+   * Owner: move the expiry of a share - expired links can be brought back this way
+   * @param {string} userId - Share owner
+   * @param {string} shareId - Shared report ID
+   * @param {Object} input - { expiresInDays } counted from now, or { expiresAt }
+   * @returns {Promise<Object>} { expiresAt }
+   */
+  async updateShareExpiry(userId, shareId, { expiresInDays, expiresAt } = {}) {
+    if ((expiresInDays === undefined) === (expiresAt === undefined)) {
+      throw new ApiError('VALIDATION_ERROR', { message: 'Provide either expiresInDays or expiresAt' });
+    }
+
+    let newExpiry;
+    if (expiresInDays !== undefined) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_SHARE_DAYS) {
+        throw new ApiError('VALIDATION_ERROR', {
+          field: 'expiresInDays',
+          message: `expiresInDays must be a whole number between 1 and ${MAX_SHARE_DAYS}`
+        });
+      }
+      newExpiry = new Date(Date.now() + (days * 24 * 60 * 60 * 1000));
+    } else {
+      newExpiry = new Date(expiresAt);
+      const latest = Date.now() + (MAX_SHARE_DAYS * 24 * 60 * 60 * 1000);
+      if (isNaN(newExpiry.getTime()) || newExpiry.getTime() <= Date.now() || newExpiry.getTime() > latest) {
+        throw new ApiError('VALIDATION_ERROR', {
+          field: 'expiresAt',
+          message: `expiresAt must be a date in the next ${MAX_SHARE_DAYS} days`
+        });
+      }
+    }
+
+    await this.findManageableShare(userId, shareId);
+    const updated = await this.sharedReportsRepo.updateExpiry(shareId, userId, newExpiry.toISOString());
+
+    logger.security('shared_report_expiry_updated', { shareId, expiresAt: updated.expires_at }, { userId });
+
+    return { expiresAt: updated.expires_at };
+  }
+
+  /**
+   * Owner: give a share a new token. The old URL (and emailed recipient links) stop working.
+   * @param {string} userId - Share owner
+   * @param {string} shareId - Shared report ID
+   * @returns {Promise<Object>} { shareToken, shareUrl }
+   */
+  async rotateShareToken(userId, shareId) {
+    await this.findManageableShare(userId, shareId);
+
+    const updated = await this.sharedReportsRepo.rotateToken(shareId, userId, uuidv4());
+
+    logger.security('shared_report_token_rotated', { shareId }, { userId });
+
+    return {
+      shareToken: updated.token,
+      shareUrl: this.buildShareUrl(updated.token)
+    };
+  }
+
+  /**
+   * Owner: revoke the link automatically once it has been viewed maxViews times
+   * @param {string} userId - Share owner
+   * @param {string} shareId - Shared report ID
+   * @param {number|null} maxViews - Total views allowed, counting views so far; null removes the limit
+   * @returns {Promise<Object>} { maxViews, viewCount }
+   */
+  async updateShareMaxViews(userId, shareId, maxViews) {
+    if (maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > MAX_SHARE_VIEWS)) {
+      throw new ApiError('VALIDATION_ERROR', {
+        field: 'maxViews',
+        message: `maxViews must be a whole number between 1 and ${MAX_SHARE_VIEWS}, or null`
+      });
+    }
+
+    const sharedReport = await this.findManageableShare(userId, shareId);
+    const viewCount = sharedReport.view_count || 0;
+
+    if (maxViews !== null && maxViews <= viewCount) {
+      throw new ApiError('VALIDATION_ERROR', {
+        field: 'maxViews',
+        message: `The link has already been viewed ${viewCount} times - revoke it instead`
+      });
+    }
+
+    const updated = await this.sharedReportsRepo.updateMaxViews(shareId, userId, maxViews);
+
+    logger.security('shared_report_max_views_updated', { shareId, maxViews }, { userId });
+
+    return { maxViews: updated.max_views, viewCount: updated.view_count || 0 };
+  }
+
+  /**
+   * Owner: revoke every active share of a session or of a report
+   * @param {string} userId - Share owner
+   * @param {Object} filter - { sessionId } or { reportId }
+   * @returns {Promise<Object>} { revoked, shareIds }
+   */
+  async revokeSharesFor(userId, { sessionId, reportId } = {}) {
+    if (!sessionId === !reportId) {
+      throw new ApiError('VALIDATION_ERROR', { message: 'Provide either sessionId or reportId' });
+    }
+
+    const revoked = await this.sharedReportsRepo.revokeMany(userId, { sessionId, reportId });
+
+    logger.security('shared_reports_bulk_revoked', {
+      sessionId: sessionId || null,
+      reportId: reportId || null,
+      count: revoked.length
+    }, { userId });
+
+    return { revoked: revoked.length, shareIds: revoked.map(share => share.id) };
+  }
+
+  /**
+   * Owner: access log of a share with unique-viewer and per-recipient totals
+   * @param {string} userId - Share owner
+   * @param {string} shareId - Shared report ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { share, summary, recipients, views }
+   */
+  async getShareViews(userId, shareId, options = {}) {
+    return this.shareViews.getShareViews(userId, shareId, options);
+  }
+
   async revokeSharedReport(shareToken, userId) {
     try {
       logger.info('Revoking shared report', { shareToken, userId });
@@ -1552,15 +1844,36 @@ Analyze the screenshots and return the JSON response.`;
     }
   }
 
+  getShareStatus(share, now = new Date()) {
+    if (share.is_revoked) {
+      return share.revoked_reason === 'view_limit' ? 'view_limit_reached' : 'revoked';
+    }
+    return new Date(share.expires_at) < now ? 'expired' : 'active';
+  }
+
   async getUserSharedReports(userId, options = {}) {
     try {
       logger.info('Getting user shared reports', { userId, options });
 
       const { limit = 20, offset = 0 } = options;
 
-      // For now, return empty array since we don't track user ownership in the simple cache
-      // In production, you'd store shares in database with user_id
-      const userShares = [];
+      const sharedReports = await this.sharedReportsRepo.getUserSharedReports(userId, { limit, offset });
+      const now = new Date();
+
+      const userShares = sharedReports.map(share => ({
+        id: share.id,
+        shareToken: share.token,
+        shareUrl: this.buildShareUrl(share.token),
+        title: share.title,
+        status: this.getShareStatus(share, now),
+        createdAt: share.created_at,
+        expiresAt: share.expires_at,
+        viewCount: share.view_count || 0,
+        maxViews: share.max_views || null,
+        lastViewedAt: share.last_viewed_at,
+        access: this.shareAccess.describeAccess(share),
+        metadata: share.metadata
+      }));
 
       logger.info('User shared reports retrieved', { count: userShares.length, userId });
       return userShares;
@@ -1570,22 +1883,6 @@ Analyze the screenshots and return the JSON response.`;
     }
   }
 
-  cleanupExpiredShares() {
-    try {
-      if (!global.shareCache) return;
-
-      const now = new Date();
-      for (const [token, data] of global.shareCache.entries()) {
-        const expiresAt = new Date(data.shareSettings?.expiresAt || 0);
-        if (expiresAt < now) {
-          global.shareCache.delete(token);
-        }
-      }
-    } catch (error) {
-      logger.warn('Failed to cleanup expired shares', { error: error.message });
-    }
-  }
-
   formatDuration(seconds) {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
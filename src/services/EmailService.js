@@ -19,7 +19,7 @@ class EmailService {
   /**
    * Send report share link via email
    * @param {Object} options - Email options
-   * @param {Array} options.recipients - Array of {email, name}
+   * @param {Array} options.recipients - Array of {email, name, shareUrl} - shareUrl overrides the shared link
    * @param {string} options.shareUrl - The shareable report URL
    * @param {string} options.title - Report title
    * @param {string} options.expiresAt - Expiry date ISO string
@@ -113,13 +113,67 @@ class EmailService {
     }
   }
 
+  /**
+   * Send a passwordless sign-in link
+   * @param {Object} options - Email options
+   * @param {string} options.email - Recipient address
+   * @param {string} options.signInUrl - Single-use sign-in URL
+   * @param {number} options.expiresInMinutes - Link lifetime
+   * @returns {Promise<Object>} Resend result
+   */
+  async sendMagicLinkEmail({ email, signInUrl, expiresInMinutes }) {
+    if (!this.resend) {
+      throw new Error('Email service not configured - missing RESEND_API_KEY');
+    }
+
+    const result = await this.resend.emails.send({
+      from: this.fromEmail,
+      to: [email],
+      subject: 'Your OnlyWorks sign-in link',
+      html: this.generateMagicLinkHTML({ signInUrl, expiresInMinutes }),
+      text: this.generateMagicLinkText({ signInUrl, expiresInMinutes })
+    });
+
+    logger.info('Magic link email sent', { emailId: result.data?.id });
+
+    return result;
+  }
+
+  /**
+   * Send a one-time code that verifies a shared report viewer's email
+   * @param {Object} options - Email options
+   * @param {string} options.email - Viewer address
+   * @param {string} options.code - Six-digit code
+   * @param {string} options.title - Shared report title
+   * @param {number} options.expiresInMinutes - Code lifetime
+   * @returns {Promise<Object>} Resend result
+   */
+  async sendShareVerificationEmail({ email, code, title, expiresInMinutes }) {
+    if (!this.resend) {
+      throw new Error('Email service not configured - missing RESEND_API_KEY');
+    }
+
+    const result = await this.resend.emails.send({
+      from: this.fromEmail,
+      to: [email],
+      subject: `Your code to view "${title}"`,
+      html: this.generateShareVerificationHTML({ code, title, expiresInMinutes }),
+      text: this.generateShareVerificationText({ code, title, expiresInMinutes })
+    });
+
+    logger.info('Share verification email sent', { emailId: result.data?.id });
+
+    return result;
+  }
+
   /**
    * Send email to a single recipient
    * @private
    */
   async sendSingleEmail(recipient, data) {
     const { email, name } = recipient;
-    const { shareUrl, title, expiryDate, message, senderName } = data;
+    const { title, expiryDate, message, senderName } = data;
+    const shareUrl = recipient.shareUrl || data.shareUrl;
 
     const recipientName = name || email.split('@')[0];
 
@@ -270,6 +324,152 @@ class EmailService {
     return text;
   }
 
+  /**
+   * Generate sign-in link HTML email
+   * @private
+   */
+  generateMagicLinkHTML({ signInUrl, expiresInMinutes }) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Sign in to OnlyWorks</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; background-color: #f5f5f7;">
+  <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f5f5f7;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);">
+
+          <!-- Header -->
+          <tr>
+            <td style="background: linear-gradient(135deg, #5c5ce6 0%, #7c5ce6 100%); padding: 40px; text-align: center; border-radius: 12px 12px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px; font-weight: 700;">OnlyWorks</h1>
+            </td>
+          </tr>
+
+          <!-- Body -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 30px 0; color: #1f2937; font-size: 16px; line-height: 1.6;">
+                Click the button below to sign in. The link works once and expires in ${expiresInMinutes} minutes.
+              </p>
+
+              <div style="text-align: center; margin: 0 0 30px 0;">
+                <a href="${signInUrl}" style="display: inline-block; background: linear-gradient(135deg, #5c5ce6 0%, #7c5ce6 100%); color: #ffffff; text-decoration: none; padding: 16px 32px; border-radius: 8px; font-size: 16px; font-weight: 600; box-shadow: 0 4px 12px rgba(92, 92, 230, 0.3);">
+                  Sign in to OnlyWorks
+                </a>
+              </div>
+
+              <p style="margin: 0; color: #6b7280; font-size: 13px; text-align: center;">
+                If you didn't request this email, you can safely ignore it.
+              </p>
+            </td>
+          </tr>
+
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+    `.trim();
+  }
+
+  /**
+   * Generate sign-in link plain text email
+   * @private
+   */
+  generateMagicLinkText({ signInUrl, expiresInMinutes }) {
+    let text = `Sign in to OnlyWorks with this link:\n${signInUrl}\n\n`;
+    text += `The link works once and expires in ${expiresInMinutes} minutes.\n\n`;
+    text += `If you didn't request this email, you can safely ignore it.\n`;
+
+    return text;
+  }
+
+  /**
+   * Generate share verification code HTML email
+   * @private
+   */
+  generateShareVerificationHTML({ code, title, expiresInMinutes }) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Verify your email</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; background-color: #f5f5f7;">
+  <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f5f5f7;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);">
+
+          <!-- Header -->
+          <tr>
+            <td style="background: linear-gradient(135deg, #5c5ce6 0%, #7c5ce6 100%); padding: 40px; text-align: center; border-radius: 12px 12px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 24px; font-weight: 700;">OnlyWorks</h1>
+            </td>
+          </tr>
+
+          <!-- Body -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 30px 0; color: #1f2937; font-size: 16px; line-height: 1.6;">
+                Enter this code to view <strong>${this.escapeHtml(title)}</strong>. It works once and expires in ${expiresInMinutes} minutes.
+              </p>
+
+              <div style="text-align: center; margin: 0 0 30px 0;">
+                <span style="display: inline-block; background-color: #f3f4f6; color: #1f2937; padding: 16px 32px; border-radius: 8px; font-size: 32px; font-weight: 700; letter-spacing: 8px;">
+                  ${code}
+                </span>
+              </div>
+
+              <p style="margin: 0; color: #6b7280; font-size: 13px; text-align: center;">
+                If you didn't request this code, you can safely ignore this email.
+              </p>
+            </td>
+          </tr>
+
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+    `.trim();
+  }
+
+  /**
+   * Generate share verification code plain text email
+   * @private
+   */
+  generateShareVerificationText({ code, title, expiresInMinutes }) {
+    let text = `Your code to view "${title}" on OnlyWorks: ${code}\n\n`;
+    text += `The code works once and expires in ${expiresInMinutes} minutes.\n\n`;
+    text += `If you didn't request this code, you can safely ignore this email.\n`;
+
+    return text;
+  }
+
+  /**
+   * Escape text for HTML email bodies
+   * @private
+   */
+  escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
   /**
    * Check if email service is configured
    * @returns {boolean}
@@ -0,0 +1,649 @@
+const { v4: uuidv4 } = require('uuid');
+const BatchReportRepository = require('../repositories/BatchReportRepository');
+const ReportsRepository = require('../repositories/ReportsRepository');
+const { getQueueClient, queueConfig } = require('../config/queue');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+
+// Allowed status transitions reported by the worker
+const STATUS_TRANSITIONS = {
+  queued: ['running', 'failed'],
+  running: ['running', 'succeeded', 'failed'],
+  succeeded: [],
+  failed: []
+};
+
+/**
+ * Tracks GPU worker jobs pushed onto the session queue.
+ * Job state lives in a Redis hash (job:<id>) next to the queue itself so the
+ * worker and every API instance see the same status.
+ *
+ * Task lifecycle:
+ *   session_queue -> (worker BRPOPLPUSH) -> session_queue:processing
+ *     -> succeeded: removed from processing
+ *     -> failed / lease expired: session_queue:delayed (backoff) -> session_queue
+ *     -> out of attempts or malformed: session_queue:dead
+ */
+class JobQueueService {
+  constructor(queueClient = getQueueClient()) {
+    this.queue = queueClient;
+    this.batchReportRepo = new BatchReportRepository();
+    this.reportsRepo = new ReportsRepository();
+  }
+
+  isAvailable() {
+    return !!this.queue;
+  }
+
+  ensureAvailable() {
+    if (!this.queue) {
+      throw new ApiError('SERVICE_UNAVAILABLE', {
+        message: 'Queue service not available - Redis not configured'
+      });
+    }
+  }
+
+  jobKey(jobId) {
+    return `${queueConfig.jobKeyPrefix}${jobId}`;
+  }
+
+  /**
+   * Create a job record and push its task onto the session queue
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId - Session to analyze
+   * @param {Array<string>} screenshotIds - Screenshots included in the job
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueueSessionJob(userId, sessionId, screenshotIds) {
+    this.ensureAvailable();
+
+    const jobId = uuidv4();
+    const now = new Date().toISOString();
+
+    const job = {
+      id: jobId,
+      type: 'session_analysis',
+      session_id: sessionId,
+      user_id: userId,
+      status: 'queued',
+      screenshot_count: screenshotIds.length,
+      attempts: 0,
+      max_attempts: queueConfig.maxAttempts,
+      created_at: now,
+      updated_at: now
+    };
+
+    // Worker task keeps the original fields so existing workers keep working
+    const task = JSON.stringify({
+      job_id: jobId,
+      session_id: sessionId,
+      user_id: userId,
+      screenshot_ids: screenshotIds,
+      timestamp: now
+    });
+
+    // The raw task is kept on the job so it can be removed from the processing list verbatim
+    await this.queue.hset(this.jobKey(jobId), { ...job, task });
+    await this.queue.expire(this.jobKey(jobId), queueConfig.jobTtlSeconds);
+    await this.queue.lpush(queueConfig.sessionQueue, task);
+
+    // No scheduler runs in serverless deployments, so piggyback on queue traffic
+    await this.runMaintenance().catch(error => {
+      logger.warn('Queue maintenance failed', { error: error.message });
+    });
+
+    logger.business('session_job_queued', {
+      job_id: jobId,
+      session_id: sessionId,
+      screenshot_count: screenshotIds.length
+    }, { userId });
+
+    return this.formatJob(job);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if unknown/expired
+   */
+  async getJob(jobId) {
+    const job = await this.loadJob(jobId);
+    return job ? this.formatJob(job) : null;
+  }
+
+  // Internal lookup that keeps the raw task string needed for list operations
+  async loadJob(jobId) {
+    this.ensureAvailable();
+
+    const raw = await this.queue.hgetall(this.jobKey(jobId));
+    if (!raw || Object.keys(raw).length === 0) {
+      return null;
+    }
+
+    return { ...this.formatJob(raw), task: raw.task };
+  }
+
+  /**
+   * Get a job, verifying it belongs to the requesting user
+   */
+  async getJobForUser(jobId, userId) {
+    const job = await this.getJob(jobId);
+
+    // Same response for missing and foreign jobs so IDs can't be probed
+    if (!job || job.user_id !== userId) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'job', id: jobId });
+    }
+
+    return job;
+  }
+
+  /**
+   * Record a status change reported by the worker.
+   * "running" claims the job (or extends its lease when repeated as a heartbeat);
+   * "failed" is retried with backoff unless the worker marks it non-retryable.
+   * @param {string} jobId - Job ID
+   * @param {Object} update - { status, error, progress, retryable }
+   * @returns {Promise<Object>} Updated job
+   */
+  async updateJobStatus(jobId, update = {}) {
+    const { status, error = null, progress = null, retryable = true } = update;
+
+    if (!JOB_STATUSES.includes(status)) {
+      throw new ApiError('VALIDATION_ERROR', {
+        field: 'status',
+        allowed: JOB_STATUSES
+      });
+    }
+
+    const job = await this.loadJob(jobId);
+    if (!job) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'job', id: jobId });
+    }
+
+    if (!STATUS_TRANSITIONS[job.status].includes(status)) {
+      throw new ApiError('RESOURCE_CONFLICT', {
+        message: `Cannot move job from ${job.status} to ${status}`,
+        current_status: job.status
+      });
+    }
+
+    if (status === 'failed') {
+      return this.handleFailure(job, error || 'Worker reported failure', { retryable });
+    }
+
+    const now = new Date().toISOString();
+    const changes = { status, updated_at: now };
+
+    if (status === 'running') {
+      if (job.status === 'queued') {
+        changes.attempts = (job.attempts || 0) + 1;
+        changes.started_at = now;
+      }
+      changes.leased_until = new Date(Date.now() + queueConfig.visibilityTimeoutMs).toISOString();
+    }
+    if (progress !== null && progress !== undefined) changes.progress = progress;
+
+    await this.queue.hset(this.jobKey(jobId), changes);
+
+    logger.info('Job status updated', { jobId, from: job.status, to: status });
+
+    return this.formatJob({ ...job, ...changes });
+  }
+
+  /**
+   * Ingest worker results into batch_reports/reports and mark the job succeeded
+   * @param {string} jobId - Job ID
+   * @param {Object} payload - { batches: [...], report: {...} }
+   * @returns {Promise<Object>} Updated job with result references
+   */
+  async ingestResults(jobId, payload = {}) {
+    const { batches = [], report = null } = payload;
+
+    const job = await this.loadJob(jobId);
+    if (!job) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'job', id: jobId });
+    }
+
+    // A repeated post of the same results gets the stored outcome back
+    if (job.status === 'succeeded') {
+      return this.formatJob(job);
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      throw new ApiError('RESOURCE_CONFLICT', {
+        message: `Job already ${job.status}`,
+        current_status: job.status
+      });
+    }
+
+    if (!Array.isArray(batches) || (batches.length === 0 && !report)) {
+      throw new ApiError('VALIDATION_ERROR', {
+        message: 'Results must include at least one batch or a report'
+      });
+    }
+
+    // HSETNX picks a single ingester before any rows are written
+    const claimed = await this.queue.hsetnx(this.jobKey(jobId), 'ingest_claimed_at', new Date().toISOString());
+    if (!claimed) {
+      const current = await this.loadJob(jobId);
+      if (current?.status === 'succeeded') {
+        return this.formatJob(current);
+      }
+
+      throw new ApiError('RESOURCE_CONFLICT', {
+        message: 'Results for this job are already being ingested',
+        current_status: current?.status || job.status
+      });
+    }
+
+    try {
+      return await this.storeResults(job, { batches, report });
+    } catch (error) {
+      // Let the worker retry the post instead of leaving the job claimed forever
+      await this.queue.hdel(this.jobKey(jobId), 'ingest_claimed_at').catch(() => {});
+      throw error;
+    }
+  }
+
+  // Write the claimed job's results and mark it succeeded
+  async storeResults(job, { batches, report }) {
+    const { id: jobId, user_id: userId, session_id: sessionId } = job;
+    const batchReportIds = [];
+
+    for (const [index, batch] of batches.entries()) {
+      const analysis = batch.analysis || batch.analysis_result || {};
+
+      const batchReport = await this.batchReportRepo.create({
+        session_id: sessionId,
+        user_id: userId,
+        analysis_type: 'gpu_worker',
+        batch_number: batch.batch_number ?? index + 1,
+        screenshot_ids: batch.screenshot_ids || [],
+        screenshot_count: batch.screenshot_ids?.length || batch.screenshot_count || 0,
+        start_time: batch.start_time,
+        end_time: batch.end_time,
+        processing_status: 'completed',
+        gemini_analysis: analysis,
+        efficiency_score: batch.efficiency_score ?? analysis.productivityMetrics?.focusScore ?? 0,
+        applications_used: batch.applications_used || analysis.applications || [],
+        processed_at: new Date().toISOString(),
+        analysis_result: analysis
+      });
+
+      batchReportIds.push(batchReport.id);
+    }
+
+    let reportId = null;
+    if (report) {
+      const storedReport = await this.reportsRepo.createSessionReport(userId, sessionId, {
+        title: report.title,
+        comprehensiveReport: report,
+        executiveSummary: report.executive_summary || report.summary,
+        productivityScore: report.productivity_score,
+        focusScore: report.focus_score,
+        sessionDurationMinutes: report.session_duration_minutes,
+        screenshotCount: report.screenshot_count || job.screenshot_count,
+        summary: report.summary,
+        goalAlignment: report.goal_alignment,
+        blockers: report.blockers,
+        recognition: report.recognition,
+        automationOpportunities: report.automation_opportunities,
+        communicationQuality: report.communication_quality,
+        nextSteps: report.next_steps,
+        aiUsageEfficiency: report.ai_usage_efficiency
+      });
+      reportId = storedReport?.id || null;
+    }
+
+    const now = new Date().toISOString();
+    const changes = {
+      status: 'succeeded',
+      updated_at: now,
+      completed_at: now,
+      result: JSON.stringify({ batch_report_ids: batchReportIds, report_id: reportId })
+    };
+
+    await this.queue.hset(this.jobKey(jobId), changes);
+    await this.releaseTask(job);
+
+    logger.business('session_job_completed', {
+      job_id: jobId,
+      session_id: sessionId,
+      batch_count: batchReportIds.length,
+      report_id: reportId
+    }, { userId });
+
+    return this.formatJob({ ...job, ...changes });
+  }
+
+  /**
+   * Retry a failed job with exponential backoff, or dead-letter it
+   * @param {Object} job - Current job state
+   * @param {string|Object} error - Failure reason
+   * @param {Object} options - { retryable }
+   * @returns {Promise<Object>} Updated job
+   */
+  async handleFailure(job, error, { retryable = true } = {}) {
+    const now = new Date();
+    const errorMessage = typeof error === 'string' ? error : JSON.stringify(error);
+    // A job that fails before it was ever claimed still used up an attempt
+    const attempts = job.status === 'queued' ? (job.attempts || 0) + 1 : (job.attempts || 1);
+    const maxAttempts = job.max_attempts || queueConfig.maxAttempts;
+
+    await this.releaseTask(job);
+
+    if (!retryable || attempts >= maxAttempts) {
+      const changes = {
+        status: 'failed',
+        attempts,
+        error: errorMessage,
+        updated_at: now.toISOString(),
+        completed_at: now.toISOString(),
+        dead_lettered_at: now.toISOString()
+      };
+
+      await this.queue.hset(this.jobKey(job.id), changes);
+      await this.pushDeadLetter(job.task, {
+        job_id: job.id,
+        reason: retryable ? 'max_attempts_exceeded' : 'non_retryable_failure',
+        error: errorMessage,
+        attempts
+      });
+
+      logger.warn('Job moved to dead-letter queue', { jobId: job.id, attempts, error: errorMessage });
+
+      return this.formatJob({ ...job, ...changes });
+    }
+
+    const delayMs = this.getRetryDelay(attempts);
+    const nextAttemptAt = new Date(now.getTime() + delayMs);
+    const changes = {
+      status: 'queued',
+      attempts,
+      error: errorMessage,
+      updated_at: now.toISOString(),
+      next_attempt_at: nextAttemptAt.toISOString()
+    };
+
+    await this.queue.hset(this.jobKey(job.id), changes);
+    await this.queue.hdel(this.jobKey(job.id), 'leased_until', 'started_at', 'progress');
+    await this.queue.zadd(queueConfig.delayedQueue, nextAttemptAt.getTime(), job.task);
+
+    logger.info('Job scheduled for retry', { jobId: job.id, attempts, delayMs });
+
+    const { leased_until, started_at, progress, ...rest } = job;
+    return this.formatJob({ ...rest, ...changes });
+  }
+
+  // Exponential backoff: base * 2^(attempt - 1), capped
+  getRetryDelay(attempts) {
+    const delay = queueConfig.retryBaseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, queueConfig.retryMaxDelayMs);
+  }
+
+  // Drop every pending copy of the task once the worker is done with it.
+  // A late result for a job already scheduled for retry must not run again.
+  async releaseTask(job) {
+    if (!job.task) return;
+
+    await this.queue.lrem(queueConfig.processingQueue, -1, job.task);
+    await this.queue.lrem(queueConfig.sessionQueue, 0, job.task);
+    await this.queue.zrem(queueConfig.delayedQueue, job.task);
+  }
+
+  async pushDeadLetter(task, details) {
+    const entry = {
+      ...details,
+      task: task || null,
+      dead_lettered_at: new Date().toISOString()
+    };
+
+    await this.queue.lpush(queueConfig.deadQueue, JSON.stringify(entry));
+  }
+
+  /**
+   * Move delayed retries whose backoff has elapsed back onto the session queue
+   * @returns {Promise<number>} Number of tasks requeued
+   */
+  async promoteDelayedJobs() {
+    this.ensureAvailable();
+
+    const dueTasks = await this.queue.zrangebyscore(queueConfig.delayedQueue, '-inf', Date.now());
+    let promoted = 0;
+
+    for (const task of dueTasks) {
+      // ZREM decides the winner when several instances sweep at once
+      const removed = await this.queue.zrem(queueConfig.delayedQueue, task);
+      if (removed) {
+        await this.queue.lpush(queueConfig.sessionQueue, task);
+        promoted++;
+      }
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Sweep the processing list for tasks whose worker died or never reported back.
+   * Malformed tasks are dead-lettered immediately so they can't loop forever.
+   * @returns {Promise<Object>} { recovered, deadLettered }
+   */
+  async recoverStalledJobs() {
+    this.ensureAvailable();
+
+    const tasks = await this.queue.lrange(queueConfig.processingQueue, 0, -1);
+    const now = Date.now();
+    let recovered = 0;
+    let deadLettered = 0;
+
+    for (const task of tasks) {
+      const parsed = this.parseTask(task);
+      const job = parsed ? await this.loadJob(parsed.job_id) : null;
+
+      if (!job) {
+        const removed = await this.queue.lrem(queueConfig.processingQueue, -1, task);
+        if (removed) {
+          await this.pushDeadLetter(task, {
+            job_id: parsed?.job_id || null,
+            reason: parsed ? 'unknown_job' : 'malformed_task',
+            error: parsed ? 'No job record found for task' : 'Task could not be parsed',
+            attempts: 0
+          });
+          deadLettered++;
+        }
+        continue;
+      }
+
+      // Worker claimed the task but never reported running - start the clock now
+      if (!job.leased_until) {
+        await this.queue.hset(this.jobKey(job.id), {
+          leased_until: new Date(now + queueConfig.visibilityTimeoutMs).toISOString()
+        });
+        continue;
+      }
+
+      if (new Date(job.leased_until).getTime() > now) {
+        continue;
+      }
+
+      const updated = await this.handleFailure(job, 'Visibility timeout expired');
+
+      if (updated.status === 'failed') deadLettered++;
+      else recovered++;
+    }
+
+    if (recovered || deadLettered) {
+      logger.warn('Recovered stalled queue jobs', { recovered, deadLettered });
+    }
+
+    return { recovered, deadLettered };
+  }
+
+  /**
+   * Run all periodic queue housekeeping
+   * @returns {Promise<Object>} Counts for each sweep
+   */
+  async runMaintenance() {
+    const promoted = await this.promoteDelayedJobs();
+    const { recovered, deadLettered } = await this.recoverStalledJobs();
+
+    return { promoted, recovered, dead_lettered: deadLettered };
+  }
+
+  /**
+   * Get queue depth for each stage
+   */
+  async getQueueStats() {
+    this.ensureAvailable();
+
+    const [queued, processing, delayed, dead] = await Promise.all([
+      this.queue.llen(queueConfig.sessionQueue),
+      this.queue.llen(queueConfig.processingQueue),
+      this.queue.zcard(queueConfig.delayedQueue),
+      this.queue.llen(queueConfig.deadQueue)
+    ]);
+
+    return { queued, processing, delayed, dead };
+  }
+
+  /**
+   * List dead-lettered tasks, newest first
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async listDeadJobs({ limit = 50, offset = 0 } = {}) {
+    this.ensureAvailable();
+
+    const [raw, total] = await Promise.all([
+      this.queue.lrange(queueConfig.deadQueue, offset, offset + limit - 1),
+      this.queue.llen(queueConfig.deadQueue)
+    ]);
+
+    return {
+      entries: raw.map(entry => this.parseDeadEntry(entry)),
+      total
+    };
+  }
+
+  /**
+   * Push dead-lettered tasks back onto the session queue with a fresh attempt budget
+   * @param {Array<string>|null} jobIds - Jobs to requeue, or null for all
+   * @returns {Promise<Object>} { requeued, skipped }
+   */
+  async requeueDeadJobs(jobIds = null) {
+    this.ensureAvailable();
+
+    const raw = await this.queue.lrange(queueConfig.deadQueue, 0, -1);
+    const requeued = [];
+    const skipped = [];
+
+    for (const entryString of raw) {
+      const entry = this.parseDeadEntry(entryString);
+      if (jobIds && !jobIds.includes(entry.job_id)) continue;
+
+      // Malformed or orphaned tasks have nothing a worker could run
+      const job = entry.job_id ? await this.loadJob(entry.job_id) : null;
+      if (!job || !entry.task || !this.parseTask(entry.task)) {
+        skipped.push({ job_id: entry.job_id, reason: entry.reason });
+        continue;
+      }
+
+      const removed = await this.queue.lrem(queueConfig.deadQueue, 1, entryString);
+      if (!removed) continue;
+
+      await this.queue.hset(this.jobKey(job.id), {
+        status: 'queued',
+        attempts: 0,
+        updated_at: new Date().toISOString(),
+        requeued_at: new Date().toISOString()
+      });
+      await this.queue.hdel(
+        this.jobKey(job.id),
+        'completed_at', 'dead_lettered_at', 'leased_until', 'started_at', 'next_attempt_at', 'progress', 'ingest_claimed_at'
+      );
+      await this.queue.expire(this.jobKey(job.id), queueConfig.jobTtlSeconds);
+      await this.queue.lpush(queueConfig.sessionQueue, entry.task);
+
+      requeued.push(job.id);
+    }
+
+    logger.info('Dead-lettered jobs requeued', { requeued: requeued.length, skipped: skipped.length });
+
+    return { requeued, skipped };
+  }
+
+  /**
+   * Permanently remove dead-lettered tasks
+   * @param {Array<string>|null} jobIds - Jobs to purge, or null for all
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purgeDeadJobs(jobIds = null) {
+    this.ensureAvailable();
+
+    if (!jobIds) {
+      const total = await this.queue.llen(queueConfig.deadQueue);
+      await this.queue.del(queueConfig.deadQueue);
+      logger.info('Dead-letter queue purged', { removed: total });
+      return total;
+    }
+
+    const raw = await this.queue.lrange(queueConfig.deadQueue, 0, -1);
+    let removed = 0;
+
+    for (const entryString of raw) {
+      const entry = this.parseDeadEntry(entryString);
+      if (jobIds.includes(entry.job_id)) {
+        removed += await this.queue.lrem(queueConfig.deadQueue, 1, entryString);
+      }
+    }
+
+    logger.info('Dead-lettered jobs purged', { removed });
+
+    return removed;
+  }
+
+  parseTask(task) {
+    try {
+      const parsed = JSON.parse(task);
+      if (!parsed || !parsed.job_id || !parsed.session_id || !Array.isArray(parsed.screenshot_ids)) {
+        return null;
+      }
+      return parsed;
+    } catch {
+      return null;
+    }
+  }
+
+  parseDeadEntry(entryString) {
+    try {
+      return JSON.parse(entryString);
+    } catch {
+      return { job_id: null, reason: 'unreadable_entry', task: entryString };
+    }
+  }
+
+  formatJob(raw) {
+    const { task, ...job } = raw;
+
+    if (job.screenshot_count !== undefined) job.screenshot_count = parseInt(job.screenshot_count, 10);
+    if (job.attempts !== undefined) job.attempts = parseInt(job.attempts, 10);
+    if (job.max_attempts !== undefined) job.max_attempts = parseInt(job.max_attempts, 10);
+    if (job.progress !== undefined) job.progress = Number(job.progress);
+    if (typeof job.result === 'string') {
+      try {
+        job.result = JSON.parse(job.result);
+      } catch {
+        job.result = null;
+      }
+    }
+
+    return job;
+  }
+}
+
+JobQueueService.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = JobQueueService;
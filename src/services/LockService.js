@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { getStoreClient } = require('../config/store');
+const { logger } = require('../utils/logger');
+
+const LOCK_PREFIX = 'lock:';
+
+// Only the holder may release or extend - the lock may have expired and been taken by someone else
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+const EXTEND_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+/**
+ * Distributed locks on the shared store (Redis SET NX PX). Every lock has a TTL,
+ * so a crashed holder blocks others for at most that long. Without Redis the
+ * store falls back to process memory, which only excludes work within one instance.
+ */
+class LockService {
+  constructor(store = getStoreClient()) {
+    this.store = store;
+  }
+
+  /**
+   * Try to take a lock
+   * @param {string} name - Lock name, e.g. 'session_summary:<sessionId>'
+   * @param {number} ttlMs - Lock lifetime
+   * @returns {Promise<Object|null>} Lock handle for release/extend, or null when held elsewhere
+   */
+  async acquire(name, ttlMs) {
+    const key = `${LOCK_PREFIX}${name}`;
+    const token = crypto.randomBytes(16).toString('hex');
+    const acquired = await this.store.set(key, token, 'PX', ttlMs, 'NX');
+
+    if (!acquired) {
+      return null;
+    }
+
+    return { name, key, token, ttlMs };
+  }
+
+  /**
+   * Push the expiry of a held lock out again - for work that runs longer than one TTL
+   * @param {Object} lock - Handle from acquire
+   * @param {number} ttlMs - New lifetime, defaults to the original TTL
+   * @returns {Promise<boolean>} False when the lock was lost
+   */
+  async extend(lock, ttlMs = lock.ttlMs) {
+    try {
+      const extended = await this.compareAndRun(lock, EXTEND_SCRIPT, ttlMs, () => this.store.pexpire(lock.key, ttlMs));
+      if (!extended) {
+        logger.warn('Lock expired before it could be extended', { lock: lock.name });
+      }
+      return extended;
+    } catch (error) {
+      logger.warn('Lock extend failed', { lock: lock.name, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Release a held lock. Never throws - an unreleased lock expires with its TTL.
+   * @param {Object} lock - Handle from acquire (null is ignored)
+   * @returns {Promise<boolean>} False when the lock had already expired
+   */
+  async release(lock) {
+    if (!lock) {
+      return false;
+    }
+
+    try {
+      return await this.compareAndRun(lock, RELEASE_SCRIPT, null, () => this.store.del(lock.key));
+    } catch (error) {
+      logger.warn('Lock release failed', { lock: lock.name, error: error.message });
+      return false;
+    }
+  }
+
+  // Redis checks the token and acts atomically; the in-memory store runs in one process
+  async compareAndRun(lock, script, arg, fallback) {
+    if (typeof this.store.eval === 'function') {
+      const args = arg === null ? [lock.token] : [lock.token, arg];
+      return (await this.store.eval(script, 1, lock.key, ...args)) === 1;
+    }
+
+    if (await this.store.get(lock.key) !== lock.token) {
+      return false;
+    }
+    return (await fallback()) === 1;
+  }
+}
+
+module.exports = LockService;
@@ -0,0 +1,133 @@
+const { getStoreClient } = require('../config/store');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const EmailService = require('./EmailService');
+const OAuthStateService = require('./OAuthStateService');
+
+const KEY_PREFIX = 'magic_link:';
+const RATE_PREFIX = 'magic_link_rate:';
+// Links share the OAuth state lifetime - the state travels in the same URL
+const LINK_TTL_SECONDS = OAuthStateService.STATE_TTL_SECONDS;
+const MAX_LINKS_PER_HOUR = 5;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Passwordless email sign-in.
+ * The emailed link carries a single-use token as `code` plus a regular OAuth state,
+ * so it completes through the same /oauth/:provider/callback path as Google and GitHub.
+ */
+class MagicLinkService {
+  constructor(store = getStoreClient()) {
+    this.store = store;
+    this.emailService = new EmailService();
+    this.oauthStateService = new OAuthStateService(store);
+  }
+
+  // Links may only point at our own callbacks - the token in the URL is a credential
+  getAllowedRedirects() {
+    const configured = (process.env.MAGIC_LINK_ALLOWED_REDIRECTS || '')
+      .split(',')
+      .map(uri => uri.trim())
+      .filter(Boolean);
+
+    return [this.getDefaultRedirect(), ...configured];
+  }
+
+  getDefaultRedirect() {
+    return process.env.MAGIC_LINK_REDIRECT_URI || `${process.env.BASE_URL}/oauth/desktop/callback`;
+  }
+
+  /**
+   * Email a sign-in link
+   * @param {string} email - Address to sign in
+   * @param {Object} options - { redirectUri }
+   * @returns {Promise<Object>} { expires_in }
+   */
+  async requestLink(email, { redirectUri = null } = {}) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'email', message: 'A valid email address is required' });
+    }
+
+    const target = redirectUri || this.getDefaultRedirect();
+    if (!this.getAllowedRedirects().includes(target)) {
+      logger.security('magic_link_redirect_rejected', { redirectUri: target });
+      throw new ApiError('VALIDATION_ERROR', { field: 'redirect_uri', message: 'redirect_uri is not allowed' });
+    }
+
+    if (!this.emailService.isConfigured()) {
+      throw new ApiError('SERVICE_UNAVAILABLE', { message: 'Email sign-in is not configured' });
+    }
+
+    await this.checkRateLimit(normalizedEmail);
+
+    const { state } = await this.oauthStateService.createState('email', { redirectUri: target });
+    const token = generateToken();
+
+    await this.store.set(
+      `${KEY_PREFIX}${hashToken(token)}`,
+      JSON.stringify({ email: normalizedEmail, created_at: new Date().toISOString() }),
+      'EX',
+      LINK_TTL_SECONDS
+    );
+
+    const signInUrl = new URL(target);
+    signInUrl.searchParams.set('code', token);
+    signInUrl.searchParams.set('state', state);
+    // The page behind the link can't otherwise tell this code from a Google or GitHub one
+    signInUrl.searchParams.set('provider', 'email');
+
+    await this.emailService.sendMagicLinkEmail({
+      email: normalizedEmail,
+      signInUrl: signInUrl.toString(),
+      expiresInMinutes: Math.round(LINK_TTL_SECONDS / 60)
+    });
+
+    logger.security('magic_link_requested', { email: normalizedEmail.substring(0, 5) + '***' });
+
+    return { expires_in: LINK_TTL_SECONDS };
+  }
+
+  /**
+   * Consume a link token (single use) and return the user info for createOrUpdateUser
+   * @param {string} token - `code` from the link
+   * @returns {Promise<Object>} Provider user info
+   */
+  async consumeToken(token) {
+    const raw = token ? await this.store.getdel(`${KEY_PREFIX}${hashToken(token)}`) : null;
+
+    if (!raw) {
+      logger.security('magic_link_rejected', { reason: 'unknown_or_used' });
+      throw new ApiError('MAGIC_LINK_INVALID');
+    }
+
+    const { email } = JSON.parse(raw);
+
+    return {
+      provider: 'email',
+      provider_id: email,
+      email,
+      email_verified: true // Following the link proves control of the inbox
+    };
+  }
+
+  async checkRateLimit(email) {
+    const key = `${RATE_PREFIX}${hashToken(email)}`;
+    const count = await this.store.incr(key);
+
+    if (count === 1) {
+      await this.store.expire(key, 60 * 60);
+    }
+
+    if (count > MAX_LINKS_PER_HOUR) {
+      logger.security('magic_link_rate_limited', { email: email.substring(0, 5) + '***' });
+      throw new ApiError('RATE_LIMIT_EXCEEDED', { message: 'Too many sign-in links requested - try again later' });
+    }
+  }
+}
+
+MagicLinkService.LINK_TTL_SECONDS = LINK_TTL_SECONDS;
+
+module.exports = MagicLinkService;
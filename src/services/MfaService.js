@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const MfaRepository = require('../repositories/MfaRepository');
+const { getStoreClient } = require('../config/store');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { encrypt, decrypt } = require('../utils/encryption');
+const totp = require('../utils/totp');
+
+const ISSUER = process.env.MFA_ISSUER || 'OnlyWorks';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_PREFIX = 'mfa_challenge:';
+const ATTEMPT_PREFIX = 'mfa_attempts:';
+const MAX_FAILED_ATTEMPTS = 5;
+const ATTEMPT_WINDOW_SECONDS = 15 * 60;
+
+/**
+ * Optional TOTP second factor.
+ * Enrollment is two-step (start -> confirm with a code) so a user can't lock
+ * themselves out with a secret their app never scanned. Sign-in for enrolled
+ * users pauses at a short-lived challenge until a code is presented.
+ */
+class MfaService {
+  constructor(store = getStoreClient()) {
+    this.mfaRepository = new MfaRepository();
+    this.store = store;
+  }
+
+  async isEnabled(userId) {
+    const enrollment = await this.mfaRepository.findByUserId(userId);
+    return !!enrollment?.enabled_at;
+  }
+
+  async getStatus(userId) {
+    const enrollment = await this.mfaRepository.findByUserId(userId);
+    const enabled = !!enrollment?.enabled_at;
+
+    return {
+      enabled,
+      enabled_at: enrollment?.enabled_at || null,
+      pending_enrollment: !!enrollment && !enabled,
+      recovery_codes_remaining: enabled
+        ? await this.mfaRepository.countRemainingRecoveryCodes(userId)
+        : 0
+    };
+  }
+
+  /**
+   * Generate a new secret for the user to scan
+   * @param {string} userId - User ID
+   * @param {string} accountName - Label shown in the authenticator app (usually the email)
+   * @returns {Promise<Object>} { secret, otpauth_url }
+   */
+  async startEnrollment(userId, accountName) {
+    if (await this.isEnabled(userId)) {
+      throw new ApiError('RESOURCE_CONFLICT', { message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    await this.mfaRepository.savePendingSecret(userId, encrypt(secret));
+
+    logger.security('mfa_enrollment_started', { userId });
+
+    return {
+      secret,
+      otpauth_url: totp.buildOtpauthUri(secret, accountName || userId, ISSUER)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} { recovery_codes } - shown to the user once
+   */
+  async confirmEnrollment(userId, code) {
+    const enrollment = await this.mfaRepository.findByUserId(userId);
+
+    if (!enrollment) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'mfa_enrollment' });
+    }
+    if (enrollment.enabled_at) {
+      throw new ApiError('RESOURCE_CONFLICT', { message: 'Two-factor authentication is already enabled' });
+    }
+
+    await this.checkAttempts(userId);
+
+    const counter = totp.verifyCode(decrypt(enrollment.secret_encrypted), code);
+    if (counter === null) {
+      await this.recordFailedAttempt(userId);
+      throw new ApiError('MFA_INVALID');
+    }
+
+    await this.mfaRepository.enable(userId, counter);
+    const recoveryCodes = await this.issueRecoveryCodes(userId);
+    await this.clearAttempts(userId);
+
+    logger.security('mfa_enabled', { userId });
+
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Turn MFA off (requires a current code or a recovery code)
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or recovery code
+   */
+  async disable(userId, code) {
+    await this.verifyCode(userId, code);
+    await this.mfaRepository.deleteEnrollment(userId);
+
+    logger.security('mfa_disabled', { userId });
+
+    return true;
+  }
+
+  /**
+   * Replace recovery codes (requires a current code or a recovery code)
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<Object>} { recovery_codes }
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    await this.verifyCode(userId, code);
+    const recoveryCodes = await this.issueRecoveryCodes(userId);
+
+    logger.security('mfa_recovery_codes_regenerated', { userId });
+
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Verify a TOTP code or recovery code for an enrolled user
+   * @param {string} userId - User ID
+   * @param {string} code - Code presented by the user
+   * @returns {Promise<string>} Method used: 'totp' or 'recovery_code'
+   */
+  async verifyCode(userId, code) {
+    const enrollment = await this.mfaRepository.findByUserId(userId);
+
+    if (!enrollment?.enabled_at) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'mfa_enrollment' });
+    }
+
+    await this.checkAttempts(userId);
+
+    const method = await this.matchCode(userId, enrollment, code);
+    if (!method) {
+      await this.recordFailedAttempt(userId);
+      logger.security('mfa_verification_failed', { userId });
+      throw new ApiError('MFA_INVALID');
+    }
+
+    await this.clearAttempts(userId);
+
+    if (method === 'recovery_code') {
+      logger.security('mfa_recovery_code_used', { userId });
+    }
+
+    return method;
+  }
+
+  async matchCode(userId, enrollment, code) {
+    const counter = totp.verifyCode(decrypt(enrollment.secret_encrypted), code);
+
+    if (counter !== null) {
+      // A step at or before the last accepted one is a replayed code
+      if (enrollment.last_used_counter !== null && counter <= Number(enrollment.last_used_counter)) {
+        return null;
+      }
+      const claimed = await this.mfaRepository.claimCounter(userId, counter, enrollment.last_used_counter);
+      return claimed ? 'totp' : null;
+    }
+
+    const normalized = this.normalizeRecoveryCode(code);
+    if (normalized && await this.mfaRepository.consumeRecoveryCode(userId, hashToken(normalized))) {
+      return 'recovery_code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Park a sign-in until the second factor is presented
+   * @param {string} userId - User ID
+   * @param {Object} context - Data needed to finish the sign-in (provider, device context)
+   * @returns {Promise<Object>} { mfa_token, expires_in }
+   */
+  async createChallenge(userId, context = {}) {
+    const token = generateToken();
+
+    await this.store.set(
+      `${CHALLENGE_PREFIX}${hashToken(token)}`,
+      JSON.stringify({ user_id: userId, ...context, created_at: new Date().toISOString() }),
+      'EX',
+      CHALLENGE_TTL_SECONDS
+    );
+
+    return { mfa_token: token, expires_in: CHALLENGE_TTL_SECONDS };
+  }
+
+  /**
+   * Complete a sign-in challenge (single use)
+   * @param {string} token - mfa_token from the sign-in response
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<Object>} Stored challenge context including user_id
+   */
+  async completeChallenge(token, code) {
+    const key = `${CHALLENGE_PREFIX}${hashToken(token || '')}`;
+    const raw = token ? await this.store.get(key) : null;
+
+    if (!raw) {
+      throw new ApiError('MFA_INVALID', { reason: 'challenge_expired' });
+    }
+
+    const challenge = JSON.parse(raw);
+    await this.verifyCode(challenge.user_id, code);
+
+    // Two requests racing with valid codes - only the one that deletes the challenge wins
+    if (!await this.store.del(key)) {
+      throw new ApiError('MFA_INVALID', { reason: 'challenge_expired' });
+    }
+
+    return challenge;
+  }
+
+  async issueRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await this.mfaRepository.replaceRecoveryCodes(
+      userId,
+      codes.map(code => hashToken(this.normalizeRecoveryCode(code)))
+    );
+
+    return codes;
+  }
+
+  normalizeRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return /^[0-9a-f]{10}$/.test(normalized) ? normalized : null;
+  }
+
+  // Failed-attempt limiting per user, shared by every verification path
+  async checkAttempts(userId) {
+    const failures = parseInt(await this.store.get(`${ATTEMPT_PREFIX}${userId}`), 10) || 0;
+
+    if (failures >= MAX_FAILED_ATTEMPTS) {
+      logger.security('mfa_attempts_exceeded', { userId });
+      throw new ApiError('RATE_LIMIT_EXCEEDED', {
+        message: 'Too many invalid codes - try again later',
+        retry_after: ATTEMPT_WINDOW_SECONDS
+      });
+    }
+  }
+
+  async recordFailedAttempt(userId) {
+    const key = `${ATTEMPT_PREFIX}${userId}`;
+    const failures = await this.store.incr(key);
+    if (failures === 1) {
+      await this.store.expire(key, ATTEMPT_WINDOW_SECONDS);
+    }
+  }
+
+  async clearAttempts(userId) {
+    await this.store.del(`${ATTEMPT_PREFIX}${userId}`);
+  }
+}
+
+MfaService.CHALLENGE_TTL_SECONDS = CHALLENGE_TTL_SECONDS;
+
+module.exports = MfaService;
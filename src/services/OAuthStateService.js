@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { getStoreClient } = require('../config/store');
+const { generateCodeVerifier, generateCodeChallenge } = require('../utils/pkce');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const STATE_TTL_SECONDS = 10 * 60;
+const KEY_PREFIX = 'oauth_state:';
+
+/**
+ * OAuth state + PKCE verifier storage.
+ * Entries live in Redis so the callback can hit a different instance than the init
+ * request, and are deleted atomically on first read so a state can't be replayed.
+ */
+class OAuthStateService {
+  constructor(store = getStoreClient()) {
+    this.store = store;
+  }
+
+  /**
+   * Create and persist a new OAuth state
+   * @param {string} provider - OAuth provider
+   * @param {Object} options - { redirectUri, usePkce }
+   * @returns {Promise<Object>} { state, codeChallenge }
+   */
+  async createState(provider, { redirectUri = null, usePkce = false } = {}) {
+    const state = crypto.randomBytes(32).toString('hex');
+    const codeVerifier = usePkce ? generateCodeVerifier() : null;
+
+    await this.store.set(
+      `${KEY_PREFIX}${state}`,
+      JSON.stringify({
+        provider,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+        created_at: new Date().toISOString()
+      }),
+      'EX',
+      STATE_TTL_SECONDS
+    );
+
+    return {
+      state,
+      codeChallenge: codeVerifier ? generateCodeChallenge(codeVerifier) : null
+    };
+  }
+
+  /**
+   * Validate and consume an OAuth state (single use)
+   * @param {string} state - State returned by the provider
+   * @param {string} provider - Provider handling the callback
+   * @returns {Promise<Object>} Stored state { provider, redirect_uri, code_verifier }
+   */
+  async consumeState(state, provider) {
+    if (!state || typeof state !== 'string') {
+      throw new ApiError('OAUTH_STATE_INVALID', { reason: 'missing_state' });
+    }
+
+    const raw = await this.store.getdel(`${KEY_PREFIX}${state}`);
+
+    if (!raw) {
+      // Unknown, expired or already used - all look the same to a replaying client
+      logger.security('oauth_state_rejected', { provider, reason: 'unknown_or_used' });
+      throw new ApiError('OAUTH_STATE_INVALID', { reason: 'unknown_or_used' });
+    }
+
+    const stored = JSON.parse(raw);
+
+    if (stored.provider !== provider) {
+      logger.security('oauth_state_rejected', { provider, expected: stored.provider, reason: 'provider_mismatch' });
+      throw new ApiError('OAUTH_STATE_INVALID', { reason: 'provider_mismatch' });
+    }
+
+    return stored;
+  }
+}
+
+OAuthStateService.STATE_TTL_SECONDS = STATE_TTL_SECONDS;
+
+module.exports = OAuthStateService;
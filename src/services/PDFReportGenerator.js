@@ -0,0 +1,303 @@
+const PDFDocument = require('../utils/pdfDocument');
+const { logger } = require('../utils/logger');
+
+const COLORS = {
+  brand: '#5c5ce6',
+  heading: '#111827',
+  text: '#374151',
+  muted: '#6b7280',
+  faint: '#9ca3af',
+  panel: '#f9fafb',
+  border: '#e5e7eb',
+  high: '#10b981',
+  medium: '#f59e0b',
+  low: '#ef4444'
+};
+const BODY_SIZE = 10.5;
+const BODY_LINE_HEIGHT = 15;
+const FOOTER_HEIGHT = 30;
+
+class PDFReportGenerator {
+  /**
+   * Generate a PDF from OnlyWorks report data - same input as HTMLReportGenerator.generateHTML
+   * @param {Object} reportData - Report data with OnlyWorks 8 sections, plus optional
+   *   sessions ({ startedAt, durationMinutes, productivityScore }) for the time chart
+   * @returns {Buffer} PDF file
+   */
+  generatePDF(reportData) {
+    const {
+      title = 'OnlyWorks Productivity Report',
+      summary,
+      goal_alignment,
+      blockers,
+      recognition,
+      automation_opportunities,
+      communication_quality,
+      next_steps,
+      ai_usage_efficiency,
+      productivity_score,
+      focus_score,
+      session_duration_minutes,
+      screenshot_count,
+      dateRange,
+      generatedAt,
+      sessions = []
+    } = reportData;
+
+    const doc = new PDFDocument();
+    const layout = { doc, y: 0, left: doc.margin, width: doc.width - doc.margin * 2 };
+
+    this.renderHeader(layout, { title, generatedAt, dateRange });
+    this.renderStats(layout, [
+      ['Productivity Score', this.formatPercent(productivity_score)],
+      ['Focus Score', this.formatPercent(focus_score)],
+      ['Total Time', session_duration_minutes ? `${Math.round(session_duration_minutes)} min` : null],
+      ['Screenshots', screenshot_count ? String(screenshot_count) : null]
+    ].filter(([, value]) => value !== null));
+    this.renderScoreChart(layout, [
+      ['Productivity', productivity_score],
+      ['Focus', focus_score]
+    ].filter(([, score]) => score !== null && score !== undefined));
+    this.renderSessionChart(layout, sessions);
+
+    this.renderSection(layout, 'Executive Summary', summary);
+    this.renderSection(layout, 'Goal Alignment', goal_alignment);
+    this.renderSection(layout, 'Blockers & Challenges', blockers);
+    this.renderSection(layout, 'Recognition & Wins', recognition);
+    this.renderSection(layout, 'Automation Opportunities', automation_opportunities);
+    this.renderSection(layout, 'Communication Quality', communication_quality);
+    this.renderSection(layout, 'Next Steps', next_steps);
+    if (ai_usage_efficiency) {
+      this.renderSection(layout, 'AI Usage Efficiency', ai_usage_efficiency);
+    }
+
+    this.renderFooters(doc);
+
+    const pdf = doc.toBuffer({ title, subject: 'OnlyWorks Productivity Report' });
+
+    logger.info('PDF report generated', { pages: doc.pageCount, size: pdf.length });
+
+    return pdf;
+  }
+
+  renderHeader(layout, { title, generatedAt, dateRange }) {
+    const { doc } = layout;
+    const titleLines = doc.wrap(title, layout.width, { font: 'bold', size: 22 });
+    const height = 70 + titleLines.length * 28 + (dateRange ? 16 : 0);
+
+    doc.rect(0, 0, doc.width, height, { fill: COLORS.brand });
+
+    let y = 35;
+    titleLines.forEach(line => {
+      doc.text(line, layout.left, y, { font: 'bold', size: 22, color: '#ffffff', align: 'center', width: layout.width });
+      y += 28;
+    });
+
+    doc.text(`Generated on ${this.formatDate(generatedAt || new Date().toISOString())}`, layout.left, y + 4, {
+      size: 11, color: '#ffffff', align: 'center', width: layout.width
+    });
+    if (dateRange) {
+      doc.text(`${this.formatDate(dateRange.startDate)} – ${this.formatDate(dateRange.endDate)}`, layout.left, y + 20, {
+        size: 11, color: '#ffffff', align: 'center', width: layout.width
+      });
+    }
+
+    layout.y = height + 24;
+  }
+
+  renderStats(layout, stats) {
+    if (stats.length === 0) {
+      return;
+    }
+
+    const { doc } = layout;
+    const gap = 12;
+    const boxWidth = (layout.width - gap * (stats.length - 1)) / stats.length;
+
+    stats.forEach(([label, value], index) => {
+      const x = layout.left + index * (boxWidth + gap);
+      doc.rect(x, layout.y, boxWidth, 58, { fill: COLORS.panel, stroke: COLORS.border, lineWidth: 0.75 });
+      doc.text(label.toUpperCase(), x, layout.y + 12, { font: 'bold', size: 8, color: COLORS.muted, align: 'center', width: boxWidth });
+      doc.text(value, x, layout.y + 28, { font: 'bold', size: 18, color: COLORS.brand, align: 'center', width: boxWidth });
+    });
+
+    layout.y += 58 + 28;
+  }
+
+  // Horizontal 0-100% bars
+  renderScoreChart(layout, scores) {
+    if (scores.length === 0) {
+      return;
+    }
+
+    const { doc } = layout;
+    this.ensureSpace(layout, 30 + scores.length * 24);
+    this.renderHeading(layout, 'Scores');
+
+    const labelWidth = 90;
+    const trackWidth = layout.width - labelWidth - 50;
+
+    scores.forEach(([label, score]) => {
+      const ratio = Math.min(Math.max(this.normalizeScore(score), 0), 1);
+      const x = layout.left + labelWidth;
+
+      doc.text(label, layout.left, layout.y + 1, { size: 10, color: COLORS.text });
+      doc.rect(x, layout.y, trackWidth, 12, { fill: COLORS.border });
+      if (ratio > 0) {
+        doc.rect(x, layout.y, trackWidth * ratio, 12, { fill: this.scoreColor(ratio) });
+      }
+      doc.text(this.formatPercent(score), x + trackWidth + 8, layout.y + 1, { font: 'bold', size: 10, color: COLORS.heading });
+
+      layout.y += 24;
+    });
+
+    layout.y += 14;
+  }
+
+  // Minutes per session, colored by the session's productivity
+  renderSessionChart(layout, sessions) {
+    const points = sessions.filter(session => session.startedAt && session.durationMinutes > 0);
+    if (points.length === 0) {
+      return;
+    }
+
+    const { doc } = layout;
+    const chartHeight = 130;
+    this.ensureSpace(layout, 30 + chartHeight + 50);
+    this.renderHeading(layout, points.length === 1 ? 'Session Time' : 'Time by Session');
+
+    const axisWidth = 40;
+    const chartLeft = layout.left + axisWidth;
+    const chartWidth = layout.width - axisWidth;
+    const top = layout.y;
+    const bottom = top + chartHeight;
+    const maxMinutes = Math.max(...points.map(session => session.durationMinutes));
+    const slot = chartWidth / points.length;
+    const barWidth = Math.min(slot * 0.7, 40);
+
+    doc.text(`${Math.round(maxMinutes)} min`, layout.left, top - 4, { size: 8, color: COLORS.muted });
+    doc.line(chartLeft, top, chartLeft + chartWidth, top, { color: COLORS.border, lineWidth: 0.5 });
+    doc.line(chartLeft, bottom, chartLeft + chartWidth, bottom, { color: COLORS.faint, lineWidth: 0.75 });
+    doc.text('0', layout.left, bottom - 4, { size: 8, color: COLORS.muted });
+
+    // Date labels are ~40pt wide - skip some when the bars are narrower than that
+    const labelEvery = Math.ceil(40 / slot);
+
+    points.forEach((session, index) => {
+      const height = Math.max((session.durationMinutes / maxMinutes) * chartHeight, 1);
+      const x = chartLeft + index * slot + (slot - barWidth) / 2;
+      const score = session.productivityScore;
+
+      doc.rect(x, bottom - height, barWidth, height, {
+        fill: score === null || score === undefined ? COLORS.brand : this.scoreColor(this.normalizeScore(score))
+      });
+
+      if (index % labelEvery === 0) {
+        const date = new Date(session.startedAt);
+        doc.text(`${date.getMonth() + 1}/${date.getDate()}`, chartLeft + index * slot, bottom + 5, {
+          size: 8, color: COLORS.muted, align: 'center', width: slot * Math.min(labelEvery, points.length - index)
+        });
+      }
+    });
+
+    layout.y = bottom + 22;
+
+    let x = chartLeft;
+    [['Productivity 70%+', COLORS.high], ['40-69%', COLORS.medium], ['Under 40%', COLORS.low], ['Not scored', COLORS.brand]]
+      .forEach(([label, color]) => {
+        doc.rect(x, layout.y + 1, 8, 8, { fill: color });
+        doc.text(label, x + 12, layout.y, { size: 8, color: COLORS.muted });
+        x += 12 + doc.widthOf(label, { size: 8 }) + 16;
+      });
+
+    layout.y += 30;
+  }
+
+  /**
+   * Render a section of the report; long sections continue on the next page
+   * @param {Object} layout - Current page position
+   * @param {string} title - Section title
+   * @param {string} content - Section content
+   */
+  renderSection(layout, title, content) {
+    const { doc } = layout;
+    const hasContent = content && content.trim().length > 0;
+    const textOptions = hasContent
+      ? { size: BODY_SIZE, color: COLORS.text }
+      : { font: 'italic', size: BODY_SIZE, color: COLORS.faint };
+    const lines = doc.wrap(hasContent ? content.trim() : 'No data available for this section', layout.width - 16, textOptions);
+
+    // Keep the heading with at least two lines of text
+    this.ensureSpace(layout, 30 + BODY_LINE_HEIGHT * Math.min(lines.length, 2));
+    this.renderHeading(layout, title);
+
+    lines.forEach(line => {
+      if (this.ensureSpace(layout, BODY_LINE_HEIGHT)) {
+        layout.y += 4;
+      }
+      doc.rect(layout.left, layout.y - 2, 3, BODY_LINE_HEIGHT, { fill: COLORS.brand });
+      doc.text(line, layout.left + 14, layout.y + 1, textOptions);
+      layout.y += BODY_LINE_HEIGHT;
+    });
+
+    layout.y += 20;
+  }
+
+  renderHeading(layout, title) {
+    layout.doc.text(title, layout.left, layout.y, { font: 'bold', size: 14, color: COLORS.heading });
+    layout.y += 26;
+  }
+
+  // Start a new page when the next block doesn't fit; returns true when it did
+  ensureSpace(layout, height) {
+    const { doc } = layout;
+    if (layout.y + height <= doc.height - doc.margin - FOOTER_HEIGHT) {
+      return false;
+    }
+
+    doc.addPage();
+    layout.y = doc.margin;
+    return true;
+  }
+
+  renderFooters(doc) {
+    const left = doc.margin;
+    const width = doc.width - doc.margin * 2;
+    const y = doc.height - doc.margin;
+
+    for (let index = 0; index < doc.pageCount; index++) {
+      doc.switchToPage(index);
+      doc.line(left, y - 8, left + width, y - 8, { color: COLORS.border, lineWidth: 0.5 });
+      doc.text('Powered by OnlyWorks – Tamper-proof productivity tracking', left, y, { size: 8, color: COLORS.muted });
+      doc.text(`Page ${index + 1} of ${doc.pageCount}`, left, y, { size: 8, color: COLORS.muted, align: 'right', width });
+    }
+  }
+
+  // Scores are stored 0-1; older rows may still be 0-100
+  normalizeScore(score) {
+    return score > 1 ? score / 100 : score;
+  }
+
+  scoreColor(ratio) {
+    if (ratio >= 0.7) return COLORS.high;
+    if (ratio >= 0.4) return COLORS.medium;
+    return COLORS.low;
+  }
+
+  formatPercent(score) {
+    if (score === null || score === undefined) return null;
+    return `${Math.round(this.normalizeScore(score) * 100)}%`;
+  }
+
+  formatDate(date) {
+    if (!date) return 'N/A';
+    return new Date(date).toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  }
+}
+
+module.exports = PDFReportGenerator;
@@ -0,0 +1,115 @@
+const PromptAssignmentRepository = require('../repositories/PromptAssignmentRepository');
+const { getPrompt, hasVersion, assignVersion, listPrompts } = require('./ai/prompts');
+const { ApiError, isUuid } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Chooses which prompt version a user gets: an admin pin first, then the
+ * PROMPT_EXPERIMENTS bucket, then the prompt's default version.
+ */
+class PromptService {
+  constructor() {
+    this.assignmentRepository = new PromptAssignmentRepository();
+  }
+
+  /**
+   * Resolve the prompt template for a user
+   * @param {string} name - Prompt name
+   * @param {string} userId - User ID (optional)
+   * @returns {Promise<Object>} Prompt from the registry plus source ('pinned', 'experiment' or 'default')
+   */
+  async resolve(name, userId = null) {
+    if (userId) {
+      try {
+        const pinned = await this.assignmentRepository.findAssignment(userId, name);
+        if (pinned && hasVersion(name, pinned.version)) {
+          return { ...getPrompt(name, pinned.version), source: 'pinned' };
+        }
+        if (pinned) {
+          logger.warn('Pinned prompt version no longer exists - ignoring pin', { userId, prompt: name, version: pinned.version });
+        }
+      } catch (error) {
+        // A missing pin table must not stop analysis
+        logger.warn('Prompt assignment lookup failed - using experiment assignment', { userId, prompt: name, error: error.message });
+      }
+    }
+
+    const defaultPrompt = getPrompt(name);
+    const version = assignVersion(name, userId);
+
+    return version === defaultPrompt.version
+      ? { ...defaultPrompt, source: 'default' }
+      : { ...getPrompt(name, version), source: 'experiment' };
+  }
+
+  /**
+   * Every prompt with its versions, running experiment and the user's resolved version
+   * @param {string} userId - User ID (optional)
+   * @returns {Promise<Array>} Prompts
+   */
+  async listPrompts(userId = null) {
+    const prompts = listPrompts();
+
+    if (!userId) {
+      return prompts;
+    }
+
+    return Promise.all(prompts.map(async prompt => {
+      const resolved = await this.resolve(prompt.name, userId);
+      return { ...prompt, user_version: resolved.version, user_version_source: resolved.source };
+    }));
+  }
+
+  /**
+   * Admin: pin a user to a prompt version
+   * @param {string} userId - User ID
+   * @param {string} name - Prompt name
+   * @param {Object} input - { version, note }
+   * @param {string} adminUserId - Admin making the change
+   * @returns {Promise<Object>} Stored assignment
+   */
+  async setAssignment(userId, name, input = {}, adminUserId) {
+    this.validateTarget(userId, name);
+
+    if (!input.version || !hasVersion(name, input.version)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'version', message: `Unknown version for prompt ${name}` });
+    }
+
+    const assignment = await this.assignmentRepository.upsertAssignment(userId, name, {
+      version: input.version,
+      note: input.note ? String(input.note).substring(0, 500) : null,
+      created_by: adminUserId
+    });
+
+    logger.security('prompt_version_pinned', { userId, prompt: name, version: input.version }, { userId: adminUserId });
+
+    return assignment;
+  }
+
+  /**
+   * Admin: remove a pin
+   */
+  async clearAssignment(userId, name, adminUserId) {
+    this.validateTarget(userId, name);
+
+    const removed = await this.assignmentRepository.deleteAssignment(userId, name);
+    if (!removed) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'prompt_assignment' });
+    }
+
+    logger.security('prompt_version_unpinned', { userId, prompt: name }, { userId: adminUserId });
+
+    return true;
+  }
+
+  validateTarget(userId, name) {
+    if (!isUuid(userId)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'userId', message: 'userId must be a UUID' });
+    }
+    if (!listPrompts().some(prompt => prompt.name === name)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'promptName', message: `Unknown prompt: ${name}` });
+    }
+  }
+}
+
+module.exports = PromptService;
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const WorkSessionRepository = require('../repositories/WorkSessionRepository');
 const GoalRepository = require('../repositories/GoalRepository');
 const TeamRepository = require('../repositories/TeamRepository');
@@ -5,12 +6,36 @@ const ScreenshotAnalysisRepository = require('../repositories/ScreenshotAnalysis
 const ReportsRepository = require('../repositories/ReportsRepository');
 const SharedReportsRepository = require('../repositories/SharedReportsRepository');
 const HTMLReportGenerator = require('./HTMLReportGenerator');
+const PDFReportGenerator = require('./PDFReportGenerator');
 const ReportStorageService = require('./ReportStorageService');
+const AIBudgetService = require('./AIBudgetService');
+const LockService = require('./LockService');
+const SharedReportAccessService = require('./SharedReportAccessService');
+const { getStoreClient } = require('../config/store');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getAIProviderForUser } = require('./ai');
+const { SECTION_KEYS } = require('./ai/batchAnalysisSchema');
 const { v4: uuidv4 } = require('uuid');
 
+// Longest a report-from-sessions generation may hold its lock
+const SESSIONS_REPORT_LOCK_TTL_MS = 5 * 60 * 1000;
+const MAX_REPORT_SESSIONS = 50;
+
+// Progress stages of generateFromSessions. Cancelling is possible until the report is saved.
+const SESSIONS_REPORT_STAGES = [
+  'fetching_sessions',
+  'analyzing',
+  'saving_report',
+  'rendering_html',
+  'uploading',
+  'creating_share_link'
+];
+const LAST_CANCELLABLE_STAGE = 'saving_report';
+const GENERATION_PREFIX = 'report_generation:';
+const GENERATION_CANCEL_PREFIX = 'report_generation_cancel:';
+const GENERATION_TTL_SECONDS = 15 * 60;
+
 class ReportService {
   constructor() {
     this.workSessionRepo = new WorkSessionRepository();
@@ -20,15 +45,12 @@ class ReportService {
     this.reportsRepo = new ReportsRepository();
     this.sharedReportsRepo = new SharedReportsRepository();
     this.htmlGenerator = new HTMLReportGenerator();
+    this.pdfGenerator = new PDFReportGenerator();
     this.storageService = new ReportStorageService();
-
-    // Initialize AI if API key is available
-    this.genAI = null;
-    this.model = null;
-    if (process.env.GOOGLE_API_KEY) {
-      this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-      this.model = this.genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
-    }
+    this.aiBudgetService = new AIBudgetService();
+    this.lockService = new LockService();
+    this.store = getStoreClient();
+    this.shareAccess = new SharedReportAccessService(this.store);
   }
 
   async generateIndividualReport(userId, options = {}) {
@@ -126,9 +148,11 @@ class ReportService {
         )
       );
 
-      // Use AI for advanced analysis if available
+      // Use AI for advanced analysis if available for the requester's plan and budget
       let aiReport = null;
-      if (this.model && analysisMode === 'comprehensive') {
+      const budget = analysisMode === 'comprehensive' ? await this.aiBudgetService.checkBudget(userId) : null;
+      const aiProvider = budget?.allowAI ? await getAIProviderForUser(userId) : null;
+      if (aiProvider) {
         aiReport = await this.generateAITeamReport(team, members, teamSessions.flat(), teamGoals);
       }
 
@@ -878,35 +902,122 @@ class ReportService {
     return recommendations.length > 0 ? recommendations : ['Keep up the good work! Your productivity trends look positive'];
   }
 
+  validateSessionIds(sessionIds) {
+    if (!sessionIds || !Array.isArray(sessionIds) || sessionIds.length === 0) {
+      throw new ApiError('VALIDATION_ERROR', {
+        message: 'sessionIds must be a non-empty array'
+      });
+    }
+
+    // Limit to prevent excessive API costs
+    if (sessionIds.length > MAX_REPORT_SESSIONS) {
+      throw new ApiError('VALIDATION_ERROR', {
+        message: `Maximum ${MAX_REPORT_SESSIONS} sessions allowed per report`
+      });
+    }
+  }
+
+  /**
+   * Report progress for a generateFromSessions stage, stopping first if the caller cancelled
+   * @param {string} stage - One of SESSIONS_REPORT_STAGES
+   * @param {Object} options - generateFromSessions options: { onProgress, isCancelled }
+   * @param {Object} details - Extra fields for the progress event
+   */
+  async enterStage(stage, { onProgress, isCancelled } = {}, details = {}) {
+    const step = SESSIONS_REPORT_STAGES.indexOf(stage) + 1;
+    const lastCancellableStep = SESSIONS_REPORT_STAGES.indexOf(LAST_CANCELLABLE_STAGE) + 1;
+
+    if (isCancelled && step <= lastCancellableStep && await isCancelled()) {
+      logger.info('Report generation cancelled', { stage });
+      throw new ApiError('OPERATION_CANCELLED', { stage });
+    }
+
+    if (onProgress) {
+      onProgress({
+        stage,
+        step,
+        total_steps: SESSIONS_REPORT_STAGES.length,
+        // From saving on, the report is finished even if the client goes away
+        cancellable: step < lastCancellableStep,
+        ...details
+      });
+    }
+  }
+
+  /**
+   * Register a streamed generation so it can be cancelled from any instance
+   * @param {string} userId - Report owner
+   * @returns {Promise<string>} Generation ID
+   */
+  async startGeneration(userId) {
+    const generationId = uuidv4();
+    await this.store.set(`${GENERATION_PREFIX}${generationId}`, userId, 'EX', GENERATION_TTL_SECONDS);
+    return generationId;
+  }
+
+  async isGenerationCancelled(generationId) {
+    return !!(await this.store.get(`${GENERATION_CANCEL_PREFIX}${generationId}`));
+  }
+
+  /**
+   * Ask a running generation to stop at its next stage
+   * @param {string} userId - Report owner
+   * @param {string} generationId - ID from the stream's started event
+   */
+  async cancelGeneration(userId, generationId) {
+    const owner = await this.store.get(`${GENERATION_PREFIX}${generationId}`);
+    if (owner !== userId) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'report_generation' });
+    }
+
+    await this.store.set(`${GENERATION_CANCEL_PREFIX}${generationId}`, '1', 'EX', GENERATION_TTL_SECONDS);
+    logger.info('Report generation cancellation requested', { userId, generationId });
+  }
+
+  async finishGeneration(generationId) {
+    try {
+      await this.store.del(`${GENERATION_PREFIX}${generationId}`, `${GENERATION_CANCEL_PREFIX}${generationId}`);
+    } catch (error) {
+      logger.warn('Could not clear report generation state', { generationId, error: error.message });
+    }
+  }
+
   /**
    * Generate report from specific session IDs (custom selection)
    * @param {string} userId - User ID
    * @param {Array<string>} sessionIds - Array of session IDs to include
-   * @param {Object} options - Additional options
+   * @param {Object} options - { title, developerName, password, allowedDomains, onProgress(progress), isCancelled() }
    * @returns {Promise<Object>} Report data with shareable URL
    */
   async generateFromSessions(userId, sessionIds, options = {}) {
+    let lock = null;
+
     try {
       logger.info('Generating report from selected sessions', {
         userId,
         sessionCount: sessionIds ? sessionIds.length : 0
       });
 
-      // Validate input
-      if (!sessionIds || !Array.isArray(sessionIds) || sessionIds.length === 0) {
-        throw new ApiError('VALIDATION_ERROR', {
-          message: 'sessionIds must be a non-empty array'
-        });
-      }
+      this.validateSessionIds(sessionIds);
+      const access = await this.shareAccess.buildAccessFields({
+        password: options.password,
+        allowedDomains: options.allowedDomains
+      });
 
-      // Limit to prevent excessive API costs
-      if (sessionIds.length > 50) {
-        throw new ApiError('VALIDATION_ERROR', {
-          message: 'Maximum 50 sessions allowed per report'
+      // A double-submitted request must not generate (and pay for) the same report twice
+      const selection = crypto.createHash('sha256').update([...sessionIds].sort().join(',')).digest('hex');
+      lock = await this.lockService.acquire(`sessions_report:${userId}:${selection}`, SESSIONS_REPORT_LOCK_TTL_MS);
+      if (!lock) {
+        throw new ApiError('RESOURCE_LOCKED', {
+          message: 'A report for these sessions is already being generated'
         });
       }
 
+      // Monthly budget: over the report limit is rejected
+      const budget = await this.aiBudgetService.checkBudget(userId, { reports: 1 });
+
       // Step 1: Fetch sessions (validates ownership)
+      await this.enterStage('fetching_sessions', options, { session_count: sessionIds.length });
       logger.info('Fetching sessions by IDs', { userId, sessionCount: sessionIds.length });
       const sessions = await this.workSessionRepo.getSessionsByIds(sessionIds, userId);
 
@@ -971,6 +1082,7 @@ class ReportService {
         next_steps: `Continue maintaining consistent work patterns. ${sessions.filter(s => s.status === 'completed').length} sessions completed successfully.`,
         ai_usage_efficiency: 'AI tools usage and efficiency metrics extracted from session data.'
       };
+      await this.enterStage('analyzing', options, { session_count: sessions.length });
 
       // Step 4: Save to reports table (structured data)
       const reportId = uuidv4();
@@ -988,10 +1100,12 @@ class ReportService {
         comprehensive_report: JSON.stringify(aiReportSections)
       };
 
+      await this.enterStage('saving_report', options, { report_id: reportId });
       logger.info('Saving report to database', { reportId, userId });
       await this.reportsRepo.createSessionReport(userId, sessions[0].id, reportData);
 
       // Step 5: Convert to HTML
+      await this.enterStage('rendering_html', options);
       logger.info('Converting report to HTML', { reportId });
       const htmlReportData = {
         ...reportData,
@@ -1010,6 +1124,7 @@ class ReportService {
       const compressedHTML = this.htmlGenerator.generateAndCompress(htmlReportData);
 
       // Step 6: Upload to Supabase Storage
+      await this.enterStage('uploading', options);
       logger.info('Uploading HTML to storage', { reportId, userId });
       const { storagePath, reportId: storageReportId } = await this.storageService.uploadReport(
         compressedHTML,
@@ -1018,6 +1133,7 @@ class ReportService {
       );
 
       // Step 7: Create shared_reports entry
+      await this.enterStage('creating_share_link', options);
       const shareToken = uuidv4();
       const expiresAt = new Date();
       expiresAt.setDate(expiresAt.getDate() + 30); // Expire in 30 days
@@ -1029,6 +1145,8 @@ class ReportService {
         storagePath,
         title: reportData.title,
         expiresAt: expiresAt.toISOString(),
+        passwordHash: access.password_hash,
+        allowedDomains: access.allowed_domains,
         metadata: {
           report_id: reportId,
           session_ids: sessionIds,
@@ -1062,6 +1180,7 @@ class ReportService {
         shareUrl,
         expiresAt: expiresAt.toISOString(),
         title: reportData.title,
+        access: this.shareAccess.describeAccess(sharedReport),
 
         // OnlyWorks 8 sections (flattened at root level)
         ...aiReportSections,
@@ -1072,6 +1191,7 @@ class ReportService {
         session_duration_minutes: Math.round(totalDuration / 60),
         screenshot_count: reportData.screenshot_count,
         session_count: sessions.length,
+        budget_warnings: budget.warnings,
 
         // Date fields - frontend expects these at root level
         start_date: startDate,
@@ -1105,6 +1225,8 @@ class ReportService {
         message: 'Failed to generate report from sessions',
         details: error.message
       });
+    } finally {
+      await this.lockService.release(lock);
     }
   }
 
@@ -1162,6 +1284,56 @@ class ReportService {
       });
     }
   }
+
+  /**
+   * Render a saved report as PDF: scores, date range, time per session and the 8 sections
+   * @param {string} userId - Report owner
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object>} { pdf: Buffer, filename }
+   */
+  async generateReportPdf(userId, reportId) {
+    const report = await this.reportsRepo.getFullReport(reportId, userId);
+    if (!report) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'report', id: reportId });
+    }
+
+    // Reports from several sessions only record which ones on their share link
+    const sharedReport = await this.sharedReportsRepo.findByReportId(reportId, userId);
+    const sessionIds = sharedReport?.metadata?.session_ids?.length
+      ? sharedReport.metadata.session_ids
+      : [report.session_id].filter(Boolean);
+    const sessions = sessionIds.length > 0
+      ? (await this.workSessionRepo.getSessionsByIds(sessionIds, userId))
+        .sort((a, b) => new Date(a.started_at) - new Date(b.started_at))
+      : [];
+
+    const dateRange = sessions.length > 0
+      ? {
+        startDate: sessions[0].started_at,
+        endDate: sessions[sessions.length - 1].ended_at || sessions[sessions.length - 1].started_at
+      }
+      : sharedReport?.metadata?.date_range || null;
+
+    const pdf = this.pdfGenerator.generatePDF({
+      ...Object.fromEntries(SECTION_KEYS.map(key => [key, report[key] || null])),
+      title: report.title || 'OnlyWorks Productivity Report',
+      productivity_score: report.productivity_score,
+      focus_score: report.focus_score,
+      session_duration_minutes: report.session_duration_minutes,
+      screenshot_count: report.screenshot_count,
+      dateRange,
+      generatedAt: report.created_at,
+      sessions: sessions.map(session => ({
+        startedAt: session.started_at,
+        durationMinutes: (session.duration_seconds || 0) / 60,
+        productivityScore: session.productivity_score
+      }))
+    });
+
+    logger.business('report_pdf_exported', { reportId, sessionCount: sessions.length, size: pdf.length }, { userId });
+
+    return { pdf, filename: `report_${reportId}.pdf` };
+  }
 }
 
 module.exports = ReportService;
\ No newline at end of file
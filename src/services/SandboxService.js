@@ -0,0 +1,275 @@
+const jwt = require('jsonwebtoken');
+const SandboxRepository = require('../repositories/SandboxRepository');
+const WorkSessionRepository = require('../repositories/WorkSessionRepository');
+const ScreenshotRepository = require('../repositories/ScreenshotRepository');
+const BatchReportRepository = require('../repositories/BatchReportRepository');
+const ReportsRepository = require('../repositories/ReportsRepository');
+const { getStoreClient } = require('../config/store');
+const { isSandboxEnabled, getSandboxTenants, getSandboxTenant, sandboxConfig } = require('../config/sandbox');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const SESSIONS_PER_TENANT = 3;
+const SCREENSHOTS_PER_SESSION = 6;
+const RESET_LOCK_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * Sandbox (demo) accounts: seeded tenants with synthetic sessions, screenshots
+ * and reports, signed in with read-only tokens and reset on a schedule.
+ */
+class SandboxService {
+  constructor() {
+    this.sandboxRepo = new SandboxRepository();
+    this.workSessionRepo = new WorkSessionRepository();
+    this.screenshotRepo = new ScreenshotRepository();
+    this.batchReportRepo = new BatchReportRepository();
+    this.reportsRepo = new ReportsRepository();
+    this.store = getStoreClient();
+    this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
+  }
+
+  ensureEnabled() {
+    if (!isSandboxEnabled()) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'sandbox' });
+    }
+  }
+
+  listTenants() {
+    this.ensureEnabled();
+
+    return getSandboxTenants().map(tenant => ({
+      key: tenant.key,
+      name: tenant.name,
+      role: tenant.role
+    }));
+  }
+
+  /**
+   * Sign in to a sandbox tenant, resetting its data first if it is stale
+   * @param {string} tenantKey - Tenant key
+   * @returns {Promise<Object>} Token response
+   */
+  async createSandboxSession(tenantKey) {
+    this.ensureEnabled();
+
+    const tenant = getSandboxTenant(tenantKey);
+    if (!tenant) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'sandbox_tenant', key: tenantKey });
+    }
+
+    await this.ensureFresh(tenant);
+
+    const accessToken = jwt.sign(
+      {
+        userId: tenant.userId,
+        email: tenant.email,
+        name: tenant.name,
+        provider: 'sandbox',
+        sandbox: true,
+        tenant: tenant.key
+      },
+      this.jwtSecret,
+      { expiresIn: sandboxConfig.tokenExpiry }
+    );
+    const { exp, iat } = jwt.decode(accessToken);
+
+    logger.business('sandbox_sign_in', { tenant: tenant.key }, { userId: tenant.userId });
+
+    // No refresh token - sandbox sessions simply sign in again
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: exp - iat,
+      sandbox: true,
+      user: {
+        id: tenant.userId,
+        email: tenant.email,
+        name: tenant.name,
+        provider: 'sandbox'
+      }
+    };
+  }
+
+  // Reset the tenant if it hasn't been reset within the configured interval.
+  // Serverless deployments have no timer, so sign-ins drive the schedule.
+  async ensureFresh(tenant) {
+    const freshKey = `sandbox:fresh:${tenant.key}`;
+
+    if (await this.store.exists(freshKey)) {
+      return false;
+    }
+
+    return this.resetTenant(tenant);
+  }
+
+  /**
+   * Wipe and re-seed a tenant's demo data
+   * @param {Object} tenant - Tenant definition
+   * @returns {Promise<boolean>} False if another reset was already running
+   */
+  async resetTenant(tenant) {
+    const lockKey = `sandbox:reset_lock:${tenant.key}`;
+    const acquired = await this.store.set(lockKey, '1', 'PX', RESET_LOCK_TTL_MS, 'NX');
+
+    if (!acquired) {
+      logger.info('Sandbox reset already in progress', { tenant: tenant.key });
+      return false;
+    }
+
+    try {
+      const startTime = Date.now();
+
+      const deleted = await this.sandboxRepo.deleteTenantData(tenant.userId);
+      await this.sandboxRepo.upsertTenantUser(tenant);
+      const seeded = await this.seedTenant(tenant);
+
+      await this.store.set(
+        `sandbox:fresh:${tenant.key}`,
+        new Date().toISOString(),
+        'EX',
+        Math.round(sandboxConfig.resetIntervalHours * 3600)
+      );
+
+      logger.business('sandbox_reset', {
+        tenant: tenant.key,
+        deleted,
+        seeded,
+        duration: Date.now() - startTime
+      }, { userId: tenant.userId });
+
+      return true;
+    } finally {
+      await this.store.del(lockKey);
+    }
+  }
+
+  async resetAll() {
+    this.ensureEnabled();
+
+    for (const tenant of getSandboxTenants()) {
+      try {
+        await this.resetTenant(tenant);
+      } catch (error) {
+        logger.error('Sandbox reset failed', { error: error.message, tenant: tenant.key });
+      }
+    }
+  }
+
+  // Periodic reset for long-running servers (index.js); serverless relies on ensureFresh
+  startResetSchedule() {
+    if (!isSandboxEnabled()) {
+      return null;
+    }
+
+    const intervalMs = sandboxConfig.resetIntervalHours * 60 * 60 * 1000;
+    const timer = setInterval(() => {
+      this.resetAll().catch(error => logger.error('Scheduled sandbox reset failed', { error: error.message }));
+    }, intervalMs);
+    timer.unref();
+
+    logger.info('Sandbox reset scheduled', { intervalHours: sandboxConfig.resetIntervalHours });
+
+    return timer;
+  }
+
+  /**
+   * Seed synthetic sessions, screenshots, batch reports and session reports
+   * @param {Object} tenant - Tenant definition
+   * @returns {Promise<Object>} Counts of seeded rows
+   */
+  async seedTenant(tenant) {
+    const counts = { sessions: 0, screenshots: 0, batch_reports: 0, reports: 0 };
+
+    for (let day = 0; day < SESSIONS_PER_TENANT; day++) {
+      const startedAt = new Date();
+      startedAt.setUTCDate(startedAt.getUTCDate() - (day + 1));
+      startedAt.setUTCHours(9 + day, 0, 0, 0);
+
+      const durationMinutes = 90 + day * 45;
+      const endedAt = new Date(startedAt.getTime() + durationMinutes * 60 * 1000);
+      const goal = tenant.goals[day % tenant.goals.length];
+      const productivityScore = 82 - day * 7;
+      const focusScore = 78 - day * 5;
+
+      const session = await this.workSessionRepo.create({
+        user_id: tenant.userId,
+        session_name: goal,
+        goal_description: goal,
+        started_at: startedAt.toISOString(),
+        ended_at: endedAt.toISOString(),
+        status: 'completed',
+        productivity_score: productivityScore,
+        focus_score: focusScore
+      });
+      counts.sessions++;
+
+      const screenshotIds = [];
+      for (let shot = 0; shot < SCREENSHOTS_PER_SESSION; shot++) {
+        const takenAt = new Date(startedAt.getTime() + (shot + 1) * (durationMinutes / (SCREENSHOTS_PER_SESSION + 1)) * 60 * 1000);
+        const app = tenant.apps[(shot + day) % tenant.apps.length];
+        const storageKey = `sandbox/${tenant.key}/${session.id}/${shot + 1}.jpg`;
+
+        const screenshot = await this.screenshotRepo.createScreenshot(tenant.userId, session.id, {
+          file_storage_key: storageKey,
+          storage_path: storageKey,
+          filename: `${shot + 1}.jpg`,
+          file_size_bytes: 0,
+          action_type: 'timer',
+          active_app: app,
+          window_title: `${app} - ${goal}`,
+          timestamp: takenAt.toISOString(),
+          metadata: { sandbox: true }
+        });
+        screenshotIds.push(screenshot.id);
+        counts.screenshots++;
+      }
+
+      const analysis = {
+        summary: `${tenant.name} spent ${durationMinutes} minutes on "${goal}", mostly in ${tenant.apps[day % tenant.apps.length]}.`,
+        productivityMetrics: { focusScore, productivityScore },
+        applications: tenant.apps,
+        sandbox: true
+      };
+
+      await this.batchReportRepo.create({
+        session_id: session.id,
+        user_id: tenant.userId,
+        analysis_type: 'sandbox',
+        batch_number: 1,
+        screenshot_ids: screenshotIds,
+        screenshot_count: screenshotIds.length,
+        start_time: startedAt.toISOString(),
+        end_time: endedAt.toISOString(),
+        processing_status: 'completed',
+        gemini_analysis: analysis,
+        efficiency_score: productivityScore,
+        applications_used: tenant.apps,
+        processed_at: endedAt.toISOString(),
+        analysis_result: analysis
+      });
+      counts.batch_reports++;
+
+      await this.reportsRepo.createSessionReport(tenant.userId, session.id, {
+        title: `${goal} - Session Report`,
+        executiveSummary: analysis.summary,
+        productivityScore,
+        focusScore: focusScore / 100,
+        sessionDurationMinutes: durationMinutes,
+        screenshotCount: screenshotIds.length,
+        summary: analysis.summary,
+        goalAlignment: `Work stayed aligned with "${goal}" for most of the session.`,
+        blockers: 'Waiting on feedback slowed progress near the end of the session.',
+        recognition: `Steady progress on ${goal.toLowerCase()}.`,
+        automationOpportunities: `Repeated switching between ${tenant.apps[0]} and ${tenant.apps[1]} could be reduced with shared shortcuts.`,
+        communicationQuality: 'Short, focused check-ins in Slack.',
+        nextSteps: `Wrap up remaining items for "${goal}".`,
+        aiUsageEfficiency: 'No AI tooling observed in this session.'
+      });
+      counts.reports++;
+    }
+
+    return counts;
+  }
+}
+
+module.exports = SandboxService;
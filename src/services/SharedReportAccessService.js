@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const EmailService = require('./EmailService');
+const { getStoreClient } = require('../config/store');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { generateToken, hashToken, safeCompare } = require('../utils/tokens');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+
+const VIEWER_PREFIX = 'share_viewer:';
+const CODE_PREFIX = 'share_email_code:';
+const FAILURE_PREFIX = 'share_verify_failures:';
+const CODE_RATE_PREFIX = 'share_email_code_rate:';
+const VIEWER_TTL_SECONDS = 12 * 60 * 60;
+const CODE_TTL_SECONDS = 10 * 60;
+const MAX_CODE_ATTEMPTS = 5;
+// Codes sent per hour: per email, per requesting IP and per share
+const MAX_CODES_PER_HOUR = 5;
+const MAX_CODES_PER_IP_HOUR = 10;
+const MAX_CODES_PER_SHARE_HOUR = 50;
+// Failed password/code checks per share and IP before verification pauses
+const MAX_FAILURES = 10;
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_ALLOWED_DOMAINS = 10;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Optional access restrictions on shared reports: a share password and/or a list
+ * of email domains whose owners may view it. A restricted link only returns its
+ * signed HTML URL to viewers holding a viewer token, issued once they have
+ * entered the password and confirmed an allowed email address with a one-time code.
+ */
+class SharedReportAccessService {
+  constructor(store = getStoreClient()) {
+    this.store = store;
+    this.emailService = new EmailService();
+  }
+
+  /**
+   * Validate access settings from a request and turn them into shared_reports columns
+   * @param {Object} input - { password, allowedDomains }; undefined leaves a setting unchanged, null clears it
+   * @returns {Promise<Object>} { password_hash, allowed_domains } - only the settings given
+   */
+  async buildAccessFields({ password, allowedDomains } = {}) {
+    const fields = {};
+
+    if (password === null || password === '') {
+      fields.password_hash = null;
+    } else if (password !== undefined) {
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        throw new ApiError('VALIDATION_ERROR', {
+          field: 'password',
+          message: `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`
+        });
+      }
+      fields.password_hash = await hashPassword(password);
+    }
+
+    if (allowedDomains !== undefined) {
+      fields.allowed_domains = this.normalizeDomains(allowedDomains);
+    }
+
+    return fields;
+  }
+
+  normalizeDomains(domains) {
+    if (domains === null || (Array.isArray(domains) && domains.length === 0)) {
+      return null;
+    }
+
+    if (!Array.isArray(domains) || domains.length > MAX_ALLOWED_DOMAINS) {
+      throw new ApiError('VALIDATION_ERROR', {
+        field: 'allowedDomains',
+        message: `allowedDomains must be an array of up to ${MAX_ALLOWED_DOMAINS} domains`
+      });
+    }
+
+    const normalized = domains.map(domain => String(domain || '').trim().toLowerCase().replace(/^@/, ''));
+    const invalid = normalized.find(domain => !DOMAIN_PATTERN.test(domain));
+    if (invalid !== undefined) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'allowedDomains', message: `Invalid domain: ${invalid}` });
+    }
+
+    return [...new Set(normalized)];
+  }
+
+  getRequirements(share) {
+    const requires = [];
+    if (share.password_hash) requires.push('password');
+    if (share.allowed_domains?.length) requires.push('email');
+    return requires;
+  }
+
+  // Access settings as shown to the share owner - never the hash
+  describeAccess(share) {
+    return {
+      password_protected: !!share.password_hash,
+      allowed_domains: share.allowed_domains?.length ? share.allowed_domains : null
+    };
+  }
+
+  // Fingerprint of the access settings; viewer tokens stop working when the owner changes them
+  accessStamp(share) {
+    return hashToken(`${share.password_hash || ''}|${(share.allowed_domains || []).join(',')}`);
+  }
+
+  /**
+   * Check a viewer before the signed HTML URL is handed out
+   * @param {Object} share - shared_reports row
+   * @param {string} viewerToken - Token from verifyViewer (optional)
+   * @returns {Promise<Object>} { email } of the verified viewer, null for unrestricted links
+   * @throws {ApiError} SHARE_VERIFICATION_REQUIRED
+   */
+  async checkViewer(share, viewerToken = null) {
+    const requires = this.getRequirements(share);
+    if (requires.length === 0) {
+      return { email: null };
+    }
+
+    if (viewerToken) {
+      const raw = await this.store.get(`${VIEWER_PREFIX}${hashToken(viewerToken)}`);
+      const viewer = raw ? JSON.parse(raw) : null;
+
+      if (viewer && viewer.share_id === share.id && viewer.access === this.accessStamp(share)) {
+        return { email: viewer.email };
+      }
+    }
+
+    throw new ApiError('SHARE_VERIFICATION_REQUIRED', { requires, title: share.title });
+  }
+
+  /**
+   * Email a one-time code to a viewer at one of the share's allowed domains
+   * @param {Object} share - shared_reports row
+   * @param {string} email - Viewer email
+   * @param {Object} context - { ip } for rate limiting
+   * @returns {Promise<Object>} { expires_in }
+   */
+  async requestEmailCode(share, email, { ip = null } = {}) {
+    if (!this.getRequirements(share).includes('email')) {
+      throw new ApiError('VALIDATION_ERROR', { message: 'This shared report does not use email verification' });
+    }
+
+    const normalizedEmail = this.normalizeEmail(email);
+    const domain = normalizedEmail.split('@')[1];
+
+    if (!share.allowed_domains.includes(domain)) {
+      logger.security('share_viewer_domain_rejected', { shareId: share.id, domain });
+      throw new ApiError('SHARE_VERIFICATION_FAILED', {
+        field: 'email',
+        message: 'This email address is not allowed to view the report'
+      });
+    }
+
+    if (!this.emailService.isConfigured()) {
+      throw new ApiError('SERVICE_UNAVAILABLE', { message: 'Email verification is not configured' });
+    }
+
+    await this.checkCodeRate(share.id, normalizedEmail, ip);
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const codeKey = this.codeKey(share.id, normalizedEmail);
+
+    await this.store.set(codeKey, hashToken(code), 'EX', CODE_TTL_SECONDS);
+    await this.store.del(`${codeKey}:attempts`);
+
+    await this.emailService.sendShareVerificationEmail({
+      email: normalizedEmail,
+      code,
+      title: share.title,
+      expiresInMinutes: Math.round(CODE_TTL_SECONDS / 60)
+    });
+
+    logger.security('share_viewer_code_sent', { shareId: share.id, domain });
+
+    return { expires_in: CODE_TTL_SECONDS };
+  }
+
+  /**
+   * Check the password and/or emailed code and issue a viewer token
+   * @param {Object} share - shared_reports row
+   * @param {Object} input - { password, email, code }
+   * @param {Object} context - { ip } for failure throttling
+   * @returns {Promise<Object>} { viewer_token, expires_in }
+   */
+  async verifyViewer(share, { password, email, code } = {}, { ip = null } = {}) {
+    const requires = this.getRequirements(share);
+    if (requires.length === 0) {
+      throw new ApiError('VALIDATION_ERROR', { message: 'This shared report does not require verification' });
+    }
+
+    const failureKey = `${FAILURE_PREFIX}${share.id}:${ip || 'unknown'}`;
+    const failures = parseInt(await this.store.get(failureKey), 10) || 0;
+    if (failures >= MAX_FAILURES) {
+      logger.security('share_verification_throttled', { shareId: share.id, ip });
+      throw new ApiError('RATE_LIMIT_EXCEEDED', { message: 'Too many failed attempts - try again later' });
+    }
+
+    if (requires.includes('password')) {
+      const valid = typeof password === 'string' && await verifyPassword(password, share.password_hash);
+      if (!valid) {
+        await this.recordFailure(failureKey);
+        logger.security('share_password_rejected', { shareId: share.id, ip });
+        throw new ApiError('SHARE_VERIFICATION_FAILED', { field: 'password', message: 'Incorrect password' });
+      }
+    }
+
+    let verifiedEmail = null;
+    if (requires.includes('email')) {
+      verifiedEmail = this.normalizeEmail(email);
+      await this.consumeEmailCode(share, verifiedEmail, code, failureKey);
+    }
+
+    const token = generateToken();
+    const untilExpiry = Math.floor((new Date(share.expires_at).getTime() - Date.now()) / 1000);
+    const ttl = Math.max(Math.min(VIEWER_TTL_SECONDS, untilExpiry), 1);
+
+    await this.store.set(
+      `${VIEWER_PREFIX}${hashToken(token)}`,
+      JSON.stringify({
+        share_id: share.id,
+        email: verifiedEmail,
+        access: this.accessStamp(share),
+        verified_at: new Date().toISOString()
+      }),
+      'EX',
+      ttl
+    );
+
+    logger.security('share_viewer_verified', {
+      shareId: share.id,
+      domain: verifiedEmail ? verifiedEmail.split('@')[1] : null
+    });
+
+    return { viewer_token: token, expires_in: ttl };
+  }
+
+  // Codes are single use and die after MAX_CODE_ATTEMPTS wrong guesses
+  async consumeEmailCode(share, email, code, failureKey) {
+    const codeKey = this.codeKey(share.id, email);
+    const expected = await this.store.get(codeKey);
+
+    if (!expected) {
+      throw new ApiError('SHARE_VERIFICATION_FAILED', { field: 'code', message: 'No valid code for this email - request a new one' });
+    }
+
+    if (!code || !safeCompare(hashToken(String(code).trim()), expected)) {
+      await this.recordFailure(failureKey);
+      const attempts = await this.store.incr(`${codeKey}:attempts`);
+      if (attempts === 1) {
+        await this.store.expire(`${codeKey}:attempts`, CODE_TTL_SECONDS);
+      }
+      if (attempts >= MAX_CODE_ATTEMPTS) {
+        await this.store.del(codeKey, `${codeKey}:attempts`);
+      }
+
+      logger.security('share_code_rejected', { shareId: share.id, attempts });
+      throw new ApiError('SHARE_VERIFICATION_FAILED', { field: 'code', message: 'Incorrect verification code' });
+    }
+
+    await this.store.del(codeKey, `${codeKey}:attempts`);
+  }
+
+  async recordFailure(failureKey) {
+    const failures = await this.store.incr(failureKey);
+    if (failures === 1) {
+      await this.store.expire(failureKey, FAILURE_WINDOW_SECONDS);
+    }
+  }
+
+  // One address, one client or a burst against one share must not flood inboxes
+  async checkCodeRate(shareId, email, ip = null) {
+    const limits = [
+      [`${CODE_RATE_PREFIX}${shareId}:${hashToken(email)}`, MAX_CODES_PER_HOUR],
+      [`${CODE_RATE_PREFIX}${shareId}:ip:${ip || 'unknown'}`, MAX_CODES_PER_IP_HOUR],
+      [`${CODE_RATE_PREFIX}${shareId}:all`, MAX_CODES_PER_SHARE_HOUR]
+    ];
+
+    for (const [key, limit] of limits) {
+      const count = await this.store.incr(key);
+
+      if (count === 1) {
+        await this.store.expire(key, 60 * 60);
+      }
+
+      if (count > limit) {
+        logger.security('share_code_rate_limited', { shareId, ip, limit });
+        throw new ApiError('RATE_LIMIT_EXCEEDED', { message: 'Too many verification codes requested - try again later' });
+      }
+    }
+  }
+
+  codeKey(shareId, email) {
+    return `${CODE_PREFIX}${shareId}:${hashToken(email)}`;
+  }
+
+  normalizeEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalized)) {
+      throw new ApiError('VALIDATION_ERROR', { field: 'email', message: 'A valid email address is required' });
+    }
+    return normalized;
+  }
+}
+
+module.exports = SharedReportAccessService;
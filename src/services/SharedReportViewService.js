@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const SharedReportsRepository = require('../repositories/SharedReportsRepository');
+const SharedReportViewRepository = require('../repositories/SharedReportViewRepository');
+const { ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const MAX_USER_AGENT_LENGTH = 500;
+const MAX_REFERRER_LENGTH = 500;
+const MAX_VIEWS_PAGE = 200;
+// Share links on our website end in /r/<token>
+const SHARE_URL_PATTERN = /\/r\/([^/?#]+)\/?(?:[?#].*)?$/;
+
+/**
+ * Access log for shared report links: every open is stored with a keyed hash of
+ * the IP (never the IP itself), the user agent, the referrer and, when known, who
+ * the viewer is - an email confirmed through viewer verification, or the recipient
+ * whose personal link from /api/reports/share-via-email was opened.
+ */
+class SharedReportViewService {
+  constructor() {
+    this.sharedReportsRepo = new SharedReportsRepository();
+    this.viewRepository = new SharedReportViewRepository();
+  }
+
+  // Keyed so stored hashes can't be reversed by hashing every IPv4 address
+  keyedHash(value) {
+    return crypto
+      .createHmac('sha256', `share_views:${process.env.JWT_SECRET || 'your-secret-key'}`)
+      .update(String(value))
+      .digest('hex');
+  }
+
+  recipientKey(sharedReportId, email) {
+    return this.keyedHash(`recipient:${sharedReportId}:${email}`).substring(0, 22);
+  }
+
+  /**
+   * Log an open of a shared report. Never throws - the viewer still gets the report.
+   * @param {Object} sharedReport - shared_reports row
+   * @param {Object} visit - { ip, userAgent, referrer, viewerEmail, recipientKey }
+   */
+  async recordView(sharedReport, { ip = null, userAgent = null, referrer = null, viewerEmail = null, recipientKey = null } = {}) {
+    try {
+      const recipient = recipientKey
+        ? (sharedReport.metadata?.recipients || []).find(entry => entry.key === recipientKey)
+        : null;
+      const ipHash = ip ? this.keyedHash(`ip:${ip}`) : null;
+      const agent = userAgent ? String(userAgent).substring(0, MAX_USER_AGENT_LENGTH) : null;
+
+      // One viewer per verified email, else per emailed recipient, else per browser on an IP
+      const identity = viewerEmail
+        ? `email:${viewerEmail}`
+        : recipient ? `email:${recipient.email}` : `device:${ipHash}:${agent}`;
+
+      await this.viewRepository.create({
+        shared_report_id: sharedReport.id,
+        ip_hash: ipHash,
+        user_agent: agent,
+        referrer: this.cleanReferrer(referrer),
+        viewer_email: viewerEmail,
+        recipient_email: recipient ? recipient.email : null,
+        viewer_key: this.keyedHash(identity)
+      });
+    } catch (error) {
+      logger.warn('Shared report view not logged', { sharedReportId: sharedReport.id, error: error.message });
+    }
+  }
+
+  // Referrers can carry tokens in their query string - keep origin and path only
+  cleanReferrer(referrer) {
+    if (!referrer) {
+      return null;
+    }
+
+    try {
+      const url = new URL(referrer);
+      return `${url.origin}${url.pathname}`.substring(0, MAX_REFERRER_LENGTH);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Give each email recipient a personal link so their opens can be attributed.
+   * Links that aren't one of the sender's shares are returned unchanged.
+   * @param {string} userId - Sender
+   * @param {string} shareUrl - Share URL being emailed
+   * @param {Array<Object>} recipients - { email, name }
+   * @returns {Promise<Array<Object>>} Recipients with their own shareUrl
+   */
+  async personalizeRecipients(userId, shareUrl, recipients) {
+    try {
+      const token = String(shareUrl).match(SHARE_URL_PATTERN)?.[1];
+      const sharedReport = token ? await this.sharedReportsRepo.getByToken(token) : null;
+
+      if (!sharedReport || sharedReport.user_id !== userId) {
+        return recipients;
+      }
+
+      const sentAt = new Date().toISOString();
+      const known = new Map((sharedReport.metadata?.recipients || []).map(entry => [entry.email, entry]));
+
+      const personalized = recipients.map(recipient => {
+        const email = recipient.email.trim().toLowerCase();
+        const key = this.recipientKey(sharedReport.id, email);
+        known.set(email, { email, key, sent_at: sentAt });
+
+        const url = new URL(shareUrl);
+        url.searchParams.set('rcpt', key);
+        return { ...recipient, shareUrl: url.toString() };
+      });
+
+      await this.sharedReportsRepo.updateMetadata(sharedReport.id, userId, {
+        ...sharedReport.metadata,
+        recipients: [...known.values()]
+      });
+
+      return personalized;
+    } catch (error) {
+      logger.warn('Could not personalize share links - sending the shared URL', { userId, error: error.message });
+      return recipients;
+    }
+  }
+
+  /**
+   * Access log and viewer totals for one of the user's shares
+   * @param {string} userId - Share owner
+   * @param {string} shareId - Shared report ID
+   * @param {Object} options - { limit, offset } for the view list
+   * @returns {Promise<Object>} { share, summary, recipients, views }
+   */
+  async getShareViews(userId, shareId, { limit = 50, offset = 0 } = {}) {
+    const sharedReport = await this.sharedReportsRepo.findByIdForUser(shareId, userId);
+    if (!sharedReport) {
+      throw new ApiError('RESOURCE_NOT_FOUND', { resource: 'shared_report' });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_VIEWS_PAGE);
+    const sentTo = sharedReport.metadata?.recipients || [];
+    const [stats, views] = await Promise.all([
+      this.viewRepository.getViewStats(shareId, sentTo.map(recipient => recipient.email)),
+      this.viewRepository.findByShare(shareId, { limit: pageSize, offset: Math.max(parseInt(offset, 10) || 0, 0) })
+    ]);
+
+    const opensByEmail = new Map((stats.recipients || []).map(entry => [entry.email, entry]));
+
+    const recipients = sentTo.map(recipient => {
+      const opens = opensByEmail.get(recipient.email);
+      return {
+        email: recipient.email,
+        sent_at: recipient.sent_at,
+        opened: !!opens,
+        views: opens ? Number(opens.views) : 0,
+        first_viewed_at: opens ? opens.first_viewed_at : null,
+        last_viewed_at: opens ? opens.last_viewed_at : null
+      };
+    });
+
+    return {
+      share: {
+        id: sharedReport.id,
+        title: sharedReport.title,
+        created_at: sharedReport.created_at,
+        expires_at: sharedReport.expires_at
+      },
+      summary: {
+        total_views: Number(stats.total_views) || 0,
+        unique_viewers: Number(stats.unique_viewers) || 0,
+        identified_viewers: Number(stats.identified_viewers) || 0,
+        first_viewed_at: stats.first_viewed_at || null,
+        last_viewed_at: stats.last_viewed_at || null
+      },
+      recipients,
+      views: views.map(view => ({
+        id: view.id,
+        viewed_at: view.viewed_at,
+        viewer_email: view.viewer_email,
+        recipient_email: view.recipient_email,
+        user_agent: view.user_agent,
+        referrer: view.referrer,
+        // Short hash prefix - enough to tell devices apart, useless for recovering the IP
+        ip_hash: view.ip_hash ? view.ip_hash.substring(0, 12) : null
+      }))
+    };
+  }
+}
+
+module.exports = SharedReportViewService;
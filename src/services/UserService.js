@@ -99,16 +99,6 @@ class UserService {
     }
   }
 
-  async validateUserAccess(userId, requestedUserId) {
-    // Users can only access their own data
-    if (userId !== requestedUserId) {
-      throw new ApiError('PERMISSION_DENIED', {
-        message: 'Users can only access their own data'
-      });
-    }
-    return true;
-  }
-
   async getSettings(userId) {
     try {
       const settings = await this.userRepository.getUserSettings(userId);
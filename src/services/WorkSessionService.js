@@ -2,6 +2,7 @@ const WorkSessionRepository = require('../repositories/WorkSessionRepository');
 const UserService = require('./UserService');
 const AlgorithmicAnalysisService = require('./AlgorithmicAnalysisService');
 const AIAnalysisService = require('./AIAnalysisService');
+const AutoBatchService = require('./AutoBatchService');
 const { ApiError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 
@@ -11,6 +12,7 @@ class WorkSessionService {
     this.userService = new UserService();
     this.algorithmicAnalysisService = new AlgorithmicAnalysisService();
     this.aiAnalysisService = new AIAnalysisService();
+    this.autoBatchService = new AutoBatchService();
   }
 
   async startSession(userId, sessionData) {
@@ -92,6 +94,9 @@ class WorkSessionService {
         duration_seconds: updatedSession.duration_seconds
       });
 
+      // Final batch over the remaining screenshots plus the session summary, as a background job
+      await this.autoBatchService.onSessionEnded(userId, sessionId);
+
       return updatedSession;
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -0,0 +1,64 @@
+const { ApiError } = require('../../middleware/errorHandler');
+const { requestTimeoutMs } = require('../../config/ai');
+
+/**
+ * Common interface for the AI backends used by screenshot and batch analysis.
+ *
+ * generate({ prompt, images, temperature, maxOutputTokens, json }) resolves to
+ *   { text, provider, model, usage: { inputTokens, outputTokens } }
+ * where images are { mimeType, data } with base64 data.
+ */
+class AIProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  async generate() {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  buildResult(text, usage = {}) {
+    return {
+      text: text || '',
+      provider: this.name,
+      model: this.model,
+      usage: {
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0
+      }
+    };
+  }
+
+  // POST JSON to an HTTP backend, surfacing failures as AI_SERVICE_ERROR
+  async postJson(url, body, headers = {}) {
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(requestTimeoutMs)
+      });
+    } catch (error) {
+      throw new ApiError('AI_SERVICE_ERROR', {
+        provider: this.name,
+        message: error.name === 'TimeoutError' ? 'AI provider timed out' : error.message
+      });
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new ApiError('AI_SERVICE_ERROR', {
+        provider: this.name,
+        status: response.status,
+        message: detail.substring(0, 500)
+      });
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = AIProvider;
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const AIProvider = require('./AIProvider');
+
+/**
+ * Deterministic stand-in for tests and local development. The same prompt and
+ * images always produce the same OnlyWorks 8-section JSON, and no network is used.
+ * Pass a responder to script custom replies: responder(request) -> string.
+ */
+class FakeProvider extends AIProvider {
+  constructor({ model, responder = null } = {}) {
+    super('fake', model || 'fake-deterministic-v1');
+    this.responder = responder;
+    this.calls = [];
+  }
+
+  async generate(request) {
+    const { prompt, images = [] } = request;
+    this.calls.push({ prompt, imageCount: images.length });
+
+    const text = this.responder
+      ? await this.responder(request)
+      : JSON.stringify(this.buildAnalysis(prompt, images));
+
+    return this.buildResult(text, {
+      inputTokens: Math.ceil(prompt.length / 4) + images.length * 258,
+      outputTokens: Math.ceil(text.length / 4)
+    });
+  }
+
+  buildAnalysis(prompt, images) {
+    const hash = crypto.createHash('sha256');
+    hash.update(prompt);
+    images.forEach(image => hash.update(image.data));
+    const digest = hash.digest('hex');
+    const focus = parseInt(digest.substring(0, 2), 16) % 41 + 60; // 60-100
+
+    return {
+      summary: `Deterministic analysis of ${images.length} screenshots (ref ${digest.substring(0, 8)}).`,
+      goal_alignment: `Roughly ${focus}% of the session was spent on productive tasks.`,
+      blockers: 'No significant blockers detected.',
+      recognition: 'Sustained focus across the session.',
+      automation_opportunities: 'No repetitive workflows detected.',
+      communication_quality: 'Communication was limited and on-topic.',
+      next_steps: 'Keep the current time blocks and review progress at the end of the day.',
+      ai_usage_efficiency: 'AI tools were used as an assistant rather than a replacement.',
+      productivityMetrics: {
+        focusScore: focus / 100,
+        distractionEvents: parseInt(digest.substring(2, 3), 16) % 5,
+        taskSwitching: parseInt(digest.substring(3, 4), 16) % 8
+      },
+      applications: []
+    };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,38 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const AIProvider = require('./AIProvider');
+
+class GeminiProvider extends AIProvider {
+  constructor({ apiKey, model }) {
+    super('gemini', model);
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  }
+
+  async generate({ prompt, images = [], temperature = 0.3, maxOutputTokens = 3072, json = false }) {
+    const result = await this.client.generateContent({
+      contents: [{
+        role: 'user',
+        parts: [
+          { text: prompt },
+          ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+        ]
+      }],
+      generationConfig: {
+        temperature,
+        topK: 40,
+        topP: 0.8,
+        maxOutputTokens,
+        ...(json && { responseMimeType: 'application/json' })
+      }
+    });
+
+    const response = await result.response;
+    const usage = response.usageMetadata || {};
+
+    return this.buildResult(response.text(), {
+      inputTokens: usage.promptTokenCount,
+      outputTokens: usage.candidatesTokenCount
+    });
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,33 @@
+const AIProvider = require('./AIProvider');
+
+// Self-hosted models behind an Ollama-style /api/chat endpoint
+class OllamaProvider extends AIProvider {
+  constructor({ baseUrl, model }) {
+    super('ollama', model);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async generate({ prompt, images = [], temperature = 0.3, maxOutputTokens = 3072, json = false }) {
+    const data = await this.postJson(`${this.baseUrl}/api/chat`, {
+      model: this.model,
+      stream: false,
+      ...(json && { format: 'json' }),
+      options: {
+        temperature,
+        num_predict: maxOutputTokens
+      },
+      messages: [{
+        role: 'user',
+        content: prompt,
+        images: images.map(image => image.data)
+      }]
+    });
+
+    return this.buildResult(data.message?.content, {
+      inputTokens: data.prompt_eval_count,
+      outputTokens: data.eval_count
+    });
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,36 @@
+const AIProvider = require('./AIProvider');
+
+// Any /chat/completions endpoint that accepts image_url parts (OpenAI, Azure, vLLM, OpenRouter...)
+class OpenAICompatibleProvider extends AIProvider {
+  constructor({ apiKey, baseUrl, model }) {
+    super('openai', model);
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async generate({ prompt, images = [], temperature = 0.3, maxOutputTokens = 3072, json = false }) {
+    const data = await this.postJson(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      temperature,
+      max_tokens: maxOutputTokens,
+      ...(json && { response_format: { type: 'json_object' } }),
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+          }))
+        ]
+      }]
+    }, this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {});
+
+    return this.buildResult(data.choices?.[0]?.message?.content, {
+      inputTokens: data.usage?.prompt_tokens,
+      outputTokens: data.usage?.completion_tokens
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
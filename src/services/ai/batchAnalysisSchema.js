@@ -0,0 +1,214 @@
+/**
+ * Schema for AI batch analysis responses: the 8 OnlyWorks sections plus metrics.
+ * Responses are validated as-is - nothing here fills a missing section with
+ * placeholder text. Anything that fails validation is either re-asked or kept
+ * as a degraded result with the failing sections left null.
+ */
+
+const SECTION_KEYS = [
+  'summary',
+  'goal_alignment',
+  'blockers',
+  'recognition',
+  'automation_opportunities',
+  'communication_quality',
+  'next_steps',
+  'ai_usage_efficiency'
+];
+
+const METRIC_RULES = {
+  focusScore: { min: 0, max: 1, integer: false },
+  distractionEvents: { min: 0, max: Infinity, integer: true },
+  taskSwitching: { min: 0, max: Infinity, integer: true }
+};
+
+const MIN_SECTION_LENGTH = 10;
+
+// JSON shape quoted back to the model when asking it to fix a response
+const SCHEMA_EXAMPLE = JSON.stringify({
+  ...Object.fromEntries(SECTION_KEYS.map(key => [key, 'string'])),
+  productivityMetrics: { focusScore: '0.0-1.0', distractionEvents: 'integer', taskSwitching: 'integer' },
+  applications: ['string']
+}, null, 2);
+
+// Find the first complete top-level JSON object, ignoring braces inside strings
+function findJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}' && --depth === 0) return text.slice(start, i + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Parse the JSON object out of a model response (bare JSON, fenced or surrounded by prose)
+ * @param {string} text - Raw model output
+ * @returns {Object|null} Parsed object, or null if no valid JSON object was found
+ */
+function extractJson(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+  const candidates = [unfenced, findJsonObject(unfenced)].filter(Boolean);
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+function joinList(value) {
+  return Array.isArray(value)
+    ? value.filter(item => typeof item === 'string' && item.trim()).join('. ')
+    : null;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value.replace('%', '')))) {
+    return Number(value.replace('%', ''));
+  }
+  return value;
+}
+
+/**
+ * Mechanical fixes that only reshape content the model actually produced:
+ * the older nested format, numeric strings, and percentages for focusScore.
+ * @param {Object} parsed - Parsed model output
+ * @returns {Object} Candidate analysis
+ */
+function repairBatchAnalysis(parsed) {
+  const candidate = { ...parsed };
+
+  if (parsed.summary && typeof parsed.summary === 'object') {
+    candidate.summary = parsed.summary.reportReadySummary || null;
+  }
+  if (parsed.recognition && typeof parsed.recognition === 'object') {
+    candidate.recognition = joinList(parsed.recognition.accomplishments) || parsed.recognition.teamImpact || null;
+  }
+  if (!candidate.automation_opportunities && parsed.automation && typeof parsed.automation === 'object') {
+    candidate.automation_opportunities = joinList(parsed.automation.suggestions) || null;
+    delete candidate.automation;
+  }
+
+  SECTION_KEYS.forEach(key => {
+    if (typeof candidate[key] === 'string') {
+      candidate[key] = candidate[key].trim();
+    }
+  });
+
+  if (candidate.productivityMetrics && typeof candidate.productivityMetrics === 'object') {
+    const metrics = { ...candidate.productivityMetrics };
+    Object.keys(METRIC_RULES).forEach(field => {
+      metrics[field] = toNumber(metrics[field]);
+    });
+    // Models sometimes answer 0-100 instead of 0-1
+    if (typeof metrics.focusScore === 'number' && metrics.focusScore > 1 && metrics.focusScore <= 100) {
+      metrics.focusScore = metrics.focusScore / 100;
+    }
+    candidate.productivityMetrics = metrics;
+  }
+
+  return candidate;
+}
+
+/**
+ * Validate a candidate against the schema
+ * @param {Object} candidate - Analysis object
+ * @returns {Object} { valid, errors } - errors are "<field>: <problem>" strings
+ */
+function validateBatchAnalysis(candidate) {
+  if (!candidate || typeof candidate !== 'object') {
+    return { valid: false, errors: ['response: not a JSON object'] };
+  }
+
+  const errors = [];
+
+  SECTION_KEYS.forEach(key => {
+    const value = candidate[key];
+    if (typeof value !== 'string') {
+      errors.push(`${key}: must be a string`);
+    } else if (value.length < MIN_SECTION_LENGTH) {
+      errors.push(`${key}: must contain at least ${MIN_SECTION_LENGTH} characters`);
+    }
+  });
+
+  const metrics = candidate.productivityMetrics;
+  if (!metrics || typeof metrics !== 'object') {
+    errors.push('productivityMetrics: must be an object');
+  } else {
+    Object.entries(METRIC_RULES).forEach(([field, rule]) => {
+      const value = metrics[field];
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`productivityMetrics.${field}: must be a number`);
+      } else if (value < rule.min || value > rule.max) {
+        errors.push(`productivityMetrics.${field}: must be between ${rule.min} and ${rule.max}`);
+      } else if (rule.integer && !Number.isInteger(value)) {
+        errors.push(`productivityMetrics.${field}: must be an integer`);
+      }
+    });
+  }
+
+  if (candidate.applications !== undefined &&
+      (!Array.isArray(candidate.applications) || candidate.applications.some(app => typeof app !== 'string'))) {
+    errors.push('applications: must be an array of strings');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Keep only the parts of a candidate that pass validation; the rest become null
+ * @param {Object|null} candidate - Analysis object
+ * @returns {Object} Sections and metrics safe to persist
+ */
+function pickValidParts(candidate) {
+  const source = candidate && typeof candidate === 'object' ? candidate : {};
+  const { errors } = validateBatchAnalysis(source);
+  const failed = new Set(errors.map(error => error.split(':')[0].split('.')[0]));
+
+  const result = Object.fromEntries(
+    SECTION_KEYS.map(key => [key, failed.has(key) ? null : source[key]])
+  );
+  result.productivityMetrics = failed.has('productivityMetrics') ? null : source.productivityMetrics;
+  result.applications = Array.isArray(source.applications) && !failed.has('applications')
+    ? source.applications
+    : [];
+
+  return result;
+}
+
+module.exports = {
+  SECTION_KEYS,
+  SCHEMA_EXAMPLE,
+  extractJson,
+  repairBatchAnalysis,
+  validateBatchAnalysis,
+  pickValidParts
+};
@@ -0,0 +1,79 @@
+const { providerConfig, resolveProviderName, hasPlanOverrides } = require('../../config/ai');
+const ProfileRepository = require('../../repositories/ProfileRepository');
+const { logger } = require('../../utils/logger');
+const GeminiProvider = require('./GeminiProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const OllamaProvider = require('./OllamaProvider');
+const FakeProvider = require('./FakeProvider');
+
+const instances = new Map();
+const profileRepository = new ProfileRepository();
+
+function createProvider(name) {
+  const config = providerConfig[name];
+
+  switch (name) {
+    case 'gemini':
+      if (!config.apiKey) {
+        logger.warn('Gemini selected but no API key is configured - AI analysis disabled');
+        return null;
+      }
+      return new GeminiProvider(config);
+    case 'openai':
+      // Self-hosted OpenAI-compatible servers often run without a key
+      if (!config.apiKey && !process.env.OPENAI_BASE_URL) {
+        logger.warn('OpenAI selected but no API key is configured - AI analysis disabled');
+        return null;
+      }
+      return new OpenAICompatibleProvider(config);
+    case 'ollama':
+      return new OllamaProvider(config);
+    case 'fake':
+      return new FakeProvider(config);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the AI provider for a request. Instances are shared per provider.
+ * @param {Object} options - { plan } subscription type used for per-plan routing
+ * @returns {AIProvider|null} Provider, or null when AI analysis is disabled
+ */
+function getAIProvider({ plan = null } = {}) {
+  const name = resolveProviderName({ plan });
+
+  if (!name) {
+    return null;
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, createProvider(name));
+  }
+
+  return instances.get(name);
+}
+
+/**
+ * Get the AI provider for a user, honouring AI_PLAN_PROVIDERS
+ * @param {string} userId - User ID
+ * @returns {Promise<AIProvider|null>}
+ */
+async function getAIProviderForUser(userId) {
+  if (!userId || !hasPlanOverrides()) {
+    return getAIProvider();
+  }
+
+  try {
+    const profile = await profileRepository.findByUserId(userId);
+    return getAIProvider({ plan: profile?.subscription_type || 'trial' });
+  } catch (error) {
+    logger.warn('Could not resolve user plan for AI provider selection', { userId, error: error.message });
+    return getAIProvider();
+  }
+}
+
+module.exports = {
+  getAIProvider,
+  getAIProviderForUser
+};
@@ -0,0 +1,29 @@
+const { SCHEMA_EXAMPLE } = require('../batchAnalysisSchema');
+
+// Text-only follow-up asking the model to fix its own output against the batch schema
+
+function buildV1({ responseText, errors }) {
+  return `
+Your previous response did not match the required JSON schema.
+
+## VALIDATION ERRORS:
+${errors.map(error => `- ${error}`).join('\n')}
+
+## REQUIRED SCHEMA:
+${SCHEMA_EXAMPLE}
+
+## PREVIOUS RESPONSE:
+${String(responseText || '').substring(0, 12000)}
+
+Return only the corrected JSON object. Use only information from the previous response -
+do not invent observations. If a section cannot be filled from it, set that section to null.
+`;
+}
+
+module.exports = {
+  name: 'batch_analysis_repair',
+  defaultVersion: 'v1',
+  versions: {
+    v1: { description: 'Quote validation errors and schema, forbid new content', build: buildV1 }
+  }
+};
@@ -0,0 +1,134 @@
+// Screenshot analysis driven by capture timeline and app metadata
+
+function buildV1({ screenshots }) {
+  // Sort screenshots by timestamp (oldest first) for proper time calculation
+  const sortedScreenshots = [...screenshots].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  const screenshotInfo = sortedScreenshots.map((screenshot, index) => ({
+    index: index + 1,
+    timestamp: new Date(screenshot.created_at).toISOString(),
+    captureTriger: screenshot.capture_trigger || 'unknown',
+    activeApp: screenshot.active_app || 'Unknown'
+  }));
+
+  // Calculate timing patterns for better analysis
+  const timeSpans = [];
+  for (let i = 1; i < screenshotInfo.length; i++) {
+    const prevTime = new Date(screenshotInfo[i-1].timestamp);
+    const currTime = new Date(screenshotInfo[i].timestamp);
+    const intervalSeconds = Math.round((currTime - prevTime) / 1000);
+    // Ensure positive intervals and cap at reasonable maximum (30 minutes)
+    timeSpans.push(Math.max(0, Math.min(intervalSeconds, 1800)));
+  }
+
+  const avgInterval = timeSpans.length > 0 ? Math.round(timeSpans.reduce((a, b) => a + b, 0) / timeSpans.length) : 0;
+  const uniqueApps = [...new Set(screenshotInfo.map(s => s.activeApp).filter(app => app !== 'Unknown'))];
+  const triggerCounts = screenshotInfo.reduce((acc, s) => {
+    acc[s.captureTriger] = (acc[s.captureTriger] || 0) + 1;
+    return acc;
+  }, {});
+
+  const hasAppData = uniqueApps.length > 0;
+  const sessionDuration = screenshotInfo.length > 1
+    ? Math.round((new Date(screenshotInfo[screenshotInfo.length-1].timestamp) - new Date(screenshotInfo[0].timestamp)) / 1000 / 60)
+    : 0;
+
+  return `
+You are OnlyWorks AI, an analysis engine that brings clarity, recognition, and alignment to modern work.
+Your role is to analyze screenshots and provide insights that make users feel understood, valued, and in
+control—never surveilled.
+
+## CONTEXT PROVIDED
+- Current Session Duration: ${sessionDuration} minutes
+- Screenshots Analyzed: ${screenshots.length}
+- Applications detected: ${hasAppData ? uniqueApps.join(', ') : 'Unknown (app detection unavailable)'}
+- Average screenshot interval: ${avgInterval} seconds
+- Capture triggers: ${Object.entries(triggerCounts).map(([k,v]) => `${k}: ${v}`).join(', ')}
+
+Screenshot Timeline:
+${screenshotInfo.map((info, i) => {
+  const interval = i > 0 ? timeSpans[i-1] + 's' : '0s';
+  return `${info.index}. [+${interval}] ${info.captureTriger} → ${info.activeApp}`;
+}).join('\\n')}
+
+## ANALYSIS FRAMEWORK
+
+Analyze the provided screenshots to answer these questions:
+
+### 1. WORK CLARITY
+- What specific tasks were completed or progressed?
+- What applications/tools were used and for what purpose?
+- What type of work is this? (coding, design, communication, research, debugging, meetings, stakeholder management, documentation)
+- How much context switching occurred?
+
+### 2. BLOCKERS & SUPPORT NEEDS
+- What blockers were encountered? (technical issues, waiting on others, unclear requirements, tooling problems)
+- What dependencies exist on other team members?
+- What needs escalation or support?
+
+### 3. CONTRIBUTION RECOGNITION
+- What value was delivered in this session?
+- What "invisible work" occurred? (research, debugging, unblocking others, knowledge sharing, process improvements)
+- How does this work impact the team or cross-functional dependencies?
+
+### 4. PATTERN & AUTOMATION OPPORTUNITIES
+- Are there recurring workflows that could be automated?
+- Are there repetitive tasks draining productivity?
+
+## OUTPUT FORMAT
+
+Return a JSON object with this exact structure:
+
+{
+  "summary": {
+    "reportReadySummary": "One paragraph progress update suitable for standups (progress-focused, empowering tone)",
+    "workCompleted": ["Specific task 1 completed", "Specific task 2 progressed"],
+    "timeBreakdown": {
+      "coding": 0,
+      "meetings": 0,
+      "communication": 0,
+      "research": 0,
+      "debugging": 0,
+      "design": 0,
+      "documentation": 0,
+      "contextSwitching": 0
+    }
+  },
+
+  "recognition": {
+    "accomplishments": ["Specific value delivered 1", "Specific value delivered 2"],
+    "invisibleWork": ["Research into X", "Unblocked teammate on Y", "Improved process Z"],
+    "teamImpact": "How this work helps the broader team or cross-functional stakeholders"
+  },
+
+  "automation": {
+    "patterns": ["Recurring workflow 1 detected", "Repetitive task 2 identified"],
+    "suggestions": ["Automate X with Y approach", "Create template for Z"],
+    "timeSavingsPotential": "Estimated hours/week that could be saved"
+  },
+
+  "applications": [${hasAppData ? uniqueApps.map(app => `"${app}"`).join(', ') : '"Unknown"'}],
+  "productivityMetrics": {
+    "focusScore": 0.0-1.0,
+    "distractionEvents": 0,
+    "taskSwitching": 0
+  }
+}
+
+## PRIVACY & ETHICS
+- NEVER include actual passwords, API keys, credentials, or PII in output
+- Focus on work patterns, not surveillance
+- Use empowering, non-judgmental language
+- Frame blockers as "needs support" not "failure"
+- Emphasize progress made, not time wasted
+
+Analyze the screenshots and return the JSON response.`;
+}
+
+module.exports = {
+  name: 'batch_timeline_analysis',
+  defaultVersion: 'v1',
+  versions: {
+    v1: { description: 'OnlyWorks framework with capture timeline context', build: buildV1 }
+  }
+};
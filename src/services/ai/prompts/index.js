@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { promptExperiments } = require('../../../config/ai');
+const { logger } = require('../../../utils/logger');
+
+/**
+ * Versioned prompt templates. Each module exports { name, defaultVersion, versions },
+ * where every version is { description, build(params) -> string }. Published versions
+ * are never edited in place - change a prompt by adding a version, so batch reports
+ * tagged with an older version stay comparable.
+ */
+const templates = [
+  require('./batchGroupAnalysis'),
+  require('./batchAggregateAnalysis'),
+  require('./batchTimelineAnalysis'),
+  require('./batchAnalysisRepair'),
+  require('./screenshotAnalysis')
+];
+
+const registry = new Map(templates.map(template => [template.name, template]));
+
+// Drop experiment arms that point at unknown prompts or versions
+const experiments = Object.entries(promptExperiments).reduce((valid, [name, weights]) => {
+  const template = registry.get(name);
+  const arms = Object.entries(weights).filter(([version]) => template?.versions[version]);
+
+  if (arms.length !== Object.keys(weights).length) {
+    logger.warn('Ignoring unknown prompt versions in PROMPT_EXPERIMENTS', { prompt: name });
+  }
+  if (arms.length > 0) {
+    valid[name] = arms;
+  }
+  return valid;
+}, {});
+
+function hasVersion(name, version) {
+  return !!registry.get(name)?.versions[version];
+}
+
+/**
+ * Get a prompt template
+ * @param {string} name - Prompt name, e.g. 'batch_group_analysis'
+ * @param {string} version - Version, defaults to the prompt's default version
+ * @returns {Object} { name, version, id, description, build }
+ */
+function getPrompt(name, version = null) {
+  const template = registry.get(name);
+  if (!template) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  const resolvedVersion = version || template.defaultVersion;
+  const entry = template.versions[resolvedVersion];
+  if (!entry) {
+    throw new Error(`Unknown prompt version: ${name}@${resolvedVersion}`);
+  }
+
+  return {
+    name,
+    version: resolvedVersion,
+    // Stored on batch reports as prompt_version
+    id: `${name}@${resolvedVersion}`,
+    description: entry.description,
+    build: entry.build
+  };
+}
+
+/**
+ * Experiment arm for a user. Bucketing hashes user and prompt name, so a user
+ * stays in the same arm across requests and arms are independent between prompts.
+ * @param {string} name - Prompt name
+ * @param {string} userId - User ID
+ * @returns {string} Version
+ */
+function assignVersion(name, userId) {
+  const template = registry.get(name);
+  const arms = experiments[name];
+
+  if (!arms || !userId) {
+    return template?.defaultVersion || null;
+  }
+
+  const totalWeight = arms.reduce((sum, [, weight]) => sum + weight, 0);
+  const digest = crypto.createHash('sha256').update(`${name}:${userId}`).digest();
+  let bucket = (digest.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  for (const [version, weight] of arms) {
+    if (bucket < weight) {
+      return version;
+    }
+    bucket -= weight;
+  }
+
+  return arms[arms.length - 1][0];
+}
+
+function listPrompts() {
+  return templates.map(template => ({
+    name: template.name,
+    default_version: template.defaultVersion,
+    versions: Object.entries(template.versions).map(([version, entry]) => ({
+      version,
+      description: entry.description
+    })),
+    experiment: experiments[template.name] ? Object.fromEntries(experiments[template.name]) : null
+  }));
+}
+
+module.exports = {
+  getPrompt,
+  hasVersion,
+  assignVersion,
+  listPrompts
+};
@@ -0,0 +1,65 @@
+// Single screenshot analysis (AIAnalysisService)
+
+function buildV1({ metadata = {} }) {
+  const contextualInfo = [];
+
+  if (metadata.window_title) {
+    contextualInfo.push(`Window: "${metadata.window_title}"`);
+  }
+
+  if (metadata.active_app) {
+    contextualInfo.push(`Active application: "${metadata.active_app}"`);
+  }
+
+  if (metadata.timestamp) {
+    const hour = new Date(metadata.timestamp).getHours();
+    const timeOfDay = hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : 'evening';
+    contextualInfo.push(`Time: ${timeOfDay} (${hour}:00)`);
+  }
+
+  return `Analyze this desktop screenshot for productivity assessment.
+Context: ${contextualInfo.join(', ')}
+
+Please identify:
+1. Primary work activity (coding, writing, research, communication, design, meeting, documentation, testing, debugging, planning)
+2. Productivity score (0-100) based on focus and work-relevant activities
+3. Detected applications and their work relevance
+4. Any productivity blockers (social media, entertainment, distractions)
+5. Overall focus assessment
+
+Provide structured analysis with confidence scores for each assessment.`;
+}
+
+const ACTIVITIES = [
+  'coding', 'writing', 'research', 'communication', 'design',
+  'meeting', 'documentation', 'testing', 'debugging', 'planning',
+  'browsing', 'social_media', 'entertainment'
+];
+
+// Same assessment as v1, answered as JSON so AIAnalysisService can store it field by field
+function buildV2({ metadata = {} }) {
+  return `${buildV1({ metadata })}
+
+## OUTPUT FORMAT
+Return only a JSON object:
+
+{
+  "activity_detected": "one of: ${ACTIVITIES.join(', ')}",
+  "productivity_score": 0-100,
+  "confidence_score": 0.0-1.0,
+  "detected_apps": [{ "name": "application name", "confidence": 0.0-1.0 }],
+  "detected_tasks": [{ "description": "what the user is working on", "confidence": 0.0-1.0 }],
+  "is_blocked": true or false,
+  "blocker_type": "distraction, social_media, entertainment, technical or null",
+  "focus_assessment": "one or two sentences"
+}`;
+}
+
+module.exports = {
+  name: 'screenshot_analysis',
+  defaultVersion: 'v2',
+  versions: {
+    v1: { description: 'Activity, productivity score, apps and blockers for one screenshot', build: buildV1 },
+    v2: { description: 'v1 answered as a JSON object with the stored analysis fields', build: buildV2 }
+  }
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// AES-256-GCM for secrets we must be able to read back (unlike tokens, which are hashed).
+// Output format: base64url(iv).base64url(authTag).base64url(ciphertext)
+
+let cachedKey = null;
+
+function getKey() {
+  if (cachedKey) {
+    return cachedKey;
+  }
+
+  const configured = process.env.ENCRYPTION_KEY;
+  if (configured) {
+    cachedKey = crypto.createHash('sha256').update(configured).digest();
+  } else {
+    logger.warn('ENCRYPTION_KEY not set - deriving the encryption key from JWT_SECRET');
+    cachedKey = crypto.createHash('sha256').update(`encryption:${process.env.JWT_SECRET || 'your-secret-key'}`).digest();
+  }
+
+  return cachedKey;
+}
+
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function decrypt(payload) {
+  const [iv, authTag, ciphertext] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,43 @@
+// Server-Sent Events over an Express response, for long-running requests that report progress.
+// Each message is `event: <name>` plus one line of JSON data.
+
+const HEARTBEAT_MS = 15 * 1000;
+
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = chunk => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(chunk);
+    res.flush?.();
+  };
+
+  // Comment lines keep proxies from closing an idle connection during slow stages
+  const heartbeat = setInterval(() => write(': keep-alive\n\n'), HEARTBEAT_MS);
+  heartbeat.unref?.();
+  res.on('close', () => clearInterval(heartbeat));
+
+  return {
+    send(event, data) {
+      write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,302 @@
+// In-memory stand-in for the subset of ioredis commands used by the backend.
+// Used for local development and tests when REDIS_URL is not configured.
+// State lives in the current process only - never rely on it across instances.
+
+class MemoryStore {
+  constructor() {
+    this.data = new Map();
+    this.expiries = new Map();
+  }
+
+  // Key lifecycle helpers
+  purgeIfExpired(key) {
+    const expiresAt = this.expiries.get(key);
+    if (expiresAt !== undefined && expiresAt <= Date.now()) {
+      this.data.delete(key);
+      this.expiries.delete(key);
+    }
+  }
+
+  read(key) {
+    this.purgeIfExpired(key);
+    return this.data.get(key);
+  }
+
+  readList(key) {
+    const value = this.read(key);
+    if (!value) {
+      const list = [];
+      this.data.set(key, list);
+      return list;
+    }
+    return value;
+  }
+
+  readHash(key) {
+    const value = this.read(key);
+    if (!value) {
+      const hash = {};
+      this.data.set(key, hash);
+      return hash;
+    }
+    return value;
+  }
+
+  readSortedSet(key) {
+    const value = this.read(key);
+    if (!value) {
+      const zset = new Map();
+      this.data.set(key, zset);
+      return zset;
+    }
+    return value;
+  }
+
+  // Strings
+  async get(key) {
+    const value = this.read(key);
+    return typeof value === 'string' ? value : null;
+  }
+
+  async set(key, value, ...args) {
+    let ttlMs = null;
+    let onlyIfMissing = false;
+
+    for (let i = 0; i < args.length; i++) {
+      const flag = String(args[i]).toUpperCase();
+      if (flag === 'PX') ttlMs = Number(args[++i]);
+      else if (flag === 'EX') ttlMs = Number(args[++i]) * 1000;
+      else if (flag === 'NX') onlyIfMissing = true;
+    }
+
+    if (onlyIfMissing && this.read(key) !== undefined) {
+      return null;
+    }
+
+    this.data.set(key, String(value));
+    this.expiries.delete(key);
+    if (ttlMs) {
+      this.expiries.set(key, Date.now() + ttlMs);
+    }
+    return 'OK';
+  }
+
+  async getdel(key) {
+    const value = await this.get(key);
+    if (value !== null) {
+      await this.del(key);
+    }
+    return value;
+  }
+
+  async incrby(key, amount) {
+    const current = parseInt(this.read(key) || '0', 10);
+    const next = current + Number(amount);
+    this.data.set(key, String(next));
+    return next;
+  }
+
+  async incr(key) {
+    return this.incrby(key, 1);
+  }
+
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys.flat()) {
+      if (this.read(key) !== undefined) removed++;
+      this.data.delete(key);
+      this.expiries.delete(key);
+    }
+    return removed;
+  }
+
+  async exists(key) {
+    return this.read(key) !== undefined ? 1 : 0;
+  }
+
+  async expire(key, seconds) {
+    return this.pexpire(key, Number(seconds) * 1000);
+  }
+
+  async pexpire(key, ms) {
+    if (this.read(key) === undefined) return 0;
+    this.expiries.set(key, Date.now() + Number(ms));
+    return 1;
+  }
+
+  async pttl(key) {
+    if (this.read(key) === undefined) return -2;
+    const expiresAt = this.expiries.get(key);
+    return expiresAt === undefined ? -1 : expiresAt - Date.now();
+  }
+
+  // Lists (index 0 is the head, matching Redis LPUSH/RPOP semantics)
+  async lpush(key, ...values) {
+    const list = this.readList(key);
+    for (const value of values.flat()) list.unshift(String(value));
+    return list.length;
+  }
+
+  async rpush(key, ...values) {
+    const list = this.readList(key);
+    for (const value of values.flat()) list.push(String(value));
+    return list.length;
+  }
+
+  async rpop(key) {
+    const list = this.read(key);
+    return list && list.length > 0 ? list.pop() : null;
+  }
+
+  async lpop(key) {
+    const list = this.read(key);
+    return list && list.length > 0 ? list.shift() : null;
+  }
+
+  async rpoplpush(source, destination) {
+    const value = await this.rpop(source);
+    if (value !== null) {
+      await this.lpush(destination, value);
+    }
+    return value;
+  }
+
+  // Blocking variant never blocks in memory - there is no other producer to wait on
+  async brpoplpush(source, destination) {
+    return this.rpoplpush(source, destination);
+  }
+
+  async llen(key) {
+    const list = this.read(key);
+    return list ? list.length : 0;
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.read(key) || [];
+    const end = stop < 0 ? list.length + stop + 1 : stop + 1;
+    return list.slice(start < 0 ? Math.max(list.length + start, 0) : start, end);
+  }
+
+  async lrem(key, count, value) {
+    const list = this.read(key);
+    if (!list) return 0;
+
+    let removed = 0;
+    const limit = count === 0 ? Infinity : Math.abs(count);
+    const target = String(value);
+
+    if (count >= 0) {
+      for (let i = 0; i < list.length && removed < limit;) {
+        if (list[i] === target) {
+          list.splice(i, 1);
+          removed++;
+        } else {
+          i++;
+        }
+      }
+    } else {
+      for (let i = list.length - 1; i >= 0 && removed < limit; i--) {
+        if (list[i] === target) {
+          list.splice(i, 1);
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  // Hashes
+  async hset(key, ...args) {
+    const hash = this.readHash(key);
+    const entries = args.length === 1 && typeof args[0] === 'object'
+      ? Object.entries(args[0])
+      : Array.from({ length: args.length / 2 }, (_, i) => [args[i * 2], args[i * 2 + 1]]);
+
+    let added = 0;
+    for (const [field, value] of entries) {
+      if (!(field in hash)) added++;
+      hash[field] = String(value);
+    }
+    return added;
+  }
+
+  async hsetnx(key, field, value) {
+    const hash = this.readHash(key);
+    if (field in hash) return 0;
+    hash[field] = String(value);
+    return 1;
+  }
+
+  async hget(key, field) {
+    const hash = this.read(key);
+    return hash && field in hash ? hash[field] : null;
+  }
+
+  async hgetall(key) {
+    const hash = this.read(key);
+    return hash ? { ...hash } : {};
+  }
+
+  async hincrby(key, field, amount) {
+    const hash = this.readHash(key);
+    const next = parseInt(hash[field] || '0', 10) + Number(amount);
+    hash[field] = String(next);
+    return next;
+  }
+
+  async hdel(key, ...fields) {
+    const hash = this.read(key);
+    if (!hash) return 0;
+    let removed = 0;
+    for (const field of fields.flat()) {
+      if (field in hash) {
+        delete hash[field];
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Sorted sets
+  async zadd(key, score, member) {
+    const zset = this.readSortedSet(key);
+    const isNew = !zset.has(String(member));
+    zset.set(String(member), Number(score));
+    return isNew ? 1 : 0;
+  }
+
+  async zrem(key, ...members) {
+    const zset = this.read(key);
+    if (!zset) return 0;
+    let removed = 0;
+    for (const member of members.flat()) {
+      if (zset.delete(String(member))) removed++;
+    }
+    return removed;
+  }
+
+  async zrangebyscore(key, min, max) {
+    const zset = this.read(key);
+    if (!zset) return [];
+    const lower = min === '-inf' ? -Infinity : Number(min);
+    const upper = max === '+inf' ? Infinity : Number(max);
+    return [...zset.entries()]
+      .filter(([, score]) => score >= lower && score <= upper)
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member);
+  }
+
+  async zscore(key, member) {
+    const zset = this.read(key);
+    const score = zset ? zset.get(String(member)) : undefined;
+    return score === undefined ? null : String(score);
+  }
+
+  async zcard(key) {
+    const zset = this.read(key);
+    return zset ? zset.size : 0;
+  }
+}
+
+module.exports = MemoryStore;
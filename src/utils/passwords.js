@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { safeCompare } = require('./tokens');
+
+// Hashing for user-chosen secrets (share passwords). Unlike the random tokens in
+// tokens.js these can be guessed, so they get a salted, deliberately slow scrypt hash.
+// Stored as scrypt$N$r$p$salt$hash so the cost can be raised without breaking old hashes.
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const KEY_LENGTH = 32;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const key = await scrypt(String(password), salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION });
+  return ['scrypt', COST, BLOCK_SIZE, PARALLELIZATION, salt, key.toString('base64url')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, cost, blockSize, parallelization, salt, expected] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const key = await scrypt(String(password), salt, KEY_LENGTH, {
+    N: Number(cost),
+    r: Number(blockSize),
+    p: Number(parallelization)
+  });
+  return safeCompare(key.toString('base64url'), expected);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
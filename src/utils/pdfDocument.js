@@ -0,0 +1,285 @@
+// Minimal PDF 1.4 writer: text in the standard Helvetica fonts, filled/stroked
+// rectangles and lines. Enough for generated reports without a headless browser.
+// Coordinates are in points with the origin at the top-left of the page.
+// Text is WinAnsi encoded - characters outside it become '?' and emoji are dropped.
+
+const pako = require('pako');
+
+const A4 = { width: 595.28, height: 841.89 };
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' },
+  italic: { name: 'F3', baseFont: 'Helvetica-Oblique' }
+};
+
+// Glyph widths (1/1000 em) for character codes 32-126, from the Adobe core font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+// WinAnsi codes above 127 that matter for typeset text: [code, regular width, bold width]
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556, 556],
+  '…': [0x85, 1000, 1000],
+  '‘': [0x91, 222, 278],
+  '’': [0x92, 222, 278],
+  '“': [0x93, 333, 500],
+  '”': [0x94, 333, 500],
+  '•': [0x95, 350, 350],
+  '–': [0x96, 556, 556],
+  '—': [0x97, 1000, 1000],
+  '™': [0x99, 1000, 1000]
+};
+// Latin-1 letters are close enough to this for line breaking
+const DEFAULT_WIDTH = 556;
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\uFE0F\u200D]/gu;
+
+function parseColor(hex) {
+  const value = hex.replace('#', '');
+  return [0, 2, 4].map(index => (parseInt(value.substring(index, index + 2), 16) / 255).toFixed(3)).join(' ');
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+class PDFDocument {
+  /**
+   * @param {Object} options - { width, height, margin } in points, A4 by default
+   */
+  constructor({ width = A4.width, height = A4.height, margin = 50 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.margin = margin;
+    this.pages = [];
+    this.pageIndex = -1;
+    this.addPage();
+  }
+
+  addPage() {
+    this.pages.push([]);
+    this.pageIndex = this.pages.length - 1;
+    return this;
+  }
+
+  // Draw on an earlier page, e.g. footers once the page count is known
+  switchToPage(index) {
+    this.pageIndex = index;
+    return this;
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  // Characters as WinAnsi codes
+  encode(text) {
+    const codes = [];
+    for (const char of String(text).normalize('NFC').replace(EMOJI_PATTERN, '').replace(/\t/g, '    ')) {
+      const code = char.codePointAt(0);
+      if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+        codes.push(code);
+      } else if (WIN_ANSI_EXTRAS[char]) {
+        codes.push(WIN_ANSI_EXTRAS[char][0]);
+      } else if (code >= 32) {
+        codes.push(63); // '?'
+      }
+    }
+    return codes;
+  }
+
+  /**
+   * Width of a string in points
+   * @param {string} text - Text
+   * @param {Object} options - { font: 'regular'|'bold'|'italic', size }
+   * @returns {number} Width
+   */
+  widthOf(text, { font = 'regular', size = 12 } = {}) {
+    const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const extras = Object.values(WIN_ANSI_EXTRAS);
+
+    const units = this.encode(text).reduce((sum, code) => {
+      if (code >= 32 && code <= 126) {
+        return sum + widths[code - 32];
+      }
+      const extra = extras.find(([extraCode]) => extraCode === code);
+      return sum + (extra ? extra[font === 'bold' ? 2 : 1] : DEFAULT_WIDTH);
+    }, 0);
+
+    return (units * size) / 1000;
+  }
+
+  /**
+   * Break text into lines no wider than maxWidth. Newlines in the text are kept.
+   * @param {string} text - Text
+   * @param {number} maxWidth - Line width in points
+   * @param {Object} options - { font, size }
+   * @returns {Array<string>} Lines ('' for blank lines)
+   */
+  wrap(text, maxWidth, options = {}) {
+    const lines = [];
+
+    String(text).replace(EMOJI_PATTERN, '').split(/\r?\n/).forEach(paragraph => {
+      let line = '';
+
+      paragraph.split(/ +/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.widthOf(candidate, options) <= maxWidth) {
+          line = candidate;
+          return;
+        }
+
+        if (line) {
+          lines.push(line);
+        }
+
+        // Words wider than a line (URLs, hashes) are split where they overflow
+        line = '';
+        for (const char of word) {
+          if (line && this.widthOf(line + char, options) > maxWidth) {
+            lines.push(line);
+            line = '';
+          }
+          line += char;
+        }
+      });
+
+      lines.push(line);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Draw a single line of text; y is the top of the line
+   * @param {string} text - Text
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {Object} options - { font, size, color, align: 'left'|'center'|'right', width }
+   */
+  text(text, x, y, { font = 'regular', size = 12, color = '#000000', align = 'left', width = null } = {}) {
+    let left = x;
+    if (align !== 'left' && width) {
+      const free = width - this.widthOf(text, { font, size });
+      left = align === 'center' ? x + free / 2 : x + free;
+    }
+
+    const escaped = this.encode(text).map(code => {
+      if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+      if (code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+      return String.fromCharCode(code);
+    }).join('');
+
+    // Baseline sits roughly 0.8 em below the top of the line
+    const baseline = this.height - y - size * 0.8;
+    this.pages[this.pageIndex].push(
+      `BT /${FONTS[font].name} ${formatNumber(size)} Tf ${parseColor(color)} rg ${formatNumber(left)} ${formatNumber(baseline)} Td (${escaped}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} options - { fill, stroke, lineWidth } colors as '#rrggbb'
+   */
+  rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+    const ops = [];
+    if (fill) ops.push(`${parseColor(fill)} rg`);
+    if (stroke) ops.push(`${parseColor(stroke)} RG ${formatNumber(lineWidth)} w`);
+    ops.push(`${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`);
+    ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+
+    this.pages[this.pageIndex].push(ops.join(' '));
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+    this.pages[this.pageIndex].push(
+      `${parseColor(color)} RG ${formatNumber(lineWidth)} w ${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @param {Object} info - { title, author, subject } document properties
+   * @returns {Buffer} PDF file
+   */
+  toBuffer(info = {}) {
+    // Objects: 1 catalog, 2 page tree, 3-5 fonts, 6 info, then a page and a content stream per page
+    const fontIds = Object.values(FONTS).map((font, index) => ({ ...font, id: 3 + index }));
+    const infoId = 6;
+    const pageIds = this.pages.map((page, index) => 7 + index * 2);
+    const objects = [];
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pages.length} >>`;
+    fontIds.forEach(font => {
+      objects[font.id] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`;
+    });
+
+    const infoEntries = Object.entries({ Title: info.title, Author: info.author, Subject: info.subject, Producer: 'OnlyWorks' })
+      .filter(([, value]) => value)
+      .map(([key, value]) => `/${key} (${this.encode(value).map(code => `\\${code.toString(8).padStart(3, '0')}`).join('')})`);
+    objects[infoId] = `<< ${infoEntries.join(' ')} /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').substring(0, 14)}Z) >>`;
+
+    const fontResources = fontIds.map(font => `/${font.name} ${font.id} 0 R`).join(' ');
+    this.pages.forEach((ops, index) => {
+      const pageId = pageIds[index];
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = Buffer.from(pako.deflate(Buffer.from(ops.join('\n'), 'latin1')));
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    for (let id = 1; id < objects.length; id++) {
+      const body = objects[id];
+      const parts = Buffer.isBuffer(body)
+        ? [Buffer.from(`${id} 0 obj\n<< /Length ${body.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'), body, Buffer.from('\nendstream\nendobj\n', 'latin1')]
+        : [Buffer.from(`${id} 0 obj\n${body}\nendobj\n`, 'latin1')];
+
+      offsets[id] = length;
+      parts.forEach(part => {
+        chunks.push(part);
+        length += part.length;
+      });
+    }
+
+    const xref = [
+      'xref',
+      `0 ${objects.length}`,
+      '0000000000 65535 f ',
+      ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = PDFDocument;
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// PKCE (RFC 7636) helpers. Verifiers are persisted with the OAuth state by
+// OAuthStateService so the callback can land on any instance.
+
+function generateCodeVerifier() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function generateCodeChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+module.exports = {
+  generateCodeVerifier,
+  generateCodeChallenge
+};
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Helpers for opaque secrets that are stored hashed (refresh tokens, API keys, one-time links).
+// Tokens are high-entropy random values, so a fast SHA-256 digest is sufficient -
+// there is nothing to brute-force the way there is with user-chosen passwords.
+
+// Generate a URL-safe random token
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Hash a token for storage and lookup
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Constant-time comparison of two strings
+function safeCompare(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  safeCompare
+};
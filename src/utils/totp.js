@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (the codes authenticator apps show).
+// SHA-1, 6 digits and a 30 second step are what every authenticator app supports.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Generate a new base32 secret (160 bits, as recommended by RFC 4226)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Time step counter for a timestamp
+function getCounter(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+}
+
+// HOTP value for a counter (RFC 4226)
+function generateCode(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(binary).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code against the current time step, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: steps either side to accept, timestamp }
+ * @returns {number|null} Matching counter (store it to reject reuse), or null
+ */
+function verifyCode(secret, code, { window = 1, timestamp = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getCounter(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+}
+
+// otpauth:// URI that authenticator apps import from a QR code
+function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getCounter,
+  verifyCode,
+  buildOtpauthUri
+};
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { parseTrustProxy } = require('../../src/config/proxy');
+
+test('parseTrustProxy trusts one proxy hop by default', () => {
+  assert.equal(parseTrustProxy(undefined), 1);
+  assert.equal(parseTrustProxy(''), 1);
+});
+
+test('parseTrustProxy accepts hop counts, booleans and address lists', () => {
+  assert.equal(parseTrustProxy('2'), 2);
+  assert.equal(parseTrustProxy('true'), true);
+  assert.equal(parseTrustProxy('FALSE'), false);
+  assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8'), ['loopback', '10.0.0.0/8']);
+});
+
+test('with the default setting req.ip is the client the platform proxy reports', async () => {
+  const app = express();
+  app.set('trust proxy', parseTrustProxy(undefined));
+  app.get('/ip', (req, res) => res.json({ ip: req.ip }));
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/ip`, {
+      headers: { 'X-Forwarded-For': '198.51.100.7, 203.0.113.9' }
+    });
+    // Only the address appended by the one trusted hop counts - earlier entries are client-controlled
+    assert.equal((await response.json()).ip, '203.0.113.9');
+  } finally {
+    server.close();
+  }
+});
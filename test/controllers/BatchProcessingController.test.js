@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BatchProcessingController = require('../../src/controllers/BatchProcessingController');
+const { batchConfig } = require('../../src/config/batch');
+
+// Run a handler and resolve with the options passed to triggerBatchProcessing
+function trigger(body) {
+  const controller = new BatchProcessingController();
+
+  return new Promise((resolve, reject) => {
+    let options = null;
+    controller.batchService = {
+      triggerBatchProcessing: async (userId, sessionId, passed) => {
+        options = passed;
+        return { batches: [] };
+      }
+    };
+
+    controller.triggerBatchProcessing(
+      { user: { userId: 'user-1' }, params: { sessionId: 'session-1' }, body, query: {} },
+      { json: () => resolve(options) },
+      reject
+    );
+  });
+}
+
+test('triggerBatchProcessing caps the requested windows at the per-run limit', async () => {
+  const options = await trigger({ maxWindows: 100000 });
+
+  assert.equal(options.maxWindows, batchConfig.maxWindowsPerRun);
+});
+
+test('triggerBatchProcessing allows fewer windows than the limit and defaults to it', async () => {
+  assert.equal((await trigger({ maxWindows: 2 })).maxWindows, 2);
+  assert.equal((await trigger({})).maxWindows, batchConfig.maxWindowsPerRun);
+});
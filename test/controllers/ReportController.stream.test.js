@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ReportController = require('../../src/controllers/ReportController');
+const MemoryStore = require('../../src/utils/memoryStore');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const SESSION_ID = '11111111-1111-4111-8111-111111111111';
+
+/**
+ * Controller whose report pipeline runs against in-memory stand-ins.
+ * Fetching sessions waits for `releaseSessions()`, so a test can cancel or
+ * disconnect while the generation is in flight.
+ */
+function createController() {
+  const controller = new ReportController();
+  const service = controller.reportService;
+  const calls = { saved: [] };
+
+  let releaseSessions;
+  const sessionsGate = new Promise(resolve => {
+    releaseSessions = resolve;
+  });
+  let finished;
+  const generationFinished = new Promise(resolve => {
+    finished = resolve;
+  });
+
+  service.store = new MemoryStore();
+  service.shareAccess = {
+    buildAccessFields: async () => ({ password_hash: null, allowed_domains: null }),
+    describeAccess: () => ({ restricted: false })
+  };
+  service.lockService = { acquire: async () => ({ key: 'lock' }), release: async () => true };
+  service.aiBudgetService = { checkBudget: async () => ({ warnings: [] }) };
+  service.workSessionRepo = {
+    getSessionsByIds: async () => {
+      await sessionsGate;
+      return [{ id: SESSION_ID, started_at: '2026-10-01T09:00:00Z', duration_seconds: 3600, status: 'completed' }];
+    }
+  };
+  service.reportsRepo = {
+    createSessionReport: async (userId, sessionId, report) => {
+      calls.saved.push(report);
+      return report;
+    }
+  };
+  service.htmlGenerator = { generateAndCompress: () => Buffer.from('html') };
+  service.storageService = { uploadReport: async () => ({ storagePath: 'reports/r.html', reportId: 'r' }) };
+  service.sharedReportsRepo = { createSharedReport: async share => ({ id: 'share-1', ...share }) };
+
+  const finishGeneration = service.finishGeneration.bind(service);
+  service.finishGeneration = async generationId => {
+    await finishGeneration(generationId);
+    finished();
+  };
+
+  return { controller, calls, releaseSessions, generationFinished };
+}
+
+async function withServer(controller, run, { onResponseClosed = () => {} } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { userId: req.get('x-test-user') || 'user-1' };
+    res.on('close', onResponseClosed);
+    next();
+  });
+  app.post('/stream', controller.generateFromSessionsStream);
+  app.post('/generations/:generationId/cancel', controller.cancelGeneration);
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+// Reads Server-Sent Events off a fetch response as { event, data }
+function eventReader(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  return {
+    async next() {
+      for (;;) {
+        const end = buffer.indexOf('\n\n');
+        if (end !== -1) {
+          const block = buffer.substring(0, end);
+          buffer = buffer.substring(end + 2);
+          if (block.startsWith(':')) continue;
+          const event = block.match(/^event: (.*)$/m)[1];
+          return { event, data: JSON.parse(block.match(/^data: (.*)$/m)[1]) };
+        }
+
+        const { value, done } = await reader.read();
+        if (done) return null;
+        buffer += decoder.decode(value, { stream: true });
+      }
+    },
+    cancel: () => reader.cancel()
+  };
+}
+
+async function readAll(reader) {
+  const events = [];
+  for (let event = await reader.next(); event; event = await reader.next()) {
+    events.push(event);
+  }
+  return events;
+}
+
+function startStream(baseUrl, options = {}) {
+  return fetch(`${baseUrl}/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionIds: [SESSION_ID] }),
+    ...options
+  });
+}
+
+test('the stream sends started, progress per stage, then complete', async () => {
+  const { controller, calls, releaseSessions } = createController();
+  releaseSessions();
+
+  await withServer(controller, async baseUrl => {
+    const response = await startStream(baseUrl);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = await readAll(eventReader(response));
+    const names = events.map(event => event.event);
+
+    assert.equal(names[0], 'started');
+    assert.ok(events[0].data.generation_id);
+    assert.equal(names[names.length - 1], 'complete');
+    assert.ok(names.slice(1, -1).every(name => name === 'progress'));
+    assert.deepEqual(events.slice(1, -1).map(event => event.data.stage), [
+      'fetching_sessions',
+      'analyzing',
+      'saving_report',
+      'rendering_html',
+      'uploading',
+      'creating_share_link'
+    ]);
+    assert.ok(events[events.length - 1].data.data.shareToken);
+  });
+
+  assert.equal(calls.saved.length, 1);
+});
+
+test('cancelling before the report is saved ends the stream with OPERATION_CANCELLED', async () => {
+  const { controller, calls, releaseSessions } = createController();
+
+  await withServer(controller, async baseUrl => {
+    const reader = eventReader(await startStream(baseUrl));
+    const started = await reader.next();
+    await reader.next(); // fetching_sessions
+
+    const cancel = await fetch(`${baseUrl}/generations/${started.data.generation_id}/cancel`, { method: 'POST' });
+    assert.equal(cancel.status, 200);
+    releaseSessions();
+
+    const events = await readAll(reader);
+    const last = events[events.length - 1];
+    assert.equal(last.event, 'cancelled');
+    assert.equal(last.data.error.code, 'OPERATION_CANCELLED');
+    assert.ok(!events.some(event => event.data.stage === 'saving_report'));
+  });
+
+  assert.equal(calls.saved.length, 0);
+});
+
+test('a client that disconnects stops the generation before the report is saved', async () => {
+  const { controller, calls, releaseSessions, generationFinished } = createController();
+
+  let closed;
+  const responseClosed = new Promise(resolve => {
+    closed = resolve;
+  });
+
+  await withServer(controller, async baseUrl => {
+    const abort = new AbortController();
+    const reader = eventReader(await startStream(baseUrl, { signal: abort.signal }));
+    await reader.next(); // started
+    await reader.next(); // fetching_sessions
+
+    abort.abort();
+    // The server sees the closed connection before the pipeline moves on
+    await responseClosed;
+    releaseSessions();
+
+    await generationFinished;
+  }, { onResponseClosed: () => closed() });
+
+  assert.equal(calls.saved.length, 0);
+});
+
+test('cancelGeneration answers 404 to a user who does not own the generation', async () => {
+  const { controller } = createController();
+  const generationId = await controller.reportService.startGeneration('user-1');
+
+  await withServer(controller, async baseUrl => {
+    const cancel = user => fetch(`${baseUrl}/generations/${generationId}/cancel`, {
+      method: 'POST',
+      headers: { 'x-test-user': user }
+    });
+
+    const other = await cancel('user-2');
+    assert.equal(other.status, 404);
+    assert.equal(await controller.reportService.isGenerationCancelled(generationId), false);
+
+    assert.equal((await cancel('user-1')).status, 200);
+    assert.equal(await controller.reportService.isGenerationCancelled(generationId), true);
+  });
+});
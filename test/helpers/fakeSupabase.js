@@ -0,0 +1,45 @@
+const QUERY_METHODS = [
+  'select', 'insert', 'update', 'upsert', 'delete',
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'not', 'like', 'or',
+  'order', 'limit', 'range', 'single', 'maybeSingle'
+];
+
+/**
+ * Chainable stand-in for the Supabase query builder. Every query records its
+ * calls and, when awaited, resolves to respond({ table, calls }) - which
+ * defaults to { data: null, error: null }.
+ */
+function createFakeSupabase(respond = () => ({ data: null, error: null })) {
+  const queries = [];
+
+  function from(table) {
+    const query = { table, calls: [] };
+    queries.push(query);
+
+    const builder = {
+      then(resolve, reject) {
+        return Promise.resolve()
+          .then(() => respond(query))
+          .then(resolve, reject);
+      }
+    };
+
+    for (const method of QUERY_METHODS) {
+      builder[method] = (...args) => {
+        query.calls.push({ method, args });
+        return builder;
+      };
+    }
+
+    return builder;
+  }
+
+  // Arguments of the first call to `method` in a recorded query
+  function argsOf(query, method) {
+    return query.calls.find(call => call.method === method)?.args;
+  }
+
+  return { from, rpc: async () => ({ data: null, error: null }), queries, argsOf };
+}
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,18 @@
+const Module = require('module');
+const path = require('path');
+
+// Put `exports` in the require cache for a src module before anything loads it.
+// `modulePath` is relative to the repo root, e.g. 'src/middleware/auth.js'.
+function stubModule(modulePath, exports) {
+  const filename = path.resolve(__dirname, '../..', modulePath);
+  const stub = new Module(filename);
+
+  stub.filename = filename;
+  stub.loaded = true;
+  stub.exports = exports;
+  require.cache[filename] = stub;
+
+  return stub;
+}
+
+module.exports = { stubModule };
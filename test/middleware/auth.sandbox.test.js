@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { stubModule } = require('../helpers/stubModule');
+
+process.env.SANDBOX_MODE = 'true';
+// The real session service starts an auto-save interval that keeps the process alive
+stubModule('src/services/UserSessionService.js', class UserSessionService {});
+const { authenticateUser, optionalAuth } = require('../../src/middleware/auth');
+
+const sandboxToken = jwt.sign(
+  { userId: 'sandbox-user', sandbox: true, tenant: 'solo-developer' },
+  process.env.JWT_SECRET || 'your-secret-key'
+);
+
+function run(middleware, method, url) {
+  const req = {
+    method,
+    originalUrl: url,
+    headers: { authorization: `Bearer ${sandboxToken}` }
+  };
+
+  return new Promise(resolve => middleware(req, {}, error => resolve(error || null)));
+}
+
+test('sandbox users may call the allowlisted auth and sandbox writes', async () => {
+  for (const url of ['/api/auth/refresh', '/api/auth/logout', '/api/auth/validate', '/api/sandbox/reset']) {
+    assert.equal(await run(authenticateUser, 'POST', url), null, url);
+  }
+});
+
+test('sandbox users may not call other auth writes', async () => {
+  for (const [method, url] of [
+    ['POST', '/api/auth/devices/sign-out-all'],
+    ['DELETE', '/api/auth/devices/device-1'],
+    ['POST', '/api/auth/mfa/enroll'],
+    ['POST', '/api/auth/mfa/disable'],
+    ['POST', '/api/auth/refresh/extra']
+  ]) {
+    const error = await run(authenticateUser, method, url);
+    assert.equal(error?.details?.reason, 'sandbox_read_only', url);
+  }
+});
+
+test('optionalAuth keeps sandbox users read-only', async () => {
+  assert.equal(await run(optionalAuth, 'GET', '/api/auth/status'), null);
+  assert.equal(await run(optionalAuth, 'POST', '/api/auth/logout'), null);
+
+  const error = await run(optionalAuth, 'POST', '/api/reports/generate');
+  assert.equal(error?.details?.reason, 'sandbox_read_only');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../../src/config/database');
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+
+// The repository captures the admin client when it loads
+const supabase = createFakeSupabase(query => {
+  const insert = supabase.argsOf(query, 'insert');
+  if (insert) {
+    return { data: { id: 'batch-1', ...insert[0][0] }, error: null };
+  }
+  return { data: supabase.argsOf(query, 'eq')[1] === 'session-with-reports' ? [{ batch_number: 7 }] : [], error: null };
+});
+database.supabaseAdmin = supabase;
+const BatchReportRepository = require('../../src/repositories/BatchReportRepository');
+
+test('create persists the degraded flag', async () => {
+  const repository = new BatchReportRepository();
+
+  const degraded = await repository.create({ session_id: 's1', user_id: 'u1', degraded: true });
+  const clean = await repository.create({ session_id: 's1', user_id: 'u1', degraded: false });
+
+  assert.equal(degraded.degraded, true);
+  assert.equal(clean.degraded, false);
+});
+
+test('create leaves degraded to the column default when it is not given', async () => {
+  const repository = new BatchReportRepository();
+
+  const row = await repository.create({ session_id: 's1', user_id: 'u1' });
+
+  assert.equal('degraded' in row, false);
+});
+
+test('create persists token usage and cost', async () => {
+  const repository = new BatchReportRepository();
+
+  const row = await repository.create({ session_id: 's1', user_id: 'u1', tokens_used: 1500, cost_usd: 0.0042 });
+
+  assert.equal(row.tokens_used, 1500);
+  assert.equal(row.cost_usd, 0.0042);
+});
+
+test('getMaxBatchNumber reads the highest stored batch number', async () => {
+  const repository = new BatchReportRepository();
+
+  assert.equal(await repository.getMaxBatchNumber('session-with-reports'), 7);
+  assert.equal(await repository.getMaxBatchNumber('empty-session'), 0);
+
+  const query = supabase.queries[supabase.queries.length - 1];
+  assert.deepEqual(supabase.argsOf(query, 'order'), ['batch_number', { ascending: false }]);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SandboxRepository = require('../../src/repositories/SandboxRepository');
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+
+function createRepository(shareIds) {
+  const supabase = createFakeSupabase(query => {
+    if (query.table === 'shared_reports' && !supabase.argsOf(query, 'delete')) {
+      return { data: shareIds.map(id => ({ id })), error: null };
+    }
+    return { data: [{ id: 'row' }], error: null };
+  });
+
+  const repository = new SandboxRepository();
+  repository.supabaseAdmin = supabase;
+
+  return { repository, supabase };
+}
+
+function deletedTables(supabase) {
+  return supabase.queries
+    .filter(query => supabase.argsOf(query, 'delete'))
+    .map(query => query.table);
+}
+
+test('deleteTenantData clears share views, then every per-user table children first', async () => {
+  const { repository, supabase } = createRepository(['share-1', 'share-2']);
+
+  const deleted = await repository.deleteTenantData('sandbox-user');
+
+  assert.deepEqual(deletedTables(supabase), [
+    'shared_report_views',
+    'shared_reports',
+    'reports',
+    'batch_checkpoints',
+    'batch_reports',
+    'screenshots',
+    'screenshot_sessions',
+    'ai_usage_events',
+    'prompt_assignments'
+  ]);
+
+  const views = supabase.queries.find(query => query.table === 'shared_report_views');
+  assert.deepEqual(supabase.argsOf(views, 'in'), ['shared_report_id', ['share-1', 'share-2']]);
+  supabase.queries
+    .filter(query => query.table !== 'shared_report_views')
+    .forEach(query => assert.deepEqual(supabase.argsOf(query, 'eq'), ['user_id', 'sandbox-user']));
+  assert.equal(deleted.ai_usage_events, 1);
+});
+
+test('deleteTenantData skips share views when the tenant has no shares', async () => {
+  const { repository, supabase } = createRepository([]);
+
+  const deleted = await repository.deleteTenantData('sandbox-user');
+
+  assert.equal(deleted.shared_report_views, 0);
+  assert.ok(!deletedTables(supabase).includes('shared_report_views'));
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SharedReportViewRepository = require('../../src/repositories/SharedReportViewRepository');
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+
+const MISSING_FUNCTION = { code: 'PGRST202', message: 'Could not find the function' };
+
+// More views than one API response may hold
+function manyViews(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `view-${index}`,
+    viewer_key: `key-${index % 300}`,
+    viewer_email: index % 10 === 0 ? 'viewer@example.com' : null,
+    recipient_email: index % 10 === 1 ? 'other@example.com' : null,
+    viewed_at: new Date(Date.UTC(2026, 0, 1) + index * 1000).toISOString()
+  }));
+}
+
+function createRepository(rows, rpc) {
+  const supabase = createFakeSupabase(query => {
+    const [from, to] = supabase.argsOf(query, 'range');
+    // PostgREST's default max-rows
+    return { data: rows.slice(from, Math.min(to + 1, from + 1000)), error: null };
+  });
+  supabase.rpc = rpc;
+
+  const repository = new SharedReportViewRepository();
+  repository.supabaseAdmin = supabase;
+
+  return { repository, supabase };
+}
+
+test('getViewStats counts in the database when the stats function exists', async () => {
+  const calls = [];
+  const stats = { total_views: 5000, unique_viewers: 42, identified_viewers: 3, recipients: [] };
+  const { repository, supabase } = createRepository([], async (name, args) => {
+    calls.push({ name, args });
+    return { data: stats, error: null };
+  });
+
+  assert.deepEqual(await repository.getViewStats('share-1', ['viewer@example.com']), stats);
+
+  assert.deepEqual(calls, [{
+    name: 'shared_report_view_stats',
+    args: { p_share_id: 'share-1', p_emails: ['viewer@example.com'] }
+  }]);
+  assert.equal(supabase.queries.length, 0);
+});
+
+test('getViewStats pages through every view when the stats function is missing', async () => {
+  const rows = manyViews(2500);
+  const { repository, supabase } = createRepository(rows, async () => ({ data: null, error: MISSING_FUNCTION }));
+
+  const stats = await repository.getViewStats('share-1', ['viewer@example.com']);
+
+  assert.equal(stats.total_views, 2500);
+  assert.equal(stats.unique_viewers, 300);
+  assert.equal(stats.identified_viewers, 2);
+  assert.equal(stats.first_viewed_at, rows[0].viewed_at);
+  assert.equal(stats.last_viewed_at, rows[2499].viewed_at);
+  assert.deepEqual(stats.recipients, [{
+    email: 'viewer@example.com',
+    views: 250,
+    first_viewed_at: rows[0].viewed_at,
+    last_viewed_at: rows[2490].viewed_at
+  }]);
+  // Five full pages, then an empty one that ends the walk
+  assert.equal(supabase.queries.length, 6);
+});
+
+test('getViewStats surfaces database errors other than a missing function', async () => {
+  const { repository } = createRepository([], async () => ({ data: null, error: { code: '57014', message: 'timeout' } }));
+
+  await assert.rejects(repository.getViewStats('share-1'), { message: 'timeout' });
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SharedReportsRepository = require('../../src/repositories/SharedReportsRepository');
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+
+const MISSING_FUNCTION = { code: 'PGRST202', message: 'Could not find the function' };
+
+/**
+ * Fake shared_reports table holding one row. `lostRaces` compare-and-set updates
+ * fail as if another view was counted first.
+ */
+function createRepository(row, { rpc = null, lostRaces = 0 } = {}) {
+  const state = { row: { ...row }, rpcCalls: 0, lostRaces };
+  const supabase = createFakeSupabase(query => {
+    const update = supabase.argsOf(query, 'update');
+    if (supabase.argsOf(query, 'range')) {
+      return { data: [{ ...state.row }], error: null };
+    }
+    if (!update) {
+      return { data: { ...state.row }, error: null };
+    }
+
+    const expected = query.calls.find(call => call.method === 'eq' && call.args[0] === 'view_count').args[1];
+    if (state.lostRaces > 0) {
+      state.lostRaces--;
+      state.row.view_count += 1;
+      return { data: null, error: null };
+    }
+    if (state.row.view_count !== expected) {
+      return { data: null, error: null };
+    }
+
+    state.row = { ...state.row, ...update[0] };
+    return { data: { ...state.row }, error: null };
+  });
+  supabase.rpc = async (name, args) => {
+    state.rpcCalls++;
+    return rpc ? rpc(name, args, state) : { data: null, error: MISSING_FUNCTION };
+  };
+
+  const repository = new SharedReportsRepository();
+  repository.supabaseAdmin = supabase;
+  return { repository, state, supabase };
+}
+
+test('incrementViewCount counts through the database function when it exists', async () => {
+  const { repository, state } = createRepository({ token: 't1', view_count: 4 }, {
+    rpc: (name, args) => ({ data: [{ token: args.p_token, view_count: 5, name }], error: null })
+  });
+
+  const updated = await repository.incrementViewCount('t1');
+
+  assert.equal(state.rpcCalls, 1);
+  assert.deepEqual(updated, { token: 't1', view_count: 5, name: 'increment_shared_report_view' });
+});
+
+test('incrementViewCount returns null when the function counts nothing', async () => {
+  const { repository } = createRepository({ token: 't1' }, { rpc: () => ({ data: [], error: null }) });
+
+  assert.equal(await repository.incrementViewCount('t1'), null);
+});
+
+test('without the function, lost compare-and-set races are retried until the view counts', async () => {
+  const { repository, state } = createRepository({ token: 't1', view_count: 0 }, { lostRaces: 5 });
+
+  const updated = await repository.incrementViewCount('t1');
+
+  assert.equal(updated.view_count, 6);
+  assert.equal(state.lostRaces, 0);
+
+  // The missing function is only asked for once
+  await repository.incrementViewCount('t1');
+  assert.equal(state.rpcCalls, 1);
+});
+
+test('the view that reaches max_views revokes the link and later views are refused', async () => {
+  const { repository, state } = createRepository({ token: 't1', view_count: 1, max_views: 2 });
+
+  const last = await repository.incrementViewCount('t1');
+
+  assert.equal(last.view_count, 2);
+  assert.equal(last.is_revoked, true);
+  assert.equal(last.revoked_reason, 'view_limit');
+  assert.equal(await repository.incrementViewCount('t1'), null);
+  assert.equal(state.row.view_count, 2);
+});
+
+test('getUserSharedReports lists shares without a session or report filter', async () => {
+  const { repository, supabase } = createRepository({ token: 't1' });
+
+  const shares = await repository.getUserSharedReports('user-1', { limit: 10 });
+
+  assert.deepEqual(shares, [{ token: 't1' }]);
+  const query = supabase.queries[supabase.queries.length - 1];
+  assert.deepEqual(supabase.argsOf(query, 'eq'), ['user_id', 'user-1']);
+  assert.deepEqual(supabase.argsOf(query, 'range'), [0, 9]);
+});
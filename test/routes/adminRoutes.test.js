@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { stubModule } = require('../helpers/stubModule');
+
+// Replace authenticateUser with a stub that trusts the x-test-user header
+stubModule('src/middleware/auth.js', {
+  authenticateUser: (req, res, next) => {
+    req.user = { userId: req.get('x-test-user') };
+    next();
+  }
+});
+
+const UserRepository = require('../../src/repositories/UserRepository');
+const MfaService = require('../../src/services/MfaService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+const ROLES = { 'plain-user': 'user', 'support-user': 'support', 'admin-user': 'admin' };
+UserRepository.prototype.getPlatformRole = async userId => ROLES[userId];
+MfaService.prototype.isEnabled = async () => false;
+
+const adminRoutes = require('../../src/routes/adminRoutes');
+
+async function withServer(run) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  try {
+    await run(`http://127.0.0.1:${server.address().port}/api/admin`);
+  } finally {
+    server.close();
+  }
+}
+
+const QUEUE_MUTATIONS = [
+  ['POST', '/queue/maintenance'],
+  ['POST', '/queue/dead/requeue'],
+  ['DELETE', '/queue/dead']
+];
+
+test('queue mutations are refused for non-admin users', async () => {
+  await withServer(async baseUrl => {
+    for (const user of ['plain-user', 'support-user']) {
+      for (const [method, route] of QUEUE_MUTATIONS) {
+        const response = await fetch(`${baseUrl}${route}`, {
+          method,
+          headers: { 'content-type': 'application/json', 'x-test-user': user },
+          body: '{}'
+        });
+        assert.equal(response.status, 403, `${user} ${method} ${route}`);
+      }
+    }
+  });
+});
+
+test('queue mutations pass authorization for admins', async () => {
+  await withServer(async baseUrl => {
+    for (const [method, route] of QUEUE_MUTATIONS) {
+      const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: { 'content-type': 'application/json', 'x-test-user': 'admin-user' },
+        body: '{}'
+      });
+      assert.notEqual(response.status, 403, `${method} ${route}`);
+    }
+  });
+});
+
+test('running automatic batch jobs is admin-only', async () => {
+  await withServer(async baseUrl => {
+    const request = user => fetch(`${baseUrl}/batch/auto/run`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-test-user': user },
+      body: '{}'
+    });
+
+    assert.equal((await request('support-user')).status, 403);
+
+    const response = await request('admin-user');
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).data, { ran: 0, failed: 0 });
+  });
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AIAnalysisService = require('../../src/services/AIAnalysisService');
+const AIAnalysisCacheService = require('../../src/services/AIAnalysisCacheService');
+const FakeProvider = require('../../src/services/ai/FakeProvider');
+const MemoryStore = require('../../src/utils/memoryStore');
+
+function createService(provider) {
+  const service = new AIAnalysisService();
+  const usage = [];
+
+  service.aiProvider = provider;
+  service.analysisCache = new AIAnalysisCacheService(new MemoryStore());
+  service.downloadScreenshotImage = async () => Buffer.from('pixels');
+  service.aiUsageService.recordUsage = async event => {
+    usage.push(event);
+  };
+
+  return { service, usage };
+}
+
+const validResponse = JSON.stringify({
+  activity_detected: 'coding',
+  productivity_score: 82,
+  confidence_score: 0.9,
+  detected_apps: [{ name: 'Visual Studio Code', confidence: 0.95 }],
+  detected_tasks: [{ description: 'Writing unit tests', confidence: 0.8 }],
+  is_blocked: false,
+  blocker_type: null,
+  focus_assessment: 'Focused on one editor window.'
+});
+
+test('analyzeScreenshot sends the screenshot to the provider and maps its answer', async () => {
+  const provider = new FakeProvider({ responder: () => validResponse });
+  const { service, usage } = createService(provider);
+
+  const result = await service.analyzeScreenshot('uploads/shot.png', { active_app: 'Code' });
+
+  assert.equal(provider.calls.length, 1);
+  assert.equal(provider.calls[0].imageCount, 1);
+  assert.match(provider.calls[0].prompt, /Active application: "Code"/);
+  assert.equal(result.analysis_type, 'ai');
+  assert.equal(result.activity_detected, 'coding');
+  assert.equal(result.productivity_score, 82);
+  assert.deepEqual(result.detected_apps, [{ name: 'Visual Studio Code', confidence: 0.95 }]);
+  assert.equal(result.model_version, 'fake-deterministic-v1');
+  assert.equal(result.analysis_metadata.provider, 'fake');
+  assert.equal(usage.length, 1);
+  assert.equal(usage[0].operation, 'screenshot_analysis');
+  assert.equal(usage[0].success, true);
+});
+
+test('analyzeScreenshot falls back to the metadata estimate when the answer is unusable', async () => {
+  const provider = new FakeProvider({ responder: () => 'I cannot analyze this image.' });
+  const { service } = createService(provider);
+
+  const result = await service.analyzeScreenshot('uploads/shot.png', { active_app: 'Code' });
+
+  assert.equal(provider.calls.length, 1);
+  assert.equal(result.analysis_type, 'enhanced_mock');
+  assert.equal(result.analysis_metadata.provider, null);
+});
+
+test('analyzeScreenshot uses the metadata estimate without a provider', async () => {
+  const { service } = createService(null);
+
+  const result = await service.analyzeScreenshot('uploads/shot.png', {});
+
+  assert.equal(result.analysis_metadata.analysis_type, 'mock_fallback');
+});
+
+test('analyzeScreenshot skips the provider when the user is out of AI budget', async () => {
+  const provider = new FakeProvider({ responder: () => validResponse });
+  const { service } = createService(provider);
+  const checks = [];
+  service.aiBudgetService.checkBudget = async (userId, requested) => {
+    checks.push({ userId, requested });
+    return { allowAI: false, warnings: [], exhausted: [{ metric: 'screenshots' }] };
+  };
+
+  const result = await service.analyzeScreenshot('uploads/shot.png', { user_id: 'user-1' });
+
+  assert.deepEqual(checks, [{ userId: 'user-1', requested: { screenshots: 1 } }]);
+  assert.equal(provider.calls.length, 0);
+  assert.equal(result.analysis_metadata.analysis_type, 'mock_fallback');
+  assert.equal(result.analysis_metadata.reason, 'ai_budget_exhausted');
+});
+
+test('analyzeScreenshot reuses the cached answer for the same image, prompt and user', async () => {
+  const provider = new FakeProvider({ responder: () => validResponse });
+  const { service } = createService(provider);
+  const metadata = { active_app: 'Code', timestamp: '2026-01-01T09:00:00.000Z' };
+
+  await service.analyzeScreenshot('uploads/shot.png', metadata);
+  const repeated = await service.analyzeScreenshot('uploads/shot.png', metadata);
+
+  assert.equal(provider.calls.length, 1);
+  assert.equal(repeated.cache_hit, true);
+  assert.equal(repeated.activity_detected, 'coding');
+  assert.deepEqual(repeated.ai_usage, { inputTokens: 0, outputTokens: 0, costUsd: 0 });
+});
+
+test('analyzeScreenshot misses the cache when the prompt metadata or the user differs', async () => {
+  const provider = new FakeProvider({ responder: () => validResponse });
+  const { service } = createService(provider);
+  service.aiBudgetService.checkBudget = async () => ({ allowAI: true, warnings: [], exhausted: [] });
+
+  await service.performRealAnalysis('uploads/shot.png', { active_app: 'Code' }, provider);
+  await service.performRealAnalysis('uploads/shot.png', { active_app: 'Slack' }, provider);
+  await service.performRealAnalysis('uploads/shot.png', { active_app: 'Code', user_id: 'user-2' }, provider);
+
+  assert.equal(provider.calls.length, 3);
+});
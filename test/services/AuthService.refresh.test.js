@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const AuthService = require('../../src/services/AuthService');
+const { hashToken } = require('../../src/utils/tokens');
+
+function createService(rows = []) {
+  const service = new AuthService();
+  const stored = [];
+  const deviceUpdates = [];
+
+  service.refreshTokenRepository = {
+    async findByHash(hash) {
+      return rows.find(row => row.token_hash === hash) || null;
+    },
+    async createToken(token) {
+      stored.push(token);
+      return { id: `token-${stored.length}`, ...token };
+    },
+    async markUsed() {
+      return true;
+    },
+    async revokeFamily() {
+      return 1;
+    }
+  };
+  service.userRepository = {
+    async findById(id) {
+      return { id, email: 'user@example.com' };
+    }
+  };
+  service.userDeviceRepository = {
+    async findByFamilyId(familyId) {
+      return { id: 'device-1', family_id: familyId };
+    },
+    async updateDevice(id, updates) {
+      deviceUpdates.push({ id, ...updates });
+      return { id };
+    }
+  };
+
+  return { service, stored, deviceUpdates };
+}
+
+test('refreshAccessToken refuses tokens issued before rotation was tracked', async () => {
+  const { service, stored } = createService();
+  const legacyToken = jwt.sign({ userId: 'user-1', type: 'refresh' }, service.jwtSecret, { expiresIn: '7d' });
+
+  await assert.rejects(service.refreshAccessToken(legacyToken), { code: 'INVALID_REFRESH_TOKEN' });
+  assert.equal(stored.length, 0);
+});
+
+test('refreshAccessToken rotates a tracked token', async () => {
+  const setup = createService();
+  const token = setup.service.generateRefreshToken({ id: 'user-1' }, 'family-1');
+  const { service, stored } = createService([{
+    id: 'row-1',
+    user_id: 'user-1',
+    family_id: 'family-1',
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + 60000).toISOString()
+  }]);
+
+  const result = await service.refreshAccessToken(token);
+
+  assert.ok(result.access_token);
+  assert.notEqual(result.refresh_token, token);
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].familyId, 'family-1');
+});
+
+function trackedToken(overrides = {}) {
+  const { service } = createService();
+  const token = service.generateRefreshToken({ id: 'user-1' }, 'family-1');
+
+  return {
+    token,
+    row: {
+      id: 'row-1',
+      user_id: 'user-1',
+      family_id: 'family-1',
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+      ...overrides
+    }
+  };
+}
+
+test('revokeRefreshToken signs out the device behind the family', async () => {
+  const { token, row } = trackedToken();
+  const { service, deviceUpdates } = createService([row]);
+
+  assert.equal(await service.revokeRefreshToken(token), true);
+
+  assert.equal(deviceUpdates.length, 1);
+  assert.equal(deviceUpdates[0].id, 'device-1');
+  assert.ok(deviceUpdates[0].revoked_at);
+});
+
+test('a reused refresh token signs out the device behind the family', async () => {
+  const { token, row } = trackedToken({ used_at: new Date().toISOString() });
+  const { service, stored, deviceUpdates } = createService([row]);
+
+  await assert.rejects(service.refreshAccessToken(token), { code: 'INVALID_REFRESH_TOKEN' });
+
+  assert.equal(stored.length, 0);
+  assert.equal(deviceUpdates.length, 1);
+  assert.ok(deviceUpdates[0].revoked_at);
+});
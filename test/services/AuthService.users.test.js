@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AuthService = require('../../src/services/AuthService');
+
+function createService(existingUser) {
+  const service = new AuthService();
+  const calls = { update: [], create: [] };
+
+  service.userRepository = {
+    async findByEmail() {
+      return existingUser;
+    },
+    async update(id, changes) {
+      calls.update.push(changes);
+      return { ...existingUser, ...changes };
+    },
+    async create(row) {
+      calls.create.push(row);
+      return { id: 'new-user', ...row };
+    }
+  };
+  service.profileRepository = {
+    async findByUserId() {
+      return { id: 'profile' };
+    },
+    async updateProfile(userId, changes) {
+      return changes;
+    }
+  };
+
+  return { service, calls };
+}
+
+const emailSignIn = {
+  provider: 'email',
+  provider_id: 'person@example.com',
+  email: 'person@example.com',
+  email_verified: true
+};
+
+test('createOrUpdateUser keeps the provider of an existing OAuth account', async () => {
+  const { service, calls } = createService({
+    id: 'user-1',
+    email: 'person@example.com',
+    provider: 'google',
+    provider_id: 'google-123'
+  });
+
+  const user = await service.createOrUpdateUser(emailSignIn);
+
+  assert.equal(calls.update.length, 1);
+  assert.equal('provider' in calls.update[0], false);
+  assert.equal('provider_id' in calls.update[0], false);
+  assert.equal(user.provider, 'google');
+  assert.equal(user.provider_id, 'google-123');
+});
+
+test('createOrUpdateUser records the provider when creating a user', async () => {
+  const { service, calls } = createService(null);
+
+  await service.createOrUpdateUser(emailSignIn);
+
+  assert.equal(calls.create[0].provider, 'email');
+  assert.equal(calls.create[0].provider_id, 'person@example.com');
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AutoBatchService = require('../../src/services/AutoBatchService');
+const MemoryStore = require('../../src/utils/memoryStore');
+
+const JOBS_KEY = 'batch_auto:jobs';
+
+function createService({ unprocessed = 0, trigger = async () => ({ batches: [], remaining: 0 }) } = {}) {
+  const store = new MemoryStore();
+  const service = new AutoBatchService(store);
+  const calls = { trigger: [], summary: [] };
+
+  service.screenshotRepo = {
+    getUnprocessedCount: async () => unprocessed,
+    findUnprocessed: async () => [{ created_at: new Date().toISOString() }]
+  };
+  service.batchService = {
+    triggerBatchProcessing: async (userId, sessionId, options) => {
+      calls.trigger.push({ userId, sessionId, options });
+      return trigger();
+    },
+    generateSessionSummary: async (userId, sessionId) => {
+      calls.summary.push({ userId, sessionId });
+    }
+  };
+
+  return { store, service, calls };
+}
+
+async function storedJobs(store) {
+  return (await store.zrangebyscore(JOBS_KEY, '-inf', '+inf')).map(entry => JSON.parse(entry));
+}
+
+// Make every stored job due now
+async function makeDue(store) {
+  for (const entry of await store.zrangebyscore(JOBS_KEY, '-inf', '+inf')) {
+    await store.zadd(JOBS_KEY, 0, entry);
+  }
+}
+
+test('uploads store one debounced check per session instead of starting a timer', async () => {
+  const { store, service } = createService();
+
+  await service.onScreenshotUploaded('user-1', 'session-1');
+  await service.onScreenshotUploaded('user-1', 'session-1');
+
+  const jobs = await storedJobs(store);
+  assert.equal(jobs.length, 1);
+  assert.equal(jobs[0].type, 'check');
+  assert.equal(jobs[0].sessionId, 'session-1');
+  assert.deepEqual(await service.runDueJobs(), { ran: 0, failed: 0 });
+});
+
+test('a due check over the threshold schedules a run, and the run triggers batch processing', async () => {
+  const { store, service, calls } = createService({ unprocessed: 30 });
+
+  await service.onScreenshotUploaded('user-1', 'session-1');
+  await makeDue(store);
+  await service.runDueJobs();
+
+  const [run] = await storedJobs(store);
+  assert.equal(run.type, 'run');
+  assert.equal(run.reason, 'threshold');
+
+  await service.runDueJobs();
+
+  assert.equal(calls.trigger.length, 1);
+  assert.deepEqual(await storedJobs(store), []);
+});
+
+test('a job stays stored while it runs and is skipped by other instances holding no lease', async () => {
+  const { store, service, calls } = createService();
+  const other = new AutoBatchService(store);
+  let seenByOther = null;
+
+  service.batchService.triggerBatchProcessing = async () => {
+    seenByOther = await other.runDueJobs();
+    assert.equal((await storedJobs(store)).length, 1);
+    return { batches: [], remaining: 0 };
+  };
+
+  await service.onSessionEnded('user-1', 'session-1');
+  await service.runDueJobs();
+
+  assert.deepEqual(seenByOther, { ran: 0, failed: 0 });
+  assert.equal(calls.summary.length, 1);
+  assert.deepEqual(await storedJobs(store), []);
+});
+
+test('a job whose runner died is picked up again once its lease is gone', async () => {
+  const { store, service, calls } = createService();
+
+  await service.onSessionEnded('user-1', 'session-1');
+  // The runner crashed after claiming: its lease expired but the job is still stored
+  const [job] = await storedJobs(store);
+  await store.set(`batch_auto:lease:${job.id}`, '1', 'PX', 1);
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  await service.runDueJobs();
+
+  assert.equal(calls.trigger.length, 1);
+  assert.equal(calls.summary.length, 1);
+});
+
+test('a final run that finds the session locked is stored again for a later attempt', async () => {
+  const locked = Object.assign(new Error('locked'), { code: 'RESOURCE_LOCKED' });
+  const { store, service, calls } = createService({
+    trigger: async () => {
+      throw locked;
+    }
+  });
+
+  await service.onSessionEnded('user-1', 'session-1');
+  await service.runDueJobs();
+
+  const jobs = await storedJobs(store);
+  assert.equal(jobs.length, 1);
+  assert.equal(jobs[0].final, true);
+  assert.equal(jobs[0].attempt, 2);
+  assert.equal(calls.summary.length, 0);
+});
+
+test('a job another instance already finished is not run again from a stale snapshot', async () => {
+  const { store, service, calls } = createService();
+  const other = new AutoBatchService(store);
+  other.screenshotRepo = service.screenshotRepo;
+  other.batchService = service.batchService;
+
+  await service.onSessionEnded('user-1', 'session-1');
+  const snapshot = await store.zrangebyscore(JOBS_KEY, '-inf', Date.now());
+
+  // The other instance runs the job while this one is still walking its snapshot
+  await other.runDueJobs();
+  store.zrangebyscore = async () => snapshot;
+  await service.runDueJobs();
+
+  assert.equal(calls.trigger.length, 1);
+  assert.equal(calls.summary.length, 1);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BatchProcessingService = require('../../src/services/BatchProcessingService');
+const AIAnalysisCacheService = require('../../src/services/AIAnalysisCacheService');
+const FakeProvider = require('../../src/services/ai/FakeProvider');
+const MemoryStore = require('../../src/utils/memoryStore');
+
+// Default provider for code paths that pick one per user
+process.env.AI_PROVIDER = 'fake';
+
+function createService() {
+  const service = new BatchProcessingService();
+  service.analysisCache = new AIAnalysisCacheService(new MemoryStore());
+  service.downloadScreenshotImage = async key => Buffer.from(`image:${key}`);
+  service.aiUsageService.recordUsage = async () => {};
+  service.promptService.assignmentRepository = { findAssignment: async () => null };
+  return service;
+}
+
+const screenshots = [1, 2, 3].map(index => ({
+  id: `shot-${index}`,
+  file_storage_key: `uploads/shot-${index}.png`,
+  active_app: 'Visual Studio Code',
+  created_at: new Date(Date.UTC(2026, 0, 1, 9, index)).toISOString()
+}));
+
+test('analyzeImageGroup sends every screenshot to the provider in one call', async () => {
+  const provider = new FakeProvider();
+
+  const analysis = await createService().analyzeImageGroup(screenshots, 'standard', provider, { userId: 'user-1' });
+
+  assert.equal(provider.calls.length, 1);
+  assert.equal(provider.calls[0].imageCount, 3);
+  assert.equal(analysis.analysisSource, 'ai');
+  assert.equal(analysis.degraded, false);
+  assert.equal(analysis.aiProvider, 'fake');
+  assert.equal(analysis.cacheHit, false);
+});
+
+test('analyzeImageGroup answers a re-run of the same batch from the cache', async () => {
+  const provider = new FakeProvider();
+  const service = createService();
+
+  await service.analyzeImageGroup(screenshots, 'standard', provider, { userId: 'user-1' });
+  const repeated = await service.analyzeImageGroup(screenshots, 'standard', provider, { userId: 'user-1' });
+
+  assert.equal(provider.calls.length, 1);
+  assert.equal(repeated.cacheHit, true);
+});
+
+test('analyzeImageGroup does not share cached analyses across users or capture times', async () => {
+  const provider = new FakeProvider();
+  const service = createService();
+  const shifted = screenshots.map(shot => ({
+    ...shot,
+    created_at: new Date(new Date(shot.created_at).getTime() + 60 * 60 * 1000).toISOString()
+  }));
+
+  await service.analyzeImageGroup(screenshots, 'standard', provider, { userId: 'user-1' });
+  await service.analyzeImageGroup(screenshots, 'standard', provider, { userId: 'user-2' });
+  await service.analyzeImageGroup(shifted, 'standard', provider, { userId: 'user-1' });
+
+  assert.equal(provider.calls.length, 3);
+});
+
+test('analyzeImageGroup flags a degraded result when the provider never returns valid JSON', async () => {
+  const provider = new FakeProvider({ responder: () => 'not json' });
+
+  const analysis = await createService().analyzeImageGroup(screenshots, 'standard', provider, { userId: 'user-1' });
+
+  // First answer plus one re-ask
+  assert.equal(provider.calls.length, 2);
+  assert.equal(analysis.degraded, true);
+  assert.equal(analysis.analysisSource, 'ai-degraded');
+});
+
+test('processBatchWindow stores degraded analyses as degraded', async () => {
+  const service = createService();
+  const created = [];
+  service.aiBudgetService.checkBudget = async () => ({ allowAI: true, warnings: [], exhausted: [] });
+  service.performAIAnalysis = async () => ({ summary: null, degraded: true, analysisSource: 'ai-degraded' });
+  service.batchReportRepo.create = async row => {
+    created.push(row);
+    return { id: 'batch-1', ...row };
+  };
+  service.batchCheckpointRepo.upsert = async () => ({});
+  service.screenshotRepo.markAsProcessed = async () => ({ processed_ids: [] });
+
+  const checkpoint = { last_batch_number: 0, processed_count: 0 };
+  const batch = await service.processBatchWindow('user-1', 'session-1', screenshots, checkpoint, {
+    analysisType: 'standard',
+    force: false
+  });
+
+  assert.equal(created[0].degraded, true);
+  assert.equal(batch.degraded, true);
+});
+
+test('processBatchWindow stores the token count and cost of the batch analysis', async () => {
+  const service = createService();
+  const created = [];
+  service.aiBudgetService.checkBudget = async () => ({ allowAI: true, warnings: [], exhausted: [] });
+  service.performAIAnalysis = async () => ({
+    summary: 'Coding',
+    aiUsage: { inputTokens: 1200, outputTokens: 300, latencyMs: 900, costUsd: 0.0042 }
+  });
+  service.batchReportRepo.create = async row => {
+    created.push(row);
+    return { id: 'batch-1', ...row };
+  };
+  service.batchCheckpointRepo.upsert = async () => ({});
+  service.screenshotRepo.markAsProcessed = async () => ({ processed_ids: [] });
+
+  await service.processBatchWindow('user-1', 'session-1', screenshots, { last_batch_number: 0, processed_count: 0 }, {
+    analysisType: 'standard',
+    force: false
+  });
+
+  assert.equal(created[0].tokens_used, 1500);
+  assert.equal(created[0].cost_usd, 0.0042);
+});
+
+test('generateSessionSummary is refused before any work when the report budget is spent', async () => {
+  const { ApiError } = require('../../src/middleware/errorHandler');
+  const service = createService();
+  let stored = false;
+  service.reportsRepo.getBySessionId = async () => null;
+  service.aiBudgetService.checkBudget = async () => {
+    throw new ApiError('QUOTA_EXCEEDED', { metric: 'reports' });
+  };
+  service.batchReportRepo.getSessionReports = async () => {
+    throw new Error('should not load batch reports');
+  };
+  service.reportsRepo.createSessionReport = async () => {
+    stored = true;
+  };
+
+  await assert.rejects(service.generateSessionSummary('user-1', 'session-1'), { code: 'QUOTA_EXCEEDED' });
+  assert.equal(stored, false);
+});
+
+test('loadCheckpoint continues numbering after stored reports when the checkpoint is stale', async () => {
+  const service = createService();
+  service.batchCheckpointRepo.findBySession = async () => ({ last_batch_number: 2, last_batch_report_id: 'batch-2', processed_count: 60 });
+  service.batchReportRepo.findById = async () => null;
+  service.batchReportRepo.getMaxBatchNumber = async () => 4;
+
+  const checkpoint = await service.loadCheckpoint('user-1', 'session-1');
+
+  assert.equal(checkpoint.last_batch_number, 4);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BatchProcessingService = require('../../src/services/BatchProcessingService');
+
+function createService(share) {
+  const service = new BatchProcessingService();
+  const signed = [];
+
+  service.findActiveShare = async () => share;
+  service.sharedReportsRepo.incrementViewCount = async () => ({ ...share, view_count: 1 });
+  service.storageService.getSignedUrl = async (path, ttl) => {
+    signed.push({ path, ttl });
+    return `https://storage.example/${path}?ttl=${ttl}`;
+  };
+  service.shareViews.recordView = async () => {};
+
+  return { service, signed };
+}
+
+const openShare = { id: 'share-1', token: 't1', title: 'Sprint review', storage_path: 'reports/share-1.html', metadata: {} };
+
+test('getSharedReport hands out signed URLs that expire within minutes', async () => {
+  const { service, signed } = createService(openShare);
+
+  const report = await service.getSharedReport('t1');
+
+  assert.equal(signed.length, 1);
+  assert.ok(signed[0].ttl <= 5 * 60);
+  assert.equal(report.htmlUrlExpiresIn, signed[0].ttl);
+});
+
+test('getSharedReport refuses a capped link whose view could not be counted', async () => {
+  const { service, signed } = createService({ ...openShare, max_views: 3 });
+  service.sharedReportsRepo.incrementViewCount = async () => null;
+
+  assert.equal(await service.getSharedReport('t1'), null);
+  assert.equal(signed.length, 0);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BatchProcessingService = require('../../src/services/BatchProcessingService');
+const { batchConfig } = require('../../src/config/batch');
+
+function createService(pending) {
+  const service = new BatchProcessingService();
+
+  service.batchReportRepo.getSessionReports = async () => [];
+  service.screenshotRepo.getSessionScreenshotCount = async () => pending;
+  service.screenshotRepo.getUnprocessedCount = async () => pending;
+  service.batchCheckpointRepo.findBySession = async () => null;
+
+  return service;
+}
+
+test('getBatchStatus estimates pending batches at the configured window size', async t => {
+  const windowSize = batchConfig.windowSize;
+  t.after(() => {
+    batchConfig.windowSize = windowSize;
+  });
+  batchConfig.windowSize = 12;
+
+  const status = await createService(25).getBatchStatus('user-1', 'session-1');
+
+  assert.equal(status.pendingBatches, 3);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueueService = require('../../src/services/JobQueueService');
+const MemoryStore = require('../../src/utils/memoryStore');
+
+function createService() {
+  const service = new JobQueueService(new MemoryStore());
+  const created = { batches: [], reports: [] };
+
+  service.batchReportRepo = {
+    async create(row) {
+      // Yield so concurrent ingests interleave the way real inserts would
+      await new Promise(resolve => setImmediate(resolve));
+      created.batches.push(row);
+      return { id: `batch-${created.batches.length}` };
+    }
+  };
+  service.reportsRepo = {
+    async createSessionReport(userId, sessionId) {
+      created.reports.push({ userId, sessionId });
+      return { id: `report-${created.reports.length}` };
+    }
+  };
+
+  return { service, created };
+}
+
+const results = {
+  batches: [{ screenshot_ids: ['s1', 's2'], analysis: {} }],
+  report: { title: 'Session report', summary: 'done' }
+};
+
+test('ingestResults stores results and marks the job succeeded', async () => {
+  const { service, created } = createService();
+  const job = await service.enqueueSessionJob('user-1', 'session-1', ['s1', 's2']);
+
+  const updated = await service.ingestResults(job.id, results);
+
+  assert.equal(updated.status, 'succeeded');
+  assert.deepEqual(updated.result, { batch_report_ids: ['batch-1'], report_id: 'report-1' });
+  assert.equal(created.batches.length, 1);
+  assert.equal(created.reports.length, 1);
+});
+
+test('ingestResults returns the stored result when the worker posts twice', async () => {
+  const { service, created } = createService();
+  const job = await service.enqueueSessionJob('user-1', 'session-1', ['s1', 's2']);
+
+  const first = await service.ingestResults(job.id, results);
+  const second = await service.ingestResults(job.id, results);
+
+  assert.deepEqual(second.result, first.result);
+  assert.equal(created.batches.length, 1);
+  assert.equal(created.reports.length, 1);
+});
+
+test('ingestResults lets only one of two concurrent posts write rows', async () => {
+  const { service, created } = createService();
+  const job = await service.enqueueSessionJob('user-1', 'session-1', ['s1', 's2']);
+
+  const outcomes = await Promise.allSettled([
+    service.ingestResults(job.id, results),
+    service.ingestResults(job.id, results)
+  ]);
+
+  assert.equal(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 1);
+  assert.equal(outcomes.find(outcome => outcome.status === 'rejected').reason.code, 'RESOURCE_CONFLICT');
+  assert.equal(created.batches.length, 1);
+  assert.equal(created.reports.length, 1);
+});
+
+test('ingestResults releases its claim when a write fails', async () => {
+  const { service, created } = createService();
+  const job = await service.enqueueSessionJob('user-1', 'session-1', ['s1', 's2']);
+  const { create } = service.batchReportRepo;
+
+  service.batchReportRepo.create = async () => {
+    throw new Error('insert failed');
+  };
+  await assert.rejects(service.ingestResults(job.id, results), /insert failed/);
+
+  service.batchReportRepo.create = create;
+  const updated = await service.ingestResults(job.id, results);
+
+  assert.equal(updated.status, 'succeeded');
+  assert.equal(created.batches.length, 1);
+});
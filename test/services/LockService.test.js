@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LockService = require('../../src/services/LockService');
+const MemoryStore = require('../../src/utils/memoryStore');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('acquire excludes a second holder until the lock is released', async () => {
+  const locks = new LockService(new MemoryStore());
+
+  const first = await locks.acquire('session_summary:s1', 1000);
+  const second = await locks.acquire('session_summary:s1', 1000);
+
+  assert.ok(first);
+  assert.equal(second, null);
+  assert.equal(await locks.release(first), true);
+  assert.ok(await locks.acquire('session_summary:s1', 1000));
+});
+
+test('locks with different names do not block each other', async () => {
+  const locks = new LockService(new MemoryStore());
+
+  assert.ok(await locks.acquire('session_summary:s1', 1000));
+  assert.ok(await locks.acquire('session_summary:s2', 1000));
+});
+
+test('an expired lock can be taken over and the old holder cannot release it', async () => {
+  const store = new MemoryStore();
+  const locks = new LockService(store);
+
+  const stale = await locks.acquire('batch_trigger:s1', 5);
+  await wait(15);
+  const current = await locks.acquire('batch_trigger:s1', 1000);
+
+  assert.ok(current);
+  assert.equal(await locks.release(stale), false);
+  assert.equal(await store.get(current.key), current.token);
+});
+
+test('extend keeps a held lock and fails once it was lost', async () => {
+  const locks = new LockService(new MemoryStore());
+
+  const lock = await locks.acquire('batch_trigger:s1', 20);
+  assert.equal(await locks.extend(lock, 1000), true);
+  await wait(30);
+  assert.equal(await locks.acquire('batch_trigger:s1', 1000), null);
+
+  const short = await locks.acquire('batch_trigger:s2', 5);
+  await wait(15);
+  assert.equal(await locks.extend(short), false);
+});
+
+test('release ignores a missing handle and never throws on store errors', async () => {
+  const store = new MemoryStore();
+  const locks = new LockService(store);
+  const lock = await locks.acquire('session_summary:s1', 1000);
+
+  store.get = async () => {
+    throw new Error('store down');
+  };
+
+  assert.equal(await locks.release(null), false);
+  assert.equal(await locks.release(lock), false);
+});
+
+test('with Redis the token check and the release run as one script', async () => {
+  const calls = [];
+  const locks = new LockService({
+    set: async () => 'OK',
+    eval: async (...args) => {
+      calls.push(args);
+      return 1;
+    }
+  });
+
+  const lock = await locks.acquire('session_summary:s1', 1000);
+  assert.equal(await locks.release(lock), true);
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0][1], 1);
+  assert.equal(calls[0][2], 'lock:session_summary:s1');
+  assert.equal(calls[0][3], lock.token);
+});
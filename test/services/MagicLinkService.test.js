@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MagicLinkService = require('../../src/services/MagicLinkService');
+const MemoryStore = require('../../src/utils/memoryStore');
+
+process.env.BASE_URL = process.env.BASE_URL || 'https://api.example.com';
+
+function createService() {
+  const service = new MagicLinkService(new MemoryStore());
+  const sent = [];
+
+  service.emailService = {
+    isConfigured: () => true,
+    async sendMagicLinkEmail(message) {
+      sent.push(message);
+    }
+  };
+
+  return { service, sent };
+}
+
+test('requestLink names the email provider in the default redirect', async () => {
+  const { service, sent } = createService();
+
+  await service.requestLink('person@example.com');
+
+  const link = new URL(sent[0].signInUrl);
+  assert.equal(link.origin + link.pathname, service.getDefaultRedirect());
+  assert.equal(link.searchParams.get('provider'), 'email');
+  assert.ok(link.searchParams.get('code'));
+  assert.ok(link.searchParams.get('state'));
+});
+
+test('consumeToken accepts a link once', async () => {
+  const { service, sent } = createService();
+
+  await service.requestLink('Person@Example.com');
+  const code = new URL(sent[0].signInUrl).searchParams.get('code');
+
+  const userInfo = await service.consumeToken(code);
+  assert.equal(userInfo.email, 'person@example.com');
+  assert.equal(userInfo.provider, 'email');
+
+  await assert.rejects(service.consumeToken(code), { code: 'MAGIC_LINK_INVALID' });
+});
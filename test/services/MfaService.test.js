@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MfaService = require('../../src/services/MfaService');
+const AuthService = require('../../src/services/AuthService');
+const MemoryStore = require('../../src/utils/memoryStore');
+const totp = require('../../src/utils/totp');
+
+// In-memory mfa tables for one user; claimCounter is compare-and-set like the real query
+function createRepository() {
+  const state = { enrollment: null, recoveryCodes: [] };
+
+  return {
+    state,
+    async findByUserId() {
+      return state.enrollment && { ...state.enrollment };
+    },
+    async savePendingSecret(userId, secretEncrypted) {
+      state.enrollment = { user_id: userId, secret_encrypted: secretEncrypted, enabled_at: null, last_used_counter: null };
+    },
+    async enable(userId, counter) {
+      state.enrollment.enabled_at = new Date().toISOString();
+      state.enrollment.last_used_counter = counter;
+    },
+    async claimCounter(userId, counter, previousCounter) {
+      if (state.enrollment.last_used_counter !== previousCounter) return false;
+      state.enrollment.last_used_counter = counter;
+      return true;
+    },
+    async replaceRecoveryCodes(userId, hashes) {
+      state.recoveryCodes = [...hashes];
+    },
+    async consumeRecoveryCode(userId, hash) {
+      const index = state.recoveryCodes.indexOf(hash);
+      if (index === -1) return false;
+      state.recoveryCodes.splice(index, 1);
+      return true;
+    },
+    async countRemainingRecoveryCodes() {
+      return state.recoveryCodes.length;
+    },
+    async deleteEnrollment() {
+      state.enrollment = null;
+    }
+  };
+}
+
+function createService() {
+  const service = new MfaService(new MemoryStore());
+  service.mfaRepository = createRepository();
+  return service;
+}
+
+// Enrolled service plus the secret the user's authenticator app holds
+async function enrolledService() {
+  const service = createService();
+  const { secret } = await service.startEnrollment('user-1', 'user@example.com');
+  // Confirm with the previous step so the current one is still unused
+  const { recovery_codes: recoveryCodes } = await service.confirmEnrollment(
+    'user-1',
+    totp.generateCode(secret, totp.getCounter() - 1)
+  );
+  return { service, secret, recoveryCodes };
+}
+
+const currentCode = secret => totp.generateCode(secret, totp.getCounter());
+
+test('enrollment stores the secret encrypted and is enabled by a code from the app', async () => {
+  const service = createService();
+
+  const { secret, otpauth_url: otpauthUrl } = await service.startEnrollment('user-1', 'user@example.com');
+  assert.ok(!service.mfaRepository.state.enrollment.secret_encrypted.includes(secret));
+  assert.ok(otpauthUrl.includes(secret));
+  assert.equal(await service.isEnabled('user-1'), false);
+
+  await assert.rejects(service.confirmEnrollment('user-1', '000000'), { code: 'MFA_INVALID' });
+
+  const { recovery_codes: recoveryCodes } = await service.confirmEnrollment('user-1', currentCode(secret));
+  assert.equal(recoveryCodes.length, 10);
+  assert.equal(await service.isEnabled('user-1'), true);
+});
+
+test('verifyCode rejects a code whose step was already used', async () => {
+  const { service, secret } = await enrolledService();
+  const code = currentCode(secret);
+
+  assert.equal(await service.verifyCode('user-1', code), 'totp');
+  await assert.rejects(service.verifyCode('user-1', code), { code: 'MFA_INVALID' });
+});
+
+test('verifyCode rejects a code from a step before the last one used', async () => {
+  const { service, secret } = await enrolledService();
+
+  assert.equal(await service.verifyCode('user-1', totp.generateCode(secret, totp.getCounter() + 1)), 'totp');
+  await assert.rejects(service.verifyCode('user-1', currentCode(secret)), { code: 'MFA_INVALID' });
+});
+
+test('recovery codes work once each, with or without the dash', async () => {
+  const { service, recoveryCodes } = await enrolledService();
+
+  assert.equal(await service.verifyCode('user-1', recoveryCodes[0].replace('-', '').toUpperCase()), 'recovery_code');
+  await assert.rejects(service.verifyCode('user-1', recoveryCodes[0]), { code: 'MFA_INVALID' });
+  assert.equal(await service.mfaRepository.countRemainingRecoveryCodes('user-1'), 9);
+});
+
+test('repeated wrong codes lock verification, even for a right code', async () => {
+  const { service, secret } = await enrolledService();
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await assert.rejects(service.verifyCode('user-1', '000000'), { code: 'MFA_INVALID' });
+  }
+
+  await assert.rejects(service.verifyCode('user-1', currentCode(secret)), { code: 'RATE_LIMIT_EXCEEDED' });
+});
+
+test('a sign-in challenge completes once with a valid code', async () => {
+  const { service, secret } = await enrolledService();
+  const { mfa_token: token } = await service.createChallenge('user-1', { provider: 'google', device_context: { deviceId: 'd1' } });
+
+  await assert.rejects(service.completeChallenge(token, '000000'), { code: 'MFA_INVALID' });
+
+  const challenge = await service.completeChallenge(token, currentCode(secret));
+  assert.equal(challenge.user_id, 'user-1');
+  assert.deepEqual(challenge.device_context, { deviceId: 'd1' });
+
+  await assert.rejects(
+    service.completeChallenge(token, totp.generateCode(secret, totp.getCounter() + 1)),
+    { code: 'MFA_INVALID', details: { reason: 'challenge_expired' } }
+  );
+  await assert.rejects(service.completeChallenge('unknown-token', currentCode(secret)), { code: 'MFA_INVALID' });
+});
+
+test('completing the challenge signs the user in with the mfa claim on the device session', async () => {
+  const { service: mfaService, secret } = await enrolledService();
+  const auth = new AuthService();
+  const devices = [];
+
+  auth.mfaService = mfaService;
+  auth.userRepository = { findById: async id => ({ id, email: 'user@example.com' }) };
+  auth.refreshTokenRepository = { createToken: async token => token };
+  auth.userDeviceRepository = {
+    createDevice: async device => {
+      devices.push(device);
+      return { id: 'device-1', ...device };
+    }
+  };
+
+  const { mfa_token: token } = await mfaService.createChallenge('user-1', { provider: 'google', device_context: {} });
+  const session = await auth.completeMfaChallenge(token, currentCode(secret));
+
+  assert.equal(auth.verifyAccessToken(session.access_token).mfa, true);
+  assert.ok(devices[0].mfaVerifiedAt);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SharedReportAccessService = require('../../src/services/SharedReportAccessService');
+const MemoryStore = require('../../src/utils/memoryStore');
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+function createService() {
+  const service = new SharedReportAccessService(new MemoryStore());
+  const sent = [];
+
+  service.emailService = {
+    isConfigured: () => true,
+    sendShareVerificationEmail: async message => {
+      sent.push(message);
+    }
+  };
+
+  return { service, sent };
+}
+
+async function passwordShare(service, password = 'correct horse') {
+  const fields = await service.buildAccessFields({ password });
+  return { id: 'share-1', title: 'Sprint review', expires_at: inOneDay(), ...fields };
+}
+
+const domainShare = () => ({ id: 'share-2', title: 'Sprint review', expires_at: inOneDay(), allowed_domains: ['example.com'] });
+
+test('buildAccessFields hashes passwords and normalizes domains', async () => {
+  const { service } = createService();
+
+  const fields = await service.buildAccessFields({ password: 'correct horse', allowedDomains: ['@Example.com', 'example.com'] });
+
+  assert.notEqual(fields.password_hash, 'correct horse');
+  assert.deepEqual(fields.allowed_domains, ['example.com']);
+  assert.deepEqual(await service.buildAccessFields({ password: null, allowedDomains: [] }), {
+    password_hash: null,
+    allowed_domains: null
+  });
+  await assert.rejects(service.buildAccessFields({ password: 'short' }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(service.buildAccessFields({ allowedDomains: ['not a domain'] }), { code: 'VALIDATION_ERROR' });
+});
+
+test('checkViewer lets open links through and asks restricted links for verification', async () => {
+  const { service } = createService();
+  const share = await passwordShare(service);
+
+  assert.deepEqual(await service.checkViewer({ id: 'open' }), { email: null });
+  await assert.rejects(service.checkViewer(share), { code: 'SHARE_VERIFICATION_REQUIRED' });
+  await assert.rejects(service.checkViewer(share, 'made-up-token'), { code: 'SHARE_VERIFICATION_REQUIRED' });
+});
+
+test('a correct password issues a viewer token for that share only', async () => {
+  const { service } = createService();
+  const share = await passwordShare(service);
+
+  const { viewer_token: token, expires_in: expiresIn } = await service.verifyViewer(share, { password: 'correct horse' }, { ip: '203.0.113.9' });
+
+  assert.ok(expiresIn > 0 && expiresIn <= 12 * 60 * 60);
+  assert.deepEqual(await service.checkViewer(share, token), { email: null });
+  await assert.rejects(service.checkViewer({ ...share, id: 'share-other' }, token), { code: 'SHARE_VERIFICATION_REQUIRED' });
+});
+
+test('viewer tokens stop working when the owner changes the password', async () => {
+  const { service } = createService();
+  const share = await passwordShare(service);
+  const { viewer_token: token } = await service.verifyViewer(share, { password: 'correct horse' });
+
+  const changed = { ...share, ...(await service.buildAccessFields({ password: 'battery staple' })) };
+
+  await assert.rejects(service.checkViewer(changed, token), { code: 'SHARE_VERIFICATION_REQUIRED' });
+});
+
+test('repeated wrong passwords from one IP are throttled without affecting other IPs', async () => {
+  const { service } = createService();
+  const share = await passwordShare(service);
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    await assert.rejects(service.verifyViewer(share, { password: 'wrong guess' }, { ip: '203.0.113.9' }), {
+      code: 'SHARE_VERIFICATION_FAILED'
+    });
+  }
+
+  await assert.rejects(service.verifyViewer(share, { password: 'correct horse' }, { ip: '203.0.113.9' }), {
+    code: 'RATE_LIMIT_EXCEEDED'
+  });
+  assert.ok(await service.verifyViewer(share, { password: 'correct horse' }, { ip: '198.51.100.7' }));
+});
+
+test('an emailed code verifies a viewer at an allowed domain once', async () => {
+  const { service, sent } = createService();
+  const share = domainShare();
+
+  await assert.rejects(service.requestEmailCode(share, 'viewer@other.org'), { code: 'SHARE_VERIFICATION_FAILED' });
+  await service.requestEmailCode(share, 'Viewer@Example.com', { ip: '203.0.113.9' });
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].email, 'viewer@example.com');
+
+  const { viewer_token: token } = await service.verifyViewer(share, { email: 'viewer@example.com', code: sent[0].code });
+  assert.deepEqual(await service.checkViewer(share, token), { email: 'viewer@example.com' });
+
+  await assert.rejects(service.verifyViewer(share, { email: 'viewer@example.com', code: sent[0].code }), {
+    code: 'SHARE_VERIFICATION_FAILED'
+  });
+});
+
+test('code requests are limited per requesting IP across email addresses', async () => {
+  const { service, sent } = createService();
+  const share = domainShare();
+
+  for (let index = 0; index < 10; index++) {
+    await service.requestEmailCode(share, `viewer${index}@example.com`, { ip: '203.0.113.9' });
+  }
+
+  await assert.rejects(service.requestEmailCode(share, 'viewer10@example.com', { ip: '203.0.113.9' }), {
+    code: 'RATE_LIMIT_EXCEEDED'
+  });
+  await service.requestEmailCode(share, 'viewer10@example.com', { ip: '198.51.100.7' });
+  assert.equal(sent.length, 11);
+});
+
+test('code requests are limited per share across IPs', async () => {
+  const { service } = createService();
+  const share = domainShare();
+
+  for (let index = 0; index < 50; index++) {
+    await service.requestEmailCode(share, `viewer${index}@example.com`, { ip: `198.51.100.${index}` });
+  }
+
+  await assert.rejects(service.requestEmailCode(share, 'late@example.com', { ip: '203.0.113.9' }), {
+    code: 'RATE_LIMIT_EXCEEDED'
+  });
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const SharedReportViewService = require('../../src/services/SharedReportViewService');
+const { trustProxy } = require('../../src/config/proxy');
+
+function createService() {
+  const service = new SharedReportViewService();
+  const views = [];
+  service.viewRepository = {
+    create: async view => {
+      views.push(view);
+      return view;
+    }
+  };
+  return { service, views };
+}
+
+const share = { id: 'share-1', metadata: {} };
+
+test('recordView never stores the raw IP', async () => {
+  const { service, views } = createService();
+
+  await service.recordView(share, { ip: '203.0.113.9', userAgent: 'Firefox' });
+
+  assert.equal(views.length, 1);
+  assert.ok(views[0].ip_hash);
+  assert.ok(!JSON.stringify(views[0]).includes('203.0.113.9'));
+});
+
+test('viewers behind the platform proxy are told apart by their forwarded address', async () => {
+  const { service, views } = createService();
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.get('/shared/:shareToken', async (req, res) => {
+    await service.recordView(share, { ip: req.ip, userAgent: req.get('User-Agent') });
+    res.end();
+  });
+
+  const server = app.listen(0);
+  try {
+    const open = client => fetch(`http://127.0.0.1:${server.address().port}/shared/token`, {
+      headers: { 'X-Forwarded-For': client, 'User-Agent': 'Firefox' }
+    });
+    await open('198.51.100.7');
+    await open('198.51.100.7');
+    await open('203.0.113.9');
+  } finally {
+    server.close();
+  }
+
+  assert.equal(views.length, 3);
+  assert.equal(views[0].viewer_key, views[1].viewer_key);
+  assert.notEqual(views[0].viewer_key, views[2].viewer_key);
+  assert.equal(new Set(views.map(view => view.ip_hash)).size, 2);
+});
+
+test('a verified email is one viewer across devices', async () => {
+  const { service, views } = createService();
+
+  await service.recordView(share, { ip: '198.51.100.7', userAgent: 'Firefox', viewerEmail: 'viewer@example.com' });
+  await service.recordView(share, { ip: '203.0.113.9', userAgent: 'Safari', viewerEmail: 'viewer@example.com' });
+
+  assert.equal(views[0].viewer_key, views[1].viewer_key);
+});
+
+test('getShareViews reports the totals counted by the repository', async () => {
+  const service = new SharedReportViewService();
+  let requestedEmails = null;
+  service.sharedReportsRepo = {
+    findByIdForUser: async () => ({
+      id: 'share-1',
+      metadata: { recipients: [{ email: 'a@example.com', sent_at: 'sent' }, { email: 'b@example.com', sent_at: 'sent' }] }
+    })
+  };
+  service.viewRepository = {
+    getViewStats: async (shareId, emails) => {
+      requestedEmails = emails;
+      return {
+        total_views: 4000,
+        unique_viewers: 1500,
+        identified_viewers: 7,
+        first_viewed_at: 'first',
+        last_viewed_at: 'last',
+        recipients: [{ email: 'a@example.com', views: '12', first_viewed_at: 'a-first', last_viewed_at: 'a-last' }]
+      };
+    },
+    findByShare: async () => []
+  };
+
+  const result = await service.getShareViews('user-1', 'share-1');
+
+  assert.deepEqual(requestedEmails, ['a@example.com', 'b@example.com']);
+  assert.deepEqual(result.summary, {
+    total_views: 4000,
+    unique_viewers: 1500,
+    identified_viewers: 7,
+    first_viewed_at: 'first',
+    last_viewed_at: 'last'
+  });
+  assert.deepEqual(result.recipients.map(recipient => [recipient.email, recipient.opened, recipient.views]), [
+    ['a@example.com', true, 12],
+    ['b@example.com', false, 0]
+  ]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeProvider = require('../../../src/services/ai/FakeProvider');
+const { extractJson, validateBatchAnalysis } = require('../../../src/services/ai/batchAnalysisSchema');
+
+const image = { mimeType: 'image/png', data: Buffer.from('pixels').toString('base64') };
+
+test('FakeProvider answers the same request with the same analysis', async () => {
+  const provider = new FakeProvider();
+
+  const first = await provider.generate({ prompt: 'analyze', images: [image] });
+  const second = await provider.generate({ prompt: 'analyze', images: [image] });
+  const other = await provider.generate({ prompt: 'analyze again', images: [image] });
+
+  assert.equal(first.text, second.text);
+  assert.notEqual(first.text, other.text);
+  assert.equal(first.provider, 'fake');
+  assert.equal(provider.calls.length, 3);
+});
+
+test('FakeProvider default output passes the batch analysis schema', async () => {
+  const result = await new FakeProvider().generate({ prompt: 'analyze', images: [image, image] });
+
+  assert.equal(validateBatchAnalysis(extractJson(result.text)).valid, true);
+  assert.ok(result.usage.inputTokens > 0);
+  assert.ok(result.usage.outputTokens > 0);
+});
+
+test('FakeProvider replies with the scripted responder', async () => {
+  const provider = new FakeProvider({ responder: ({ prompt }) => `echo: ${prompt}` });
+
+  const result = await provider.generate({ prompt: 'hello' });
+
+  assert.equal(result.text, 'echo: hello');
+});
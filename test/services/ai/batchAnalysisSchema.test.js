@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SECTION_KEYS,
+  extractJson,
+  repairBatchAnalysis,
+  validateBatchAnalysis,
+  pickValidParts
+} = require('../../../src/services/ai/batchAnalysisSchema');
+
+function validAnalysis(overrides = {}) {
+  return {
+    ...Object.fromEntries(SECTION_KEYS.map(key => [key, `The ${key} section of the analysis.`])),
+    productivityMetrics: { focusScore: 0.7, distractionEvents: 2, taskSwitching: 3 },
+    applications: ['Visual Studio Code'],
+    ...overrides
+  };
+}
+
+test('extractJson reads fenced JSON and JSON surrounded by prose', () => {
+  assert.deepEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(extractJson('Here you go: {"a": "b}"} - done'), { a: 'b}' });
+  assert.equal(extractJson('no json here'), null);
+  assert.equal(extractJson('[1, 2]'), null);
+});
+
+test('validateBatchAnalysis accepts a complete analysis', () => {
+  assert.deepEqual(validateBatchAnalysis(validAnalysis()), { valid: true, errors: [] });
+});
+
+test('validateBatchAnalysis reports missing sections and out-of-range metrics', () => {
+  const { valid, errors } = validateBatchAnalysis(validAnalysis({
+    blockers: undefined,
+    recognition: 'short',
+    productivityMetrics: { focusScore: 3, distractionEvents: 1.5, taskSwitching: 0 }
+  }));
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'blockers: must be a string',
+    'recognition: must contain at least 10 characters',
+    'productivityMetrics.focusScore: must be between 0 and 1',
+    'productivityMetrics.distractionEvents: must be an integer'
+  ]);
+});
+
+test('repairBatchAnalysis reshapes the older nested format and percentage metrics', () => {
+  const repaired = repairBatchAnalysis(validAnalysis({
+    summary: { reportReadySummary: '  Shipped the webhook handler.  ' },
+    recognition: { accomplishments: ['Closed three tickets', 'Reviewed two PRs'] },
+    automation_opportunities: undefined,
+    automation: { suggestions: ['Script the release checklist'] },
+    productivityMetrics: { focusScore: '85%', distractionEvents: '2', taskSwitching: 4 }
+  }));
+
+  assert.equal(repaired.summary, 'Shipped the webhook handler.');
+  assert.equal(repaired.recognition, 'Closed three tickets. Reviewed two PRs');
+  assert.equal(repaired.automation_opportunities, 'Script the release checklist');
+  assert.equal('automation' in repaired, false);
+  assert.deepEqual(repaired.productivityMetrics, { focusScore: 0.85, distractionEvents: 2, taskSwitching: 4 });
+  assert.equal(validateBatchAnalysis(repaired).valid, true);
+});
+
+test('repairBatchAnalysis never invents missing sections', () => {
+  const repaired = repairBatchAnalysis({ summary: 'Only a summary was returned.' });
+
+  assert.equal(repaired.blockers, undefined);
+  assert.equal(validateBatchAnalysis(repaired).valid, false);
+});
+
+test('pickValidParts keeps passing sections and nulls the rest', () => {
+  const parts = pickValidParts(validAnalysis({ blockers: 42, applications: 'Slack' }));
+
+  assert.equal(parts.blockers, null);
+  assert.equal(parts.summary, 'The summary section of the analysis.');
+  assert.deepEqual(parts.productivityMetrics, { focusScore: 0.7, distractionEvents: 2, taskSwitching: 3 });
+  assert.deepEqual(parts.applications, []);
+  assert.deepEqual(pickValidParts(null).applications, []);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pako = require('pako');
+const PDFDocument = require('../../src/utils/pdfDocument');
+
+// Content stream of each page, inflated
+function pageStreams(buffer) {
+  const pdf = buffer.toString('latin1');
+  const streams = [];
+  const pattern = /<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+  let match;
+  while ((match = pattern.exec(pdf)) !== null) {
+    const start = match.index + match[0].length;
+    const body = buffer.subarray(start, start + Number(match[1]));
+    streams.push(Buffer.from(pako.inflate(body)).toString('latin1'));
+  }
+  return streams;
+}
+
+test('encode maps text to WinAnsi codes and drops emoji', () => {
+  const doc = new PDFDocument();
+
+  assert.deepEqual(doc.encode('Ab'), [65, 98]);
+  assert.deepEqual(doc.encode('café'), [99, 97, 102, 233]);
+  assert.deepEqual(doc.encode('– •'), [0x96, 32, 0x95]);
+  assert.deepEqual(doc.encode('Done ✅'), [68, 111, 110, 101, 32]);
+  assert.deepEqual(doc.encode('日'), [63]);
+});
+
+test('widthOf uses the Helvetica metrics of the chosen font', () => {
+  const doc = new PDFDocument();
+
+  assert.equal(doc.widthOf('A', { size: 10 }), 6.67);
+  assert.equal(doc.widthOf('i', { size: 10 }), 2.22);
+  assert.equal(doc.widthOf('i', { font: 'bold', size: 10 }), 2.78);
+  assert.equal(doc.widthOf('', { size: 10 }), 0);
+});
+
+test('wrap keeps lines within the width, keeps newlines and splits overlong words', () => {
+  const doc = new PDFDocument();
+  const options = { size: 10 };
+
+  const lines = doc.wrap('one two three four five six seven eight nine ten', 80, options);
+  assert.ok(lines.length > 1);
+  lines.forEach(line => assert.ok(doc.widthOf(line, options) <= 80, line));
+  assert.equal(lines.join(' '), 'one two three four five six seven eight nine ten');
+
+  assert.deepEqual(doc.wrap('first\n\nsecond', 200, options), ['first', '', 'second']);
+
+  const url = 'https://example.com/'.padEnd(80, 'x');
+  const parts = doc.wrap(url, 60, options);
+  assert.ok(parts.length > 1);
+  assert.equal(parts.join(''), url);
+});
+
+test('text escapes PDF string delimiters and writes non-ASCII as octal', () => {
+  const doc = new PDFDocument();
+
+  doc.text('a (b) \\ é', 50, 50, { size: 12 });
+
+  const [stream] = pageStreams(doc.toBuffer());
+  assert.match(stream, /\(a \\\(b\\\) \\\\ \\351\) Tj/);
+});
+
+test('right-aligned text ends at the edge of its box', () => {
+  const doc = new PDFDocument({ width: 200, height: 100 });
+
+  doc.text('Total', 0, 0, { size: 10, align: 'right', width: 200 });
+
+  const [stream] = pageStreams(doc.toBuffer());
+  const left = Number(stream.match(/rg ([\d.]+) [\d.]+ Td/)[1]);
+  assert.equal(Math.round((left + doc.widthOf('Total', { size: 10 })) * 100) / 100, 200);
+});
+
+test('toBuffer writes a well-formed file with one content stream per page', () => {
+  const doc = new PDFDocument();
+  doc.text('Page one', 50, 50);
+  doc.addPage().text('Page two', 50, 50);
+  doc.switchToPage(0).rect(10, 10, 20, 20, { fill: '#ff0000' });
+
+  const buffer = doc.toBuffer({ title: 'Weekly report' });
+  const pdf = buffer.toString('latin1');
+
+  assert.ok(pdf.startsWith('%PDF-1.4'));
+  assert.ok(pdf.trimEnd().endsWith('%%EOF'));
+  assert.match(pdf, /\/Type \/Pages \/Kids \[7 0 R 9 0 R\] \/Count 2/);
+  assert.match(pdf, /\/Title \(\\127\\145/);
+
+  const streams = pageStreams(buffer);
+  assert.equal(streams.length, 2);
+  assert.match(streams[0], /\(Page one\) Tj/);
+  assert.match(streams[0], /1\.000 0\.000 0\.000 rg .* re f/);
+  assert.match(streams[1], /\(Page two\) Tj/);
+
+  // Every xref entry points at its object and startxref at the table
+  const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  assert.ok(pdf.substring(startxref).startsWith('xref'));
+  const offsets = [...pdf.matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+  offsets.forEach((offset, index) => {
+    assert.ok(pdf.substring(offset).startsWith(`${index + 1} 0 obj`), `object ${index + 1}`);
+  });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../../src/utils/totp');
+
+// RFC 6238 appendix B SHA-1 seed "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC vectors are 8 digits; authenticator apps show the last 6
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+test('generateCode matches the RFC 6238 SHA-1 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(totp.generateCode(RFC_SECRET, totp.getCounter(seconds * 1000)), code, `T=${seconds}`);
+  }
+});
+
+test('verifyCode accepts codes one step either side and returns their counter', () => {
+  const timestamp = 1111111111 * 1000;
+  const current = totp.getCounter(timestamp);
+
+  for (const offset of [-1, 0, 1]) {
+    const code = totp.generateCode(RFC_SECRET, current + offset);
+    assert.equal(totp.verifyCode(RFC_SECRET, code, { timestamp }), current + offset);
+  }
+});
+
+test('verifyCode rejects codes two steps away, malformed codes and wrong codes', () => {
+  const timestamp = 1111111111 * 1000;
+  const current = totp.getCounter(timestamp);
+
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, current - 2), { timestamp }), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, current + 2), { timestamp }), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, '05047', { timestamp }), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', { timestamp }), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, null, { timestamp }), null);
+});
+
+test('verifyCode ignores spaces the user typed', () => {
+  assert.equal(totp.verifyCode(RFC_SECRET, '050 471', { timestamp: 1111111111 * 1000 }), totp.getCounter(1111111111 * 1000));
+});
+
+test('generateSecret round-trips through the otpauth URI', () => {
+  const secret = totp.generateSecret();
+  const uri = new URL(totp.buildOtpauthUri(secret, 'user@example.com', 'OnlyWorks'));
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.searchParams.get('secret'), secret);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
@@ -0,0 +1,25 @@
+-- Migration: Signed-in devices
+-- Description: One row per signed-in client. family_id points at the refresh token
+-- family currently issued to the device, so removing a device revokes its tokens.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS user_devices (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL,
+    family_id UUID NOT NULL,
+    device_id VARCHAR(255),
+    device_name VARCHAR(255),
+    platform VARCHAR(50),
+    app_version VARCHAR(50),
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_devices_user_id ON user_devices(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_devices_family_id ON user_devices(family_id);
+CREATE INDEX IF NOT EXISTS idx_user_devices_user_device ON user_devices(user_id, device_id);
+
+COMMENT ON TABLE user_devices IS 'Signed-in clients and the refresh token family issued to each';
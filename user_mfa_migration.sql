@@ -0,0 +1,33 @@
+-- Migration: TOTP two-factor authentication
+-- Description: Per-user TOTP secret (encrypted at rest), hashed single-use recovery
+-- codes, and the MFA state of each signed-in device session.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS user_mfa (
+    user_id UUID PRIMARY KEY,
+    secret_encrypted TEXT NOT NULL,
+    -- NULL until the user confirms enrollment with a valid code
+    enabled_at TIMESTAMP WITH TIME ZONE,
+    -- Last accepted TOTP time step, so a code can't be used twice
+    last_used_counter BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mfa_recovery_codes_hash ON mfa_recovery_codes(user_id, code_hash);
+
+-- Device sessions that passed the second factor
+ALTER TABLE user_devices
+  ADD COLUMN IF NOT EXISTS mfa_verified_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON TABLE user_mfa IS 'TOTP enrollment per user - secrets are AES-256-GCM encrypted';
+COMMENT ON TABLE mfa_recovery_codes IS 'SHA-256 hashes of single-use MFA recovery codes';